@@ -0,0 +1,137 @@
+/* Mock loan service for exercising the HTTP repository offline
+   - Zero dependencies: `npm run mock-server` (or `node mock-server/server.js`)
+   - Serves the contract documented in src/data/httpStore.js under /api,
+     answering list queries with the app's own src/lib/query.js
+   - Data is kept in memory and mirrored to mock-server/db.json between runs
+   - MOCK_PORT (default 4000) and MOCK_DB (path to the JSON file) can be overridden
+*/
+import { createServer } from "node:http";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { runQuery } from "../src/lib/query.js";
+
+const PORT = Number(process.env.MOCK_PORT || 4000);
+const DB_FILE =
+  process.env.MOCK_DB || fileURLToPath(new URL("./db.json", import.meta.url));
+
+// collection name -> id field
+const COLLECTIONS = {
+  users: "username",
+  loans: "id",
+  repayments: "id",
+  journal: "id",
+  settings: "id",
+  applications: "id",
+  "pending-actions": "id",
+  "rule-sets": "id",
+  products: "id",
+  imports: "id",
+  documents: "id",
+  notifications: "id",
+  payments: "id",
+};
+
+function loadDb() {
+  const empty = Object.fromEntries(
+    Object.keys(COLLECTIONS).map((name) => [name, []])
+  );
+  if (!existsSync(DB_FILE)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(readFileSync(DB_FILE, "utf8")) };
+  } catch {
+    return empty;
+  }
+}
+
+const db = loadDb();
+
+function persist() {
+  writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
+}
+
+function upsert(name, item) {
+  const idKey = COLLECTIONS[name];
+  const list = db[name];
+  const idx = list.findIndex((x) => x[idKey] === item[idKey]);
+  if (idx === -1) list.unshift(item);
+  else list[idx] = item;
+  return item;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const [prefix, name, rawId] = url.pathname.split("/").filter(Boolean);
+  if (prefix !== "api" || !COLLECTIONS[name])
+    return send(res, 404, { error: "Not found" });
+  const idKey = COLLECTIONS[name];
+  const id = rawId === undefined ? undefined : decodeURIComponent(rawId);
+
+  if (req.method === "GET" && id === undefined)
+    return url.search
+      ? send(res, 200, runQuery(db[name], Object.fromEntries(url.searchParams)))
+      : send(res, 200, db[name]);
+  if (req.method === "GET") {
+    const found = db[name].find((x) => x[idKey] === id);
+    return found
+      ? send(res, 200, found)
+      : send(res, 404, { error: "Not found" });
+  }
+
+  if (req.method === "POST" && id === "batch") {
+    const items = await readBody(req);
+    if (!Array.isArray(items))
+      return send(res, 400, { error: "Expected an array" });
+    [...items].reverse().forEach((item) => upsert(name, item));
+    persist();
+    return send(res, 200, items);
+  }
+
+  if (req.method === "PUT" && id !== undefined) {
+    const item = await readBody(req);
+    if (!item || item[idKey] !== id)
+      return send(res, 400, { error: `Body ${idKey} must match the URL` });
+    upsert(name, item);
+    persist();
+    return send(res, 200, item);
+  }
+
+  if (req.method === "DELETE" && id !== undefined) {
+    db[name] = db[name].filter((x) => x[idKey] !== id);
+    persist();
+    return send(res, 204);
+  }
+
+  return send(res, 405, { error: "Method not allowed" });
+}
+
+createServer((req, res) => {
+  handle(req, res).catch((err) => send(res, 400, { error: err.message }));
+}).listen(PORT, () => {
+  console.log(`Mock loan service on http://localhost:${PORT}/api`);
+});
@@ -0,0 +1,55 @@
+import React from "react";
+
+const STATUS_STYLES = {
+  submitted: "bg-blue-100 text-blue-800",
+  under_review: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+  disbursed: "bg-purple-100 text-purple-800",
+};
+
+export function ApplicationStatus({ status }) {
+  return (
+    <span
+      className={`px-2 py-0.5 rounded text-xs ${
+        STATUS_STYLES[status] || "bg-gray-100 text-gray-700"
+      }`}
+    >
+      {status.replace("_", " ")}
+    </span>
+  );
+}
+
+/* Status timeline plus reviewer comments, oldest first */
+export default function ApplicationHistory({ application }) {
+  return (
+    <div className="text-xs space-y-2">
+      <ol className="border-l pl-3 space-y-1">
+        {(application.history || []).map((h, i) => (
+          <li key={i}>
+            <ApplicationStatus status={h.status} />{" "}
+            <span className="text-gray-500">
+              {new Date(h.at).toLocaleString()} by {h.by}
+            </span>
+            {h.comment && <div className="text-gray-700">“{h.comment}”</div>}
+          </li>
+        ))}
+      </ol>
+      {(application.comments || []).length > 0 && (
+        <div>
+          <div className="font-semibold text-gray-600">Comments</div>
+          <ul className="space-y-1">
+            {application.comments.map((c) => (
+              <li key={c.id}>
+                <span className="text-gray-500">
+                  {c.by}, {new Date(c.at).toLocaleString()}:
+                </span>{" "}
+                {c.text}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { can } from "../lib/permissions";
+import { formatCurrency } from "../lib/util";
+import {
+  addComment,
+  approveApplication,
+  disburseApplication,
+  listApplications,
+  rejectApplication,
+  startReview,
+} from "../services/applicationService";
+import ApplicationHistory, { ApplicationStatus } from "./ApplicationHistory";
+
+const OPEN_STATUSES = ["submitted", "under_review", "approved"];
+
+/* Staff review queue for borrower loan applications */
+export default function ApplicationQueue({
+  refreshKey,
+  staff,
+  pushToast,
+  onDisbursed,
+}) {
+  const [applications, setApplications] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  const [comments, setComments] = useState({}); // id -> draft comment
+  const [rates, setRates] = useState({}); // id -> approval rate
+
+  const refresh = useCallback(
+    () =>
+      listApplications(staff)
+        .then(setApplications)
+        .catch(() => pushToast("Could not load applications", "error")),
+    [staff, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  async function run(id, fn, message) {
+    try {
+      await fn({ actor: staff, id, comment: comments[id], rate: rates[id] });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    setComments((c) => ({ ...c, [id]: "" }));
+    pushToast(message);
+    refresh();
+  }
+
+  async function comment(id) {
+    try {
+      await addComment({ actor: staff, id, text: comments[id] });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    setComments((c) => ({ ...c, [id]: "" }));
+    refresh();
+  }
+
+  async function disburse(id) {
+    let result;
+    try {
+      result = await disburseApplication({ actor: staff, id });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(
+      result.pending
+        ? `Disbursement sent for second approval (${result.pending.reason})`
+        : `Disbursed ${formatCurrency(result.loan.principal)} to ${
+            result.loan.borrowerUsername
+          }`
+    );
+    refresh();
+    onDisbursed?.();
+  }
+
+  const visible = showAll
+    ? applications
+    : applications.filter((a) => OPEN_STATUSES.includes(a.status));
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-lg">Loan applications</h3>
+          <div className="text-xs text-gray-500">
+            {applications.filter((a) => a.status === "submitted").length} new •{" "}
+            {applications.filter((a) => a.status === "under_review").length}{" "}
+            under review
+          </div>
+        </div>
+        <label className="text-sm flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={showAll}
+            onChange={(e) => setShowAll(e.target.checked)}
+          />
+          Show closed
+        </label>
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="text-gray-500">No applications waiting</div>
+      ) : (
+        <ul className="space-y-3">
+          {visible.map((a) => (
+            <li key={a.id} className="p-3 border rounded">
+              <div className="flex items-start justify-between gap-4">
+                <div className="text-sm">
+                  <div className="font-semibold">
+                    {a.borrowerUsername} — {formatCurrency(a.amount)} over{" "}
+                    {a.tenor}m{a.productName && ` · ${a.productName}`}{" "}
+                    <ApplicationStatus status={a.status} />
+                  </div>
+                  <div className="text-xs text-gray-600">
+                    {a.purpose} • Income {formatCurrency(a.income)} •
+                    Obligations {formatCurrency(a.existingObligations)} •
+                    Indicative: {a.indicative?.riskLevel} risk, DTI{" "}
+                    {a.indicative?.dti}%, max{" "}
+                    {formatCurrency(a.indicative?.maxLoan || 0)}
+                    {a.indicative?.ruleSet &&
+                      ` (rules v${a.indicative.ruleSet.version})`}
+                  </div>
+                  {a.indicative?.reasonCodes?.length > 0 && (
+                    <div className="text-xs text-red-700">
+                      {a.indicative.reasonCodes.map((r) => r.code).join(", ")}
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => setOpenId((id) => (id === a.id ? null : a.id))}
+                  className="px-2 py-1 border rounded text-xs"
+                >
+                  {openId === a.id ? "Hide" : "History"}
+                </button>
+              </div>
+
+              {OPEN_STATUSES.includes(a.status) &&
+                can(staff, "application.review") && (
+                  <div className="mt-2 flex flex-wrap gap-2 items-center">
+                    <input
+                      value={comments[a.id] || ""}
+                      onChange={(e) =>
+                        setComments((c) => ({ ...c, [a.id]: e.target.value }))
+                      }
+                      placeholder="Reviewer comment"
+                      className="p-2 border rounded text-sm flex-1 min-w-48"
+                    />
+                    <button
+                      onClick={() => comment(a.id)}
+                      className="px-2 py-1 border rounded text-sm"
+                    >
+                      Comment
+                    </button>
+                    {a.status === "submitted" && (
+                      <button
+                        onClick={() =>
+                          run(a.id, startReview, "Application under review")
+                        }
+                        className="px-3 py-1 bg-[#633985] text-white rounded text-sm"
+                      >
+                        Start review
+                      </button>
+                    )}
+                    {a.status === "under_review" &&
+                      can(staff, "application.decide") && (
+                        <>
+                          <input
+                            type="number"
+                            value={
+                              rates[a.id] ?? a.indicative?.defaultRate ?? 12
+                            }
+                            onChange={(e) =>
+                              setRates((r) => ({
+                                ...r,
+                                [a.id]: e.target.value,
+                              }))
+                            }
+                            className="p-2 border rounded text-sm w-20"
+                            title="Approved rate (%)"
+                          />
+                          <button
+                            onClick={() =>
+                              run(
+                                a.id,
+                                approveApplication,
+                                "Application approved"
+                              )
+                            }
+                            className="px-3 py-1 bg-green-600 text-white rounded text-sm"
+                          >
+                            Approve
+                          </button>
+                          <button
+                            onClick={() =>
+                              run(
+                                a.id,
+                                rejectApplication,
+                                "Application rejected"
+                              )
+                            }
+                            className="px-3 py-1 bg-red-600 text-white rounded text-sm"
+                          >
+                            Reject
+                          </button>
+                        </>
+                      )}
+                    {a.status === "approved" && a.loanId && (
+                      <span className="text-xs text-gray-500">
+                        Disbursement awaiting second approval
+                      </span>
+                    )}
+                    {a.status === "approved" &&
+                      !a.loanId &&
+                      can(staff, "loan.disburse") && (
+                        <button
+                          onClick={() => disburse(a.id)}
+                          className="px-3 py-1 bg-green-600 text-white rounded text-sm"
+                        >
+                          Disburse at {a.approvedRate}%
+                        </button>
+                      )}
+                  </div>
+                )}
+
+              {openId === a.id && (
+                <div className="mt-2">
+                  <ApplicationHistory application={a} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
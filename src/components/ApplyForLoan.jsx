@@ -0,0 +1,234 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { feeTotal, productFees } from "../lib/products";
+import { formatCurrency } from "../lib/util";
+import {
+  indicativeResult,
+  listApplications,
+  submitApplication,
+} from "../services/applicationService";
+import { listProducts } from "../services/productService";
+import ApplicationHistory, { ApplicationStatus } from "./ApplicationHistory";
+import ProductSelect from "./ProductSelect";
+
+const EMPTY_FORM = {
+  productId: "",
+  amount: "",
+  tenor: 12,
+  purpose: "",
+  income: "",
+  existingObligations: "",
+};
+
+/* Borrower self-service: apply for a loan and follow its review */
+export default function ApplyForLoan({ user, pushToast }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [result, setResult] = useState(null);
+  const [applications, setApplications] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [openId, setOpenId] = useState(null);
+
+  const offered = products.filter((p) => p.status === "active");
+  const product = offered.find((p) => p.id === form.productId) || offered[0];
+  const tenor = product?.tenors.includes(Number(form.tenor))
+    ? Number(form.tenor)
+    : product?.tenors[0];
+  const upfrontFee = product
+    ? feeTotal(productFees(product, form.amount), "upfront")
+    : 0;
+
+  const refresh = useCallback(
+    () =>
+      Promise.all([listApplications(user), listProducts()])
+        .then(([own, catalog]) => {
+          setProducts(catalog);
+          setApplications(own);
+        })
+        .catch(() => pushToast("Could not load your applications", "error")),
+    [user, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  function onChange(e) {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value }));
+    setResult(null);
+  }
+
+  async function check(e) {
+    e?.preventDefault();
+    try {
+      setResult(
+        await indicativeResult({ ...form, productId: product?.id, tenor })
+      );
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+  }
+
+  async function submit() {
+    let application;
+    try {
+      application = await submitApplication({
+        actor: user,
+        ...form,
+        productId: product?.id,
+        tenor,
+      });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast("Application submitted for review");
+    setForm(EMPTY_FORM);
+    setResult(null);
+    setOpenId(application.id);
+    refresh();
+  }
+
+  return (
+    <div className="bg-white p-4 rounded shadow mt-4">
+      <h3 className="font-semibold">Apply for a loan</h3>
+      <form
+        onSubmit={check}
+        className="mt-3 grid grid-cols-1 md:grid-cols-5 gap-3"
+      >
+        <div className="md:col-span-5">
+          <ProductSelect
+            products={products}
+            value={product?.id || ""}
+            onChange={(p) => {
+              setForm((f) => ({ ...f, productId: p.id }));
+              setResult(null);
+            }}
+          />
+        </div>
+        <label className="block">
+          <div className="text-xs text-gray-600">Amount (₦)</div>
+          <input
+            name="amount"
+            type="number"
+            value={form.amount}
+            onChange={onChange}
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        <label className="block">
+          <div className="text-xs text-gray-600">Tenor (months)</div>
+          <select
+            name="tenor"
+            value={tenor}
+            onChange={onChange}
+            className="w-full p-2 border rounded mt-1"
+          >
+            {product?.tenors.map((t) => (
+              <option key={t} value={t}>
+                {t}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <div className="text-xs text-gray-600">Monthly income (₦)</div>
+          <input
+            name="income"
+            type="number"
+            value={form.income}
+            onChange={onChange}
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        <label className="block">
+          <div className="text-xs text-gray-600">Monthly obligations (₦)</div>
+          <input
+            name="existingObligations"
+            type="number"
+            value={form.existingObligations}
+            onChange={onChange}
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        <label className="block">
+          <div className="text-xs text-gray-600">Purpose</div>
+          <input
+            name="purpose"
+            value={form.purpose}
+            onChange={onChange}
+            placeholder="e.g. School fees"
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        <div className="md:col-span-5 flex gap-2">
+          <button type="submit" className="px-3 py-2 border rounded">
+            Check instantly
+          </button>
+          <button
+            type="button"
+            onClick={submit}
+            disabled={!result}
+            className="px-3 py-2 bg-[#633985] text-white rounded disabled:opacity-50"
+          >
+            Submit application
+          </button>
+        </div>
+      </form>
+
+      {result && (
+        <div className="mt-3 p-3 bg-gray-50 rounded border text-sm">
+          <div className="font-medium">
+            {result.isEligible
+              ? "You look eligible for this amount"
+              : "This amount may not be approved as requested"}
+          </div>
+          <div className="text-xs text-gray-600 mt-1">
+            Indicative only — a loan officer reviews every application. Max
+            loan: {formatCurrency(result.maxLoan)} • DTI: {result.dti}% •
+            Indicative rate: {result.defaultRate}%
+            {upfrontFee > 0 &&
+              ` • ${formatCurrency(
+                upfrontFee
+              )} in fees is deducted at disbursement`}
+          </div>
+          {result.reasonCodes?.length > 0 && (
+            <ul className="text-xs text-gray-600 mt-1 list-disc pl-4">
+              {result.reasonCodes.map((r) => (
+                <li key={r.code}>{r.reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <h4 className="font-semibold mt-4">My applications</h4>
+      {applications.length === 0 ? (
+        <div className="text-gray-500 text-sm mt-2">No applications yet</div>
+      ) : (
+        <ul className="mt-2 space-y-2 text-sm">
+          {applications.map((a) => (
+            <li key={a.id} className="p-2 border rounded">
+              <div className="flex items-center justify-between gap-2">
+                <div>
+                  {a.productName && `${a.productName}: `}
+                  {formatCurrency(a.amount)} over {a.tenor}m — {a.purpose}{" "}
+                  <ApplicationStatus status={a.status} />
+                </div>
+                <button
+                  onClick={() => setOpenId((id) => (id === a.id ? null : a.id))}
+                  className="px-2 py-1 border rounded text-xs"
+                >
+                  {openId === a.id ? "Hide" : "History"}
+                </button>
+              </div>
+              {openId === a.id && (
+                <div className="mt-2">
+                  <ApplicationHistory application={a} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import React, { useEffect, useState } from "react";
+import {
+  BORROWER_STATUSES,
+  KYC_FIELDS,
+  borrowerStatus,
+  disbursementBlock,
+  kycFormValues,
+} from "../lib/borrowers";
+import { assessDelinquency } from "../lib/delinquency";
+import { ROLES, can, roleOf } from "../lib/permissions";
+import { pathFor } from "../lib/router";
+import { formatCurrency } from "../lib/util";
+import { setBorrowerStatus } from "../services/borrowerService";
+import { getVerification } from "../services/documentService";
+import { getBorrowerDetail } from "../services/loanService";
+import ApplicationHistory, { ApplicationStatus } from "./ApplicationHistory";
+import BorrowerForm from "./BorrowerForm";
+import { BorrowerStatus } from "./BorrowerList";
+import DocumentChecklist from "./DocumentChecklist";
+import Link from "./Link";
+import LoanStatus from "./LoanStatus";
+import WalletHistory from "./WalletHistory";
+
+/* Staff view of one borrower: KYC profile and standing, wallet, loans and
+   applications */
+export default function BorrowerDetail({ username, staff, pushToast }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState("");
+  const [openId, setOpenId] = useState(null); // application id
+  const [editing, setEditing] = useState(false);
+  const [statusForm, setStatusForm] = useState({ status: "", reason: "" });
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let live = true;
+    Promise.all([
+      getBorrowerDetail({ actor: staff, username }),
+      getVerification({ actor: staff, username }),
+    ])
+      .then(([d, verification]) => live && setDetail({ ...d, verification }))
+      .catch((err) => {
+        if (!live) return;
+        setError(err.message);
+        pushToast(err.message, "error");
+      });
+    return () => {
+      live = false;
+    };
+  }, [staff, username, reloadKey, pushToast]);
+
+  async function changeStatus() {
+    try {
+      await setBorrowerStatus({
+        actor: staff,
+        username,
+        status: statusForm.status,
+        reason: statusForm.reason,
+      });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`${username} is now ${statusForm.status}`);
+    setStatusForm({ status: "", reason: "" });
+    setReloadKey((k) => k + 1);
+  }
+
+  const backLink = (
+    <Link to={pathFor("borrowers")} className="px-3 py-1 border rounded">
+      Back
+    </Link>
+  );
+
+  if (!detail)
+    return (
+      <div className="p-6 max-w-5xl mx-auto">
+        <div className="bg-white rounded-xl shadow p-5 flex items-center justify-between">
+          <div className="text-gray-500">{error || "Loading borrower…"}</div>
+          {backLink}
+        </div>
+      </div>
+    );
+
+  const { borrower, wallet, loans, applications, verification } = detail;
+  const status = borrowerStatus(borrower);
+  const block = disbursementBlock(borrower) || verification.block;
+  const kyc = kycFormValues(borrower.kyc);
+  const manage = can(staff, "borrower.manage");
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-4">
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-[#633985]">
+              {borrower.name || borrower.username}
+            </h2>
+            <div className="text-xs text-gray-500">
+              {borrower.username} • {ROLES[roleOf(borrower)]}{" "}
+              <BorrowerStatus status={status} />
+            </div>
+          </div>
+          {backLink}
+        </div>
+        <div className="mt-3">
+          <div className="text-xs text-gray-500">Wallet</div>
+          <div className="text-2xl font-bold">{formatCurrency(wallet)}</div>
+        </div>
+        {block && (
+          <div className="mt-3 p-2 text-sm bg-yellow-50 border border-yellow-200 rounded">
+            No loans can be disbursed: {block}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-lg">KYC profile</h3>
+          {manage && !editing && (
+            <button
+              onClick={() => setEditing(true)}
+              className="px-3 py-1 border rounded text-sm"
+            >
+              Edit profile
+            </button>
+          )}
+        </div>
+        {editing ? (
+          <BorrowerForm
+            borrower={borrower}
+            staff={staff}
+            pushToast={pushToast}
+            onCancel={() => setEditing(false)}
+            onSaved={() => {
+              setEditing(false);
+              pushToast("Profile saved");
+              setReloadKey((k) => k + 1);
+            }}
+          />
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+            {KYC_FIELDS.map((f) => (
+              <div key={f.key}>
+                <div className="text-xs text-gray-500">{f.label}</div>
+                <div>
+                  {kyc[f.key] || (
+                    <span className={f.required ? "text-orange-700" : ""}>
+                      {f.required ? "missing" : "—"}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-4 pt-3 border-t">
+          <div className="text-xs text-gray-600 mb-1">KYC documents</div>
+          <DocumentChecklist verification={verification} actor={staff} />
+        </div>
+
+        {manage && (
+          <div className="mt-4 pt-3 border-t flex flex-wrap gap-2 items-center text-sm">
+            <span className="text-xs text-gray-600">Change status</span>
+            <select
+              value={statusForm.status}
+              onChange={(e) =>
+                setStatusForm((f) => ({ ...f, status: e.target.value }))
+              }
+              className="p-2 border rounded"
+            >
+              <option value="">—</option>
+              {Object.entries(BORROWER_STATUSES)
+                .filter(([value]) => value !== status)
+                .map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+            </select>
+            <input
+              value={statusForm.reason}
+              onChange={(e) =>
+                setStatusForm((f) => ({ ...f, reason: e.target.value }))
+              }
+              placeholder="Reason"
+              className="p-2 border rounded flex-1"
+            />
+            <button
+              onClick={changeStatus}
+              disabled={!statusForm.status}
+              className="px-3 py-2 bg-[#633985] text-white rounded disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        )}
+
+        {(borrower.profileHistory || []).length > 0 && (
+          <ul className="mt-4 text-xs text-gray-600 space-y-1">
+            {[...borrower.profileHistory].reverse().map((h, i) => (
+              <li key={i}>
+                {new Date(h.at).toLocaleString()} — {h.by}: {h.change}
+                {h.note && ` (${h.note})`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-5">
+        <h3 className="font-semibold text-lg mb-2">Loans</h3>
+        {loans.length === 0 ? (
+          <div className="text-gray-500 text-sm">No loans</div>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs text-gray-600">
+              <tr>
+                <th>Loan</th>
+                <th>Principal</th>
+                <th>Outstanding</th>
+                <th>Disbursed</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loans.map((ln) => (
+                <tr key={ln.id} className="odd:bg-white even:bg-gray-50">
+                  <td className="py-2">
+                    <Link
+                      to={pathFor("loan", { id: ln.id })}
+                      className="text-[#633985] underline"
+                    >
+                      {ln.id}
+                    </Link>
+                    <div className="text-xs text-gray-500">
+                      {ln.productName}
+                    </div>
+                  </td>
+                  <td className="py-2">{formatCurrency(ln.principal)}</td>
+                  <td className="py-2">{formatCurrency(ln.balance)}</td>
+                  <td className="py-2">
+                    {ln.disbursedAt
+                      ? new Date(ln.disbursedAt).toLocaleDateString()
+                      : "—"}
+                  </td>
+                  <td className="py-2">
+                    <LoanStatus
+                      status={ln.status}
+                      daysPastDue={assessDelinquency(ln).daysPastDue}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-5">
+        <WalletHistory
+          actor={staff}
+          username={username}
+          pushToast={pushToast}
+          refreshKey={reloadKey}
+        />
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-5">
+        <h3 className="font-semibold text-lg mb-2">Applications</h3>
+        {applications.length === 0 ? (
+          <div className="text-gray-500 text-sm">No applications</div>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {applications.map((a) => (
+              <li key={a.id} className="p-2 border rounded">
+                <div className="flex items-center justify-between gap-2">
+                  <div>
+                    {a.productName && `${a.productName}: `}
+                    {formatCurrency(a.amount)} over {a.tenor}m — {a.purpose}{" "}
+                    <ApplicationStatus status={a.status} />
+                    {a.loanId && (
+                      <>
+                        {" "}
+                        <Link
+                          to={pathFor("loan", { id: a.loanId })}
+                          className="text-xs text-[#633985] underline"
+                        >
+                          loan {a.loanId}
+                        </Link>
+                      </>
+                    )}
+                  </div>
+                  <button
+                    onClick={() =>
+                      setOpenId((id) => (id === a.id ? null : a.id))
+                    }
+                    className="px-2 py-1 border rounded text-xs"
+                  >
+                    {openId === a.id ? "Hide" : "History"}
+                  </button>
+                </div>
+                {openId === a.id && (
+                  <div className="mt-2">
+                    <ApplicationHistory application={a} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
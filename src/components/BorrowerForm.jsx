@@ -0,0 +1,166 @@
+import React, { useState } from "react";
+import {
+  KYC_FIELDS,
+  RELATIONSHIPS,
+  kycErrors,
+  kycFormValues,
+} from "../lib/borrowers";
+import {
+  createBorrower,
+  updateBorrowerProfile,
+} from "../services/borrowerService";
+
+const INPUT_TYPES = { email: "email", dateOfBirth: "date", phone: "tel" };
+
+/* Create a borrower (borrower = null) or edit one's name and KYC profile.
+   onSaved receives { borrower, password } on create, the borrower on edit. */
+export default function BorrowerForm({
+  borrower,
+  staff,
+  pushToast,
+  onSaved,
+  onCancel,
+}) {
+  const [form, setForm] = useState({
+    username: "",
+    password: "",
+    name: borrower?.name || "",
+    ...kycFormValues(borrower?.kyc),
+  });
+  const [touched, setTouched] = useState({});
+  const [busy, setBusy] = useState(false);
+  const errors = kycErrors(form);
+
+  function set(key, value) {
+    setForm((f) => ({ ...f, [key]: value }));
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    setTouched(Object.fromEntries(KYC_FIELDS.map((f) => [f.key, true])));
+    if (Object.keys(errors).length)
+      return pushToast("Fix the highlighted fields", "error");
+    setBusy(true);
+    try {
+      const saved = borrower
+        ? await updateBorrowerProfile({
+            actor: staff,
+            username: borrower.username,
+            name: form.name,
+            kyc: form,
+          })
+        : await createBorrower({
+            actor: staff,
+            username: form.username,
+            name: form.name,
+            password: form.password,
+            kyc: form,
+          });
+      onSaved(saved);
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+    setBusy(false);
+  }
+
+  function field({ key, label, required }) {
+    const error = touched[key] && errors[key];
+    const props = {
+      value: form[key],
+      onChange: (e) => set(key, e.target.value),
+      onBlur: () => setTouched((t) => ({ ...t, [key]: true })),
+      className: `w-full p-2 border rounded mt-1 ${
+        error ? "border-red-400" : ""
+      }`,
+    };
+    return (
+      <label
+        key={key}
+        className={`block ${key === "address" ? "md:col-span-2" : ""}`}
+      >
+        <div className="text-xs text-gray-600">
+          {label}
+          {required && <span className="text-red-600"> *</span>}
+        </div>
+        {key === "nextOfKinRelationship" ? (
+          <select {...props}>
+            <option value="">—</option>
+            {RELATIONSHIPS.map((r) => (
+              <option key={r}>{r}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type={INPUT_TYPES[key] || "text"}
+            inputMode={["bvn", "nin"].includes(key) ? "numeric" : undefined}
+            {...props}
+          />
+        )}
+        {error && <div className="text-xs text-red-600 mt-1">{error}</div>}
+      </label>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} className="text-sm">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {!borrower && (
+          <>
+            <label className="block">
+              <div className="text-xs text-gray-600">
+                Username<span className="text-red-600"> *</span>
+              </div>
+              <input
+                value={form.username}
+                onChange={(e) => set("username", e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              />
+            </label>
+            <label className="block">
+              <div className="text-xs text-gray-600">Password</div>
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={form.password}
+                onChange={(e) => set("password", e.target.value)}
+                placeholder="Leave empty to generate one"
+                className="w-full p-2 border rounded mt-1"
+              />
+            </label>
+          </>
+        )}
+        <label className="block md:col-span-2">
+          <div className="text-xs text-gray-600">
+            Full name<span className="text-red-600"> *</span>
+          </div>
+          <input
+            value={form.name}
+            onChange={(e) => set("name", e.target.value)}
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        {KYC_FIELDS.map(field)}
+      </div>
+      <div className="text-xs text-gray-500 mt-2">
+        A profile can be saved incomplete, but loans are only disbursed once
+        every starred field is filled in.
+      </div>
+      <div className="mt-3 flex gap-2">
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow disabled:opacity-50"
+        >
+          {borrower ? "Save profile" : "Create borrower"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border rounded-lg"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
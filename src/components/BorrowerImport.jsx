@@ -0,0 +1,325 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { IMPORT_COLUMNS, IMPORT_TEMPLATE } from "../lib/borrowerImport";
+import { downloadFile, toCsv } from "../lib/export";
+import { pathFor } from "../lib/router";
+import { formatCurrency } from "../lib/util";
+import {
+  commitImport,
+  listImports,
+  previewImport,
+} from "../services/importService";
+import Link from "./Link";
+
+/* Staff screen: check a borrower CSV (dry run), then import the valid rows
+   in one batch and hand out the generated passwords */
+export default function BorrowerImport({ staff, pushToast, onDone }) {
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [note, setNote] = useState("");
+  const [report, setReport] = useState(null);
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null); // last committed batch
+  const [batches, setBatches] = useState([]);
+
+  const refresh = useCallback(
+    () =>
+      listImports(staff)
+        .then(setBatches)
+        .catch((err) => pushToast(err.message, "error")),
+    [staff, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  function changeText(next, name = "") {
+    setText(next);
+    setFileName(name);
+    setReport(null);
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) changeText(await file.text(), file.name);
+  }
+
+  async function check() {
+    setBusy(true);
+    try {
+      setReport(await previewImport({ actor: staff, text }));
+      setResult(null);
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+    setBusy(false);
+  }
+
+  async function commit() {
+    setBusy(true);
+    try {
+      const done = await commitImport({ actor: staff, text, fileName, note });
+      setResult(done);
+      changeText("");
+      setNote("");
+      pushToast(
+        `Imported ${done.batch.usernames.length} borrower(s) and ${done.batch.loanIds.length} loan(s)`
+      );
+      refresh();
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+    setBusy(false);
+  }
+
+  function downloadCredentials() {
+    downloadFile(
+      `credentials-${result.batch.id}.csv`,
+      toCsv(
+        [
+          { label: "username", value: (c) => c.username },
+          { label: "temporary_password", value: (c) => c.password },
+        ],
+        result.credentials
+      )
+    );
+  }
+
+  const rows = report
+    ? report.rows.filter((r) => !onlyErrors || r.errors.length)
+    : [];
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto space-y-6">
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-[#633985]">
+              Import borrowers
+            </h2>
+            <div className="text-xs text-gray-500">
+              Check the file first; only rows without errors are imported, each
+              with its loan (if any) or not at all
+            </div>
+          </div>
+          <button onClick={onDone} className="px-3 py-1 border rounded">
+            Back
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div className="md:col-span-2">
+            <div className="flex items-center gap-3 mb-2">
+              <input type="file" accept=".csv,text/csv" onChange={pickFile} />
+              {fileName && (
+                <span className="text-xs text-gray-500">{fileName}</span>
+              )}
+            </div>
+            <textarea
+              value={text}
+              onChange={(e) => changeText(e.target.value)}
+              rows={8}
+              placeholder="…or paste CSV here"
+              className="w-full p-2 border rounded font-mono text-xs"
+            />
+          </div>
+          <div>
+            <div className="text-xs text-gray-600 mb-1">Columns</div>
+            <ul className="text-xs space-y-0.5">
+              {IMPORT_COLUMNS.map((c) => (
+                <li key={c.key}>
+                  <code>{c.key}</code>
+                  {c.required && <span className="text-red-600"> *</span>}
+                  <span className="text-gray-500"> — {c.hint}</span>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={() =>
+                downloadFile("borrower-import-template.csv", IMPORT_TEMPLATE)
+              }
+              className="mt-2 px-3 py-1 border rounded text-xs"
+            >
+              Download template
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-4 flex gap-2 items-center">
+          <button
+            onClick={check}
+            disabled={busy || !text.trim()}
+            className="px-4 py-2 border rounded-lg disabled:opacity-50"
+          >
+            Check file
+          </button>
+          {report && report.valid > 0 && (
+            <>
+              <input
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Note for the batch (optional)"
+                className="p-2 border rounded text-sm flex-1"
+              />
+              <button
+                onClick={commit}
+                disabled={busy}
+                className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow disabled:opacity-50"
+              >
+                Import {report.valid} valid row{report.valid === 1 ? "" : "s"}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {result && (
+        <div className="bg-green-50 border border-green-200 rounded-xl p-4 text-sm">
+          <div className="font-semibold">
+            Batch {result.batch.id}: {result.batch.usernames.length}{" "}
+            borrower(s), {result.batch.loanIds.length} loan(s) disbursed
+            {result.batch.skipped.length > 0 &&
+              `, ${result.batch.skipped.length} row(s) skipped`}
+          </div>
+          {result.credentials.length > 0 && (
+            <div className="mt-2 flex items-center gap-3">
+              <span>
+                {result.credentials.length} temporary password(s) were
+                generated; download them now, they are not kept.
+              </span>
+              <button
+                onClick={downloadCredentials}
+                className="px-3 py-1 border rounded bg-white"
+              >
+                Download credentials
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {report && (
+        <div className="bg-white rounded-xl shadow p-5">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <h3 className="font-semibold text-lg">Validation report</h3>
+              <div className="text-xs text-gray-500">
+                {report.total} row(s): {report.valid} valid, {report.invalid}{" "}
+                with errors · {report.loans} loan(s) totalling{" "}
+                {formatCurrency(report.principal)}
+              </div>
+            </div>
+            <label className="text-sm flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={onlyErrors}
+                onChange={(e) => setOnlyErrors(e.target.checked)}
+              />
+              Only rows with errors
+            </label>
+          </div>
+          <div className="max-h-96 overflow-auto">
+            <table className="min-w-full text-sm">
+              <thead className="text-left text-xs text-gray-600">
+                <tr>
+                  <th className="pr-2">Line</th>
+                  <th className="pr-2">Borrower</th>
+                  <th className="pr-2">Loan</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.line} className="odd:bg-white even:bg-gray-50">
+                    <td className="py-1 pr-2 align-top">{r.line}</td>
+                    <td className="py-1 pr-2 align-top">
+                      <div className="font-medium">{r.username || "—"}</div>
+                      <div className="text-xs text-gray-500">
+                        {r.name}
+                        {!r.passwordGiven &&
+                          r.username &&
+                          " · password generated"}
+                      </div>
+                    </td>
+                    <td className="py-1 pr-2 align-top">
+                      {r.loan
+                        ? `${r.loan.productName}: ${formatCurrency(
+                            r.loan.principal
+                          )} · ${r.loan.tenor} mo · ${r.loan.rate}%`
+                        : "—"}
+                    </td>
+                    <td className="py-1 align-top">
+                      {r.errors.length === 0 ? (
+                        <span className="text-green-700">OK</span>
+                      ) : (
+                        <ul className="text-red-600 text-xs list-disc pl-4">
+                          {r.errors.map((e) => (
+                            <li key={e}>{e}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow p-5">
+        <h3 className="font-semibold text-lg mb-3">Recent imports</h3>
+        {batches.length === 0 ? (
+          <div className="text-sm text-gray-500">No imports yet</div>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs text-gray-600">
+              <tr>
+                <th className="pr-2">When</th>
+                <th className="pr-2">By</th>
+                <th className="pr-2">File</th>
+                <th className="pr-2">Borrowers</th>
+                <th className="pr-2">Loans</th>
+                <th className="pr-2">Skipped</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.slice(0, 10).map((b) => (
+                <tr key={b.id} className="odd:bg-white even:bg-gray-50">
+                  <td className="py-1 pr-2">
+                    {new Date(b.importedAt).toLocaleString()}
+                  </td>
+                  <td className="py-1 pr-2">{b.importedBy}</td>
+                  <td className="py-1 pr-2">{b.fileName || "pasted"}</td>
+                  <td className="py-1 pr-2">
+                    {b.usernames.slice(0, 3).map((u, i) => (
+                      <span key={u}>
+                        {i > 0 && ", "}
+                        <Link
+                          to={pathFor("borrower", { username: u })}
+                          className="text-[#633985] underline"
+                        >
+                          {u}
+                        </Link>
+                      </span>
+                    ))}
+                    {b.usernames.length > 3 &&
+                      ` +${b.usernames.length - 3} more`}
+                  </td>
+                  <td className="py-1 pr-2">
+                    {b.loanIds.length} · {formatCurrency(b.principal || 0)}
+                  </td>
+                  <td className="py-1 pr-2">{b.skipped.length}</td>
+                  <td className="py-1 text-xs text-gray-600">{b.note}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { BORROWER_STATUSES } from "../lib/borrowers";
+import { can } from "../lib/permissions";
+import { navigate, pathFor } from "../lib/router";
+import { listBorrowers } from "../services/borrowerService";
+import BorrowerForm from "./BorrowerForm";
+import Link from "./Link";
+
+const STATUS_STYLES = {
+  active: "bg-green-100 text-green-800",
+  suspended: "bg-yellow-100 text-yellow-800",
+  blacklisted: "bg-gray-800 text-white",
+};
+
+export function BorrowerStatus({ status }) {
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[status]}`}>
+      {BORROWER_STATUSES[status]}
+    </span>
+  );
+}
+
+/* Staff list of borrowers with their standing and KYC completeness; new
+   borrowers are created here */
+export default function BorrowerList({ staff, pushToast }) {
+  const [borrowers, setBorrowers] = useState([]);
+  const [search, setSearch] = useState("");
+  const [status, setStatus] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [created, setCreated] = useState(null); // { borrower, password }
+
+  const refresh = useCallback(
+    () =>
+      listBorrowers(staff)
+        .then(setBorrowers)
+        .catch((err) => pushToast(err.message, "error")),
+    [staff, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const term = search.trim().toLowerCase();
+  const shown = borrowers.filter(
+    (b) =>
+      (!status ||
+        b.status === status ||
+        (status === "incomplete" && b.kycMissing.length > 0)) &&
+      (!term ||
+        [b.username, b.name, b.kyc?.phone, b.kyc?.bvn, b.kyc?.email].some(
+          (v) => v && v.toLowerCase().includes(term)
+        ))
+  );
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto space-y-4">
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-[#633985]">Borrowers</h2>
+            <div className="text-xs text-gray-500">
+              Loans go only to active borrowers with a complete KYC profile
+            </div>
+          </div>
+          <div className="flex gap-2">
+            {can(staff, "borrower.manage") && !creating && (
+              <button
+                onClick={() => {
+                  setCreating(true);
+                  setCreated(null);
+                }}
+                className="px-3 py-1 bg-[#633985] text-white rounded"
+              >
+                New borrower
+              </button>
+            )}
+            <Link
+              to={pathFor("dashboard")}
+              className="px-3 py-1 border rounded"
+            >
+              Back
+            </Link>
+          </div>
+        </div>
+
+        {creating && (
+          <div className="mb-4 p-4 border rounded-lg bg-gray-50">
+            <h3 className="font-semibold mb-2">New borrower</h3>
+            <BorrowerForm
+              borrower={null}
+              staff={staff}
+              pushToast={pushToast}
+              onCancel={() => setCreating(false)}
+              onSaved={(result) => {
+                setCreating(false);
+                setCreated(result);
+                pushToast(`Borrower ${result.borrower.username} created`);
+                refresh();
+              }}
+            />
+          </div>
+        )}
+
+        {created && (
+          <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded text-sm">
+            Created{" "}
+            <Link
+              to={pathFor("borrower", { username: created.borrower.username })}
+              className="text-[#633985] underline"
+            >
+              {created.borrower.username}
+            </Link>
+            {created.password && (
+              <>
+                {" "}
+                with the temporary password{" "}
+                <code className="px-1 bg-white border rounded">
+                  {created.password}
+                </code>{" "}
+                — pass it on now, it is not shown again.
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-2 mb-3 text-sm">
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name, username, phone, BVN or email"
+            className="p-2 border rounded flex-1"
+          />
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="p-2 border rounded"
+          >
+            <option value="">All borrowers</option>
+            {Object.entries(BORROWER_STATUSES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+            <option value="incomplete">KYC incomplete</option>
+          </select>
+        </div>
+
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs text-gray-600">
+            <tr>
+              <th>Borrower</th>
+              <th>Phone</th>
+              <th>BVN</th>
+              <th>KYC</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((b) => (
+              <tr
+                key={b.username}
+                onClick={() =>
+                  navigate(pathFor("borrower", { username: b.username }))
+                }
+                className="odd:bg-white even:bg-gray-50 cursor-pointer hover:bg-purple-50"
+              >
+                <td className="py-2">
+                  <div className="font-medium">{b.name}</div>
+                  <div className="text-xs text-gray-500">{b.username}</div>
+                </td>
+                <td className="py-2">{b.kyc?.phone || "—"}</td>
+                <td className="py-2">{b.kyc?.bvn || "—"}</td>
+                <td className="py-2 text-xs">
+                  {b.kycMissing.length === 0 ? (
+                    <span className="text-green-700">Complete</span>
+                  ) : (
+                    <span
+                      className="text-orange-700"
+                      title={`Missing: ${b.kycMissing.join(", ")}`}
+                    >
+                      {b.kycMissing.length} field(s) missing
+                    </span>
+                  )}
+                </td>
+                <td className="py-2">
+                  <BorrowerStatus status={b.status} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {shown.length === 0 && (
+          <div className="text-sm text-gray-500 mt-2">No borrowers match</div>
+        )}
+      </div>
+    </div>
+  );
+}
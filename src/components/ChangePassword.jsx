@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { MIN_PASSWORD_LENGTH } from "../lib/auth";
+import { changePassword } from "../services/authService";
+
+/* Change-password screen for any signed-in user */
+export default function ChangePassword({ user, pushToast, onDone }) {
+  const [form, setForm] = useState({ current: "", next: "", confirm: "" });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  function onChange(e) {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value }));
+  }
+
+  async function handleSubmit(e) {
+    e?.preventDefault();
+    setError("");
+    if (form.next !== form.confirm)
+      return setError("New passwords do not match");
+    setSaving(true);
+    try {
+      await changePassword(user.username, form.current, form.next);
+    } catch (err) {
+      setSaving(false);
+      return setError(err.message);
+    }
+    setSaving(false);
+    pushToast("Password changed");
+    onDone();
+  }
+
+  return (
+    <div className="p-6 max-w-md mx-auto">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow p-6">
+        <h2 className="text-xl font-bold mb-1 text-[#633985]">
+          Change password
+        </h2>
+        <div className="text-xs text-gray-500 mb-4">
+          At least {MIN_PASSWORD_LENGTH} characters, with letters and numbers.
+        </div>
+        {[
+          ["current", "Current password"],
+          ["next", "New password"],
+          ["confirm", "Confirm new password"],
+        ].map(([name, label]) => (
+          <label key={name} className="block mb-3">
+            <div className="text-sm text-gray-600">{label}</div>
+            <input
+              type="password"
+              name={name}
+              value={form[name]}
+              onChange={onChange}
+              autoComplete={
+                name === "current" ? "current-password" : "new-password"
+              }
+              className="w-full p-3 border rounded-lg mt-1 focus:ring-2 focus:ring-purple-200"
+              required
+            />
+          </label>
+        ))}
+        {error && (
+          <div
+            role="alert"
+            className="mb-3 p-3 rounded bg-red-50 text-red-800 text-sm border border-red-100"
+          >
+            {error}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+          >
+            {saving ? "Saving..." : "Change password"}
+          </button>
+          <button
+            type="button"
+            onClick={onDone}
+            className="px-4 py-2 border rounded-lg"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
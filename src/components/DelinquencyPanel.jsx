@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import {
+  DEFAULT_DELINQUENCY_POLICY,
+  PAR_BUCKETS,
+  parSummary,
+} from "../lib/delinquency";
+import { loanBalance } from "../lib/ledger";
+import { can } from "../lib/permissions";
+import { formatCurrency } from "../lib/util";
+import {
+  getDelinquencyPolicy,
+  saveDelinquencyPolicy,
+} from "../services/loanService";
+
+const POLICY_FIELDS = [
+  ["graceDays", "Grace period (days)"],
+  ["lateFeeFlat", "Late fee (₦, once per installment)"],
+  ["lateFeePercent", "Late fee (% of installment)"],
+  ["penaltyRatePercent", "Penalty interest (% p.a. on overdue principal)"],
+  ["defaultAfterDays", "Default after (days past due)"],
+];
+
+/* Portfolio-at-risk buckets and the late-payment policy that drives them */
+export default function DelinquencyPanel({
+  staff,
+  loans,
+  journal,
+  pushToast,
+  onSaved,
+}) {
+  const [policy, setPolicy] = useState(DEFAULT_DELINQUENCY_POLICY);
+  const par = parSummary(loans, (ln) => loanBalance(journal, ln.id));
+
+  useEffect(() => {
+    getDelinquencyPolicy()
+      .then(setPolicy)
+      .catch(() => pushToast("Could not load delinquency policy", "error"));
+  }, [pushToast]);
+
+  async function savePolicy(e) {
+    e?.preventDefault();
+    try {
+      setPolicy(await saveDelinquencyPolicy(policy, staff));
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast("Delinquency policy saved");
+    onSaved?.();
+  }
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-lg">Delinquency</h3>
+          <div className="text-xs text-gray-500">
+            Portfolio at risk by days past due
+          </div>
+        </div>
+        <div className="text-sm text-gray-400">⏰</div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        {PAR_BUCKETS.map((b) => (
+          <div key={b} className="p-3 border rounded bg-gray-50">
+            <div className="text-xs text-gray-500">
+              {b === "current" ? "Current" : `PAR ${b} days`}
+            </div>
+            <div className="font-semibold">{par[b].count} loans</div>
+            <div className="text-xs text-gray-600">
+              {formatCurrency(par[b].outstanding)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {can(staff, "settings.manage") && (
+        <form onSubmit={savePolicy} className="mt-4">
+          <h4 className="font-semibold mb-2">Late-payment policy</h4>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+            {POLICY_FIELDS.map(([name, label]) => (
+              <label key={name} className="block">
+                <div className="text-xs text-gray-600">{label}</div>
+                <input
+                  name={name}
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={policy[name]}
+                  onChange={(e) =>
+                    setPolicy((p) => ({ ...p, [name]: e.target.value }))
+                  }
+                  className="w-full p-2 border rounded mt-1"
+                />
+              </label>
+            ))}
+          </div>
+          <button
+            type="submit"
+            className="mt-3 px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+          >
+            Save policy
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
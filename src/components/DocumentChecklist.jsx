@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { DOCUMENT_TYPES } from "../lib/documents";
+import DocumentPreview from "./DocumentPreview";
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+  missing: "bg-gray-100 text-gray-600",
+};
+
+export function DocumentStatus({ status }) {
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[status]}`}>
+      {status === "missing" ? "not uploaded" : status}
+    </span>
+  );
+}
+
+const SUMMARY_TEXT = {
+  verified: "Documents verified",
+  pending: "Documents awaiting review",
+  rejected: "A document was rejected",
+  incomplete: "Documents missing",
+};
+
+/* Staff view of a borrower's KYC documents (from getVerification): the
+   latest upload of each required type, its review and a preview */
+export default function DocumentChecklist({ verification, actor }) {
+  const [openId, setOpenId] = useState(null);
+  const { summary, policy } = verification;
+  const open = verification.documents.find((d) => d.id === openId);
+
+  return (
+    <div className="text-sm">
+      <div
+        className={`font-medium ${
+          summary.status === "verified" ? "text-green-700" : "text-orange-700"
+        }`}
+      >
+        {SUMMARY_TEXT[summary.status]}
+        {!policy.requireForDisbursement && (
+          <span className="text-xs text-gray-500 font-normal">
+            {" "}
+            (not required for disbursement)
+          </span>
+        )}
+      </div>
+      <ul className="mt-1 space-y-1">
+        {policy.requiredTypes.map((type) => {
+          const doc = summary.latest[type];
+          return (
+            <li key={type} className="flex items-center gap-2">
+              <DocumentStatus status={doc ? doc.status : "missing"} />
+              <span>{DOCUMENT_TYPES[type]}</span>
+              {doc?.reason && (
+                <span className="text-xs text-gray-500">— {doc.reason}</span>
+              )}
+              {doc && (
+                <button
+                  onClick={() =>
+                    setOpenId((id) => (id === doc.id ? null : doc.id))
+                  }
+                  className="ml-auto px-2 py-0.5 border rounded text-xs"
+                >
+                  {openId === doc.id ? "Hide" : "View"}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {open && (
+        <div className="mt-2">
+          <DocumentPreview key={open.id} document={open} actor={actor} />
+        </div>
+      )}
+    </div>
+  );
+}
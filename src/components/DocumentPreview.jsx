@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from "react";
+import { DOCUMENT_TYPES, fileSizeLabel } from "../lib/documents";
+import { getDocumentFile } from "../services/documentService";
+
+/* Inline preview of an uploaded document: images as <img>, PDFs in the
+   browser's own viewer. Give it key={document.id} so a new document starts
+   from a blank state. */
+export default function DocumentPreview({ document, actor }) {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let live = true;
+    let objectUrl = null;
+    getDocumentFile({ actor, id: document.id })
+      .then((blob) => {
+        if (!live) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((err) => live && setError(err.message));
+    return () => {
+      live = false;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [actor, document.id]);
+
+  return (
+    <div className="border rounded bg-gray-50">
+      <div className="px-2 py-1 text-xs text-gray-600 flex justify-between gap-2">
+        <span>
+          {DOCUMENT_TYPES[document.type]} — {document.fileName} (
+          {fileSizeLabel(document.size)})
+        </span>
+        {url && (
+          <a
+            href={url}
+            target="_blank"
+            rel="noreferrer"
+            className="text-[#633985] underline"
+          >
+            Open
+          </a>
+        )}
+      </div>
+      {error ? (
+        <div className="p-3 text-sm text-red-600">{error}</div>
+      ) : !url ? (
+        <div className="p-3 text-sm text-gray-500">Loading file…</div>
+      ) : document.mimeType === "application/pdf" ? (
+        <iframe
+          src={url}
+          title={document.fileName}
+          className="w-full h-96 bg-white"
+        />
+      ) : (
+        <img
+          src={url}
+          alt={DOCUMENT_TYPES[document.type]}
+          className="max-h-96 mx-auto object-contain"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { DOCUMENT_TYPES } from "../lib/documents";
+import { can } from "../lib/permissions";
+import { pathFor } from "../lib/router";
+import {
+  getDocumentPolicy,
+  listReviewQueue,
+  reviewDocument,
+  saveDocumentPolicy,
+} from "../services/documentService";
+import DocumentPreview from "./DocumentPreview";
+import Link from "./Link";
+
+/* KYC document review queue: preview each pending upload and approve or
+   reject it with a reason. Settings managers also choose which documents
+   are required before a disbursement. */
+export default function DocumentReview({ staff, pushToast, refreshKey }) {
+  const [queue, setQueue] = useState([]);
+  const [openId, setOpenId] = useState(null);
+  const [reason, setReason] = useState("");
+  const [policy, setPolicy] = useState(null);
+
+  const refresh = useCallback(
+    () =>
+      Promise.all([listReviewQueue(staff), getDocumentPolicy()])
+        .then(([pending, current]) => {
+          setQueue(pending);
+          setPolicy(current);
+        })
+        .catch((err) => pushToast(err.message, "error")),
+    [staff, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  async function decide(id, decision) {
+    try {
+      await reviewDocument({ actor: staff, id, decision, reason });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`Document ${decision}`);
+    setOpenId(null);
+    setReason("");
+    refresh();
+  }
+
+  async function savePolicy(next) {
+    try {
+      setPolicy(await saveDocumentPolicy(next, staff));
+      pushToast("Document requirements saved");
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+  }
+
+  const open = queue.find((d) => d.id === openId);
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold text-lg">KYC document review</h3>
+          <div className="text-xs text-gray-500">
+            {queue.length} document(s) waiting, oldest first
+          </div>
+        </div>
+      </div>
+
+      {queue.length === 0 ? (
+        <div className="text-sm text-gray-500">Nothing to review</div>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs text-gray-600">
+            <tr>
+              <th>Borrower</th>
+              <th>Document</th>
+              <th>Uploaded</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {queue.map((d) => (
+              <tr key={d.id} className="odd:bg-white even:bg-gray-50">
+                <td className="py-2">
+                  <Link
+                    to={pathFor("borrower", { username: d.borrowerUsername })}
+                    className="text-[#633985] underline"
+                  >
+                    {d.borrowerUsername}
+                  </Link>
+                </td>
+                <td className="py-2">
+                  {DOCUMENT_TYPES[d.type]}
+                  <div className="text-xs text-gray-500">{d.fileName}</div>
+                </td>
+                <td className="py-2">
+                  {new Date(d.uploadedAt).toLocaleString()}
+                </td>
+                <td className="py-2 text-right">
+                  <button
+                    onClick={() => {
+                      setOpenId((id) => (id === d.id ? null : d.id));
+                      setReason("");
+                    }}
+                    className="px-3 py-1 border rounded"
+                  >
+                    {openId === d.id ? "Close" : "Review"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {open && (
+        <div className="mt-3 p-3 border rounded-lg">
+          <DocumentPreview key={open.id} document={open} actor={staff} />
+          <div className="mt-3 flex gap-2 items-center">
+            <input
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason (required to reject), e.g. image unreadable"
+              className="p-2 border rounded text-sm flex-1"
+            />
+            <button
+              onClick={() => decide(open.id, "approved")}
+              className="px-3 py-2 bg-green-600 text-white rounded"
+            >
+              Approve
+            </button>
+            <button
+              onClick={() => decide(open.id, "rejected")}
+              className="px-3 py-2 bg-red-600 text-white rounded"
+            >
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+
+      {policy && can(staff, "settings.manage") && (
+        <div className="mt-4 pt-3 border-t text-sm flex flex-wrap gap-x-4 gap-y-1 items-center">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={policy.requireForDisbursement}
+              onChange={(e) =>
+                savePolicy({
+                  ...policy,
+                  requireForDisbursement: e.target.checked,
+                })
+              }
+            />
+            Require verified documents before disbursing
+          </label>
+          {Object.entries(DOCUMENT_TYPES).map(([type, label]) => (
+            <label key={type} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={policy.requiredTypes.includes(type)}
+                onChange={(e) =>
+                  savePolicy({
+                    ...policy,
+                    requiredTypes: e.target.checked
+                      ? [...policy.requiredTypes, type]
+                      : policy.requiredTypes.filter((t) => t !== type),
+                  })
+                }
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
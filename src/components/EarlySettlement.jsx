@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from "react";
+import { PREPAYMENT_MODES } from "../lib/prepayment";
+import { formatCurrency, nowISO } from "../lib/util";
+import {
+  getPayoffQuote,
+  getPrepaymentPreview,
+  prepayLoan,
+  settleLoan,
+} from "../services/loanService";
+import InstallmentTable from "./InstallmentTable";
+
+const today = () => nowISO().slice(0, 10);
+
+function Row({ label, value, strong }) {
+  return (
+    <div className="flex justify-between">
+      <span className="text-gray-600">{label}</span>
+      <span className={strong ? "font-semibold" : ""}>
+        {formatCurrency(value)}
+      </span>
+    </div>
+  );
+}
+
+/* Payoff quote and partial prepayment for one loan. Borrowers use it on
+   their own loans; staff see it read-only unless canPay. */
+export default function EarlySettlement({
+  loan,
+  actor,
+  canPay,
+  pushToast,
+  onDone,
+}) {
+  const [tab, setTab] = useState("quote");
+  const [asOf, setAsOf] = useState(today());
+  const [quote, setQuote] = useState(null);
+  const [amount, setAmount] = useState("");
+  const [mode, setMode] = useState("recast");
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    // a date input gives midnight UTC; quote today at the current time
+    const at =
+      asOf === today() ? nowISO() : new Date(`${asOf}T12:00`).toISOString();
+    getPayoffQuote({ actor, loanId: loan.id, asOf: at })
+      .then(setQuote)
+      .catch((err) => pushToast(err.message, "error"));
+  }, [actor, loan.id, asOf, pushToast]);
+
+  async function settle() {
+    if (!window.confirm(`Settle this loan for ${formatCurrency(quote.total)}?`))
+      return;
+    let result;
+    try {
+      result = await settleLoan({ actor, loanId: loan.id });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`Loan settled for ₦${result.repayment.amount.toLocaleString()}`);
+    onDone();
+  }
+
+  async function showPreview() {
+    try {
+      setPreview(
+        await getPrepaymentPreview({
+          actor,
+          loanId: loan.id,
+          amount,
+          mode,
+        })
+      );
+    } catch (err) {
+      setPreview(null);
+      pushToast(err.message, "error");
+    }
+  }
+
+  async function prepay() {
+    try {
+      await prepayLoan({ actor, loanId: loan.id, amount, mode });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`Prepaid ₦${Number(amount).toLocaleString()}; schedule updated`);
+    setPreview(null);
+    setAmount("");
+    onDone();
+  }
+
+  const tabClass = (name) =>
+    `px-3 py-1 rounded text-sm ${
+      tab === name ? "bg-[#633985] text-white" : "border"
+    }`;
+
+  return (
+    <div className="border rounded p-3 bg-white text-sm">
+      <div className="flex gap-2 mb-3">
+        <button
+          type="button"
+          onClick={() => setTab("quote")}
+          className={tabClass("quote")}
+        >
+          Payoff quote
+        </button>
+        <button
+          type="button"
+          onClick={() => setTab("prepay")}
+          className={tabClass("prepay")}
+        >
+          Prepay
+        </button>
+      </div>
+
+      {tab === "quote" && (
+        <div className="max-w-md space-y-1">
+          <label className="flex items-center gap-2 mb-2">
+            <span className="text-xs text-gray-600">Settle on</span>
+            <input
+              type="date"
+              value={asOf}
+              min={today()}
+              onChange={(e) => setAsOf(e.target.value || today())}
+              className="p-1 border rounded"
+            />
+          </label>
+          {quote && (
+            <>
+              <Row
+                label="Arrears (fees, interest, principal due)"
+                value={
+                  quote.arrears.fee +
+                  quote.arrears.interest +
+                  quote.arrears.principal
+                }
+              />
+              <Row label="Principal not yet due" value={quote.principal} />
+              <Row
+                label="Interest accrued this period"
+                value={quote.accruedInterest}
+              />
+              {quote.futureFees > 0 && (
+                <Row label="Fees still to pay" value={quote.futureFees} />
+              )}
+              <Row
+                label={`Prepayment fee (${quote.prepaymentFeePercent}%)`}
+                value={quote.prepaymentFee}
+              />
+              <div className="border-t pt-1">
+                <Row label="Settlement amount" value={quote.total} strong />
+              </div>
+              <div className="text-xs text-gray-500">
+                Saves {formatCurrency(quote.waivedInterest)} of scheduled
+                interest
+              </div>
+              {canPay && asOf === today() && (
+                <button
+                  type="button"
+                  onClick={settle}
+                  className="mt-2 px-3 py-2 bg-[#633985] text-white rounded"
+                >
+                  Settle now from wallet
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {tab === "prepay" && (
+        <div>
+          <div className="flex flex-wrap gap-2 items-center">
+            <input
+              type="number"
+              value={amount}
+              onChange={(e) => {
+                setAmount(e.target.value);
+                setPreview(null);
+              }}
+              placeholder="Amount to prepay"
+              className="p-2 border rounded w-48"
+            />
+            <select
+              value={mode}
+              onChange={(e) => {
+                setMode(e.target.value);
+                setPreview(null);
+              }}
+              className="p-2 border rounded"
+            >
+              {Object.entries(PREPAYMENT_MODES).map(([v, label]) => (
+                <option key={v} value={v}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={showPreview}
+              className="px-3 py-2 border rounded"
+            >
+              Preview
+            </button>
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            Arrears are cleared first; the rest reduces principal
+            {loan.prepaymentFeePercent > 0 &&
+              ` after a ${loan.prepaymentFeePercent}% prepayment fee`}
+            .
+          </div>
+
+          {preview && (
+            <div className="mt-3">
+              <div className="grid grid-cols-2 gap-x-6 max-w-md">
+                <Row label="Arrears cleared" value={preview.arrears} />
+                <Row
+                  label="Principal reduced"
+                  value={preview.principalReduction}
+                />
+                <Row label="Prepayment fee" value={preview.prepaymentFee} />
+              </div>
+              <table className="text-sm mt-2">
+                <thead className="text-left text-xs text-gray-500">
+                  <tr>
+                    <th className="pr-4"></th>
+                    <th className="pr-4">Installment</th>
+                    <th className="pr-4">Remaining</th>
+                    <th className="pr-4">Last due</th>
+                    <th>Interest to pay</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ["Before", preview.before],
+                    ["After", preview.after],
+                  ].map(([label, s]) => (
+                    <tr key={label}>
+                      <td className="pr-4 text-gray-600">{label}</td>
+                      <td className="pr-4">{formatCurrency(s.payment)}</td>
+                      <td className="pr-4">{s.installments}</td>
+                      <td className="pr-4">
+                        {s.lastDueDate &&
+                          new Date(s.lastDueDate).toLocaleDateString()}
+                      </td>
+                      <td>{formatCurrency(s.interest)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mt-2">
+                <InstallmentTable installments={preview.installments} />
+              </div>
+              {canPay && (
+                <button
+                  type="button"
+                  onClick={prepay}
+                  className="mt-2 px-3 py-2 bg-[#633985] text-white rounded"
+                >
+                  Confirm prepayment
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
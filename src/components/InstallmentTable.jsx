@@ -0,0 +1,71 @@
+import React from "react";
+import { installmentDue } from "../lib/schedule";
+import { formatCurrency } from "../lib/util";
+
+const STATUS_STYLES = {
+  paid: "bg-green-100 text-green-800",
+  partial: "bg-yellow-100 text-yellow-800",
+  outstanding: "bg-gray-100 text-gray-700",
+  holiday: "bg-blue-100 text-blue-800",
+  capitalized: "bg-purple-100 text-purple-800",
+};
+
+export function InstallmentStatus({ status }) {
+  return (
+    <span
+      className={`px-2 py-0.5 rounded text-xs ${
+        STATUS_STYLES[status] || STATUS_STYLES.outstanding
+      }`}
+    >
+      {status}
+    </span>
+  );
+}
+
+/* Persisted installment schedule of one loan with per-row paid state */
+export default function InstallmentTable({ installments = [] }) {
+  if (installments.length === 0)
+    return <div className="text-gray-500 text-sm">No schedule on file</div>;
+  return (
+    <div className="max-h-60 overflow-auto">
+      <table className="w-full text-sm">
+        <thead className="text-left text-xs text-gray-500">
+          <tr>
+            <th className="pr-2">#</th>
+            <th className="pr-2">Due</th>
+            <th className="pr-2">Fees</th>
+            <th className="pr-2">Interest</th>
+            <th className="pr-2">Principal</th>
+            <th className="pr-2">Remaining</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {installments.map((inst) => (
+            <tr key={inst.seq} className="odd:bg-white even:bg-gray-50">
+              <td className="py-1">{inst.seq}</td>
+              <td className="py-1">
+                {new Date(inst.dueDate).toLocaleDateString()}
+              </td>
+              <td className="py-1">{formatCurrency(inst.feeDue)}</td>
+              <td className="py-1">{formatCurrency(inst.interestDue)}</td>
+              <td className="py-1">{formatCurrency(inst.principalDue)}</td>
+              <td className="py-1">{formatCurrency(installmentDue(inst))}</td>
+              <td className="py-1">
+                <InstallmentStatus
+                  status={
+                    inst.holiday
+                      ? "holiday"
+                      : inst.capitalized
+                      ? "capitalized"
+                      : inst.status
+                  }
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
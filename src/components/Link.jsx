@@ -0,0 +1,19 @@
+import React from "react";
+import { navigate } from "../lib/router";
+
+/* In-app link: a real href (so new tabs and copying work) that navigates
+   without reloading on a plain click */
+export default function Link({ to, className, children }) {
+  function onClick(e) {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)
+      return;
+    e.preventDefault();
+    navigate(to);
+  }
+
+  return (
+    <a href={to} onClick={onClick} className={className}>
+      {children}
+    </a>
+  );
+}
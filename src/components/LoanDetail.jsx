@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from "react";
+import { assessDelinquency } from "../lib/delinquency";
+import { INTEREST_METHODS } from "../lib/finance";
+import { isStaff } from "../lib/permissions";
+import { pathFor } from "../lib/router";
+import { installmentRows } from "../lib/schedule";
+import { formatCurrency } from "../lib/util";
+import { WRITE_OFF_REASONS, recoverableBalance } from "../lib/writeoff";
+import { getLoanDetail } from "../services/loanService";
+import Link from "./Link";
+import LoanStatus from "./LoanStatus";
+import ScheduleViewer from "./ScheduleViewer";
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : "—");
+
+function Term({ label, children }) {
+  return (
+    <div>
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-sm">{children}</div>
+    </div>
+  );
+}
+
+/* Everything about one loan: terms, schedule, repayments, the actions
+   timeline and the eligibility result it was disbursed on */
+export default function LoanDetail({ loanId, user, pushToast }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let live = true;
+    getLoanDetail({ actor: user, loanId })
+      .then((d) => live && setDetail(d))
+      .catch((err) => {
+        if (!live) return;
+        setError(err.message);
+        pushToast(err.message, "error");
+      });
+    return () => {
+      live = false;
+    };
+  }, [loanId, user, pushToast]);
+
+  const backLink = (
+    <Link to={pathFor("dashboard")} className="px-3 py-1 border rounded">
+      Back
+    </Link>
+  );
+
+  if (!detail)
+    return (
+      <div className="p-6 max-w-6xl mx-auto">
+        <div className="bg-white rounded-xl shadow p-5 flex items-center justify-between">
+          <div className="text-gray-500">{error || "Loading loan…"}</div>
+          {backLink}
+        </div>
+      </div>
+    );
+
+  const { loan, balance, repayments } = detail;
+  const snapshot = loan.eligibilitySnapshot;
+  const { daysPastDue, overdueAmount } = assessDelinquency(loan);
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto space-y-4">
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-[#633985]">
+              {loan.productName || "Loan"} {loan.id}{" "}
+              <LoanStatus status={loan.status} daysPastDue={daysPastDue} />
+            </h2>
+            <div className="text-xs text-gray-500">
+              Borrower{" "}
+              {isStaff(user) ? (
+                <Link
+                  to={pathFor("borrower", { username: loan.borrowerUsername })}
+                  className="text-[#633985] underline"
+                >
+                  {loan.borrowerUsername}
+                </Link>
+              ) : (
+                loan.borrowerUsername
+              )}
+              {" • "}created {formatDate(loan.createdAt)} by {loan.createdBy}
+            </div>
+          </div>
+          {backLink}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <Term label="Principal">{formatCurrency(loan.principal)}</Term>
+          <Term label="Rate">{loan.rate}% a year</Term>
+          <Term label="Tenor">{loan.tenor} months</Term>
+          <Term label="Monthly payment">
+            {formatCurrency(loan.monthlyPayment)}
+          </Term>
+          <Term label="Interest method">
+            {INTEREST_METHODS[loan.interestMethod] || loan.interestMethod}
+          </Term>
+          <Term label="Disbursed">{formatDate(loan.disbursedAt)}</Term>
+          <Term label="Principal outstanding">{formatCurrency(balance)}</Term>
+          <Term label="Overdue">
+            {overdueAmount > 0
+              ? `${formatCurrency(overdueAmount)} (${daysPastDue} days)`
+              : "—"}
+          </Term>
+          {(loan.fees || []).length > 0 && (
+            <Term label="Fees">
+              {loan.fees
+                .map((f) => `${f.name} ${formatCurrency(f.amount)}`)
+                .join(", ")}
+            </Term>
+          )}
+          {loan.prepaymentFeePercent > 0 && (
+            <Term label="Prepayment fee">{loan.prepaymentFeePercent}%</Term>
+          )}
+          {loan.scheduleVersion > 1 && (
+            <Term label="Schedule version">{loan.scheduleVersion}</Term>
+          )}
+        </div>
+
+        {loan.writeOff && (
+          <div className="mt-4 p-3 border rounded bg-gray-50 text-sm">
+            Written off on {formatDate(loan.writeOff.at)} (
+            {WRITE_OFF_REASONS[loan.writeOff.reason]}) —{" "}
+            {formatCurrency(loan.writeOff.total)} written off,{" "}
+            {formatCurrency(loan.recovered || 0)} recovered,{" "}
+            {formatCurrency(recoverableBalance(loan))} left
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-5">
+        <h3 className="font-semibold text-lg mb-2">Schedule</h3>
+        <ScheduleViewer
+          rows={installmentRows(loan.installments)}
+          details={[
+            `Loan ${loan.id} — ${loan.productName || "Loan"}`,
+            `Borrower: ${loan.borrowerUsername}`,
+            `${formatCurrency(loan.principal)} at ${loan.rate}% a year over ${
+              loan.tenor
+            } months, disbursed ${formatDate(loan.disbursedAt)}`,
+            INTEREST_METHODS[loan.interestMethod] || loan.interestMethod,
+          ]}
+          fileName={`schedule-${loan.id}`}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white rounded-xl shadow p-5">
+          <h3 className="font-semibold text-lg mb-2">Repayments</h3>
+          {repayments.length === 0 ? (
+            <div className="text-gray-500 text-sm">No repayments yet</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="text-left text-xs text-gray-500">
+                <tr>
+                  <th>Date</th>
+                  <th>Amount</th>
+                  <th>Fees</th>
+                  <th>Interest</th>
+                  <th>Principal</th>
+                </tr>
+              </thead>
+              <tbody>
+                {repayments.map((r) => (
+                  <tr key={r.id} className="odd:bg-white even:bg-gray-50">
+                    <td className="py-1">
+                      {new Date(r.date).toLocaleString()}
+                      <div className="text-xs text-gray-500">
+                        {r.by}
+                        {r.kind && ` • ${r.kind}`}
+                      </div>
+                    </td>
+                    <td className="py-1">{formatCurrency(r.amount)}</td>
+                    <td className="py-1">
+                      {formatCurrency(r.allocation?.fee || 0)}
+                    </td>
+                    <td className="py-1">
+                      {formatCurrency(r.allocation?.interest || 0)}
+                    </td>
+                    <td className="py-1">
+                      {formatCurrency(r.allocation?.principal || 0)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow p-5">
+          <h3 className="font-semibold text-lg mb-2">Timeline</h3>
+          {(loan.actions || []).length === 0 ? (
+            <div className="text-gray-500 text-sm">No actions recorded</div>
+          ) : (
+            <ol className="border-l pl-3 space-y-2 text-sm">
+              {loan.actions.map((a) => (
+                <li key={a.id}>
+                  <div>
+                    <strong>{a.action.replace(/_/g, " ")}</strong>{" "}
+                    <span className="text-xs text-gray-500">
+                      {new Date(a.at).toLocaleString()} by {a.by}
+                    </span>
+                  </div>
+                  {a.note && (
+                    <div className="text-xs text-gray-700">{a.note}</div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+
+      {isStaff(user) && (
+        <div className="bg-white rounded-xl shadow p-5">
+          <h3 className="font-semibold text-lg mb-2">Eligibility snapshot</h3>
+          {!snapshot ? (
+            <div className="text-gray-500 text-sm">
+              Disbursed without an eligibility check on file
+            </div>
+          ) : (
+            <div className="text-sm space-y-1">
+              <div>
+                {snapshot.isEligible ? "Eligible" : "Not eligible"} • Risk{" "}
+                {snapshot.riskLevel} • Credit score {snapshot.creditScore} • DTI{" "}
+                {snapshot.dti}% • Max loan {formatCurrency(snapshot.maxLoan)} •
+                Suggested rate {snapshot.defaultRate}%
+              </div>
+              {snapshot.explanation && (
+                <div className="text-gray-700">{snapshot.explanation}</div>
+              )}
+              {snapshot.reasonCodes?.length > 0 && (
+                <ul className="text-xs text-red-700">
+                  {snapshot.reasonCodes.map((r) => (
+                    <li key={r.code}>
+                      <strong>{r.code}</strong> — {r.reason}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="text-xs text-gray-500">
+                {snapshot.ruleSet &&
+                  `Scored by “${snapshot.ruleSet.name}” v${snapshot.ruleSet.version}`}
+                {snapshot.checkedAt &&
+                  ` • checked ${new Date(snapshot.checkedAt).toLocaleString()}`}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React from "react";
+import { LOAN_STATUSES } from "../lib/portfolioExport";
+import { LOAN_FILTER_DEFAULTS, hasFilters } from "../lib/tableFilters";
+
+/* Search and filter bar for the staff loans table. Every change goes back
+   to page 1. */
+export default function LoanFilters({ filters, onChange }) {
+  function set(key) {
+    return (e) => onChange({ [key]: e.target.value, page: "1" });
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2 items-end text-sm mb-2">
+      <input
+        value={filters.q}
+        onChange={set("q")}
+        placeholder="Search loan ID or borrower"
+        className="p-2 border rounded w-56"
+      />
+      <select
+        value={filters.status}
+        onChange={set("status")}
+        className="p-2 border rounded"
+      >
+        <option value="">Any status</option>
+        {LOAN_STATUSES.map((s) => (
+          <option key={s} value={s}>
+            {s.replace("_", " ")}
+          </option>
+        ))}
+      </select>
+      <label className="text-xs text-gray-600">
+        Rate %
+        <span className="flex gap-1 mt-0.5">
+          <input
+            type="number"
+            min="0"
+            value={filters.rateMin}
+            onChange={set("rateMin")}
+            placeholder="min"
+            className="p-2 border rounded w-16 text-sm"
+          />
+          <input
+            type="number"
+            min="0"
+            value={filters.rateMax}
+            onChange={set("rateMax")}
+            placeholder="max"
+            className="p-2 border rounded w-16 text-sm"
+          />
+        </span>
+      </label>
+      <label className="text-xs text-gray-600">
+        Tenor (months)
+        <input
+          type="number"
+          min="1"
+          value={filters.tenor}
+          onChange={set("tenor")}
+          className="block p-2 border rounded w-20 text-sm mt-0.5"
+        />
+      </label>
+      <label className="text-xs text-gray-600">
+        Created
+        <span className="flex gap-1 items-center mt-0.5">
+          <input
+            type="date"
+            value={filters.from}
+            onChange={set("from")}
+            className="p-2 border rounded text-sm"
+          />
+          to
+          <input
+            type="date"
+            value={filters.to}
+            onChange={set("to")}
+            className="p-2 border rounded text-sm"
+          />
+        </span>
+      </label>
+      {hasFilters(filters, LOAN_FILTER_DEFAULTS) && (
+        <button
+          type="button"
+          onClick={() => onChange(LOAN_FILTER_DEFAULTS)}
+          className="px-3 py-2 border rounded"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from "react";
+import {
+  DEFAULT_PROVISIONING_RATES,
+  parSummary,
+  provisionSummary,
+} from "../lib/delinquency";
+import { loanBalance } from "../lib/ledger";
+import { can } from "../lib/permissions";
+import { formatCurrency } from "../lib/util";
+import {
+  WRITE_OFF_REASONS,
+  portfolioOutcomes,
+  recoverableBalance,
+} from "../lib/writeoff";
+import {
+  getProvisioningRates,
+  recordRecovery,
+  saveProvisioningRates,
+} from "../services/loanService";
+
+const bucketLabel = (b) => (b === "current" ? "Current" : `${b} days`);
+
+/* Loan-loss provisions by PAR bucket, write-offs and recoveries */
+export default function LoanLossPanel({
+  staff,
+  loans,
+  journal,
+  pushToast,
+  onSaved,
+}) {
+  const [rates, setRates] = useState(DEFAULT_PROVISIONING_RATES);
+  const [recovery, setRecovery] = useState({}); // loanId -> { amount, source }
+  const provisions = provisionSummary(
+    parSummary(loans, (ln) => loanBalance(journal, ln.id)),
+    rates
+  );
+  const outcomes = portfolioOutcomes(loans);
+  const writtenOff = loans.filter((l) => l.status === "written_off");
+
+  useEffect(() => {
+    getProvisioningRates()
+      .then(setRates)
+      .catch(() => pushToast("Could not load provisioning rates", "error"));
+  }, [pushToast]);
+
+  async function saveRates(e) {
+    e?.preventDefault();
+    try {
+      setRates(await saveProvisioningRates(rates, staff));
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast("Provisioning rates saved");
+  }
+
+  async function recover(loanId) {
+    const { amount, source = "external" } = recovery[loanId] || {};
+    try {
+      await recordRecovery({ actor: staff, loanId, amount, source });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`Recovery of ₦${Number(amount).toLocaleString()} recorded`);
+    setRecovery((r) => ({ ...r, [loanId]: {} }));
+    onSaved?.();
+  }
+
+  const setRecoveryField = (loanId, patch) =>
+    setRecovery((r) => ({ ...r, [loanId]: { ...r[loanId], ...patch } }));
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="mb-4">
+        <h3 className="font-semibold text-lg">Loan losses</h3>
+        <div className="text-xs text-gray-500">
+          Provisions on the live book, write-offs and what was recovered
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        <div className="p-3 border rounded bg-gray-50">
+          <div className="text-xs text-gray-500">Repaid and closed</div>
+          <div className="font-semibold">{outcomes.repaid.count} loans</div>
+          <div className="text-xs text-gray-600">
+            {formatCurrency(outcomes.repaid.principal)} lent
+          </div>
+        </div>
+        <div className="p-3 border rounded bg-gray-50">
+          <div className="text-xs text-gray-500">Written off</div>
+          <div className="font-semibold">{outcomes.writtenOff.count} loans</div>
+          <div className="text-xs text-gray-600">
+            {formatCurrency(outcomes.writtenOff.principal)} principal
+          </div>
+        </div>
+        <div className="p-3 border rounded bg-gray-50">
+          <div className="text-xs text-gray-500">Recovered</div>
+          <div className="font-semibold">
+            {formatCurrency(outcomes.recovered)}
+          </div>
+        </div>
+        <div className="p-3 border rounded bg-gray-50">
+          <div className="text-xs text-gray-500">Net loss</div>
+          <div className="font-semibold">
+            {formatCurrency(outcomes.netLoss)}
+          </div>
+        </div>
+      </div>
+
+      <form onSubmit={saveRates}>
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs text-gray-600">
+            <tr>
+              <th>Bucket</th>
+              <th>Loans</th>
+              <th>Outstanding</th>
+              <th>Provision rate</th>
+              <th className="text-right">Provision</th>
+            </tr>
+          </thead>
+          <tbody>
+            {provisions.rows.map((r) => (
+              <tr key={r.bucket} className="odd:bg-white even:bg-gray-50">
+                <td className="py-1">{bucketLabel(r.bucket)}</td>
+                <td className="py-1">{r.count}</td>
+                <td className="py-1">{formatCurrency(r.outstanding)}</td>
+                <td className="py-1">
+                  {can(staff, "settings.manage") ? (
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="any"
+                      value={rates[r.bucket]}
+                      onChange={(e) =>
+                        setRates((x) => ({ ...x, [r.bucket]: e.target.value }))
+                      }
+                      className="p-1 border rounded w-20"
+                    />
+                  ) : (
+                    r.rate
+                  )}
+                  %
+                </td>
+                <td className="py-1 text-right">
+                  {formatCurrency(r.provision)}
+                </td>
+              </tr>
+            ))}
+            <tr className="font-semibold border-t">
+              <td className="py-1" colSpan={4}>
+                Total provision
+              </td>
+              <td className="py-1 text-right">
+                {formatCurrency(provisions.total)}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+        {can(staff, "settings.manage") && (
+          <button
+            type="submit"
+            className="mt-2 px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+          >
+            Save rates
+          </button>
+        )}
+      </form>
+
+      {writtenOff.length > 0 && (
+        <div className="mt-4">
+          <h4 className="font-semibold">Written-off loans</h4>
+          <table className="min-w-full text-sm mt-2">
+            <thead className="text-left text-xs text-gray-600">
+              <tr>
+                <th>Loan</th>
+                <th>Reason</th>
+                <th>Written off</th>
+                <th>Recovered</th>
+                <th>Left</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {writtenOff.map((ln) => (
+                <tr key={ln.id} className="odd:bg-white even:bg-gray-50">
+                  <td className="py-2">
+                    <div>{ln.borrowerUsername}</div>
+                    <div className="text-xs text-gray-500">{ln.id}</div>
+                  </td>
+                  <td className="py-2 text-xs">
+                    <div>{WRITE_OFF_REASONS[ln.writeOff.reason]}</div>
+                    <div className="text-gray-500">
+                      {new Date(ln.writeOff.at).toLocaleDateString()} by{" "}
+                      {ln.writeOff.approvedBy}: {ln.writeOff.approvalNote}
+                    </div>
+                  </td>
+                  <td className="py-2">
+                    {formatCurrency(ln.writeOff.total)}
+                    <div className="text-xs text-gray-500">
+                      {formatCurrency(ln.writeOff.principal)} principal
+                    </div>
+                  </td>
+                  <td className="py-2">{formatCurrency(ln.recovered || 0)}</td>
+                  <td className="py-2">
+                    {formatCurrency(recoverableBalance(ln))}
+                  </td>
+                  <td className="py-2">
+                    {can(staff, "payment.record") &&
+                      recoverableBalance(ln) > 0 && (
+                        <div className="flex gap-1">
+                          <input
+                            type="number"
+                            value={recovery[ln.id]?.amount || ""}
+                            onChange={(e) =>
+                              setRecoveryField(ln.id, {
+                                amount: e.target.value,
+                              })
+                            }
+                            placeholder="Amount"
+                            className="p-1 border rounded w-24"
+                          />
+                          <select
+                            value={recovery[ln.id]?.source || "external"}
+                            onChange={(e) =>
+                              setRecoveryField(ln.id, {
+                                source: e.target.value,
+                              })
+                            }
+                            className="p-1 border rounded text-xs"
+                          >
+                            <option value="external">Received</option>
+                            <option value="wallet">From wallet</option>
+                          </select>
+                          <button
+                            type="button"
+                            onClick={() => recover(ln.id)}
+                            className="px-2 py-1 border rounded text-xs"
+                          >
+                            Record
+                          </button>
+                        </div>
+                      )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+
+const STATUS_STYLES = {
+  active: "bg-blue-100 text-blue-800",
+  overdue: "bg-orange-100 text-orange-800",
+  default: "bg-red-100 text-red-800",
+  closed: "bg-gray-100 text-gray-700",
+  written_off: "bg-gray-800 text-white",
+  pending_approval: "bg-yellow-100 text-yellow-800",
+  rejected: "bg-gray-100 text-gray-500 line-through",
+};
+
+/* Coloured loan lifecycle status, optionally with days past due */
+export default function LoanStatus({ status, daysPastDue = 0 }) {
+  return (
+    <span
+      className={`px-2 py-0.5 rounded text-xs ${
+        STATUS_STYLES[status] || STATUS_STYLES.closed
+      }`}
+    >
+      {status.replace("_", " ")}
+      {daysPastDue > 0 && ` · ${daysPastDue} DPD`}
+    </span>
+  );
+}
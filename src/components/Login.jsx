@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { autoSeedDemo, seedDemoIfNeeded } from "../data/repository";
+import { authenticate } from "../services/authService";
+
+/* Login component (shared for staff & borrowers)
+   Updated: Seed demo users button sets a message below the form instead of alert()
+   `notice` explains why the previous session ended (idle / expired)
+*/
+export default function Login({ onLogin, notice }) {
+  const [form, setForm] = useState({ username: "", password: "" });
+  const [loading, setLoading] = useState(false);
+  const [seedMessage, setSeedMessage] = useState("");
+  const [error, setError] = useState("");
+  useEffect(() => {
+    autoSeedDemo().catch(() => {});
+  }, []);
+
+  async function handleSubmit(e) {
+    e?.preventDefault();
+    setLoading(true);
+    setError("");
+    let user;
+    try {
+      user = await authenticate(form.username, form.password);
+    } catch (err) {
+      setLoading(false);
+      return setError(
+        err.response || err.request
+          ? "Could not reach the loan service. Try again shortly."
+          : err.message
+      );
+    }
+    setLoading(false);
+    onLogin(user);
+  }
+
+  async function handleSeedClick() {
+    try {
+      await seedDemoIfNeeded();
+    } catch {
+      return setSeedMessage("Could not reach the loan service to seed users");
+    }
+    // show a message below the form instead of alert
+    setSeedMessage(
+      "Seeded demo users: john/john123, jane/jane123; staff, checker, officer, collector and auditor use vfd2024"
+    );
+    // clear after 6 seconds
+    setTimeout(() => setSeedMessage(""), 6000);
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-50 to-white p-6">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-xl shadow-lg p-8 w-full max-w-md"
+      >
+        <h2 className="text-2xl font-bold mb-4 text-[#633985]">
+          VFD Portal — Sign in
+        </h2>
+        <label className="block mb-3">
+          <div className="text-sm text-gray-600">Username</div>
+          <input
+            value={form.username}
+            onChange={(e) => setForm({ ...form, username: e.target.value })}
+            className="w-full p-3 border rounded-lg mt-1 focus:ring-2 focus:ring-purple-200"
+            required
+          />
+        </label>
+        <label className="block mb-4">
+          <div className="text-sm text-gray-600">Password</div>
+          <input
+            type="password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            className="w-full p-3 border rounded-lg mt-1 focus:ring-2 focus:ring-purple-200"
+            required
+          />
+        </label>
+        <div className="flex gap-2 items-center">
+          <button
+            className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+            type="submit"
+            disabled={loading}
+          >
+            {loading ? "Signing..." : "Sign in"}
+          </button>
+          <button
+            type="button"
+            className="px-4 py-2 border rounded-lg"
+            onClick={handleSeedClick}
+          >
+            Seed demo users
+          </button>
+        </div>
+
+        {notice && !error && (
+          <div className="mt-4 p-3 rounded bg-yellow-50 text-yellow-800 text-sm border border-yellow-100">
+            {notice}
+          </div>
+        )}
+
+        {error && (
+          <div
+            role="alert"
+            className="mt-4 p-3 rounded bg-red-50 text-red-800 text-sm border border-red-100"
+          >
+            {error}
+            <div className="text-xs mt-1 opacity-80">
+              Demo staff: staff, checker, officer, collector or auditor /
+              vfd2024. Demo borrowers: john/john123 or jane/jane123
+            </div>
+          </div>
+        )}
+
+        {/* Seed message shown below the form (replaces alert) */}
+        {seedMessage && (
+          <div className="mt-4 p-3 rounded bg-green-50 text-green-800 text-sm border border-green-100">
+            {seedMessage}
+          </div>
+        )}
+      </form>
+    </div>
+  );
+}
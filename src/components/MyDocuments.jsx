@@ -0,0 +1,123 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  ACCEPTED_FILE_TYPES,
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_BYTES,
+  fileSizeLabel,
+} from "../lib/documents";
+import { getVerification, uploadDocument } from "../services/documentService";
+import { DocumentStatus } from "./DocumentChecklist";
+import DocumentPreview from "./DocumentPreview";
+
+const ACCEPT = Object.keys(ACCEPTED_FILE_TYPES).join(",");
+
+/* Borrower card: upload ID, payslip and utility bill, and follow their
+   review */
+export default function MyDocuments({ user, pushToast }) {
+  const [verification, setVerification] = useState(null);
+  const [uploading, setUploading] = useState(null); // document type
+  const [openId, setOpenId] = useState(null);
+
+  const refresh = useCallback(
+    () =>
+      getVerification({ actor: user, username: user.username })
+        .then(setVerification)
+        .catch((err) => pushToast(err.message, "error")),
+    [user, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  async function upload(type, e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setUploading(type);
+    try {
+      await uploadDocument({ actor: user, type, file });
+      pushToast(`${DOCUMENT_TYPES[type]} uploaded for review`);
+      refresh();
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+    setUploading(null);
+  }
+
+  if (!verification) return null;
+  const { summary, policy } = verification;
+  const open = verification.documents.find((d) => d.id === openId);
+
+  return (
+    <div className="bg-white p-4 rounded shadow mt-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">My documents</h3>
+        <div className="text-xs text-gray-500">
+          {Object.values(ACCEPTED_FILE_TYPES).join(", ")} up to{" "}
+          {fileSizeLabel(MAX_DOCUMENT_BYTES)}; stored in this browser
+        </div>
+      </div>
+      {summary.status !== "verified" && policy.requireForDisbursement && (
+        <div className="text-xs text-orange-700 mt-1">
+          Loans are disbursed once every required document is approved.
+        </div>
+      )}
+      <ul className="mt-3 space-y-2 text-sm">
+        {Object.entries(DOCUMENT_TYPES).map(([type, label]) => {
+          const doc = summary.latest[type];
+          return (
+            <li
+              key={type}
+              className="flex flex-wrap items-center gap-2 p-2 border rounded"
+            >
+              <DocumentStatus status={doc ? doc.status : "missing"} />
+              <span className="font-medium">{label}</span>
+              {!policy.requiredTypes.includes(type) && (
+                <span className="text-xs text-gray-500">(optional)</span>
+              )}
+              {doc && (
+                <span className="text-xs text-gray-500">
+                  {doc.fileName},{" "}
+                  {new Date(doc.uploadedAt).toLocaleDateString()}
+                  {doc.reason && ` — ${doc.reason}`}
+                </span>
+              )}
+              <span className="ml-auto flex gap-2">
+                {doc && (
+                  <button
+                    onClick={() =>
+                      setOpenId((id) => (id === doc.id ? null : doc.id))
+                    }
+                    className="px-2 py-1 border rounded text-xs"
+                  >
+                    {openId === doc.id ? "Hide" : "View"}
+                  </button>
+                )}
+                <label className="px-2 py-1 border rounded text-xs cursor-pointer bg-gray-50">
+                  {uploading === type
+                    ? "Uploading…"
+                    : doc
+                    ? "Replace"
+                    : "Upload"}
+                  <input
+                    type="file"
+                    accept={ACCEPT}
+                    className="hidden"
+                    disabled={uploading !== null}
+                    onChange={(e) => upload(type, e)}
+                  />
+                </label>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      {open && (
+        <div className="mt-2">
+          <DocumentPreview key={open.id} document={open} actor={user} />
+        </div>
+      )}
+    </div>
+  );
+}
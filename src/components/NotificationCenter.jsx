@@ -0,0 +1,200 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { MAX_REMINDER_DAYS } from "../lib/notifications";
+import { navigate, pathFor } from "../lib/router";
+import {
+  getNotificationPreferences,
+  listNotifications,
+  markRead,
+  saveNotificationPreferences,
+} from "../services/notificationService";
+import Link from "./Link";
+
+/* Inbox for the signed-in user plus their notification preferences.
+   onChange lets the header badge catch up after reads. */
+export default function NotificationCenter({ user, pushToast, onChange }) {
+  const [inbox, setInbox] = useState(null);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [prefs, setPrefs] = useState(null);
+
+  const refresh = useCallback(
+    () =>
+      listNotifications(user)
+        .then(setInbox)
+        .catch((err) => pushToast(err.message, "error"))
+        .finally(onChange),
+    [user, pushToast, onChange]
+  );
+
+  useEffect(() => {
+    refresh();
+    getNotificationPreferences(user)
+      .then(setPrefs)
+      .catch((err) => pushToast(err.message, "error"));
+  }, [refresh, user, pushToast]);
+
+  async function read(ids) {
+    try {
+      await markRead({ actor: user, ids });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    refresh();
+  }
+
+  async function open(n) {
+    if (!n.readAt) await read([n.id]);
+    if (n.link) navigate(n.link);
+  }
+
+  async function savePrefs(e) {
+    e.preventDefault();
+    try {
+      setPrefs(
+        await saveNotificationPreferences({
+          actor: user,
+          preferences: {
+            types: Object.fromEntries(
+              prefs.types.map((t) => [t.type, t.enabled])
+            ),
+            reminderDays: prefs.reminderDays,
+          },
+        })
+      );
+      pushToast("Notification preferences saved");
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+  }
+
+  const unread = (inbox || []).filter((n) => !n.readAt).length;
+  const shown = (inbox || []).filter((n) => !unreadOnly || !n.readAt);
+
+  return (
+    <div className="p-6 max-w-3xl mx-auto space-y-4">
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-[#633985]">Notifications</h2>
+            <div className="text-xs text-gray-500">{unread} unread</div>
+          </div>
+          <div className="flex gap-2 text-sm">
+            <button
+              onClick={() => setUnreadOnly((v) => !v)}
+              className="px-3 py-1 border rounded"
+            >
+              {unreadOnly ? "Show all" : "Unread only"}
+            </button>
+            {unread > 0 && (
+              <button
+                onClick={() => read()}
+                className="px-3 py-1 bg-[#633985] text-white rounded"
+              >
+                Mark all read
+              </button>
+            )}
+            <Link
+              to={pathFor("dashboard")}
+              className="px-3 py-1 border rounded"
+            >
+              Back
+            </Link>
+          </div>
+        </div>
+
+        {inbox && shown.length === 0 ? (
+          <div className="text-sm text-gray-500">
+            {unreadOnly ? "Nothing unread" : "No notifications yet"}
+          </div>
+        ) : (
+          <ul className="divide-y text-sm">
+            {shown.map((n) => (
+              <li
+                key={n.id}
+                className={`py-3 px-2 flex gap-3 items-start ${
+                  n.readAt ? "" : "bg-purple-50"
+                }`}
+              >
+                <span
+                  className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${
+                    n.readAt ? "bg-transparent" : "bg-[#633985]"
+                  }`}
+                />
+                <button onClick={() => open(n)} className="text-left flex-1">
+                  <div className={n.readAt ? "" : "font-semibold"}>
+                    {n.title}
+                  </div>
+                  <div className="text-gray-600">{n.body}</div>
+                  <div className="text-xs text-gray-500 mt-0.5">
+                    {new Date(n.createdAt).toLocaleString()}
+                  </div>
+                </button>
+                {!n.readAt && (
+                  <button
+                    onClick={() => read([n.id])}
+                    className="px-2 py-1 border rounded text-xs"
+                  >
+                    Mark read
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {prefs && (
+        <form onSubmit={savePrefs} className="bg-white rounded-xl shadow p-5">
+          <h3 className="font-semibold text-lg">Preferences</h3>
+          <div className="text-xs text-gray-500 mb-3">
+            Choose what lands in your inbox
+          </div>
+          <div className="space-y-1 text-sm">
+            {prefs.types.length === 0 && (
+              <div className="text-gray-500">
+                Your role has no notifications to choose from
+              </div>
+            )}
+            {prefs.types.map((t) => (
+              <label key={t.type} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={t.enabled}
+                  onChange={(e) =>
+                    setPrefs((p) => ({
+                      ...p,
+                      types: p.types.map((x) =>
+                        x.type === t.type
+                          ? { ...x, enabled: e.target.checked }
+                          : x
+                      ),
+                    }))
+                  }
+                />
+                {t.label}
+              </label>
+            ))}
+          </div>
+          {prefs.remindsBorrower && (
+            <label className="flex items-center gap-2 text-sm mt-3">
+              Remind me
+              <input
+                type="number"
+                min="0"
+                max={MAX_REMINDER_DAYS}
+                value={prefs.reminderDays}
+                onChange={(e) =>
+                  setPrefs((p) => ({ ...p, reminderDays: e.target.value }))
+                }
+                className="p-1 border rounded w-16"
+              />
+              days before an installment is due
+            </label>
+          )}
+          <button className="mt-4 px-3 py-2 bg-[#633985] text-white rounded">
+            Save preferences
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
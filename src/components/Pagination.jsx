@@ -0,0 +1,37 @@
+import React from "react";
+
+/* "21–40 of 135" with previous/next buttons for a query result */
+export default function Pagination({ result, onPage }) {
+  const { page, pages, total, limit } = result;
+  if (total === 0) return null;
+  const first = (page - 1) * limit + 1;
+  const last = Math.min(total, page * limit);
+  return (
+    <div className="flex items-center justify-between text-xs text-gray-600 mt-2">
+      <span>
+        {first}–{last} of {total}
+      </span>
+      <span className="flex items-center gap-2">
+        <button
+          type="button"
+          disabled={page <= 1}
+          onClick={() => onPage(page - 1)}
+          className="px-2 py-1 border rounded disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <span>
+          Page {page} of {pages}
+        </span>
+        <button
+          type="button"
+          disabled={page >= pages}
+          onClick={() => onPage(page + 1)}
+          className="px-2 py-1 border rounded disabled:opacity-40"
+        >
+          Next
+        </button>
+      </span>
+    </div>
+  );
+}
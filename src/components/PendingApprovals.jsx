@@ -0,0 +1,252 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { can } from "../lib/permissions";
+import { formatCurrency } from "../lib/util";
+import {
+  DEFAULT_APPROVAL_POLICY,
+  approvePendingAction,
+  getApprovalPolicy,
+  listPendingActions,
+  rejectPendingAction,
+  saveApprovalPolicy,
+} from "../services/approvalService";
+
+/* Pending-approvals inbox for the checker side of maker-checker */
+export default function PendingApprovals({
+  refreshKey,
+  staff,
+  pushToast,
+  onDecided,
+}) {
+  const [actions, setActions] = useState([]);
+  const [notes, setNotes] = useState({}); // id -> decision note
+  const [policy, setPolicy] = useState(DEFAULT_APPROVAL_POLICY);
+
+  const refresh = useCallback(
+    () =>
+      Promise.all([listPendingActions(staff), getApprovalPolicy()])
+        .then(([list, p]) => {
+          setActions(list);
+          setPolicy(p);
+        })
+        .catch(() => pushToast("Could not load pending approvals", "error")),
+    [staff, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  async function decide(id, fn, message) {
+    try {
+      await fn({ actor: staff, id, note: notes[id] });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    setNotes((n) => ({ ...n, [id]: "" }));
+    pushToast(message);
+    refresh();
+    onDecided?.();
+  }
+
+  async function savePolicy(e) {
+    e?.preventDefault();
+    try {
+      setPolicy(await saveApprovalPolicy(policy, staff));
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast("Approval rules saved");
+  }
+
+  const pending = actions.filter((a) => a.status === "pending");
+  const recent = actions.filter((a) => a.status !== "pending").slice(0, 5);
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-lg">Pending approvals</h3>
+          <div className="text-xs text-gray-500">
+            Four-eyes check — the requester cannot approve their own action
+          </div>
+        </div>
+        <span className="px-2 py-1 rounded text-xs bg-yellow-100 text-yellow-800">
+          {pending.length} waiting
+        </span>
+      </div>
+
+      {pending.length === 0 ? (
+        <div className="text-gray-500">Nothing waiting for approval</div>
+      ) : (
+        <ul className="space-y-2">
+          {pending.map((a) => {
+            const own = a.makerUsername === staff.username;
+            return (
+              <li key={a.id} className="p-3 border rounded text-sm">
+                <div className="font-semibold">
+                  {a.type === "restructure"
+                    ? `Restructure to ${formatCurrency(a.amount)} owed`
+                    : a.type === "write_off"
+                    ? `Write off ${formatCurrency(a.amount)}`
+                    : `${
+                        a.type === "disbursement" ? "Disburse" : "Adjust by"
+                      } ${formatCurrency(a.amount)}`}{" "}
+                  — {a.borrowerUsername} (loan {a.loanId})
+                </div>
+                <div className="text-xs text-gray-600">
+                  Requested by {a.makerUsername} on{" "}
+                  {new Date(a.createdAt).toLocaleString()} • Reason: {a.reason}
+                  {a.note && ` • Note: ${a.note}`}
+                </div>
+                {own || !can(staff, "approval.decide") ? (
+                  <div className="text-xs text-gray-500 mt-2">
+                    Awaiting {own ? "another staff member" : "a checker"}
+                  </div>
+                ) : (
+                  <div className="mt-2 flex gap-2">
+                    <input
+                      value={notes[a.id] || ""}
+                      onChange={(e) =>
+                        setNotes((n) => ({ ...n, [a.id]: e.target.value }))
+                      }
+                      placeholder={
+                        a.type === "write_off"
+                          ? "Approval note (required)"
+                          : "Decision note (required to reject)"
+                      }
+                      className="p-2 border rounded flex-1"
+                    />
+                    <button
+                      onClick={() =>
+                        decide(a.id, approvePendingAction, "Action approved")
+                      }
+                      className="px-3 py-1 bg-green-600 text-white rounded"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() =>
+                        decide(a.id, rejectPendingAction, "Action rejected")
+                      }
+                      className="px-3 py-1 bg-red-600 text-white rounded"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {recent.length > 0 && (
+        <div className="mt-4">
+          <h4 className="font-semibold text-sm">Recently decided</h4>
+          <ul className="text-xs text-gray-600 mt-1">
+            {recent.map((a) => (
+              <li key={a.id} className="py-1 border-b">
+                {a.type} {formatCurrency(a.amount)} on loan {a.loanId} —{" "}
+                {a.status} by {a.checkerUsername} (requested by{" "}
+                {a.makerUsername}){a.decisionNote && `: ${a.decisionNote}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {can(staff, "settings.manage") && (
+        <form onSubmit={savePolicy} className="mt-4 border-t pt-4">
+          <h4 className="font-semibold mb-2 text-sm">Dual-control rules</h4>
+          <div className="flex flex-wrap gap-4 items-end text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={policy.enabled}
+                onChange={(e) =>
+                  setPolicy((p) => ({ ...p, enabled: e.target.checked }))
+                }
+              />
+              Enabled
+            </label>
+            <label className="block">
+              <div className="text-xs text-gray-600">
+                Disbursements above (₦)
+              </div>
+              <input
+                type="number"
+                min="0"
+                value={policy.disbursementThreshold}
+                onChange={(e) =>
+                  setPolicy((p) => ({
+                    ...p,
+                    disbursementThreshold: e.target.value,
+                  }))
+                }
+                className="p-2 border rounded mt-1 w-40"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={policy.requireForOverride}
+                onChange={(e) =>
+                  setPolicy((p) => ({
+                    ...p,
+                    requireForOverride: e.target.checked,
+                  }))
+                }
+              />
+              Eligibility overrides
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={policy.requireForAdjustment}
+                onChange={(e) =>
+                  setPolicy((p) => ({
+                    ...p,
+                    requireForAdjustment: e.target.checked,
+                  }))
+                }
+              />
+              Manual adjustments
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={policy.requireForRestructure}
+                onChange={(e) =>
+                  setPolicy((p) => ({
+                    ...p,
+                    requireForRestructure: e.target.checked,
+                  }))
+                }
+              />
+              Restructures
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={policy.requireForWriteOff}
+                onChange={(e) =>
+                  setPolicy((p) => ({
+                    ...p,
+                    requireForWriteOff: e.target.checked,
+                  }))
+                }
+              />
+              Write-offs
+            </label>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+            >
+              Save rules
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
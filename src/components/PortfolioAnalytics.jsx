@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import { pathFor } from "../lib/router";
+import { formatCurrency } from "../lib/util";
+import { getPortfolioAnalytics } from "../services/loanService";
+import Link from "./Link";
+import TrendChart from "./TrendChart";
+import VintageChart from "./VintageChart";
+
+const RISK_COLORS = {
+  Low: "bg-green-500",
+  Medium: "bg-yellow-500",
+  High: "bg-red-500",
+  "Not scored": "bg-gray-400",
+};
+
+function Kpi({ label, value, note }) {
+  return (
+    <div className="p-4 bg-white rounded-xl shadow">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-xl font-semibold mt-1">{value}</div>
+      {note && <div className="text-xs text-gray-500 mt-1">{note}</div>}
+    </div>
+  );
+}
+
+function rate(value) {
+  return value === null ? "—" : `${value}%`;
+}
+
+/* Management view of the portfolio: KPI cards, disbursements against
+   collections, vintage repayment curves and the risk mix, all for one date
+   range */
+export default function PortfolioAnalytics({ staff, pushToast }) {
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    getPortfolioAnalytics({ actor: staff, ...range })
+      .then((result) => live && setData(result))
+      .catch((err) => live && pushToast(err.message, "error"));
+    return () => {
+      live = false;
+    };
+  }, [staff, range, pushToast]);
+
+  const k = data?.kpis;
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto space-y-4">
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h2 className="text-xl font-bold text-[#633985]">
+              Portfolio analytics
+            </h2>
+            <div className="text-xs text-gray-500">
+              Disbursements and collections dated in the range; balances and
+              arrears as at{" "}
+              {data ? new Date(data.range.asOf).toLocaleDateString() : "…"}
+            </div>
+          </div>
+          <div className="flex gap-2 items-center text-sm">
+            <input
+              type="date"
+              value={range.from}
+              onChange={(e) =>
+                setRange((r) => ({ ...r, from: e.target.value }))
+              }
+              className="p-2 border rounded"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={range.to}
+              onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+              className="p-2 border rounded"
+            />
+            {(range.from || range.to) && (
+              <button
+                onClick={() => setRange({ from: "", to: "" })}
+                className="px-3 py-1 border rounded"
+              >
+                All time
+              </button>
+            )}
+            <Link
+              to={pathFor("dashboard")}
+              className="px-3 py-1 border rounded"
+            >
+              Back
+            </Link>
+          </div>
+        </div>
+      </div>
+
+      {k && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <Kpi
+            label="Amount disbursed"
+            value={formatCurrency(k.amountDisbursed)}
+            note={`${k.loansDisbursed} loan(s)`}
+          />
+          <Kpi
+            label="Outstanding portfolio"
+            value={formatCurrency(k.outstanding)}
+            note="Ledger balance of all loans"
+          />
+          <Kpi
+            label="Collection rate"
+            value={rate(k.collectionRate)}
+            note={`${formatCurrency(k.amountPaid)} of ${formatCurrency(
+              k.amountDue
+            )} due`}
+          />
+          <Kpi
+            label="PAR30"
+            value={rate(k.par30Rate)}
+            note={`${formatCurrency(k.par30)} over 30 days late`}
+          />
+          <Kpi
+            label="Average ticket"
+            value={formatCurrency(k.averageTicket)}
+            note={`${formatCurrency(k.collected)} collected`}
+          />
+        </div>
+      )}
+
+      {data && (
+        <div className="bg-white rounded-xl shadow p-5">
+          <h3 className="font-semibold text-lg">
+            Disbursements vs collections
+          </h3>
+          <div className="text-xs text-gray-500 mb-2">
+            Per {data.range.granularity}
+          </div>
+          <TrendChart rows={data.series} />
+        </div>
+      )}
+
+      {data && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-xl shadow p-5 md:col-span-2">
+            <h3 className="font-semibold text-lg">Vintage curves</h3>
+            <div className="text-xs text-gray-500 mb-2">
+              Cumulative repayments as % of principal, by disbursement month
+            </div>
+            {data.vintages.length === 0 ? (
+              <div className="text-sm text-gray-500">
+                No loans disbursed in this range
+              </div>
+            ) : (
+              <VintageChart cohorts={data.vintages} />
+            )}
+          </div>
+
+          <div className="bg-white rounded-xl shadow p-5">
+            <h3 className="font-semibold text-lg">Risk mix</h3>
+            <div className="text-xs text-gray-500 mb-3">
+              Risk level at approval, share of principal disbursed
+            </div>
+            <div className="space-y-3 text-sm">
+              {data.risk.map((r) => (
+                <div key={r.level}>
+                  <div className="flex justify-between">
+                    <span>{r.level}</span>
+                    <span className="text-gray-600">
+                      {r.loans} loan(s), {formatCurrency(r.principal)}
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded mt-1">
+                    <div
+                      className={`h-2 rounded ${RISK_COLORS[r.level]}`}
+                      style={{ width: `${r.share || 0}%` }}
+                    />
+                  </div>
+                  <div className="text-xs text-gray-500 mt-0.5">
+                    {rate(r.share)}
+                    {r.par30Loans > 0 && `, ${r.par30Loans} in PAR30`}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { downloadFile } from "../lib/export";
+import {
+  EXPORT_DATASETS,
+  LOAN_STATUSES,
+  datasetCsv,
+  datasetSheet,
+  exportFileName,
+} from "../lib/portfolioExport";
+import { XLSX_TYPE, buildXlsx } from "../lib/xlsx";
+import { exportPortfolio } from "../services/loanService";
+
+const DATASETS = Object.keys(EXPORT_DATASETS);
+
+/* Finance exports: loans, repayments, loan actions and wallets as CSV (one
+   file per dataset) or one XLSX workbook, filtered by date and status */
+export default function PortfolioExport({ staff, pushToast }) {
+  const [filters, setFilters] = useState({ from: "", to: "", statuses: [] });
+  const [datasets, setDatasets] = useState(DATASETS);
+  const [counts, setCounts] = useState(null); // dataset -> rows last exported
+
+  function toggle(list, value) {
+    return list.includes(value)
+      ? list.filter((v) => v !== value)
+      : [...list, value];
+  }
+
+  async function run(format) {
+    if (datasets.length === 0)
+      return pushToast("Choose at least one dataset", "error");
+    let data;
+    try {
+      data = await exportPortfolio({ actor: staff, ...filters });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    if (format === "csv") {
+      for (const name of datasets)
+        downloadFile(
+          `${exportFileName(name, filters)}.csv`,
+          datasetCsv(name, data[name])
+        );
+    } else {
+      downloadFile(
+        `${exportFileName("portfolio", filters)}.xlsx`,
+        buildXlsx(datasets.map((name) => datasetSheet(name, data[name]))),
+        XLSX_TYPE
+      );
+    }
+    setCounts(Object.fromEntries(datasets.map((n) => [n, data[n].length])));
+    pushToast(
+      `Exported ${datasets.length} dataset(s) as ${format.toUpperCase()}`
+    );
+  }
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="mb-4">
+        <h3 className="font-semibold text-lg">Export portfolio</h3>
+        <div className="text-xs text-gray-500">
+          Amounts in Naira to two decimals, dates in ISO 8601 (UTC); column
+          names stay fixed between exports
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+        <div>
+          <div className="text-xs text-gray-600 mb-1">Date range</div>
+          <div className="flex gap-2 items-center">
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) =>
+                setFilters((f) => ({ ...f, from: e.target.value }))
+              }
+              className="p-2 border rounded"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) =>
+                setFilters((f) => ({ ...f, to: e.target.value }))
+              }
+              className="p-2 border rounded"
+            />
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            Loans by disbursement date, repayments and actions by when they
+            happened; leave empty for everything
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs text-gray-600 mb-1">
+            Loan status (none ticked = all)
+          </div>
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {LOAN_STATUSES.map((s) => (
+              <label key={s} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={filters.statuses.includes(s)}
+                  onChange={() =>
+                    setFilters((f) => ({
+                      ...f,
+                      statuses: toggle(f.statuses, s),
+                    }))
+                  }
+                />
+                {s.replace("_", " ")}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs text-gray-600 mb-1">Datasets</div>
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {DATASETS.map((name) => (
+              <label key={name} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={datasets.includes(name)}
+                  onChange={() => setDatasets((d) => toggle(d, name))}
+                />
+                {EXPORT_DATASETS[name].label}
+                {counts && name in counts && (
+                  <span className="text-xs text-gray-500">
+                    ({counts[name]})
+                  </span>
+                )}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 flex gap-2">
+        <button
+          onClick={() => run("csv")}
+          className="px-4 py-2 border rounded-lg"
+        >
+          Download CSV
+        </button>
+        <button
+          onClick={() => run("xlsx")}
+          className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+        >
+          Download XLSX
+        </button>
+      </div>
+    </div>
+  );
+}
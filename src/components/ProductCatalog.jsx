@@ -0,0 +1,348 @@
+import React, { useEffect, useState } from "react";
+import { INTEREST_METHODS } from "../lib/finance";
+import { can } from "../lib/permissions";
+import { FEE_TIMING } from "../lib/products";
+import { formatCurrency } from "../lib/util";
+import { saveProduct } from "../services/productService";
+import { listRuleSets } from "../services/scoringService";
+
+const NEW_PRODUCT = {
+  name: "",
+  description: "",
+  minPrincipal: "",
+  maxPrincipal: "",
+  tenors: [3, 6, 12],
+  minRate: "",
+  maxRate: "",
+  defaultRate: "",
+  fees: [],
+  prepaymentFeePercent: 0,
+  interestMethod: "reducing_balance",
+  ruleSetId: "",
+  status: "active",
+};
+
+const NUMBER_FIELDS = [
+  ["minPrincipal", "Min principal (₦)"],
+  ["maxPrincipal", "Max principal (₦)"],
+  ["minRate", "Min rate (%)"],
+  ["maxRate", "Max rate (%)"],
+  ["defaultRate", "Default rate (%)"],
+  ["prepaymentFeePercent", "Prepayment fee (% prepaid)"],
+];
+
+/* Loan product catalog: what can be lent, on which terms and fees */
+export default function ProductCatalog({
+  staff,
+  products,
+  pushToast,
+  onSaved,
+}) {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [tenorText, setTenorText] = useState("");
+  const editable = can(staff, "product.manage");
+
+  function loadRuleSets() {
+    listRuleSets()
+      .then(setRuleSets)
+      .catch(() => {});
+  }
+
+  useEffect(loadRuleSets, []);
+
+  function edit(product) {
+    loadRuleSets(); // pick up versions published since the panel loaded
+    setDraft(structuredClone(product));
+    setTenorText(product.tenors.join(", "));
+  }
+  function setField(name, value) {
+    setDraft((d) => ({ ...d, [name]: value }));
+  }
+  function setFee(index, patch) {
+    setDraft((d) => ({
+      ...d,
+      fees: d.fees.map((f, i) => (i === index ? { ...f, ...patch } : f)),
+    }));
+  }
+
+  async function save(e) {
+    e?.preventDefault();
+    const tenors = tenorText
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    let saved;
+    try {
+      saved = await saveProduct({
+        actor: staff,
+        product: { ...draft, tenors },
+      });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`Saved product ${saved.name}`);
+    setDraft(null);
+    onSaved();
+  }
+
+  const ruleSetName = (id) => {
+    if (!id) return "Active rule set";
+    const rs = ruleSets.find((r) => r.id === id);
+    return rs ? `${rs.name} v${rs.version}` : "Missing rule set";
+  };
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-lg">Loan products</h3>
+          <div className="text-xs text-gray-500">
+            Disbursements are checked against the product's limits
+          </div>
+        </div>
+        {editable && !draft && (
+          <button
+            onClick={() => edit(NEW_PRODUCT)}
+            className="px-3 py-1 bg-[#633985] text-white rounded"
+          >
+            New product
+          </button>
+        )}
+      </div>
+
+      {!draft && (
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs text-gray-600">
+            <tr>
+              <th>Product</th>
+              <th>Principal</th>
+              <th>Tenors</th>
+              <th>Rate</th>
+              <th>Fees</th>
+              <th>Scoring</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map((p) => (
+              <tr key={p.id} className="odd:bg-white even:bg-gray-50">
+                <td className="py-2">
+                  <div className="font-medium">{p.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {INTEREST_METHODS[p.interestMethod]}
+                  </div>
+                </td>
+                <td className="py-2 text-xs">
+                  {formatCurrency(p.minPrincipal)}–
+                  {formatCurrency(p.maxPrincipal)}
+                </td>
+                <td className="py-2 text-xs">{p.tenors.join(", ")}m</td>
+                <td className="py-2 text-xs">
+                  {p.minRate}–{p.maxRate}% ({p.defaultRate}%)
+                </td>
+                <td className="py-2 text-xs">
+                  {p.fees.length === 0
+                    ? "None"
+                    : p.fees
+                        .map(
+                          (f) =>
+                            `${f.name} ${
+                              f.type === "percent"
+                                ? `${f.amount}%`
+                                : formatCurrency(f.amount)
+                            }`
+                        )
+                        .join(", ")}
+                  {Number(p.prepaymentFeePercent) > 0 && (
+                    <div className="text-gray-500">
+                      Prepayment {p.prepaymentFeePercent}%
+                    </div>
+                  )}
+                </td>
+                <td className="py-2 text-xs">{ruleSetName(p.ruleSetId)}</td>
+                <td className="py-2 text-xs">{p.status}</td>
+                <td className="py-2 text-right">
+                  {editable && (
+                    <button
+                      onClick={() => edit(p)}
+                      className="px-2 py-1 border rounded text-xs"
+                    >
+                      Edit
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {draft && (
+        <form onSubmit={save} className="text-sm space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <label className="block">
+              <div className="text-xs text-gray-600">Name</div>
+              <input
+                value={draft.name}
+                onChange={(e) => setField("name", e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              />
+            </label>
+            <label className="block md:col-span-2">
+              <div className="text-xs text-gray-600">Description</div>
+              <input
+                value={draft.description}
+                onChange={(e) => setField("description", e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              />
+            </label>
+            {NUMBER_FIELDS.map(([name, label]) => (
+              <label key={name} className="block">
+                <div className="text-xs text-gray-600">{label}</div>
+                <input
+                  type="number"
+                  step="any"
+                  value={draft[name]}
+                  onChange={(e) => setField(name, e.target.value)}
+                  className="w-full p-2 border rounded mt-1"
+                />
+              </label>
+            ))}
+            <label className="block">
+              <div className="text-xs text-gray-600">
+                Tenors (months, comma separated)
+              </div>
+              <input
+                value={tenorText}
+                onChange={(e) => setTenorText(e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              />
+            </label>
+            <label className="block">
+              <div className="text-xs text-gray-600">Interest method</div>
+              <select
+                value={draft.interestMethod}
+                onChange={(e) => setField("interestMethod", e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              >
+                {Object.entries(INTEREST_METHODS).map(([v, label]) => (
+                  <option key={v} value={v}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <div className="text-xs text-gray-600">Eligibility rule set</div>
+              <select
+                value={draft.ruleSetId}
+                onChange={(e) => setField("ruleSetId", e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              >
+                <option value="">Whichever is active</option>
+                {ruleSets.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.name} v{r.version}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <div className="text-xs text-gray-600">Status</div>
+              <select
+                value={draft.status}
+                onChange={(e) => setField("status", e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              >
+                <option value="active">Offered</option>
+                <option value="retired">Retired</option>
+              </select>
+            </label>
+          </div>
+
+          <div>
+            <h4 className="font-semibold">Fees</h4>
+            {draft.fees.map((f, i) => (
+              <div key={i} className="flex flex-wrap gap-2 mb-1 items-center">
+                <input
+                  value={f.name}
+                  onChange={(e) => setFee(i, { name: e.target.value })}
+                  placeholder="Fee name"
+                  className="p-1 border rounded"
+                />
+                <select
+                  value={f.type}
+                  onChange={(e) => setFee(i, { type: e.target.value })}
+                  className="p-1 border rounded"
+                >
+                  <option value="percent">% of principal</option>
+                  <option value="flat">Flat ₦</option>
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  value={f.amount}
+                  onChange={(e) => setFee(i, { amount: e.target.value })}
+                  className="p-1 border rounded w-28"
+                />
+                <select
+                  value={f.when}
+                  onChange={(e) => setFee(i, { when: e.target.value })}
+                  className="p-1 border rounded"
+                >
+                  {Object.entries(FEE_TIMING).map(([v, label]) => (
+                    <option key={v} value={v}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setField(
+                      "fees",
+                      draft.fees.filter((_, k) => k !== i)
+                    )
+                  }
+                  className="text-xs text-red-600"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() =>
+                setField("fees", [
+                  ...draft.fees,
+                  { name: "", type: "percent", amount: 1, when: "upfront" },
+                ])
+              }
+              className="text-xs underline"
+            >
+              Add fee
+            </button>
+          </div>
+
+          <div className="flex gap-2 border-t pt-3">
+            <button
+              type="submit"
+              className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+            >
+              Save product
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 border rounded-lg"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+import { INTEREST_METHODS } from "../lib/finance";
+import { FEE_TIMING } from "../lib/products";
+import { formatCurrency } from "../lib/util";
+
+/* Product dropdown plus a one-line summary of the selected product's limits */
+export default function ProductSelect({ products, value, onChange }) {
+  const offered = products.filter((p) => p.status === "active");
+  const product = offered.find((p) => p.id === value);
+  return (
+    <label className="block">
+      <div className="text-xs text-gray-600">Product</div>
+      <select
+        value={value}
+        onChange={(e) => onChange(offered.find((p) => p.id === e.target.value))}
+        className="w-full p-2 border rounded mt-1"
+      >
+        {offered.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name}
+          </option>
+        ))}
+      </select>
+      {product && (
+        <div className="text-xs text-gray-500 mt-1">
+          {formatCurrency(product.minPrincipal)}–
+          {formatCurrency(product.maxPrincipal)} • {product.tenors.join("/")}{" "}
+          months • {product.minRate}–{product.maxRate}% •{" "}
+          {INTEREST_METHODS[product.interestMethod]}
+          {product.fees.map((f) => (
+            <span key={f.name}>
+              {" "}
+              • {f.name}{" "}
+              {f.type === "percent" ? `${f.amount}%` : formatCurrency(f.amount)}{" "}
+              ({FEE_TIMING[f.when].toLowerCase()})
+            </span>
+          ))}
+        </div>
+      )}
+    </label>
+  );
+}
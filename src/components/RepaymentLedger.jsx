@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from "react";
+import { pathFor, useSearchState } from "../lib/router";
+import {
+  REPAYMENT_FILTER_DEFAULTS,
+  hasFilters,
+  nextSort,
+} from "../lib/tableFilters";
+import { formatCurrency } from "../lib/util";
+import { searchRepayments } from "../services/loanService";
+import Link from "./Link";
+import Pagination from "./Pagination";
+import SortHeader from "./SortHeader";
+
+/* Repayments ledger: searchable, date-filtered, sortable and paged, with the
+   view kept in the URL (?repayments.…) */
+export default function RepaymentLedger({ staff, pushToast, refreshKey }) {
+  const [filters, setFilters] = useSearchState(
+    "repayments",
+    REPAYMENT_FILTER_DEFAULTS
+  );
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    searchRepayments({ actor: staff, filters })
+      .then((r) => live && setResult(r))
+      .catch((err) => live && pushToast(err.message, "error"));
+    return () => {
+      live = false;
+    };
+  }, [staff, filters, refreshKey, pushToast]);
+
+  function set(key) {
+    return (e) => setFilters({ [key]: e.target.value, page: "1" });
+  }
+  function sortBy(field) {
+    setFilters({
+      ...nextSort(filters, field, ["loanId", "borrowerUsername", "by"]),
+      page: "1",
+    });
+  }
+
+  return (
+    <div className="mt-4">
+      <h4 className="font-semibold">Repayments ledger</h4>
+      <div className="flex flex-wrap gap-2 items-center text-sm mt-2 mb-2">
+        <input
+          value={filters.q}
+          onChange={set("q")}
+          placeholder="Search loan ID, borrower or payer"
+          className="p-2 border rounded w-56"
+        />
+        <input
+          type="date"
+          value={filters.from}
+          onChange={set("from")}
+          className="p-2 border rounded"
+        />
+        <span>to</span>
+        <input
+          type="date"
+          value={filters.to}
+          onChange={set("to")}
+          className="p-2 border rounded"
+        />
+        {hasFilters(filters, REPAYMENT_FILTER_DEFAULTS) && (
+          <button
+            type="button"
+            onClick={() => setFilters(REPAYMENT_FILTER_DEFAULTS)}
+            className="px-3 py-2 border rounded"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      {!result ? null : result.total === 0 ? (
+        <div className="text-gray-500">
+          {hasFilters(filters, REPAYMENT_FILTER_DEFAULTS)
+            ? "No repayments match these filters"
+            : "No repayments yet"}
+        </div>
+      ) : (
+        <>
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs text-gray-600">
+              <tr>
+                <SortHeader
+                  field="date"
+                  label="Date"
+                  filters={filters}
+                  onSort={sortBy}
+                />
+                <SortHeader
+                  field="loanId"
+                  label="Loan"
+                  filters={filters}
+                  onSort={sortBy}
+                />
+                <SortHeader
+                  field="borrowerUsername"
+                  label="Borrower"
+                  filters={filters}
+                  onSort={sortBy}
+                />
+                <SortHeader
+                  field="by"
+                  label="Paid by"
+                  filters={filters}
+                  onSort={sortBy}
+                />
+                <SortHeader
+                  field="amount"
+                  label="Amount"
+                  filters={filters}
+                  onSort={sortBy}
+                />
+                <th>Split</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.items.map((r) => (
+                <tr key={r.id} className="odd:bg-white even:bg-gray-50">
+                  <td className="py-1">{new Date(r.date).toLocaleString()}</td>
+                  <td className="py-1">
+                    <Link
+                      to={pathFor("loan", { id: r.loanId })}
+                      className="text-[#633985] underline"
+                    >
+                      {r.loanId}
+                    </Link>
+                  </td>
+                  <td className="py-1">
+                    {r.borrowerUsername && (
+                      <Link
+                        to={pathFor("borrower", {
+                          username: r.borrowerUsername,
+                        })}
+                        className="text-[#633985] underline"
+                      >
+                        {r.borrowerUsername}
+                      </Link>
+                    )}
+                  </td>
+                  <td className="py-1">{r.by}</td>
+                  <td className="py-1">{formatCurrency(r.amount)}</td>
+                  <td className="py-1 text-xs text-gray-500">
+                    {r.kind === "recovery"
+                      ? `recovery${
+                          r.source === "external"
+                            ? ", received outside the app"
+                            : ""
+                        }`
+                      : r.allocation &&
+                        `interest ${formatCurrency(
+                          r.allocation.interest
+                        )}, principal ${formatCurrency(
+                          r.allocation.principal
+                        )}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <Pagination
+            result={result}
+            onPage={(page) => setFilters({ page: String(page) })}
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import React, { useState } from "react";
+import { MAX_HOLIDAY_MONTHS, scheduleSummary } from "../lib/restructure";
+import { formatCurrency } from "../lib/util";
+import { requestRestructure } from "../services/approvalService";
+import { getRestructurePreview } from "../services/loanService";
+import InstallmentTable from "./InstallmentTable";
+
+function Summary({ title, summary, rate }) {
+  return (
+    <div className="text-xs text-gray-600 mb-2">
+      <div className="font-semibold text-sm text-gray-800">{title}</div>
+      {rate}% • {summary.installments} installments left • regular{" "}
+      {formatCurrency(summary.payment)} • interest to pay{" "}
+      {formatCurrency(summary.interest)} • total {formatCurrency(summary.total)}
+      {summary.lastDueDate &&
+        ` • ends ${new Date(summary.lastDueDate).toLocaleDateString()}`}
+    </div>
+  );
+}
+
+/* Restructure form with side-by-side schedules, plus the loan's earlier
+   schedule versions */
+export default function RestructureLoan({ loan, staff, pushToast, onDone }) {
+  const [changes, setChanges] = useState({
+    tenorExtension: "",
+    rate: loan.rate,
+    holidayMonths: "",
+    capitalizeArrears: false,
+  });
+  const [note, setNote] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [version, setVersion] = useState(""); // archived version on view
+
+  function setField(name, value) {
+    setChanges((c) => ({ ...c, [name]: value }));
+    setPreview(null);
+  }
+
+  async function showPreview() {
+    try {
+      setPreview(
+        await getRestructurePreview({
+          actor: staff,
+          loanId: loan.id,
+          changes,
+        })
+      );
+    } catch (err) {
+      setPreview(null);
+      pushToast(err.message, "error");
+    }
+  }
+
+  async function submit() {
+    let pending;
+    try {
+      ({ pending } = await requestRestructure({
+        actor: staff,
+        loanId: loan.id,
+        changes,
+        note,
+      }));
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(
+      pending
+        ? `Restructure of loan ${loan.id} sent for approval`
+        : `Loan ${loan.id} restructured`
+    );
+    onDone();
+  }
+
+  const versions = loan.scheduleVersions || [];
+  const archived = versions.find((v) => String(v.version) === version);
+
+  return (
+    <div className="border rounded p-3 bg-white text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+        <label className="block">
+          <div className="text-xs text-gray-600">Extend tenor (months)</div>
+          <input
+            type="number"
+            min="0"
+            value={changes.tenorExtension}
+            onChange={(e) => setField("tenorExtension", e.target.value)}
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        <label className="block">
+          <div className="text-xs text-gray-600">Rate (% p.a.)</div>
+          <input
+            type="number"
+            step="any"
+            value={changes.rate}
+            onChange={(e) => setField("rate", e.target.value)}
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        <label className="block">
+          <div className="text-xs text-gray-600">
+            Payment holiday (max {MAX_HOLIDAY_MONTHS} months)
+          </div>
+          <input
+            type="number"
+            min="0"
+            value={changes.holidayMonths}
+            onChange={(e) => setField("holidayMonths", e.target.value)}
+            className="w-full p-2 border rounded mt-1"
+          />
+        </label>
+        <label className="flex items-center gap-2 pb-2">
+          <input
+            type="checkbox"
+            checked={changes.capitalizeArrears}
+            onChange={(e) => setField("capitalizeArrears", e.target.checked)}
+          />
+          Capitalise arrears
+        </label>
+        <button
+          type="button"
+          onClick={showPreview}
+          className="px-3 py-2 border rounded"
+        >
+          Preview
+        </button>
+      </div>
+
+      {preview && (
+        <div className="mt-3">
+          <div className="text-xs text-gray-600 mb-2">
+            {preview.description}
+            {preview.capitalized.principal +
+              preview.capitalized.interest +
+              preview.capitalized.fee >
+              0 &&
+              ` • capitalising ${formatCurrency(
+                preview.capitalized.principal
+              )} principal, ${formatCurrency(
+                preview.capitalized.interest
+              )} interest, ${formatCurrency(preview.capitalized.fee)} fees`}
+            {preview.holidayInterest > 0 &&
+              ` • ${formatCurrency(
+                preview.holidayInterest
+              )} holiday interest spread over the new installments`}
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div>
+              <Summary
+                title="Before"
+                summary={preview.before}
+                rate={loan.rate}
+              />
+              <InstallmentTable installments={loan.installments} />
+            </div>
+            <div>
+              <Summary
+                title="After"
+                summary={preview.after}
+                rate={preview.changes.rate}
+              />
+              <InstallmentTable installments={preview.installments} />
+            </div>
+          </div>
+          <div className="mt-3 flex gap-2">
+            <input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Reason for the restructure"
+              className="p-2 border rounded flex-1"
+            />
+            <button
+              type="button"
+              onClick={submit}
+              className="px-3 py-2 bg-[#633985] text-white rounded"
+            >
+              Submit restructure
+            </button>
+          </div>
+        </div>
+      )}
+
+      {versions.length > 0 && (
+        <div className="mt-4 border-t pt-3">
+          <div className="flex items-center gap-2">
+            <h4 className="font-semibold">Schedule versions</h4>
+            <select
+              value={version}
+              onChange={(e) => setVersion(e.target.value)}
+              className="p-1 border rounded text-xs"
+            >
+              <option value="">Current (v{loan.scheduleVersion || 1})</option>
+              {versions.map((v) => (
+                <option key={v.version} value={v.version}>
+                  v{v.version} — replaced by {v.reason}{" "}
+                  {new Date(v.replacedAt).toLocaleDateString()}
+                </option>
+              ))}
+            </select>
+          </div>
+          {archived && (
+            <div className="mt-2">
+              <Summary
+                title={`Version ${archived.version} (${archived.tenor} months)`}
+                summary={scheduleSummary(archived.installments)}
+                rate={archived.rate}
+              />
+              <InstallmentTable installments={archived.installments} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,527 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { can } from "../lib/permissions";
+import { METRICS, OPERATORS, RISK_LEVELS } from "../lib/scoring";
+import {
+  activateRuleSet,
+  listRuleSets,
+  publishRuleSet,
+} from "../services/scoringService";
+
+const NEW_ROWS = {
+  factors: {
+    label: "",
+    metric: "income",
+    type: "bands",
+    weight: 1,
+    bands: [{ min: 0, max: "", points: 0 }],
+  },
+  limits: { minIncome: 0, multiplier: 1 },
+  knockouts: {
+    code: "",
+    reason: "",
+    metric: "dti",
+    op: ">",
+    value: 0,
+    riskLevel: "High",
+  },
+  grades: { minScore: 0, riskLevel: "Medium", rate: 18 },
+};
+
+const GENERAL_FIELDS = [
+  ["baseScore", "Base score"],
+  ["minScore", "Min score"],
+  ["maxScore", "Max score"],
+  ["cutoffScore", "Cut-off score"],
+  ["declinedRate", "Declined rate (%)"],
+];
+
+const input = "p-1 border rounded w-full";
+
+function Select({ value, options, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={input}
+    >
+      {options.map(([v, label]) => (
+        <option key={v} value={v}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+const metricOptions = Object.entries(METRICS);
+const riskOptions = RISK_LEVELS.map((r) => [r, r]);
+
+/* Credit team view of the scoring rule sets: version history, rollback and
+   an editor that publishes the edited rules as a new version */
+export default function RuleSetEditor({ staff, pushToast }) {
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState(null); // rule set being edited
+  const [note, setNote] = useState("");
+  const editable = can(staff, "scoring.manage");
+
+  const refresh = useCallback(
+    () =>
+      listRuleSets()
+        .then(setVersions)
+        .catch(() => pushToast("Could not load scoring rules", "error")),
+    [pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const active = versions.find((v) => v.status === "active");
+
+  function setField(name, value) {
+    setDraft((d) => ({ ...d, [name]: value }));
+  }
+  function setRow(section, index, patch) {
+    setDraft((d) => ({
+      ...d,
+      [section]: d[section].map((r, i) =>
+        i === index ? { ...r, ...patch } : r
+      ),
+    }));
+  }
+  function addRow(section) {
+    setDraft((d) => ({
+      ...d,
+      [section]: [...d[section], structuredClone(NEW_ROWS[section])],
+    }));
+  }
+  function removeRow(section, index) {
+    setDraft((d) => ({
+      ...d,
+      [section]: d[section].filter((_, i) => i !== index),
+    }));
+  }
+  function setBands(index, bands) {
+    setRow("factors", index, { bands });
+  }
+
+  async function publish(e) {
+    e?.preventDefault();
+    let saved;
+    try {
+      saved = await publishRuleSet({ actor: staff, ruleSet: draft, note });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`Published rule set v${saved.version}`);
+    setDraft(null);
+    setNote("");
+    refresh();
+  }
+
+  async function activate(id) {
+    let rs;
+    try {
+      rs = await activateRuleSet({ actor: staff, id });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(`Rule set v${rs.version} is now active`);
+    refresh();
+  }
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-lg">Credit scoring rules</h3>
+          <div className="text-xs text-gray-500">
+            {active
+              ? `Active: “${active.name}” v${active.version}`
+              : "No active rule set"}
+          </div>
+        </div>
+        {editable && !draft && active && (
+          <button
+            onClick={() => setDraft(structuredClone(active))}
+            className="px-3 py-1 bg-[#633985] text-white rounded"
+          >
+            Edit as new version
+          </button>
+        )}
+      </div>
+
+      {!draft && (
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs text-gray-600">
+            <tr>
+              <th>Version</th>
+              <th>Name</th>
+              <th>Status</th>
+              <th>Published</th>
+              <th>Note</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map((v) => (
+              <tr key={v.id} className="odd:bg-white even:bg-gray-50">
+                <td className="py-1">v{v.version}</td>
+                <td className="py-1">{v.name}</td>
+                <td className="py-1">{v.status}</td>
+                <td className="py-1 text-xs">
+                  {v.createdAt
+                    ? `${v.createdBy} · ${new Date(
+                        v.createdAt
+                      ).toLocaleString()}`
+                    : "built in"}
+                </td>
+                <td className="py-1 text-xs">{v.note}</td>
+                <td className="py-1 text-right">
+                  {editable && v.status !== "active" && (
+                    <button
+                      onClick={() => activate(v.id)}
+                      className="px-2 py-1 border rounded text-xs"
+                    >
+                      Activate
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {draft && (
+        <form onSubmit={publish} className="text-sm space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+            <label className="block md:col-span-1">
+              <div className="text-xs text-gray-600">Name</div>
+              <input
+                value={draft.name}
+                onChange={(e) => setField("name", e.target.value)}
+                className={input}
+              />
+            </label>
+            {GENERAL_FIELDS.map(([name, label]) => (
+              <label key={name} className="block">
+                <div className="text-xs text-gray-600">{label}</div>
+                <input
+                  type="number"
+                  step="any"
+                  value={draft[name]}
+                  onChange={(e) => setField(name, e.target.value)}
+                  className={input}
+                />
+              </label>
+            ))}
+          </div>
+
+          <section>
+            <h4 className="font-semibold">Scorecard factors</h4>
+            <div className="text-xs text-gray-500 mb-1">
+              Linear: weight × metric. Bands: weight × points of the band the
+              metric falls in (max left blank = no upper limit).
+            </div>
+            {draft.factors.map((f, i) => (
+              <div key={i} className="p-2 border rounded mb-2">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                  <input
+                    value={f.label}
+                    onChange={(e) =>
+                      setRow("factors", i, { label: e.target.value })
+                    }
+                    placeholder="Label"
+                    className={input}
+                  />
+                  <Select
+                    value={f.metric}
+                    options={metricOptions}
+                    onChange={(metric) => setRow("factors", i, { metric })}
+                  />
+                  <Select
+                    value={f.type}
+                    options={[
+                      ["linear", "Linear"],
+                      ["bands", "Bands"],
+                    ]}
+                    onChange={(type) =>
+                      setRow("factors", i, {
+                        type,
+                        bands: f.bands?.length
+                          ? f.bands
+                          : structuredClone(NEW_ROWS.factors.bands),
+                      })
+                    }
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    value={f.weight}
+                    onChange={(e) =>
+                      setRow("factors", i, { weight: e.target.value })
+                    }
+                    title="Weight"
+                    className={input}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeRow("factors", i)}
+                    className="px-2 py-1 border rounded"
+                  >
+                    Remove
+                  </button>
+                </div>
+                {f.type === "bands" && (
+                  <div className="mt-2 pl-4">
+                    {f.bands.map((b, j) => (
+                      <div key={j} className="flex gap-2 mb-1 items-center">
+                        {["min", "max", "points"].map((key) => (
+                          <input
+                            key={key}
+                            type="number"
+                            step="any"
+                            value={b[key] ?? ""}
+                            placeholder={key}
+                            title={key}
+                            onChange={(e) =>
+                              setBands(
+                                i,
+                                f.bands.map((x, k) =>
+                                  k === j ? { ...x, [key]: e.target.value } : x
+                                )
+                              )
+                            }
+                            className="p-1 border rounded w-28"
+                          />
+                        ))}
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setBands(
+                              i,
+                              f.bands.filter((_, k) => k !== j)
+                            )
+                          }
+                          className="text-xs text-red-600"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setBands(i, [
+                          ...f.bands,
+                          { min: "", max: "", points: 0 },
+                        ])
+                      }
+                      className="text-xs underline"
+                    >
+                      Add band
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => addRow("factors")}
+              className="text-xs underline"
+            >
+              Add factor
+            </button>
+          </section>
+
+          <section>
+            <h4 className="font-semibold">Loan limits</h4>
+            <div className="text-xs text-gray-500 mb-1">
+              Max loan = monthly income × multiplier of the highest threshold
+              reached
+            </div>
+            {draft.limits.map((l, i) => (
+              <div key={i} className="flex gap-2 mb-1 items-center">
+                <input
+                  type="number"
+                  value={l.minIncome}
+                  onChange={(e) =>
+                    setRow("limits", i, { minIncome: e.target.value })
+                  }
+                  title="Income from (₦)"
+                  className="p-1 border rounded w-36"
+                />
+                <span>×</span>
+                <input
+                  type="number"
+                  step="any"
+                  value={l.multiplier}
+                  onChange={(e) =>
+                    setRow("limits", i, { multiplier: e.target.value })
+                  }
+                  title="Multiplier"
+                  className="p-1 border rounded w-20"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeRow("limits", i)}
+                  className="text-xs text-red-600"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => addRow("limits")}
+              className="text-xs underline"
+            >
+              Add limit
+            </button>
+          </section>
+
+          <section>
+            <h4 className="font-semibold">Knock-out rules</h4>
+            {draft.knockouts.map((k, i) => (
+              <div
+                key={i}
+                className="grid grid-cols-2 md:grid-cols-7 gap-2 mb-1 items-center"
+              >
+                <input
+                  value={k.code}
+                  onChange={(e) =>
+                    setRow("knockouts", i, { code: e.target.value })
+                  }
+                  placeholder="Reason code"
+                  className={input}
+                />
+                <input
+                  value={k.reason}
+                  onChange={(e) =>
+                    setRow("knockouts", i, { reason: e.target.value })
+                  }
+                  placeholder="Reason shown to staff and borrower"
+                  className={`${input} md:col-span-2`}
+                />
+                <Select
+                  value={k.metric}
+                  options={metricOptions}
+                  onChange={(metric) => setRow("knockouts", i, { metric })}
+                />
+                <div className="flex gap-1">
+                  <Select
+                    value={k.op}
+                    options={OPERATORS.map((o) => [o, o])}
+                    onChange={(op) => setRow("knockouts", i, { op })}
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    value={k.value}
+                    onChange={(e) =>
+                      setRow("knockouts", i, { value: e.target.value })
+                    }
+                    className={input}
+                  />
+                </div>
+                <Select
+                  value={k.riskLevel}
+                  options={riskOptions}
+                  onChange={(riskLevel) =>
+                    setRow("knockouts", i, { riskLevel })
+                  }
+                />
+                <button
+                  type="button"
+                  onClick={() => removeRow("knockouts", i)}
+                  className="text-xs text-red-600"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => addRow("knockouts")}
+              className="text-xs underline"
+            >
+              Add knock-out
+            </button>
+          </section>
+
+          <section>
+            <h4 className="font-semibold">Grades (eligible applicants)</h4>
+            {draft.grades.map((g, i) => (
+              <div key={i} className="flex gap-2 mb-1 items-center">
+                <span className="text-xs">Score ≥</span>
+                <input
+                  type="number"
+                  value={g.minScore}
+                  onChange={(e) =>
+                    setRow("grades", i, { minScore: e.target.value })
+                  }
+                  className="p-1 border rounded w-20"
+                />
+                <div className="w-28">
+                  <Select
+                    value={g.riskLevel}
+                    options={riskOptions}
+                    onChange={(riskLevel) => setRow("grades", i, { riskLevel })}
+                  />
+                </div>
+                <input
+                  type="number"
+                  step="any"
+                  value={g.rate}
+                  onChange={(e) =>
+                    setRow("grades", i, { rate: e.target.value })
+                  }
+                  title="Rate (%)"
+                  className="p-1 border rounded w-20"
+                />
+                <span className="text-xs">%</span>
+                <button
+                  type="button"
+                  onClick={() => removeRow("grades", i)}
+                  className="text-xs text-red-600"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => addRow("grades")}
+              className="text-xs underline"
+            >
+              Add grade
+            </button>
+          </section>
+
+          <div className="flex gap-2 items-center border-t pt-3">
+            <input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="What changed and why"
+              className="p-2 border rounded flex-1"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+            >
+              Publish v{Math.max(...versions.map((v) => v.version)) + 1}
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 border rounded-lg"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+import React, { useState } from "react";
+import { flushSync } from "react-dom";
+import { downloadFile, isoDate, toCsv } from "../lib/export";
+import { scheduleTotals } from "../lib/schedule";
+import { formatCurrency } from "../lib/util";
+import { InstallmentStatus } from "./InstallmentTable";
+
+const PAGE_SIZES = [12, 24, 60];
+
+const CSV_COLUMNS = [
+  { label: "Installment", value: (r) => r.seq },
+  { label: "Due date", value: (r) => isoDate(r.dueDate) },
+  { label: "Payment", value: (r) => r.payment },
+  { label: "Fees", value: (r) => r.fee },
+  { label: "Interest", value: (r) => r.interest },
+  { label: "Principal", value: (r) => r.principal },
+  { label: "Cumulative interest", value: (r) => r.cumulativeInterest },
+  { label: "Cumulative principal", value: (r) => r.cumulativePrincipal },
+  { label: "Balance", value: (r) => r.balance },
+  { label: "Paid", value: (r) => r.paid ?? "" },
+  { label: "Status", value: (r) => r.status ?? "" },
+];
+
+/* Complete repayment schedule with paging, totals and running columns.
+   rows come from installmentRows() or previewRows() (src/lib/schedule.js);
+   details are the lines printed above the schedule. Printing shows every
+   row of this schedule only, so "Save as PDF" gives the borrower a copy. */
+export default function ScheduleViewer({
+  rows,
+  title = "Repayment schedule",
+  details = [],
+  fileName = "schedule",
+}) {
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [page, setPage] = useState(0);
+  const [printing, setPrinting] = useState(false);
+
+  const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(page, pages - 1);
+  const visible = rows.slice(current * pageSize, (current + 1) * pageSize);
+  const totals = scheduleTotals(rows);
+  const hasFees = totals.fee > 0;
+  const hasStatus = rows.some((r) => r.status);
+
+  function exportCsv() {
+    const columns = CSV_COLUMNS.filter(
+      (c) =>
+        (hasFees || c.label !== "Fees") &&
+        (hasStatus || !["Paid", "Status"].includes(c.label))
+    );
+    downloadFile(`${fileName}.csv`, toCsv(columns, rows));
+  }
+
+  function print() {
+    // render every row into the print-only table before the dialog opens
+    flushSync(() => setPrinting(true));
+    window.print();
+    setPrinting(false);
+  }
+
+  function table(list, withTotals) {
+    return (
+      <table className="w-full text-sm">
+        <thead className="text-left text-xs text-gray-500">
+          <tr>
+            <th className="pr-2">#</th>
+            <th className="pr-2">Due</th>
+            <th className="pr-2 text-right">Payment</th>
+            {hasFees && <th className="pr-2 text-right">Fees</th>}
+            <th className="pr-2 text-right">Interest</th>
+            <th className="pr-2 text-right">Principal</th>
+            <th className="pr-2 text-right">Cum. interest</th>
+            <th className="pr-2 text-right">Cum. principal</th>
+            <th className="pr-2 text-right">Balance</th>
+            {hasStatus && <th>Status</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {list.map((r) => (
+            <tr key={r.seq} className="odd:bg-white even:bg-gray-50">
+              <td className="py-1 pr-2">{r.seq}</td>
+              <td className="py-1 pr-2">
+                {new Date(r.dueDate).toLocaleDateString()}
+              </td>
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(r.payment)}
+              </td>
+              {hasFees && (
+                <td className="py-1 pr-2 text-right">
+                  {formatCurrency(r.fee)}
+                </td>
+              )}
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(r.interest)}
+              </td>
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(r.principal)}
+              </td>
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(r.cumulativeInterest)}
+              </td>
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(r.cumulativePrincipal)}
+              </td>
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(r.balance)}
+              </td>
+              {hasStatus && (
+                <td className="py-1">
+                  <InstallmentStatus status={r.status} />
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+        {withTotals && (
+          <tfoot>
+            <tr className="font-semibold border-t">
+              <td className="py-1 pr-2" colSpan={2}>
+                Total
+              </td>
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(totals.payment)}
+              </td>
+              {hasFees && (
+                <td className="py-1 pr-2 text-right">
+                  {formatCurrency(totals.fee)}
+                </td>
+              )}
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(totals.interest)}
+              </td>
+              <td className="py-1 pr-2 text-right">
+                {formatCurrency(totals.principal)}
+              </td>
+              <td colSpan={hasStatus ? 4 : 3}></td>
+            </tr>
+          </tfoot>
+        )}
+      </table>
+    );
+  }
+
+  if (rows.length === 0)
+    return <div className="text-gray-500 text-sm">No schedule on file</div>;
+
+  return (
+    <div className={printing ? "print-section" : undefined}>
+      <div className="print:hidden">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-xs text-gray-600">
+          <div>
+            {rows.length} installments • Interest{" "}
+            <strong>{formatCurrency(totals.interest)}</strong> • Principal{" "}
+            <strong>{formatCurrency(totals.principal)}</strong>
+            {hasFees && (
+              <>
+                {" "}
+                • Fees <strong>{formatCurrency(totals.fee)}</strong>
+              </>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={exportCsv}
+              className="px-2 py-1 border rounded"
+            >
+              Download CSV
+            </button>
+            <button
+              type="button"
+              onClick={print}
+              className="px-2 py-1 border rounded"
+            >
+              Print / PDF
+            </button>
+          </div>
+        </div>
+
+        <div className="overflow-auto">{table(visible, true)}</div>
+
+        {rows.length > PAGE_SIZES[0] && (
+          <div className="flex items-center justify-between mt-2 text-xs">
+            <label className="flex items-center gap-2">
+              Rows per page
+              <select
+                value={pageSize}
+                onChange={(e) => {
+                  setPageSize(Number(e.target.value));
+                  setPage(0);
+                }}
+                className="p-1 border rounded"
+              >
+                {PAGE_SIZES.map((n) => (
+                  <option key={n} value={n}>
+                    {n}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                disabled={current === 0}
+                onClick={() => setPage(current - 1)}
+                className="px-2 py-1 border rounded disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>
+                Page {current + 1} of {pages}
+              </span>
+              <button
+                type="button"
+                disabled={current >= pages - 1}
+                onClick={() => setPage(current + 1)}
+                className="px-2 py-1 border rounded disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {printing && (
+        <div className="hidden print:block">
+          <h2 className="text-xl font-bold">{title}</h2>
+          {details.map((line) => (
+            <div key={line} className="text-sm">
+              {line}
+            </div>
+          ))}
+          <div className="text-xs text-gray-500 mb-3">
+            Printed {new Date().toLocaleString()}
+          </div>
+          {table(rows, true)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import React from "react";
+
+/* Table header that sorts by its field; click again to reverse */
+export default function SortHeader({ field, label, filters, onSort }) {
+  const active = filters.sort === field;
+  return (
+    <th>
+      <button
+        type="button"
+        onClick={() => onSort(field)}
+        className={`text-left ${active ? "text-[#633985] font-semibold" : ""}`}
+      >
+        {label}
+        {active && (filters.order === "asc" ? " ▲" : " ▼")}
+      </button>
+    </th>
+  );
+}
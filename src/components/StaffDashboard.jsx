@@ -0,0 +1,1057 @@
+import React, { Fragment, useCallback, useEffect, useState } from "react";
+import { disbursementBlock } from "../lib/borrowers";
+import { amortizationSchedule } from "../lib/finance";
+import { assessDelinquency } from "../lib/delinquency";
+import { loanBalance } from "../lib/ledger";
+import { ROLES, can, roleOf } from "../lib/permissions";
+import { pathFor, useSearchState } from "../lib/router";
+import { nextInstallment, previewRows } from "../lib/schedule";
+import {
+  LOAN_FILTER_DEFAULTS,
+  hasFilters,
+  nextSort,
+} from "../lib/tableFilters";
+import { formatCurrency } from "../lib/util";
+import { WRITABLE_OFF_STATUSES } from "../lib/writeoff";
+import DelinquencyPanel from "./DelinquencyPanel";
+import DocumentChecklist from "./DocumentChecklist";
+import DocumentReview from "./DocumentReview";
+import EarlySettlement from "./EarlySettlement";
+import InstallmentTable from "./InstallmentTable";
+import Link from "./Link";
+import LoanFilters from "./LoanFilters";
+import LoanLossPanel from "./LoanLossPanel";
+import LoanStatus from "./LoanStatus";
+import Pagination from "./Pagination";
+import PendingApprovals from "./PendingApprovals";
+import PortfolioExport from "./PortfolioExport";
+import ProductCatalog from "./ProductCatalog";
+import ProductSelect from "./ProductSelect";
+import RepaymentLedger from "./RepaymentLedger";
+import RestructureLoan from "./RestructureLoan";
+import RuleSetEditor from "./RuleSetEditor";
+import ScheduleViewer from "./ScheduleViewer";
+import SortHeader from "./SortHeader";
+import TrialBalance from "./TrialBalance";
+import WriteOffLoan from "./WriteOffLoan";
+import {
+  requestAdjustment,
+  requestDisbursement,
+} from "../services/approvalService";
+import { getVerification } from "../services/documentService";
+import { loadPortfolio, searchLoans } from "../services/loanService";
+import { scoreForProduct } from "../services/scoringService";
+
+function installmentSummary(installments = []) {
+  const count = (status) =>
+    installments.filter((i) => i.status === status).length;
+  return `${count("paid")} paid · ${count("partial")} partial · ${count(
+    "outstanding"
+  )} outstanding`;
+}
+
+/* Staff dashboard: disburse loan, view all loans & repayments
+   Enhanced with Eligibility & Review panel (compute eligibility, show amortization)
+   Controls are shown according to the staff member's role (lib/permissions);
+   the services enforce the same permissions.
+*/
+export default function StaffDashboard({ staff, pushToast }) {
+  const [users, setUsers] = useState([]);
+  const [loans, setLoans] = useState([]);
+  const [journal, setJournal] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [openSchedule, setOpenSchedule] = useState(null); // loan id
+  const [openSettlement, setOpenSettlement] = useState(null); // loan id
+  const [openRestructure, setOpenRestructure] = useState(null); // loan id
+  const [openWriteOff, setOpenWriteOff] = useState(null); // loan id
+  const [refreshKey, setRefreshKey] = useState(0); // tells panels to reload
+  const [loanFilters, setLoanFilters] = useSearchState(
+    "loans",
+    LOAN_FILTER_DEFAULTS
+  );
+  const [loanPage, setLoanPage] = useState(null); // searchLoans() result
+
+  const [form, setForm] = useState({
+    borrower: "",
+    product: "",
+    principal: "",
+    tenor: 12,
+    rate: 12,
+  });
+
+  // Eligibility form (separate to avoid clobbering disburse form)
+  const [eligForm, setEligForm] = useState({
+    borrower: "",
+    product: "",
+    income: "",
+    existingObligations: "",
+    desiredLoanAmount: "",
+    tenor: 12,
+    rate: 12,
+  });
+  const [eligResult, setEligResult] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [eligDocs, setEligDocs] = useState(null); // borrower's KYC documents
+
+  const defaultBorrower =
+    users.find((u) => u.role === "borrower")?.username || "";
+  // forms default to the first product on offer
+  const offered = products.filter((p) => p.status === "active");
+  const formProduct = offered.find((p) => p.id === form.product) || offered[0];
+  const eligProduct =
+    offered.find((p) => p.id === eligForm.product) || offered[0];
+  // a tenor the product does not allow falls back to its first tenor
+  const pickTenor = (product, tenor) =>
+    product?.tenors.includes(Number(tenor))
+      ? Number(tenor)
+      : product?.tenors[0];
+  const formTenor = pickTenor(formProduct, form.tenor);
+  const eligTenor = pickTenor(eligProduct, eligForm.tenor);
+  const eligBorrower = eligForm.borrower || defaultBorrower;
+
+  // why the selected borrower cannot be lent to (KYC or standing), if at all
+  function borrowerWarning(username) {
+    const borrower = users.find((u) => u.username === username);
+    const block = borrower && disbursementBlock(borrower);
+    if (!block) return null;
+    return (
+      <div className="text-xs text-orange-700 mt-1">
+        {block} —{" "}
+        <Link to={pathFor("borrower", { username })} className="underline">
+          open profile
+        </Link>
+      </div>
+    );
+  }
+
+  const refreshState = useCallback(
+    () =>
+      loadPortfolio(staff)
+        .then((data) => {
+          setUsers(data.users);
+          setLoans(data.loans);
+          setJournal(data.journal);
+          setProducts(data.products);
+          setRefreshKey((k) => k + 1);
+        })
+        .catch(() =>
+          pushToast("Could not load data from the loan service", "error")
+        ),
+    [staff, pushToast]
+  );
+
+  useEffect(() => {
+    refreshState();
+  }, [refreshState]);
+
+  // the page of the loans table the URL asks for
+  useEffect(() => {
+    let live = true;
+    searchLoans({ actor: staff, filters: loanFilters })
+      .then((result) => live && setLoanPage(result))
+      .catch((err) => live && pushToast(err.message, "error"));
+    return () => {
+      live = false;
+    };
+  }, [staff, loanFilters, refreshKey, pushToast]);
+
+  function sortLoans(field) {
+    setLoanFilters({
+      ...nextSort(loanFilters, field, [
+        "borrowerUsername",
+        "productName",
+        "status",
+      ]),
+      page: "1",
+    });
+  }
+
+  // supporting documents for the borrower in the eligibility card
+  useEffect(() => {
+    if (!eligBorrower) return;
+    let live = true;
+    getVerification({ actor: staff, username: eligBorrower })
+      .then((v) => live && setEligDocs({ username: eligBorrower, ...v }))
+      .catch((err) => live && pushToast(err.message, "error"));
+    return () => {
+      live = false;
+    };
+  }, [staff, eligBorrower, refreshKey, pushToast]);
+  const docs = eligDocs?.username === eligBorrower ? eligDocs : null;
+
+  function onChange(e) {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value }));
+  }
+
+  function onEligChange(e) {
+    const { name, value } = e.target;
+    setEligForm((f) => ({ ...f, [name]: value }));
+  }
+
+  // a new product brings its own tenors and rate range
+  function productTerms(product) {
+    return {
+      product: product.id,
+      tenor: product.tenors[0],
+      rate: product.defaultRate,
+    };
+  }
+
+  async function disburseLoan(e) {
+    e?.preventDefault();
+    const borrowerUsername = form.borrower || defaultBorrower;
+    if (!borrowerUsername) return pushToast("Select borrower", "error");
+    let result;
+    try {
+      result = await requestDisbursement({
+        actor: staff,
+        borrowerUsername,
+        productId: formProduct?.id,
+        principal: form.principal,
+        rate: form.rate,
+        tenor: formTenor,
+      });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    const { loan, pending } = result;
+    pushToast(
+      pending
+        ? `Disbursement of ${formatCurrency(
+            loan.principal
+          )} sent for approval (${pending.reason})`
+        : `Disbursed ${formatCurrency(loan.principal)} to ${
+            loan.borrowerUsername
+          }`
+    );
+    setForm({ ...form, principal: "" });
+    refreshState();
+  }
+
+  // Eligibility flow: compute results and show schedule
+  async function checkEligibility(e) {
+    e?.preventDefault();
+    const data = {
+      income: Number(eligForm.income || 0),
+      existingObligations: Number(eligForm.existingObligations || 0),
+      desiredLoanAmount: Number(eligForm.desiredLoanAmount || 0),
+      tenor: eligTenor,
+    };
+    if (!(eligForm.borrower || defaultBorrower))
+      return pushToast("Select borrower for review", "error");
+    if (!eligProduct) return pushToast("Select a product", "error");
+    if (!data.income || data.income <= 0)
+      return pushToast("Enter valid income", "error");
+    let res;
+    try {
+      res = await scoreForProduct(eligProduct, data);
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    // prefill suggested rate if user hasn't manually set one
+    setEligResult(res);
+    setEligForm((f) => ({ ...f, rate: f.rate || res.defaultRate }));
+    setSchedule(
+      amortizationSchedule(
+        data.desiredLoanAmount,
+        res.defaultRate,
+        data.tenor,
+        {
+          method: eligProduct.interestMethod,
+        }
+      )
+    );
+    pushToast("Eligibility checked");
+  }
+
+  // Approve and disburse based on eligibility output and amortization preview
+  async function approveAndDisburse() {
+    if (!eligResult) return pushToast("Run eligibility first", "error");
+    const borrowerUsername = eligForm.borrower || defaultBorrower;
+    const borrower = users.find((u) => u.username === borrowerUsername);
+    if (!borrower) return pushToast("Borrower not found", "error");
+    const principal = Number(eligForm.desiredLoanAmount || 0);
+    if (!principal || principal <= 0)
+      return pushToast("Invalid principal", "error");
+    // if not eligible, warn but still allow staff override
+    if (!eligResult.isEligible) {
+      const ok = window.confirm(
+        "Borrower is not eligible based on checks. Proceed to disburse anyway?"
+      );
+      if (!ok) return;
+    }
+    const rate = Number(eligForm.rate || eligResult.defaultRate || 12);
+    let pending;
+    try {
+      ({ pending } = await requestDisbursement({
+        actor: staff,
+        borrowerUsername: borrower.username,
+        productId: eligProduct?.id,
+        principal,
+        rate,
+        tenor: eligTenor,
+        eligibilitySnapshot: eligResult,
+        override: !eligResult.isEligible,
+        action: "approved_disbursement",
+        note: `Approved after eligibility check — rate ${rate}%`,
+      }));
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(
+      pending
+        ? `Disbursement sent for second approval (${pending.reason})`
+        : `Approved & disbursed ${formatCurrency(principal)} to ${
+            borrower.username
+          }`
+    );
+    // clear eligibility state
+    setEligForm({
+      borrower: "",
+      product: "",
+      income: "",
+      existingObligations: "",
+      desiredLoanAmount: "",
+      tenor: 12,
+      rate: 12,
+    });
+    setEligResult(null);
+    setSchedule(null);
+    refreshState();
+  }
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-[#633985]">Staff Dashboard</h2>
+        <div className="text-sm text-gray-600">
+          You are: <strong>{staff.username}</strong> ({ROLES[roleOf(staff)]})
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Eligibility & Review Card */}
+        <div className="bg-white rounded-xl shadow p-5">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="font-semibold text-lg">Eligibility & Review</h3>
+              <div className="text-xs text-gray-500">
+                Quick credit check + amortization preview
+              </div>
+            </div>
+            <div className="text-sm text-gray-400">🔎</div>
+          </div>
+
+          <label className="block mb-2">
+            <div className="text-xs text-gray-600">Select borrower</div>
+            <select
+              value={eligForm.borrower || defaultBorrower}
+              name="borrower"
+              onChange={onEligChange}
+              className="w-full p-2 border rounded mt-1"
+            >
+              {users
+                .filter((u) => u.role === "borrower")
+                .map((u) => (
+                  <option key={u.username} value={u.username}>
+                    {u.username} — {u.name}
+                    {disbursementBlock(u) && " (cannot borrow)"}
+                  </option>
+                ))}
+            </select>
+            {borrowerWarning(eligForm.borrower || defaultBorrower)}
+          </label>
+
+          <div className="mb-2">
+            <ProductSelect
+              products={products}
+              value={eligProduct?.id || ""}
+              onChange={(p) => {
+                setEligForm((f) => ({ ...f, ...productTerms(p) }));
+                setEligResult(null);
+              }}
+            />
+          </div>
+
+          <label className="block mb-2">
+            <div className="text-xs text-gray-600">Monthly Income (₦)</div>
+            <input
+              name="income"
+              value={eligForm.income}
+              onChange={onEligChange}
+              className="w-full p-2 border rounded mt-1"
+              placeholder="e.g. 150000"
+            />
+          </label>
+
+          <label className="block mb-2">
+            <div className="text-xs text-gray-600">
+              Existing monthly obligations (₦)
+            </div>
+            <input
+              name="existingObligations"
+              value={eligForm.existingObligations}
+              onChange={onEligChange}
+              className="w-full p-2 border rounded mt-1"
+              placeholder="e.g. 20000"
+            />
+          </label>
+
+          <label className="block mb-2">
+            <div className="text-xs text-gray-600">Desired loan amount (₦)</div>
+            <input
+              name="desiredLoanAmount"
+              value={eligForm.desiredLoanAmount}
+              onChange={onEligChange}
+              className="w-full p-2 border rounded mt-1"
+              placeholder="e.g. 500000"
+            />
+          </label>
+
+          <div className="flex gap-2">
+            <label className="block flex-1">
+              <div className="text-xs text-gray-600">Tenor (months)</div>
+              <select
+                name="tenor"
+                value={eligTenor}
+                onChange={onEligChange}
+                className="w-full p-2 border rounded mt-1"
+              >
+                {eligProduct?.tenors.map((t) => (
+                  <option key={t} value={t}>
+                    {t}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block w-36">
+              <div className="text-xs text-gray-600">Rate (%)</div>
+              <input
+                name="rate"
+                type="number"
+                min={eligProduct?.minRate}
+                max={eligProduct?.maxRate}
+                value={eligForm.rate}
+                onChange={onEligChange}
+                className="w-full p-2 border rounded mt-1"
+              />
+            </label>
+          </div>
+
+          <div className="mt-4 flex gap-2">
+            <button
+              onClick={checkEligibility}
+              className="px-4 py-2 bg-gradient-to-r from-[#7b56b3] to-[#633985] text-white rounded-lg shadow"
+            >
+              Check eligibility
+            </button>
+            <button
+              onClick={() =>
+                setEligForm({
+                  borrower: "",
+                  product: "",
+                  income: "",
+                  existingObligations: "",
+                  desiredLoanAmount: "",
+                  tenor: 12,
+                  rate: 12,
+                })
+              }
+              className="px-4 py-2 border rounded-lg"
+            >
+              Reset
+            </button>
+          </div>
+
+          {/* Eligibility result */}
+          {eligResult && (
+            <div className="mt-4 p-3 bg-gray-50 rounded border">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="text-sm font-medium">
+                    Risk:{" "}
+                    <span
+                      className={`px-2 py-1 rounded text-xs ${
+                        eligResult.riskLevel === "Low"
+                          ? "bg-green-100 text-green-800"
+                          : eligResult.riskLevel === "Medium"
+                          ? "bg-yellow-100 text-yellow-800"
+                          : "bg-red-100 text-red-800"
+                      }`}
+                    >
+                      {eligResult.riskLevel}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-600 mt-1">
+                    DTI: {eligResult.dti}% • Max loan:{" "}
+                    {formatCurrency(eligResult.maxLoan)} • Credit score:{" "}
+                    {eligResult.creditScore}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="text-xs text-gray-500">Checked</div>
+                  <div className="text-sm">
+                    {new Date(eligResult.checkedAt).toLocaleString()}
+                  </div>
+                </div>
+              </div>
+
+              <div className="mt-3 text-sm">
+                <div className="text-gray-700">{eligResult.explanation}</div>
+                {eligResult.reasonCodes?.length > 0 && (
+                  <ul className="mt-2 text-xs text-red-700">
+                    {eligResult.reasonCodes.map((r) => (
+                      <li key={r.code}>
+                        <strong>{r.code}</strong> — {r.reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {eligResult.ruleSet && (
+                  <div className="mt-1 text-xs text-gray-500">
+                    Scored by “{eligResult.ruleSet.name}” v
+                    {eligResult.ruleSet.version}
+                  </div>
+                )}
+                <div className="mt-2">
+                  Suggested rate: <strong>{eligResult.defaultRate}%</strong>
+                </div>
+              </div>
+
+              {docs && (
+                <div className="mt-3 pt-3 border-t">
+                  <div className="text-xs text-gray-600 mb-1">
+                    Supporting documents
+                  </div>
+                  <DocumentChecklist verification={docs} actor={staff} />
+                </div>
+              )}
+
+              <div className="mt-4 flex gap-2 items-center">
+                <button
+                  onClick={() => {
+                    // recompute schedule using selected rate/amount
+                    const principal = Number(eligForm.desiredLoanAmount || 0);
+                    const rate = Number(
+                      eligForm.rate || eligResult.defaultRate || 12
+                    );
+                    const tenor = eligTenor;
+                    if (!principal || principal <= 0)
+                      return pushToast(
+                        "Invalid principal for schedule",
+                        "error"
+                      );
+                    const s = amortizationSchedule(principal, rate, tenor, {
+                      method: eligProduct?.interestMethod,
+                    });
+                    setSchedule(s);
+                    pushToast("Amortization preview updated");
+                  }}
+                  className="px-3 py-2 bg-white border rounded"
+                >
+                  Preview schedule
+                </button>
+
+                {!can(
+                  staff,
+                  "loan.disburse"
+                ) ? null : !docs ? null : docs.block ? (
+                  <div className="ml-auto text-xs text-orange-700 text-right">
+                    Disbursement waits for verified KYC documents
+                  </div>
+                ) : eligResult.isEligible ? (
+                  <button
+                    onClick={approveAndDisburse}
+                    className="ml-auto px-4 py-2 bg-green-600 text-white rounded-lg shadow hover:bg-green-700"
+                  >
+                    Approve & Disburse
+                  </button>
+                ) : !can(staff, "eligibility.override") ? (
+                  <div className="ml-auto text-xs text-gray-500">
+                    Not eligible — a credit approver can override
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => {
+                      // allow override disbursement even if not eligible
+                      const ok = window.confirm(
+                        "Borrower is not eligible. Proceed to Approve & Disburse (override)?"
+                      );
+                      if (ok) approveAndDisburse();
+                    }}
+                    className="ml-auto px-4 py-2 bg-yellow-500 text-white rounded-lg shadow hover:bg-yellow-600"
+                  >
+                    Override & Disburse
+                  </button>
+                )}
+              </div>
+
+              {/* Amortization preview */}
+              {schedule && (
+                <div className="mt-3">
+                  <div className="text-sm font-medium">
+                    Amortization preview
+                  </div>
+                  <div className="text-xs text-gray-600">
+                    {schedule.rows.every((r) => r.payment === schedule.payment)
+                      ? "Monthly"
+                      : "First payment"}
+                    : <strong>{formatCurrency(schedule.payment)}</strong> •
+                    Total interest:{" "}
+                    <strong>{formatCurrency(schedule.totalInterest)}</strong>
+                  </div>
+                  <div className="mt-2">
+                    <ScheduleViewer
+                      rows={previewRows(schedule)}
+                      title="Indicative repayment schedule"
+                      details={[
+                        `Borrower: ${eligForm.borrower || defaultBorrower}`,
+                        `${eligProduct?.name || "Loan"}: ${formatCurrency(
+                          eligForm.desiredLoanAmount
+                        )} at ${
+                          eligForm.rate || eligResult.defaultRate
+                        }% over ${schedule.rows.length} months`,
+                        "Due dates move to the actual disbursement date.",
+                      ]}
+                      fileName={`schedule-preview-${
+                        eligForm.borrower || defaultBorrower
+                      }`}
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white p-5 rounded-xl shadow col-span-2">
+          {/* Disburse quick card */}
+          <form onSubmit={disburseLoan}>
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="font-semibold text-lg">Quick Disburse</h3>
+                <div className="text-xs text-gray-500">
+                  Manually create and disburse a loan
+                </div>
+              </div>
+              <div className="text-sm text-gray-400">💸</div>
+            </div>
+
+            {!can(staff, "loan.disburse") ? (
+              <div className="text-sm text-gray-500">
+                Your role cannot disburse loans.
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div className="md:col-span-3">
+                  <ProductSelect
+                    products={products}
+                    value={formProduct?.id || ""}
+                    onChange={(p) =>
+                      setForm((f) => ({ ...f, ...productTerms(p) }))
+                    }
+                  />
+                </div>
+
+                <label className="block">
+                  <div className="text-xs text-gray-600">Select borrower</div>
+                  <select
+                    value={form.borrower || defaultBorrower}
+                    name="borrower"
+                    onChange={onChange}
+                    className="w-full p-2 border rounded mt-1"
+                  >
+                    {users
+                      .filter((u) => u.role === "borrower")
+                      .map((u) => (
+                        <option key={u.username} value={u.username}>
+                          {u.username} — {u.name}
+                          {disbursementBlock(u) && " (cannot borrow)"}
+                        </option>
+                      ))}
+                  </select>
+                  {borrowerWarning(form.borrower || defaultBorrower)}
+                </label>
+
+                <label className="block">
+                  <div className="text-xs text-gray-600">Principal (₦)</div>
+                  <input
+                    name="principal"
+                    value={form.principal}
+                    onChange={onChange}
+                    className="w-full p-2 border rounded mt-1"
+                  />
+                </label>
+
+                <label className="block">
+                  <div className="text-xs text-gray-600">Tenor (months)</div>
+                  <select
+                    name="tenor"
+                    value={formTenor}
+                    onChange={onChange}
+                    className="w-full p-2 border rounded mt-1"
+                  >
+                    {formProduct?.tenors.map((t) => (
+                      <option key={t} value={t}>
+                        {t}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="block md:col-span-2">
+                  <div className="text-xs text-gray-600">Annual rate (%)</div>
+                  <input
+                    name="rate"
+                    type="number"
+                    min={formProduct?.minRate}
+                    max={formProduct?.maxRate}
+                    value={form.rate}
+                    onChange={onChange}
+                    className="w-full p-2 border rounded mt-1"
+                  />
+                </label>
+
+                <div className="flex items-end gap-2">
+                  <button
+                    className="px-4 py-2 bg-[#633985] text-white rounded-lg shadow"
+                    type="submit"
+                  >
+                    Disburse
+                  </button>
+                  <button
+                    type="button"
+                    className="px-4 py-2 border rounded-lg"
+                    onClick={() => {
+                      setForm({
+                        borrower: "",
+                        product: "",
+                        principal: "",
+                        tenor: 12,
+                        rate: 12,
+                      });
+                    }}
+                  >
+                    Reset
+                  </button>
+                </div>
+              </div>
+            )}
+          </form>
+
+          {/* All loans & ledger; outside the form so their buttons and
+              search boxes cannot submit a disbursement */}
+          <div className="mt-6">
+            <h4 className="font-semibold mb-2">All Loans</h4>
+            <LoanFilters filters={loanFilters} onChange={setLoanFilters} />
+            <div className="overflow-auto">
+              {!loanPage ? null : loanPage.total === 0 ? (
+                <div className="text-gray-500">
+                  {hasFilters(loanFilters, LOAN_FILTER_DEFAULTS)
+                    ? "No loans match these filters"
+                    : "No loans yet"}
+                </div>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead className="text-left text-xs text-gray-600">
+                    <tr>
+                      <SortHeader
+                        field="borrowerUsername"
+                        label="Borrower"
+                        filters={loanFilters}
+                        onSort={sortLoans}
+                      />
+                      <SortHeader
+                        field="productName"
+                        label="Product"
+                        filters={loanFilters}
+                        onSort={sortLoans}
+                      />
+                      <SortHeader
+                        field="principal"
+                        label="Principal"
+                        filters={loanFilters}
+                        onSort={sortLoans}
+                      />
+                      <th>Balance</th>
+                      <SortHeader
+                        field="rate"
+                        label="Rate"
+                        filters={loanFilters}
+                        onSort={sortLoans}
+                      />
+                      <SortHeader
+                        field="tenor"
+                        label="Tenor"
+                        filters={loanFilters}
+                        onSort={sortLoans}
+                      />
+                      <SortHeader
+                        field="status"
+                        label="Status"
+                        filters={loanFilters}
+                        onSort={sortLoans}
+                      />
+                      <th>Installments</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loanPage.items.map((ln) => (
+                      <Fragment key={ln.id}>
+                        <tr className="odd:bg-white even:bg-gray-50">
+                          <td className="py-2">
+                            <Link
+                              to={pathFor("borrower", {
+                                username: ln.borrowerUsername,
+                              })}
+                              className="text-[#633985] underline"
+                            >
+                              {ln.borrowerUsername}
+                            </Link>
+                          </td>
+                          <td className="py-2 text-xs">
+                            {ln.productName || "—"}
+                          </td>
+                          <td className="py-2">
+                            ₦{Number(ln.principal).toLocaleString()}
+                          </td>
+                          <td className="py-2">
+                            ₦{loanBalance(journal, ln.id).toLocaleString()}
+                          </td>
+                          <td className="py-2">{ln.rate}%</td>
+                          <td className="py-2">{ln.tenor}m</td>
+                          <td className="py-2">
+                            <LoanStatus
+                              status={ln.status}
+                              daysPastDue={assessDelinquency(ln).daysPastDue}
+                            />
+                          </td>
+                          <td className="py-2 text-xs">
+                            {installmentSummary(ln.installments)}
+                          </td>
+                          <td className="py-2">
+                            <Link
+                              to={pathFor("loan", { id: ln.id })}
+                              className="inline-block px-2 py-1 border rounded mr-2"
+                            >
+                              View
+                            </Link>
+                            <button
+                              type="button"
+                              className="px-2 py-1 border rounded mr-2"
+                              onClick={() =>
+                                setOpenSchedule((id) =>
+                                  id === ln.id ? null : ln.id
+                                )
+                              }
+                            >
+                              Schedule
+                            </button>
+                            {ln.status !== "written_off" &&
+                              nextInstallment(ln.installments || []) && (
+                                <button
+                                  type="button"
+                                  className="px-2 py-1 border rounded mr-2"
+                                  onClick={() =>
+                                    setOpenSettlement((id) =>
+                                      id === ln.id ? null : ln.id
+                                    )
+                                  }
+                                >
+                                  Payoff
+                                </button>
+                              )}
+                            {can(staff, "loan.restructure") &&
+                              ln.status !== "written_off" &&
+                              nextInstallment(ln.installments || []) && (
+                                <button
+                                  type="button"
+                                  className="px-2 py-1 border rounded mr-2"
+                                  onClick={() =>
+                                    setOpenRestructure((id) =>
+                                      id === ln.id ? null : ln.id
+                                    )
+                                  }
+                                >
+                                  Restructure
+                                </button>
+                              )}
+                            {can(staff, "loan.write_off") &&
+                              WRITABLE_OFF_STATUSES.includes(ln.status) && (
+                                <button
+                                  type="button"
+                                  className="px-2 py-1 border rounded mr-2"
+                                  onClick={() =>
+                                    setOpenWriteOff((id) =>
+                                      id === ln.id ? null : ln.id
+                                    )
+                                  }
+                                >
+                                  Write off
+                                </button>
+                              )}
+                            {can(staff, "loan.adjust") &&
+                              WRITABLE_OFF_STATUSES.includes(ln.status) && (
+                                <button
+                                  type="button"
+                                  className="px-2 py-1 bg-yellow-400 rounded"
+                                  onClick={async () => {
+                                    // manual balance correction — simple prompt
+                                    const amt = Number(
+                                      prompt(
+                                        "Adjust balance by (positive reduces balance):",
+                                        "0"
+                                      )
+                                    );
+                                    if (isNaN(amt) || amt === 0) return;
+                                    let pending;
+                                    try {
+                                      ({ pending } = await requestAdjustment({
+                                        actor: staff,
+                                        loanId: ln.id,
+                                        amount: amt,
+                                      }));
+                                    } catch (err) {
+                                      return pushToast(err.message, "error");
+                                    }
+                                    pushToast(
+                                      pending
+                                        ? `Adjustment on loan ${ln.id} sent for approval`
+                                        : `Adjusted loan ${ln.id}`
+                                    );
+                                    refreshState();
+                                  }}
+                                >
+                                  Adjust
+                                </button>
+                              )}
+                          </td>
+                        </tr>
+                        {openSchedule === ln.id && (
+                          <tr>
+                            <td colSpan={9} className="py-2">
+                              <InstallmentTable
+                                installments={ln.installments}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        {openSettlement === ln.id && (
+                          <tr>
+                            <td colSpan={9} className="py-2">
+                              <EarlySettlement
+                                loan={ln}
+                                actor={staff}
+                                canPay={can(staff, "payment.record")}
+                                pushToast={pushToast}
+                                onDone={() => {
+                                  setOpenSettlement(null);
+                                  refreshState();
+                                }}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        {openRestructure === ln.id && (
+                          <tr>
+                            <td colSpan={9} className="py-2">
+                              <RestructureLoan
+                                loan={ln}
+                                staff={staff}
+                                pushToast={pushToast}
+                                onDone={() => {
+                                  setOpenRestructure(null);
+                                  refreshState();
+                                }}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        {openWriteOff === ln.id && (
+                          <tr>
+                            <td colSpan={9} className="py-2">
+                              <WriteOffLoan
+                                loan={ln}
+                                balance={loanBalance(journal, ln.id)}
+                                staff={staff}
+                                pushToast={pushToast}
+                                onDone={() => {
+                                  setOpenWriteOff(null);
+                                  refreshState();
+                                }}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            {loanPage && (
+              <Pagination
+                result={loanPage}
+                onPage={(page) => setLoanFilters({ page: String(page) })}
+              />
+            )}
+
+            <RepaymentLedger
+              staff={staff}
+              pushToast={pushToast}
+              refreshKey={refreshKey}
+            />
+          </div>
+        </div>
+      </div>
+
+      <PendingApprovals
+        refreshKey={refreshKey}
+        staff={staff}
+        pushToast={pushToast}
+        onDecided={refreshState}
+      />
+
+      {can(staff, "kyc.review") && (
+        <DocumentReview
+          refreshKey={refreshKey}
+          staff={staff}
+          pushToast={pushToast}
+        />
+      )}
+
+      <ProductCatalog
+        staff={staff}
+        products={products}
+        pushToast={pushToast}
+        onSaved={refreshState}
+      />
+
+      <RuleSetEditor staff={staff} pushToast={pushToast} />
+
+      <DelinquencyPanel
+        staff={staff}
+        loans={loans}
+        journal={journal}
+        pushToast={pushToast}
+        onSaved={refreshState}
+      />
+
+      <LoanLossPanel
+        staff={staff}
+        loans={loans}
+        journal={journal}
+        pushToast={pushToast}
+        onSaved={refreshState}
+      />
+
+      {can(staff, "portfolio.export") && (
+        <PortfolioExport staff={staff} pushToast={pushToast} />
+      )}
+
+      {can(staff, "ledger.view") && <TrialBalance journal={journal} />}
+    </div>
+  );
+}
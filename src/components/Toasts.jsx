@@ -0,0 +1,28 @@
+import React from "react";
+
+/* Toasts */
+export default function Toasts({ items, remove }) {
+  return (
+    <div className="fixed top-4 right-4 z-50 space-y-2">
+      {items.map((t) => (
+        <div
+          key={t.id}
+          role="status"
+          className={`px-4 py-2 rounded shadow text-sm flex items-center justify-between gap-4 ${
+            t.type === "error"
+              ? "bg-red-50 text-red-800"
+              : "bg-green-50 text-green-800"
+          }`}
+        >
+          <div>{t.message}</div>
+          <button
+            onClick={() => remove(t.id)}
+            className="opacity-70 hover:opacity-100"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React from "react";
+import { axisMax } from "../lib/analytics";
+import { formatCompact, formatCurrency } from "../lib/util";
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 10, right: 10, bottom: 30, left: 56 };
+const SERIES = [
+  { field: "disbursed", label: "Disbursed", color: "#633985" },
+  { field: "collected", label: "Collected", color: "#16a34a" },
+];
+
+/* Grouped bars of money disbursed and collected per period (rows from
+   portfolioAnalytics().series) */
+export default function TrendChart({ rows }) {
+  const max = axisMax(
+    Math.max(0, ...rows.flatMap((r) => SERIES.map((s) => r[s.field])))
+  );
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const slot = plotW / Math.max(rows.length, 1);
+  const barW = Math.max(1, Math.min(24, (slot * 0.8) / SERIES.length));
+  const y = (v) => PAD.top + plotH - (v / max) * plotH;
+  // label every nth period so the axis stays readable
+  const every = Math.ceil(rows.length / 12);
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label="Disbursements and collections by period"
+      >
+        {[0, 0.25, 0.5, 0.75, 1].map((f) => (
+          <g key={f}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(max * f)}
+              y2={y(max * f)}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={PAD.left - 6}
+              y={y(max * f) + 4}
+              textAnchor="end"
+              fontSize="10"
+              fill="#6b7280"
+            >
+              {formatCompact(max * f)}
+            </text>
+          </g>
+        ))}
+        {rows.map((r, i) => {
+          const x0 = PAD.left + i * slot + (slot - barW * SERIES.length) / 2;
+          return (
+            <g key={r.key}>
+              {SERIES.map((s, j) => (
+                <rect
+                  key={s.field}
+                  x={x0 + j * barW}
+                  y={y(r[s.field])}
+                  width={barW}
+                  height={PAD.top + plotH - y(r[s.field])}
+                  fill={s.color}
+                >
+                  <title>
+                    {r.label} {s.label.toLowerCase()}:{" "}
+                    {formatCurrency(r[s.field])}
+                  </title>
+                </rect>
+              ))}
+              {i % every === 0 && (
+                <text
+                  x={PAD.left + i * slot + slot / 2}
+                  y={HEIGHT - PAD.bottom + 14}
+                  textAnchor="middle"
+                  fontSize="10"
+                  fill="#6b7280"
+                >
+                  {r.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex gap-4 text-xs text-gray-600 mt-1">
+        {SERIES.map((s) => (
+          <span key={s.field} className="flex items-center gap-1">
+            <span
+              className="inline-block w-3 h-3 rounded-sm"
+              style={{ background: s.color }}
+            />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
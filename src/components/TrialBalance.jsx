@@ -0,0 +1,76 @@
+import React from "react";
+import { trialBalance } from "../lib/ledger";
+import { formatCurrency } from "../lib/util";
+
+/* Staff view of the journal: debit/credit balance per account.
+   Total debits must equal total credits — anything else is a bug. */
+export default function TrialBalance({ journal }) {
+  const tb = trialBalance(journal);
+  const balanced = tb.difference === 0;
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-lg">Trial balance</h3>
+          <div className="text-xs text-gray-500">
+            {journal.length} journal entries
+          </div>
+        </div>
+        <span
+          className={`px-2 py-1 rounded text-xs ${
+            balanced ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+          }`}
+        >
+          {balanced
+            ? "Balanced"
+            : `Out of balance by ${formatCurrency(tb.difference)}`}
+        </span>
+      </div>
+
+      {tb.rows.length === 0 ? (
+        <div className="text-gray-500">No journal entries yet</div>
+      ) : (
+        <div className="max-h-72 overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs text-gray-600">
+              <tr>
+                <th>Account</th>
+                <th>Type</th>
+                <th className="text-right">Debit</th>
+                <th className="text-right">Credit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tb.rows.map((r) => (
+                <tr key={r.account} className="odd:bg-white even:bg-gray-50">
+                  <td className="py-1">{r.account}</td>
+                  <td className="py-1 text-gray-500">{r.type}</td>
+                  <td className="py-1 text-right">
+                    {r.debit ? formatCurrency(r.debit) : ""}
+                  </td>
+                  <td className="py-1 text-right">
+                    {r.credit ? formatCurrency(r.credit) : ""}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-semibold border-t">
+                <td className="py-1" colSpan={2}>
+                  Total
+                </td>
+                <td className="py-1 text-right">
+                  {formatCurrency(tb.totalDebit)}
+                </td>
+                <td className="py-1 text-right">
+                  {formatCurrency(tb.totalCredit)}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { assessDelinquency } from "../lib/delinquency";
+import { loanBalance, walletBalance } from "../lib/ledger";
+import { pathFor } from "../lib/router";
+import {
+  installmentDue,
+  nextInstallment,
+  scheduleOutstanding,
+} from "../lib/schedule";
+import { formatCurrency } from "../lib/util";
+import { recoverableBalance } from "../lib/writeoff";
+import {
+  loadPortfolio,
+  payLoan as payLoanService,
+} from "../services/loanService";
+import EarlySettlement from "./EarlySettlement";
+import InstallmentTable from "./InstallmentTable";
+import Link from "./Link";
+import LoanStatus from "./LoanStatus";
+import MyDocuments from "./MyDocuments";
+import WalletHistory from "./WalletHistory";
+import WalletTopUp from "./WalletTopUp";
+
+/* User dashboard: view wallet and its history, top-up through the payment gateway, view loans, pay repayments */
+export default function UserDashboard({ user, pushToast }) {
+  const [loans, setLoans] = useState([]);
+  const [repayments, setRepayments] = useState([]);
+  const [journal, setJournal] = useState([]);
+  const [paymentAmounts, setPaymentAmounts] = useState({}); // loanId -> amount
+  const [openSchedule, setOpenSchedule] = useState(null); // loan id
+  const [openSettlement, setOpenSettlement] = useState(null); // loan id
+
+  // loadPortfolio scopes a borrower to their own loans and repayments
+  const refreshAll = useCallback(
+    () =>
+      loadPortfolio(user)
+        .then((data) => {
+          setLoans(data.loans);
+          setRepayments(data.repayments);
+          setJournal(data.journal);
+        })
+        .catch(() =>
+          pushToast("Could not load data from the loan service", "error")
+        ),
+    [user, pushToast]
+  );
+
+  useEffect(() => {
+    refreshAll();
+  }, [refreshAll]);
+
+  async function payLoan(loanId) {
+    let result;
+    try {
+      result = await payLoanService({
+        actor: user,
+        loanId,
+        amount: paymentAmounts[loanId],
+      });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    refreshAll();
+    pushToast(
+      `Paid ₦${result.repayment.amount.toLocaleString()} toward loan ${loanId}`
+    );
+    // clear input
+    setPaymentAmounts((p) => ({ ...p, [loanId]: "" }));
+  }
+
+  return (
+    <div className="p-4 max-w-6xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-[#633985]">Borrower Dashboard</h2>
+        <div className="text-sm">
+          Hi, <strong>{user.username}</strong>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white p-4 rounded shadow">
+          <h3 className="font-semibold">Wallet</h3>
+          <div className="text-2xl font-bold mt-2">
+            {formatCurrency(walletBalance(journal, user.username))}
+          </div>
+          <WalletTopUp
+            user={user}
+            pushToast={pushToast}
+            onCredited={refreshAll}
+          />
+        </div>
+
+        <div className="bg-white p-4 rounded shadow md:col-span-2">
+          <h3 className="font-semibold">My Loans</h3>
+          <div className="mt-3 space-y-3">
+            {loans.length === 0 ? (
+              <div className="text-gray-500">
+                No active loans —{" "}
+                <Link
+                  to={pathFor("applications")}
+                  className="text-[#633985] underline"
+                >
+                  apply for one
+                </Link>
+              </div>
+            ) : (
+              loans.map((ln) => (
+                <div key={ln.id} className="p-3 border rounded bg-[#f7f6fb]">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <div className="font-semibold">
+                        {ln.productName || "Loan"} {ln.id}{" "}
+                        <LoanStatus
+                          status={ln.status}
+                          daysPastDue={assessDelinquency(ln).daysPastDue}
+                        />
+                      </div>
+                      {ln.status === "written_off" && (
+                        <div className="text-xs text-red-700">
+                          Written off on{" "}
+                          {new Date(ln.writeOff.at).toLocaleDateString()} —{" "}
+                          {formatCurrency(recoverableBalance(ln))} still to
+                          repay
+                        </div>
+                      )}
+                      {ln.status !== "written_off" &&
+                        assessDelinquency(ln).overdueAmount > 0 && (
+                          <div className="text-xs text-red-700">
+                            {formatCurrency(
+                              assessDelinquency(ln).overdueAmount
+                            )}{" "}
+                            overdue — please pay to avoid further penalties
+                          </div>
+                        )}
+                      <div className="text-xs text-gray-600">
+                        Principal: {formatCurrency(ln.principal)} • Balance:{" "}
+                        {formatCurrency(loanBalance(journal, ln.id))} • Rate:{" "}
+                        {ln.rate}% • Tenor: {ln.tenor}m
+                        {ln.fees?.length > 0 &&
+                          ` • Fees: ${ln.fees
+                            .map((f) => `${f.name} ${formatCurrency(f.amount)}`)
+                            .join(", ")}`}
+                      </div>
+                    </div>
+                    <div className="text-sm text-right">
+                      <div>
+                        Monthly:{" "}
+                        <strong>{formatCurrency(ln.monthlyPayment)}</strong>
+                      </div>
+                      {nextInstallment(ln.installments) && (
+                        <div className="text-xs text-gray-600">
+                          Next due{" "}
+                          {new Date(
+                            nextInstallment(ln.installments).dueDate
+                          ).toLocaleDateString()}
+                          :{" "}
+                          {formatCurrency(
+                            installmentDue(nextInstallment(ln.installments))
+                          )}
+                        </div>
+                      )}
+                      <div className="text-xs text-gray-600">
+                        Total owed:{" "}
+                        {formatCurrency(scheduleOutstanding(ln.installments))}
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="mt-2 flex gap-2 items-center">
+                    <input
+                      type="number"
+                      value={paymentAmounts[ln.id] || ""}
+                      onChange={(e) =>
+                        setPaymentAmounts((p) => ({
+                          ...p,
+                          [ln.id]: e.target.value,
+                        }))
+                      }
+                      placeholder="Amount to pay"
+                      className="p-2 border rounded w-48"
+                    />
+                    <button
+                      onClick={() => payLoan(ln.id)}
+                      className="px-3 py-2 bg-[#633985] text-white rounded"
+                    >
+                      Pay from wallet
+                    </button>
+                    <Link
+                      to={pathFor("loan", { id: ln.id })}
+                      className="px-3 py-2 border rounded"
+                    >
+                      Details
+                    </Link>
+                    <button
+                      onClick={() =>
+                        setOpenSchedule((id) => (id === ln.id ? null : ln.id))
+                      }
+                      className="px-3 py-2 border rounded"
+                    >
+                      Installments
+                    </button>
+                    {ln.status !== "written_off" &&
+                      nextInstallment(ln.installments) && (
+                        <button
+                          onClick={() =>
+                            setOpenSettlement((id) =>
+                              id === ln.id ? null : ln.id
+                            )
+                          }
+                          className="px-3 py-2 border rounded"
+                        >
+                          Settle / prepay
+                        </button>
+                      )}
+                  </div>
+
+                  {openSchedule === ln.id && (
+                    <div className="mt-3">
+                      <InstallmentTable installments={ln.installments} />
+                    </div>
+                  )}
+                  {openSettlement === ln.id && (
+                    <div className="mt-3">
+                      <EarlySettlement
+                        loan={ln}
+                        actor={user}
+                        canPay
+                        pushToast={pushToast}
+                        onDone={() => {
+                          setOpenSettlement(null);
+                          refreshAll();
+                        }}
+                      />
+                    </div>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+
+          <div className="mt-4">
+            <h4 className="font-semibold">Repayment history</h4>
+            <div className="mt-2 max-h-48 overflow-auto">
+              {repayments.length === 0 ? (
+                <div className="text-gray-500">No repayments yet</div>
+              ) : (
+                <ul className="text-sm">
+                  {repayments.map((r) => (
+                    <li key={r.id} className="py-1 border-b">
+                      {new Date(r.date).toLocaleString()} — paid ₦
+                      {Number(r.amount).toLocaleString()} (loan {r.loanId})
+                      {r.kind === "recovery" ? (
+                        <span className="text-xs text-gray-500">
+                          {" "}
+                          — toward a written-off loan
+                        </span>
+                      ) : (
+                        r.allocation && (
+                          <span className="text-xs text-gray-500">
+                            {" "}
+                            — fees {formatCurrency(r.allocation.fee)}, interest{" "}
+                            {formatCurrency(r.allocation.interest)}, principal{" "}
+                            {formatCurrency(r.allocation.principal)}
+                          </span>
+                        )
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white p-4 rounded shadow mt-4">
+        <WalletHistory
+          actor={user}
+          username={user.username}
+          pushToast={pushToast}
+          refreshKey={journal.length}
+        />
+      </div>
+
+      <MyDocuments user={user} pushToast={pushToast} />
+    </div>
+  );
+}
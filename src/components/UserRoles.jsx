@@ -0,0 +1,111 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { PERMISSIONS, ROLES, permissionsFor } from "../lib/permissions";
+import { assignRole, listUsers } from "../services/accessService";
+
+/* Admin screen: assign a role to each user and show what it allows */
+export default function UserRoles({ admin, pushToast, onDone }) {
+  const [users, setUsers] = useState([]);
+  const [drafts, setDrafts] = useState({}); // username -> selected role
+
+  const refresh = useCallback(
+    () =>
+      listUsers(admin)
+        .then(setUsers)
+        .catch((err) => pushToast(err.message, "error")),
+    [admin, pushToast]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  async function save(username) {
+    try {
+      await assignRole({ actor: admin, username, role: drafts[username] });
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    setDrafts((d) => {
+      const next = { ...d };
+      delete next[username];
+      return next;
+    });
+    pushToast(`Role updated for ${username}`);
+    refresh();
+  }
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto">
+      <div className="bg-white rounded-xl shadow p-5">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-[#633985]">Users & roles</h2>
+            <div className="text-xs text-gray-500">
+              Changes apply to the user's next action
+            </div>
+          </div>
+          <button onClick={onDone} className="px-3 py-1 border rounded">
+            Back
+          </button>
+        </div>
+
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs text-gray-600">
+            <tr>
+              <th>User</th>
+              <th>Role</th>
+              <th>Permissions</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((u) => {
+              const role = drafts[u.username] ?? u.role;
+              return (
+                <tr key={u.username} className="odd:bg-white even:bg-gray-50">
+                  <td className="py-2">
+                    <div className="font-medium">{u.username}</div>
+                    <div className="text-xs text-gray-500">{u.name}</div>
+                  </td>
+                  <td className="py-2">
+                    <select
+                      value={role}
+                      onChange={(e) =>
+                        setDrafts((d) => ({
+                          ...d,
+                          [u.username]: e.target.value,
+                        }))
+                      }
+                      className="p-2 border rounded"
+                    >
+                      {Object.entries(ROLES).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 text-xs text-gray-600">
+                    {permissionsFor({ role })
+                      .map((p) => PERMISSIONS[p])
+                      .join(" · ") || "Own loans and applications only"}
+                  </td>
+                  <td className="py-2 text-right">
+                    {drafts[u.username] && drafts[u.username] !== u.role && (
+                      <button
+                        onClick={() => save(u.username)}
+                        className="px-3 py-1 bg-[#633985] text-white rounded"
+                      >
+                        Save
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import React from "react";
+import { axisMax } from "../lib/analytics";
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const PAD = { top: 10, right: 10, bottom: 30, left: 44 };
+const COLORS = [
+  "#633985",
+  "#16a34a",
+  "#ea580c",
+  "#2563eb",
+  "#db2777",
+  "#0d9488",
+  "#ca8a04",
+  "#6b7280",
+];
+
+/* Cumulative repayment curves, one line per disbursement cohort (from
+   portfolioAnalytics().vintages) */
+export default function VintageChart({ cohorts }) {
+  const months = Math.max(1, ...cohorts.map((c) => c.points.length - 1));
+  const max = Math.max(
+    100,
+    axisMax(
+      Math.max(0, ...cohorts.flatMap((c) => c.points.map((p) => p.percent)))
+    )
+  );
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const x = (m) => PAD.left + (m / months) * plotW;
+  const y = (v) => PAD.top + plotH - (v / max) * plotH;
+  const color = (i) => COLORS[i % COLORS.length];
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label="Cumulative repayment by months since disbursement"
+      >
+        {[0, 0.25, 0.5, 0.75, 1].map((f) => (
+          <g key={f}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(max * f)}
+              y2={y(max * f)}
+              stroke={max * f === 100 ? "#9ca3af" : "#e5e7eb"}
+            />
+            <text
+              x={PAD.left - 6}
+              y={y(max * f) + 4}
+              textAnchor="end"
+              fontSize="10"
+              fill="#6b7280"
+            >
+              {Math.round(max * f)}%
+            </text>
+          </g>
+        ))}
+        {Array.from({ length: months + 1 }, (_, m) => m)
+          .filter((m) => m % Math.ceil(months / 12) === 0)
+          .map((m) => (
+            <text
+              key={m}
+              x={x(m)}
+              y={HEIGHT - PAD.bottom + 14}
+              textAnchor="middle"
+              fontSize="10"
+              fill="#6b7280"
+            >
+              {m}
+            </text>
+          ))}
+        <text
+          x={PAD.left + plotW / 2}
+          y={HEIGHT - 2}
+          textAnchor="middle"
+          fontSize="10"
+          fill="#6b7280"
+        >
+          Months since disbursement
+        </text>
+        {cohorts.map((c, i) => (
+          <g key={c.cohort}>
+            <polyline
+              points={c.points
+                .map((p) => `${x(p.month)},${y(p.percent)}`)
+                .join(" ")}
+              fill="none"
+              stroke={color(i)}
+              strokeWidth="2"
+            />
+            {c.points.map((p) => (
+              <circle
+                key={p.month}
+                cx={x(p.month)}
+                cy={y(p.percent)}
+                r="2.5"
+                fill={color(i)}
+              >
+                <title>
+                  {c.label}, month {p.month}: {p.percent}% repaid
+                </title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600 mt-1">
+        {cohorts.map((c, i) => (
+          <span key={c.cohort} className="flex items-center gap-1">
+            <span
+              className="inline-block w-3 h-0.5"
+              style={{ background: color(i) }}
+            />
+            {c.label} ({c.loans})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
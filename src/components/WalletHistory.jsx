@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from "react";
+import { downloadFile } from "../lib/export";
+import { PDF_TYPE } from "../lib/pdf";
+import { runQuery } from "../lib/query";
+import { PAGE_SIZE } from "../lib/tableFilters";
+import { formatCurrency } from "../lib/util";
+import {
+  statementCsv,
+  statementFileName,
+  statementPdf,
+} from "../lib/walletStatement";
+import {
+  getWalletHistory,
+  getWalletStatement,
+} from "../services/walletService";
+import Pagination from "./Pagination";
+
+function monthLabel(month) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/* Every wallet credit and debit with a running balance, and a monthly
+   statement to download as CSV or PDF. refreshKey changes when the wallet
+   may have moved. */
+export default function WalletHistory({
+  actor,
+  username,
+  pushToast,
+  refreshKey,
+}) {
+  const [history, setHistory] = useState(null);
+  const [page, setPage] = useState(1);
+  const [month, setMonth] = useState("");
+  const [statement, setStatement] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    getWalletHistory({ actor, username })
+      .then((h) => {
+        if (!live) return;
+        setHistory(h);
+        setMonth((m) => m || h.months[0]);
+      })
+      .catch((err) => pushToast(err.message, "error"));
+    return () => {
+      live = false;
+    };
+  }, [actor, username, refreshKey, pushToast]);
+
+  useEffect(() => {
+    if (!month) return;
+    let live = true;
+    getWalletStatement({ actor, username, month })
+      .then((s) => live && setStatement(s))
+      .catch((err) => pushToast(err.message, "error"));
+    return () => {
+      live = false;
+    };
+  }, [actor, username, month, refreshKey, pushToast]);
+
+  function download(format) {
+    const name = statementFileName(statement);
+    if (format === "pdf")
+      downloadFile(`${name}.pdf`, statementPdf(statement), PDF_TYPE);
+    else downloadFile(`${name}.csv`, statementCsv(statement));
+  }
+
+  if (!history) return null;
+  const ready = statement?.month === month;
+  const result = runQuery(history.transactions, {
+    _page: page,
+    _limit: PAGE_SIZE,
+  });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">Wallet transactions</h3>
+        <div className="text-sm">
+          Balance <strong>{formatCurrency(history.balance)}</strong>
+        </div>
+      </div>
+
+      {history.transactions.length === 0 ? (
+        <div className="text-gray-500 text-sm">No wallet transactions yet</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs text-gray-600">
+              <tr>
+                <th>Date</th>
+                <th>Description</th>
+                <th>Reference</th>
+                <th className="text-right">Debit</th>
+                <th className="text-right">Credit</th>
+                <th className="text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.items.map((t) => (
+                <tr key={t.id} className="odd:bg-white even:bg-gray-50">
+                  <td className="py-1.5 whitespace-nowrap">
+                    {new Date(t.at).toLocaleString()}
+                  </td>
+                  <td className="py-1.5">{t.description}</td>
+                  <td className="py-1.5 text-xs text-gray-500">
+                    {t.reference}
+                  </td>
+                  <td className="py-1.5 text-right text-red-700">
+                    {t.debit ? formatCurrency(t.debit) : ""}
+                  </td>
+                  <td className="py-1.5 text-right text-green-700">
+                    {t.credit ? formatCurrency(t.credit) : ""}
+                  </td>
+                  <td className="py-1.5 text-right">
+                    {formatCurrency(t.balance)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <Pagination result={result} onPage={setPage} />
+        </div>
+      )}
+
+      <div className="mt-4 p-3 border rounded bg-[#f7f6fb] text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-semibold">Monthly statement</span>
+          <select
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+            className="p-1 border rounded"
+          >
+            {history.months.map((m) => (
+              <option key={m} value={m}>
+                {monthLabel(m)}
+              </option>
+            ))}
+          </select>
+          <button
+            disabled={!ready}
+            onClick={() => download("pdf")}
+            className="px-3 py-1 bg-[#633985] text-white rounded disabled:opacity-50"
+          >
+            Download PDF
+          </button>
+          <button
+            disabled={!ready}
+            onClick={() => download("csv")}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Download CSV
+          </button>
+        </div>
+        {ready && (
+          <div className="mt-2 text-xs text-gray-600">
+            Opening {formatCurrency(statement.openingBalance)} • Credits{" "}
+            {formatCurrency(statement.totalCredits)} • Debits{" "}
+            {formatCurrency(statement.totalDebits)} • Closing{" "}
+            {formatCurrency(statement.closingBalance)} •{" "}
+            {statement.transactions.length} transaction(s)
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
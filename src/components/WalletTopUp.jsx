@@ -0,0 +1,265 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { MOCK_TEST_CARDS } from "../data/paymentGateway";
+import { MIN_TOPUP, PAYMENT_METHODS } from "../lib/payments";
+import { formatCurrency } from "../lib/util";
+import {
+  completeMockCheckout,
+  listTopUps,
+  startTopUp,
+  verifyTopUp,
+} from "../services/paymentService";
+
+const STATUS_STYLES = {
+  pending: "bg-amber-100 text-amber-800",
+  success: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  abandoned: "bg-gray-200 text-gray-700",
+};
+
+function PaymentStatus({ status }) {
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[status]}`}>
+      {status}
+    </span>
+  );
+}
+
+/* Top-up through the payment gateway: pick an amount and method, complete
+   the (mock) checkout, and see the outcome of recent attempts. onCredited
+   runs after a successful payment so the wallet balance can refresh. */
+export default function WalletTopUp({ user, pushToast, onCredited }) {
+  const [amount, setAmount] = useState("");
+  const [method, setMethod] = useState("card");
+  const [payments, setPayments] = useState([]);
+  const [openRef, setOpenRef] = useState(null); // checkout being completed
+  const [cardNumber, setCardNumber] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPayments(await listTopUps(user));
+    } catch (err) {
+      pushToast(err.message, "error");
+    }
+  }, [user, pushToast]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  function report(payment) {
+    if (payment.status === "success") {
+      pushToast(`Wallet topped up by ${formatCurrency(payment.amount)}`);
+      onCredited();
+    } else if (payment.status === "failed")
+      pushToast(`Payment failed: ${payment.failureReason}`, "error");
+    else if (payment.status === "abandoned")
+      pushToast("Payment cancelled — your wallet was not charged", "error");
+    else pushToast("Payment is still pending with the gateway");
+    if (payment.status !== "pending") setOpenRef(null);
+  }
+
+  async function run(task) {
+    setBusy(true);
+    try {
+      return await task();
+    } catch (err) {
+      pushToast(err.message, "error");
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  }
+
+  async function start(e) {
+    e.preventDefault();
+    const payment = await run(() =>
+      startTopUp({ actor: user, amount, method })
+    );
+    if (!payment) return;
+    setAmount("");
+    setCardNumber("");
+    setOpenRef(payment.reference);
+  }
+
+  async function checkout(reference, action) {
+    const payment = await run(() =>
+      completeMockCheckout({ actor: user, reference, action, cardNumber })
+    );
+    if (payment) report(payment);
+  }
+
+  async function check(reference) {
+    const payment = await run(() => verifyTopUp({ actor: user, reference }));
+    if (payment) report(payment);
+  }
+
+  const open = payments.find(
+    (p) => p.reference === openRef && p.status === "pending"
+  );
+
+  return (
+    <div className="mt-3">
+      {!open && (
+        <form onSubmit={start} className="space-y-2">
+          <input
+            type="number"
+            min={MIN_TOPUP}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="Amount to top up"
+            className="w-full p-2 border rounded"
+          />
+          <div className="flex gap-3 text-sm">
+            {Object.entries(PAYMENT_METHODS).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  name="topup-method"
+                  checked={method === key}
+                  onChange={() => setMethod(key)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <button
+            disabled={busy}
+            className="px-3 py-2 bg-[#633985] text-white rounded disabled:opacity-50"
+          >
+            Top up
+          </button>
+        </form>
+      )}
+
+      {open && (
+        <div className="p-3 border rounded bg-[#f7f6fb] text-sm space-y-2">
+          <div className="flex justify-between">
+            <strong>
+              {PAYMENT_METHODS[open.method]} — {formatCurrency(open.amount)}
+            </strong>
+            <span className="text-xs text-gray-500">Test gateway</span>
+          </div>
+          <div className="text-xs text-gray-500">Ref {open.reference}</div>
+
+          {open.method === "card" && (
+            <>
+              <input
+                value={cardNumber}
+                onChange={(e) => setCardNumber(e.target.value)}
+                placeholder="Card number"
+                className="w-full p-2 border rounded"
+              />
+              <ul className="text-xs text-gray-600">
+                {[...MOCK_TEST_CARDS].map(([number, card]) => (
+                  <li key={number}>
+                    <button
+                      type="button"
+                      onClick={() => setCardNumber(number)}
+                      className="underline"
+                    >
+                      {number}
+                    </button>{" "}
+                    — {card.label}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {open.method === "transfer" && (
+            <div>
+              Transfer exactly {formatCurrency(open.amount)} to{" "}
+              <strong>{open.checkout.accountNumber}</strong> (
+              {open.checkout.bankName}, {open.checkout.accountName}) before{" "}
+              {new Date(open.checkout.expiresAt).toLocaleTimeString()}.
+            </div>
+          )}
+          {open.method === "ussd" && (
+            <div>
+              Dial <strong>{open.checkout.code}</strong> from the phone linked
+              to your bank account and approve {formatCurrency(open.amount)}.
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              disabled={busy}
+              onClick={() => checkout(open.reference, "pay")}
+              className="px-3 py-1 bg-[#633985] text-white rounded disabled:opacity-50"
+            >
+              {open.method === "card"
+                ? `Pay ${formatCurrency(open.amount)}`
+                : open.method === "transfer"
+                ? "I've sent the money"
+                : "I've approved it"}
+            </button>
+            {open.method !== "card" && (
+              <button
+                disabled={busy}
+                onClick={() => checkout(open.reference, "fail")}
+                className="px-3 py-1 border rounded"
+              >
+                Simulate failure
+              </button>
+            )}
+            <button
+              disabled={busy}
+              onClick={() => check(open.reference)}
+              className="px-3 py-1 border rounded"
+            >
+              Check status
+            </button>
+            <button
+              disabled={busy}
+              onClick={() => checkout(open.reference, "abandon")}
+              className="px-3 py-1 border rounded"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {payments.length > 0 && (
+        <div className="mt-3">
+          <h4 className="text-sm font-semibold">Recent top-ups</h4>
+          <ul className="text-xs divide-y">
+            {payments.slice(0, 5).map((p) => (
+              <li key={p.id} className="py-1.5">
+                <div className="flex items-center justify-between gap-2">
+                  <span>
+                    {formatCurrency(p.amount)} · {PAYMENT_METHODS[p.method]}
+                  </span>
+                  <PaymentStatus status={p.status} />
+                </div>
+                <div className="text-gray-500">
+                  {new Date(p.createdAt).toLocaleString()} · {p.reference}
+                </div>
+                {p.failureReason && (
+                  <div className="text-red-700">{p.failureReason}</div>
+                )}
+                {p.status === "pending" && p.reference !== openRef && (
+                  <div className="flex gap-2 mt-1">
+                    <button
+                      onClick={() => setOpenRef(p.reference)}
+                      className="underline"
+                    >
+                      Continue
+                    </button>
+                    <button
+                      disabled={busy}
+                      onClick={() => check(p.reference)}
+                      className="underline"
+                    >
+                      Check status
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
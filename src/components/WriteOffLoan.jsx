@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { formatCurrency } from "../lib/util";
+import { WRITE_OFF_REASONS } from "../lib/writeoff";
+import { requestWriteOff } from "../services/approvalService";
+
+/* Reason code and note for writing a loan off; goes to a checker unless
+   dual control is off for write-offs */
+export default function WriteOffLoan({
+  loan,
+  balance,
+  staff,
+  pushToast,
+  onDone,
+}) {
+  const [reason, setReason] = useState("");
+  const [note, setNote] = useState("");
+
+  async function submit() {
+    let pending;
+    try {
+      ({ pending } = await requestWriteOff({
+        actor: staff,
+        loanId: loan.id,
+        reason,
+        note,
+      }));
+    } catch (err) {
+      return pushToast(err.message, "error");
+    }
+    pushToast(
+      pending
+        ? `Write-off of loan ${loan.id} sent for approval`
+        : `Loan ${loan.id} written off`
+    );
+    onDone();
+  }
+
+  return (
+    <div className="border rounded p-3 bg-white text-sm flex flex-wrap gap-2 items-end">
+      <div className="w-full text-xs text-gray-600">
+        Writes off {formatCurrency(balance)} of principal. Later payments are
+        tracked as recoveries.
+      </div>
+      <label className="block">
+        <div className="text-xs text-gray-600">Reason</div>
+        <select
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          className="p-2 border rounded mt-1"
+        >
+          <option value="">Choose…</option>
+          {Object.entries(WRITE_OFF_REASONS).map(([code, label]) => (
+            <option key={code} value={code}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="block flex-1">
+        <div className="text-xs text-gray-600">Note</div>
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Collection history, evidence, …"
+          className="w-full p-2 border rounded mt-1"
+        />
+      </label>
+      <button
+        type="button"
+        onClick={submit}
+        className="px-3 py-2 bg-gray-800 text-white rounded"
+      >
+        Request write-off
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+/* IndexedDB file store
+   Uploaded files are kept as Blobs in the browser's IndexedDB, which (unlike
+   localStorage) can hold binary data of a few megabytes. Only the file
+   content lives here, keyed by id; its metadata goes through the repository
+   like any other record, whichever backend is selected.
+*/
+
+const DB_NAME = "demo_files_v1";
+const STORE = "files";
+
+let opening = null;
+
+function openDb() {
+  if (!opening)
+    opening = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined")
+        return reject(new Error("This browser cannot store files"));
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      opening = null;
+      throw err;
+    });
+  return opening;
+}
+
+async function run(mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("File storage aborted"));
+  });
+}
+
+export function putBlob(id, blob) {
+  return run("readwrite", (store) => store.put(blob, id));
+}
+
+export async function getBlob(id) {
+  return (await run("readonly", (store) => store.get(id))) || null;
+}
+
+export function deleteBlob(id) {
+  return run("readwrite", (store) => store.delete(id));
+}
@@ -0,0 +1,72 @@
+/* REST repository backed by axios
+   Expects a loan service exposing, per collection (users, loans, repayments,
+   journal, settings, applications, pending-actions, rule-sets, products,
+   imports, documents, notifications, payments):
+     GET    /<collection>          -> array
+     GET    /<collection>?<query>  -> { items, total, page, limit, pages }
+                                      (parameters in src/lib/query.js)
+     GET    /<collection>/:id      -> record (404 when missing)
+     PUT    /<collection>/:id      -> upsert, returns record
+     POST   /<collection>/batch    -> upsert array, returns array
+     DELETE /<collection>/:id
+   `npm run mock-server` serves this contract locally (see mock-server/).
+*/
+import axios from "axios";
+import { cleanParams } from "../lib/query";
+
+function createHttpCollection(client, resource, idKey) {
+  const path = (id) => `/${resource}/${encodeURIComponent(id)}`;
+  return {
+    async list() {
+      const { data } = await client.get(`/${resource}`);
+      return data;
+    },
+    async query(params) {
+      // an empty query string would return the bare array
+      const { data } = await client.get(`/${resource}`, {
+        params: { _page: 1, ...cleanParams(params) },
+      });
+      return data;
+    },
+    async get(id) {
+      try {
+        const { data } = await client.get(path(id));
+        return data;
+      } catch (err) {
+        if (err.response?.status === 404) return null;
+        throw err;
+      }
+    },
+    async save(item) {
+      const { data } = await client.put(path(item[idKey]), item);
+      return data;
+    },
+    async saveMany(items) {
+      const { data } = await client.post(`/${resource}/batch`, items);
+      return data;
+    },
+    async remove(id) {
+      await client.delete(path(id));
+    },
+  };
+}
+
+export function createHttpRepository({ baseURL, timeout = 10000 }) {
+  const client = axios.create({ baseURL, timeout });
+  return {
+    kind: "http",
+    users: createHttpCollection(client, "users", "username"),
+    loans: createHttpCollection(client, "loans", "id"),
+    repayments: createHttpCollection(client, "repayments", "id"),
+    journal: createHttpCollection(client, "journal", "id"),
+    settings: createHttpCollection(client, "settings", "id"),
+    applications: createHttpCollection(client, "applications", "id"),
+    pendingActions: createHttpCollection(client, "pending-actions", "id"),
+    ruleSets: createHttpCollection(client, "rule-sets", "id"),
+    products: createHttpCollection(client, "products", "id"),
+    imports: createHttpCollection(client, "imports", "id"),
+    documents: createHttpCollection(client, "documents", "id"),
+    notifications: createHttpCollection(client, "notifications", "id"),
+    payments: createHttpCollection(client, "payments", "id"),
+  };
+}
@@ -0,0 +1,95 @@
+/* localStorage-backed repository (the original demo persistence)
+   - Each collection lives under its own key as a JSON array
+   - New records are prepended so lists stay newest-first
+   - query() runs src/lib/query.js over the stored list
+*/
+import { runQuery } from "../lib/query";
+
+export const LS_USERS = "demo_users_v1";
+export const LS_LOANS = "demo_loans_v1";
+export const LS_REPAYMENTS = "demo_repayments_v1";
+export const LS_JOURNAL = "demo_journal_v1";
+export const LS_SETTINGS = "demo_settings_v1";
+export const LS_APPLICATIONS = "demo_applications_v1";
+export const LS_PENDING_ACTIONS = "demo_pending_actions_v1";
+export const LS_RULE_SETS = "demo_rule_sets_v1";
+export const LS_PRODUCTS = "demo_products_v1";
+export const LS_IMPORTS = "demo_imports_v1";
+export const LS_DOCUMENTS = "demo_documents_v1";
+export const LS_NOTIFICATIONS = "demo_notifications_v1";
+export const LS_PAYMENTS = "demo_payments_v1";
+export const LS_SESSION = "demo_session_v1";
+
+export function saveLocal(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or unavailable — the demo keeps running in memory
+  }
+}
+
+export function loadLocal(key, fallback = []) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null") ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function upsert(list, item, idKey) {
+  const idx = list.findIndex((x) => x[idKey] === item[idKey]);
+  if (idx === -1) return [item, ...list];
+  const next = list.slice();
+  next[idx] = item;
+  return next;
+}
+
+function createLocalCollection(key, idKey) {
+  return {
+    async list() {
+      return loadLocal(key, []);
+    },
+    async query(params) {
+      return runQuery(loadLocal(key, []), params);
+    },
+    async get(id) {
+      return loadLocal(key, []).find((x) => x[idKey] === id) || null;
+    },
+    async save(item) {
+      saveLocal(key, upsert(loadLocal(key, []), item, idKey));
+      return item;
+    },
+    async saveMany(items) {
+      // new records keep their relative order at the head of the list
+      let list = loadLocal(key, []);
+      for (const item of [...items].reverse()) list = upsert(list, item, idKey);
+      saveLocal(key, list);
+      return items;
+    },
+    async remove(id) {
+      saveLocal(
+        key,
+        loadLocal(key, []).filter((x) => x[idKey] !== id)
+      );
+    },
+  };
+}
+
+export function createLocalRepository() {
+  return {
+    kind: "local",
+    users: createLocalCollection(LS_USERS, "username"),
+    loans: createLocalCollection(LS_LOANS, "id"),
+    repayments: createLocalCollection(LS_REPAYMENTS, "id"),
+    journal: createLocalCollection(LS_JOURNAL, "id"),
+    settings: createLocalCollection(LS_SETTINGS, "id"),
+    applications: createLocalCollection(LS_APPLICATIONS, "id"),
+    pendingActions: createLocalCollection(LS_PENDING_ACTIONS, "id"),
+    ruleSets: createLocalCollection(LS_RULE_SETS, "id"),
+    products: createLocalCollection(LS_PRODUCTS, "id"),
+    imports: createLocalCollection(LS_IMPORTS, "id"),
+    documents: createLocalCollection(LS_DOCUMENTS, "id"),
+    notifications: createLocalCollection(LS_NOTIFICATIONS, "id"),
+    payments: createLocalCollection(LS_PAYMENTS, "id"),
+  };
+}
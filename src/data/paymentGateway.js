@@ -0,0 +1,156 @@
+/* Payment gateway
+   The app talks to a provider through three calls:
+     initialize({ reference, amount, method, customer }) -> { reference,
+       status: "pending", checkout } where checkout says how to pay
+     verify(reference) -> { reference, status, amount, method, paidAt, message }
+     simulate(reference, { action, cardNumber }) -> webhook payload
+       { event, reference }; mock only, standing in for what the customer
+       does on the provider's side
+   The mock is modelled on Nigerian gateways: cards (with test card numbers),
+   a one-off virtual account for bank transfers and a USSD code. It keeps its
+   own transactions in localStorage under LS_GATEWAY, apart from the app's
+   data, as a real provider would.
+*/
+import { CHECKOUT_TIMEOUT_MS } from "../lib/payments";
+import { nowISO } from "../lib/util";
+import { loadLocal, saveLocal } from "./localStore";
+
+export const LS_GATEWAY = "demo_gateway_v1";
+
+// card number -> outcome when the mock charges it; a Map so the numbers
+// stay strings (as object keys they would be written as unsafe integers)
+export const MOCK_TEST_CARDS = new Map([
+  ["4084084084084081", { status: "success", label: "Successful payment" }],
+  [
+    "5060666666666666666",
+    {
+      status: "failed",
+      label: "Declined: insufficient funds",
+      message: "Insufficient funds",
+    },
+  ],
+  [
+    "4000000000000002",
+    {
+      status: "failed",
+      label: "Declined by the issuing bank",
+      message: "Declined by issuer",
+    },
+  ],
+]);
+
+function digits(count) {
+  let out = "";
+  for (let i = 0; i < count; i++) out += Math.floor(Math.random() * 10);
+  return out;
+}
+
+function checkoutFor(method, customer, expiresAt) {
+  if (method === "transfer")
+    return {
+      bankName: "Mock Bank",
+      accountNumber: `99${digits(8)}`,
+      accountName: `VFD Demo / ${customer}`,
+      expiresAt,
+    };
+  if (method === "ussd")
+    return { code: `*000*${digits(6)}#`, bankName: "Mock Bank", expiresAt };
+  return { expiresAt };
+}
+
+function publicTransaction(t) {
+  return {
+    reference: t.reference,
+    status: t.status,
+    amount: t.amount,
+    method: t.method,
+    paidAt: t.paidAt || null,
+    message: t.message || "",
+  };
+}
+
+export function createMockGateway({ storageKey = LS_GATEWAY } = {}) {
+  const load = () => loadLocal(storageKey, []);
+  const store = (list) => saveLocal(storageKey, list);
+
+  // pending checkouts past their expiry are abandoned
+  function expire(t) {
+    if (t.status !== "pending" || nowISO() < t.expiresAt) return t;
+    return { ...t, status: "abandoned", message: "Checkout expired" };
+  }
+
+  function update(reference, change) {
+    const list = load();
+    const idx = list.findIndex((t) => t.reference === reference);
+    if (idx === -1) throw new Error("Unknown transaction reference");
+    list[idx] = change(expire(list[idx]));
+    store(list);
+    return list[idx];
+  }
+
+  return {
+    kind: "mock",
+
+    async initialize({ reference, amount, method, customer }) {
+      const list = load();
+      if (list.some((t) => t.reference === reference))
+        throw new Error("Duplicate transaction reference");
+      const createdAt = nowISO();
+      const expiresAt = new Date(
+        Date.parse(createdAt) + CHECKOUT_TIMEOUT_MS
+      ).toISOString();
+      const transaction = {
+        reference,
+        amount,
+        method,
+        customer,
+        status: "pending",
+        createdAt,
+        expiresAt,
+        checkout: checkoutFor(method, customer, expiresAt),
+      };
+      store([transaction, ...list]);
+      return { reference, status: "pending", checkout: transaction.checkout };
+    },
+
+    async verify(reference) {
+      return publicTransaction(update(reference, (t) => t));
+    },
+
+    async simulate(reference, { action, cardNumber }) {
+      const t = update(reference, (t) => {
+        if (t.status !== "pending") return t; // settled: nothing changes
+        if (action === "abandon")
+          return {
+            ...t,
+            status: "abandoned",
+            message: "Cancelled by customer",
+          };
+        if (action === "fail")
+          return {
+            ...t,
+            status: "failed",
+            message: "Payment was not approved",
+          };
+        if (t.method === "card") {
+          const card = MOCK_TEST_CARDS.get(
+            String(cardNumber).replace(/\D/g, "")
+          );
+          if (!card)
+            return { ...t, status: "failed", message: "Invalid card number" };
+          if (card.status === "failed")
+            return { ...t, status: "failed", message: card.message };
+        }
+        return {
+          ...t,
+          status: "success",
+          paidAt: nowISO(),
+          message: "Approved",
+        };
+      });
+      return { event: `charge.${t.status}`, reference };
+    },
+  };
+}
+
+export const gateway = createMockGateway();
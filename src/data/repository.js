@@ -0,0 +1,86 @@
+/* Repository selection
+   VITE_DATA_BACKEND=local (default) keeps everything in localStorage;
+   VITE_DATA_BACKEND=http talks to VITE_API_BASE_URL (default "/api",
+   proxied to the mock server by vite.config.js during development).
+*/
+import { createLocalRepository } from "./localStore";
+import { createHttpRepository } from "./httpStore";
+import { hashPassword } from "../lib/auth";
+
+const env = import.meta.env || {};
+
+export const DATA_BACKEND = env.VITE_DATA_BACKEND === "http" ? "http" : "local";
+
+export const repo =
+  DATA_BACKEND === "http"
+    ? createHttpRepository({ baseURL: env.VITE_API_BASE_URL || "/api" })
+    : createLocalRepository();
+
+// complete KYC profiles so the demo borrowers can be lent to straight away
+const DEMO_KYC = {
+  john: {
+    bvn: "22150000001",
+    nin: "70000000001",
+    phone: "+2348030000001",
+    email: "john@example.com",
+    dateOfBirth: "1988-04-12",
+    address: "12 Adeola Odeku Street, Victoria Island, Lagos",
+    employer: "Lagos Logistics Ltd",
+    nextOfKin: {
+      name: "Mary Doe",
+      phone: "+2348030000011",
+      relationship: "Spouse",
+    },
+  },
+  jane: {
+    bvn: "22150000002",
+    nin: "70000000002",
+    phone: "+2348030000002",
+    email: "jane@example.com",
+    dateOfBirth: "1992-09-30",
+    address: "4 Aminu Kano Crescent, Wuse 2, Abuja",
+    employer: "Federal Medical Centre",
+    nextOfKin: {
+      name: "Paul Smith",
+      phone: "+2348030000012",
+      relationship: "Sibling",
+    },
+  },
+};
+
+/* Seed the demo users into an empty store (passwords stored hashed). Once
+   any user exists nothing is re-created, so deleted or renamed demo
+   accounts stay gone. */
+export async function seedDemoIfNeeded() {
+  const users = await repo.users.list();
+  if (users.length > 0) return users;
+  const demo = [
+    ["john", "john123", "John Doe", "borrower"],
+    ["jane", "jane123", "Jane Smith", "borrower"],
+    ["staff", "vfd2024", "Staff Officer", "admin"],
+    ["checker", "vfd2024", "Checking Officer", "credit_approver"],
+    ["officer", "vfd2024", "Loan Officer", "loan_officer"],
+    ["collector", "vfd2024", "Collections Agent", "collections_agent"],
+    ["auditor", "vfd2024", "Internal Auditor", "auditor"],
+  ];
+  const seed = [];
+  for (const [username, password, name, role] of demo) {
+    seed.push({
+      username,
+      credential: await hashPassword(password),
+      name,
+      role,
+      ...(DEMO_KYC[username]
+        ? { status: "active", kyc: DEMO_KYC[username] }
+        : {}),
+    });
+  }
+  await repo.users.saveMany(seed);
+  return seed;
+}
+
+/* Seeding on page load is for the local demo only; a REST backend is seeded
+   on purpose, with the "Seed demo users" button on the sign-in page */
+export function autoSeedDemo() {
+  return DATA_BACKEND === "http" ? Promise.resolve([]) : seedDemoIfNeeded();
+}
@@ -0,0 +1,264 @@
+/* Portfolio analytics
+   Management figures computed from loadPortfolio() data: KPIs, disbursements
+   against collections over time, vintage (cohort) repayment curves and the
+   mix of risk levels recorded at approval. Balances come from the ledger as
+   at the end of the chosen range; delinquency is judged on each loan's
+   current installment schedule as at that date.
+*/
+import { dateBounds } from "./portfolioExport";
+import { monthsBetween } from "./dates";
+import { assessDelinquency, parSummary } from "./delinquency";
+import { loanBalance } from "./ledger";
+import { nowISO } from "./util";
+
+export const RISK_LEVELS = ["Low", "Medium", "High", "Not scored"];
+
+// ranges up to this many days are charted week by week
+const WEEKLY_MAX_DAYS = 92;
+// vintage curves stop after this many months on book
+const VINTAGE_MAX_MONTHS = 24;
+
+const MONTH_NAMES = "Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec".split(
+  " "
+);
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+function inRange(iso, { start, end }) {
+  if (!iso) return false;
+  return (!start || iso >= start) && (!end || iso <= end);
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/* Monday (UTC) of the week an ISO timestamp falls in, as YYYY-MM-DD */
+function weekStart(iso) {
+  const d = new Date(iso.slice(0, 10) + "T00:00:00.000Z");
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function periodKey(iso, granularity) {
+  return granularity === "week" ? weekStart(iso) : iso.slice(0, 7);
+}
+
+export function periodLabel(key) {
+  const [y, m, d] = key.split("-");
+  const month = MONTH_NAMES[Number(m) - 1];
+  return d ? `${Number(d)} ${month}` : `${month} ${y}`;
+}
+
+/* Every period key from start to end inclusive */
+function periodKeys(start, end, granularity) {
+  const keys = [];
+  const d = new Date(periodKey(start, granularity) + "T00:00:00.000Z");
+  const last = periodKey(end, granularity);
+  for (;;) {
+    const key = periodKey(d.toISOString(), granularity);
+    if (key > last) break;
+    keys.push(key);
+    if (granularity === "week") d.setUTCDate(d.getUTCDate() + 7);
+    else d.setUTCMonth(d.getUTCMonth() + 1, 1);
+  }
+  return keys;
+}
+
+function installmentTotals(inst) {
+  return {
+    due:
+      toKobo(inst.feeDue) +
+      toKobo(inst.interestDue) +
+      toKobo(inst.principalDue),
+    paid:
+      toKobo(inst.feePaid) +
+      toKobo(inst.interestPaid) +
+      toKobo(inst.principalPaid),
+  };
+}
+
+/* Headline figures for loans disbursed and money collected in the range.
+   Collection rate = paid ÷ due on installments falling due in the range (up
+   to asOf); PAR30 = outstanding of loans more than 30 days past due ÷ total
+   outstanding. */
+function kpis({ disbursed, loans, collections, closingJournal, start, asOf }) {
+  const amountDisbursed =
+    disbursed.reduce((s, l) => s + toKobo(l.principal), 0) / 100;
+
+  let due = 0;
+  let paid = 0;
+  for (const loan of loans)
+    for (const inst of loan.installments || []) {
+      if (inst.dueDate > asOf || (start && inst.dueDate < start)) continue;
+      const t = installmentTotals(inst);
+      due += t.due;
+      paid += Math.min(t.paid, t.due);
+    }
+
+  const balanceOf = (l) => loanBalance(closingJournal, l.id);
+  const par = parSummary(loans, balanceOf, asOf);
+  const outstanding = loans.reduce((s, l) => s + toKobo(balanceOf(l)), 0) / 100;
+  const atRisk =
+    ["31-60", "61-90", "90+"].reduce(
+      (s, b) => s + toKobo(par[b].outstanding),
+      0
+    ) / 100;
+
+  return {
+    amountDisbursed,
+    loansDisbursed: disbursed.length,
+    averageTicket: disbursed.length
+      ? Math.round(toKobo(amountDisbursed) / disbursed.length) / 100
+      : 0,
+    outstanding,
+    collected: collections.reduce((s, r) => s + toKobo(r.amount), 0) / 100,
+    amountDue: due / 100,
+    amountPaid: paid / 100,
+    collectionRate: percent(paid, due),
+    par30: atRisk,
+    par30Rate: percent(atRisk, outstanding),
+  };
+}
+
+/* Disbursed and collected per period: [{ key, label, disbursed, collected }] */
+function timeSeries(disbursed, collections, start, end, granularity) {
+  const rows = Object.fromEntries(
+    periodKeys(start, end, granularity).map((key) => [
+      key,
+      { key, label: periodLabel(key), disbursed: 0, collected: 0 },
+    ])
+  );
+  const add = (iso, field, amount) => {
+    const row = rows[periodKey(iso, granularity)];
+    if (row) row[field] = (toKobo(row[field]) + toKobo(amount)) / 100;
+  };
+  for (const l of disbursed) add(l.disbursedAt, "disbursed", l.principal);
+  for (const r of collections) add(r.date, "collected", r.amount);
+  return Object.values(rows);
+}
+
+/* One curve per disbursement month: cumulative repayments as a % of the
+   cohort's principal after each month on book, up to the cohort's age */
+function vintages(disbursed, repayments, asOf) {
+  const cohorts = {};
+  const byLoan = {};
+  for (const l of disbursed) {
+    const key = l.disbursedAt.slice(0, 7);
+    cohorts[key] = cohorts[key] || {
+      cohort: key,
+      label: periodLabel(key),
+      loans: 0,
+      principal: 0,
+      start: l.disbursedAt,
+      repaid: [],
+    };
+    const c = cohorts[key];
+    c.loans += 1;
+    c.principal = (toKobo(c.principal) + toKobo(l.principal)) / 100;
+    if (l.disbursedAt < c.start) c.start = l.disbursedAt;
+    byLoan[l.id] = l;
+  }
+
+  for (const r of repayments) {
+    const loan = byLoan[r.loanId];
+    if (!loan || r.date > asOf) continue;
+    const c = cohorts[loan.disbursedAt.slice(0, 7)];
+    const month = Math.max(0, monthsBetween(loan.disbursedAt, r.date));
+    if (month > VINTAGE_MAX_MONTHS) continue;
+    c.repaid[month] = (c.repaid[month] || 0) + toKobo(r.amount);
+  }
+
+  return Object.values(cohorts)
+    .sort((a, b) => (a.cohort < b.cohort ? -1 : 1))
+    .map(({ repaid, start, ...c }) => {
+      const age = Math.min(
+        VINTAGE_MAX_MONTHS,
+        Math.max(0, monthsBetween(start, asOf))
+      );
+      let total = 0;
+      const points = [];
+      for (let month = 0; month <= age; month++) {
+        total += repaid[month] || 0;
+        points.push({ month, percent: percent(total, toKobo(c.principal)) });
+      }
+      return { ...c, points };
+    });
+}
+
+/* Loans, principal and PAR30 count per eligibility risk level */
+function riskDistribution(disbursed, asOf) {
+  const rows = Object.fromEntries(
+    RISK_LEVELS.map((level) => [
+      level,
+      { level, loans: 0, principal: 0, par30Loans: 0 },
+    ])
+  );
+  for (const l of disbursed) {
+    const row = rows[l.eligibilitySnapshot?.riskLevel] || rows["Not scored"];
+    row.loans += 1;
+    row.principal = (toKobo(row.principal) + toKobo(l.principal)) / 100;
+    if (
+      ["active", "overdue", "default"].includes(l.status) &&
+      assessDelinquency(l, asOf).daysPastDue > 30
+    )
+      row.par30Loans += 1;
+  }
+  const total = disbursed.reduce((s, l) => s + toKobo(l.principal), 0);
+  return Object.values(rows).map((r) => ({
+    ...r,
+    share: percent(toKobo(r.principal), total),
+  }));
+}
+
+/* Chart axis maximum: value rounded up to 1, 2 or 5 × a power of ten */
+export function axisMax(value) {
+  if (value <= 0) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  return [1, 2, 5, 10].find((s) => s * power >= value) * power;
+}
+
+/* Everything the analytics page shows, for an optional { from, to } range of
+   YYYY-MM-DD dates. Without a start date the range opens at the first
+   disbursement; without an end date it runs to today. */
+export function portfolioAnalytics(
+  { loans, repayments, journal },
+  { from, to } = {},
+  now = nowISO()
+) {
+  const range = dateBounds({ from, to });
+  const live = loans.filter((l) => l.disbursedAt);
+  const first = live.reduce(
+    (min, l) => (l.disbursedAt < min ? l.disbursedAt : min),
+    now
+  );
+  const start = range.start || first;
+  const end = range.end || now;
+  const asOf = end < now ? end : now;
+
+  const disbursed = live.filter((l) => inRange(l.disbursedAt, range));
+  const booked = live.filter((l) => l.disbursedAt <= asOf);
+  const collections = repayments.filter((r) => inRange(r.date, range));
+  const closingJournal = journal.filter((e) => e.at <= asOf);
+  const granularity =
+    (new Date(end) - new Date(start)) / 86400000 <= WEEKLY_MAX_DAYS
+      ? "week"
+      : "month";
+
+  return {
+    range: { start, end, asOf, granularity },
+    kpis: kpis({
+      disbursed,
+      loans: booked,
+      collections,
+      closingJournal,
+      start: range.start,
+      asOf,
+    }),
+    series: timeSeries(disbursed, collections, start, end, granularity),
+    vintages: vintages(disbursed, repayments, asOf),
+    risk: riskDistribution(disbursed, asOf),
+  };
+}
@@ -0,0 +1,55 @@
+/* Loan application state machine
+   submitted -> under_review -> approved | rejected, approved -> disbursed.
+   Every transition is appended to the application's status history.
+*/
+import { nowISO, uid } from "./util";
+
+export const APPLICATION_STATUSES = [
+  "submitted",
+  "under_review",
+  "approved",
+  "rejected",
+  "disbursed",
+];
+
+const TRANSITIONS = {
+  submitted: ["under_review"],
+  under_review: ["approved", "rejected"],
+  approved: ["disbursed"],
+  rejected: [],
+  disbursed: [],
+};
+
+export function canTransition(application, to) {
+  return (TRANSITIONS[application.status] || []).includes(to);
+}
+
+export function transition(application, to, by, comment) {
+  if (!canTransition(application, to))
+    throw new Error(
+      `Cannot move an application from ${application.status} to ${to}`
+    );
+  const at = nowISO();
+  return {
+    ...application,
+    status: to,
+    updatedAt: at,
+    history: [
+      ...(application.history || []),
+      { status: to, by, at, comment: comment || "" },
+    ],
+    comments: comment
+      ? [...(application.comments || []), { id: uid(), by, at, text: comment }]
+      : application.comments || [],
+  };
+}
+
+export function withComment(application, by, text) {
+  return {
+    ...application,
+    comments: [
+      ...(application.comments || []),
+      { id: uid(), by, at: nowISO(), text },
+    ],
+  };
+}
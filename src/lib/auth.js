@@ -0,0 +1,109 @@
+/* Password hashing and session policy
+   Passwords are stored as salted PBKDF2-SHA256 credentials via WebCrypto;
+   the iteration count is kept on each credential so it can be raised later
+   without invalidating existing ones.
+*/
+
+export const PBKDF2_ITERATIONS = 310000;
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MINUTES = 15;
+export const IDLE_TIMEOUT_MINUTES = 15;
+export const ABSOLUTE_TIMEOUT_HOURS = 8;
+export const MIN_PASSWORD_LENGTH = 8;
+
+const MINUTE_MS = 60 * 1000;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  return crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    256
+  );
+}
+
+export async function hashPassword(password, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derive(password, salt, iterations);
+  return {
+    algorithm: "PBKDF2-SHA256",
+    iterations,
+    salt: toBase64(salt),
+    hash: toBase64(hash),
+  };
+}
+
+export async function verifyPassword(password, credential) {
+  if (!credential?.hash || !credential?.salt) return false;
+  const actual = new Uint8Array(
+    await derive(password, fromBase64(credential.salt), credential.iterations)
+  );
+  const expected = fromBase64(credential.hash);
+  if (actual.length !== expected.length) return false;
+  // compare every byte so timing does not reveal the matching prefix
+  let diff = 0;
+  for (let i = 0; i < actual.length; i++) diff |= actual[i] ^ expected[i];
+  return diff === 0;
+}
+
+export function passwordProblem(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH)
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password))
+    return "Password must contain letters and numbers";
+  return null;
+}
+
+/* Temporary password for accounts created on someone's behalf; always
+   passes passwordProblem (letters and digits, no look-alike characters) */
+export function generatePassword(length = 10) {
+  const letters = "abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ";
+  const digits = "23456789";
+  const all = letters + digits;
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  const chars = Array.from(bytes, (b) => all[b % all.length]);
+  chars[0] = letters[bytes[0] % letters.length];
+  chars[1] = digits[bytes[1] % digits.length];
+  return chars.join("");
+}
+
+export function isLocked(user, now = Date.now()) {
+  return Boolean(user.lockedUntil && new Date(user.lockedUntil) > now);
+}
+
+/* Sessions carry their own timestamps; App checks them on every tick */
+export function createSession(user, now = Date.now()) {
+  const at = new Date(now).toISOString();
+  return {
+    username: user.username,
+    role: user.role,
+    name: user.name,
+    issuedAt: at,
+    lastActiveAt: at,
+  };
+}
+
+export function sessionExpiry(session, now = Date.now()) {
+  if (!session?.issuedAt || !session?.lastActiveAt) return "invalid";
+  if (
+    now - new Date(session.issuedAt) >
+    ABSOLUTE_TIMEOUT_HOURS * 60 * MINUTE_MS
+  )
+    return "absolute";
+  if (now - new Date(session.lastActiveAt) > IDLE_TIMEOUT_MINUTES * MINUTE_MS)
+    return "idle";
+  return null;
+}
@@ -0,0 +1,185 @@
+/* Bulk borrower import from CSV
+   One row per borrower; the loan columns are optional and, when filled,
+   disburse that borrower's first loan straight into their wallet, which
+   needs a complete KYC profile (src/lib/borrowers.js). Header names are matched case-insensitively and may come in any order;
+   unknown columns are ignored. A row is either imported whole (borrower and
+   loan) or not at all.
+*/
+import { passwordProblem } from "./auth";
+import {
+  cleanKyc,
+  kycDuplicates,
+  kycErrors,
+  kycMissing,
+  normalizePhone,
+  usernameProblem,
+} from "./borrowers";
+import { termsProblem } from "./products";
+
+export const IMPORT_COLUMNS = [
+  { key: "username", required: true, hint: "3–32 of a-z, 0-9, . _ -" },
+  { key: "name", required: true, hint: "Full name" },
+  { key: "password", hint: "Generated when empty" },
+  { key: "bvn", hint: "11 digits" },
+  { key: "nin", hint: "11 digits" },
+  { key: "phone", hint: "Nigerian mobile" },
+  { key: "email", hint: "Optional" },
+  { key: "date_of_birth", hint: "YYYY-MM-DD" },
+  { key: "address", hint: "Full address" },
+  { key: "employer", hint: "Employer name" },
+  { key: "next_of_kin_name", hint: "Full name" },
+  { key: "next_of_kin_phone", hint: "Nigerian mobile" },
+  { key: "next_of_kin_relationship", hint: "Spouse, Parent, Sibling, …" },
+  { key: "product_id", hint: "Leave empty for no loan" },
+  { key: "principal", hint: "Required with product_id" },
+  { key: "tenor", hint: "Months; product's shortest when empty" },
+  { key: "rate", hint: "Percent a year; product default when empty" },
+];
+
+export const IMPORT_TEMPLATE = `${IMPORT_COLUMNS.map((c) => c.key).join(
+  ","
+)}\r\nada.obi,Ada Obi,,22151234567,70012345678,08031234567,ada@example.com,1990-05-14,"5 Allen Avenue, Ikeja, Lagos",Ikeja Foods Ltd,Chike Obi,08039876543,Spouse,personal,150000,6,14\r\n`;
+
+// CSV column -> KYC form field (src/lib/borrowers.js)
+const KYC_COLUMNS = {
+  bvn: "bvn",
+  nin: "nin",
+  phone: "phone",
+  email: "email",
+  date_of_birth: "dateOfBirth",
+  address: "address",
+  employer: "employer",
+  next_of_kin_name: "nextOfKinName",
+  next_of_kin_phone: "nextOfKinPhone",
+  next_of_kin_relationship: "nextOfKinRelationship",
+};
+
+/* parseCsv() rows -> [{ line, values: { column: text } }]; line numbers
+   count the header as line 1 */
+export function importRows(table) {
+  if (table.length === 0) throw new Error("The file is empty");
+  const header = table[0].map((h) => h.trim().toLowerCase());
+  const missing = IMPORT_COLUMNS.filter(
+    (c) => c.required && !header.includes(c.key)
+  );
+  if (missing.length)
+    throw new Error(
+      `Missing column${missing.length === 1 ? "" : "s"}: ${missing
+        .map((c) => c.key)
+        .join(", ")}`
+    );
+  return table.slice(1).map((cells, i) => ({
+    line: i + 2,
+    values: Object.fromEntries(
+      IMPORT_COLUMNS.map((c) => {
+        const at = header.indexOf(c.key);
+        return [c.key, at === -1 ? "" : String(cells[at] ?? "").trim()];
+      })
+    ),
+  }));
+}
+
+function loanTerms(values, product) {
+  return {
+    principal: Number(values.principal),
+    tenor: values.tenor ? Number(values.tenor) : product.tenors[0],
+    rate: values.rate ? Number(values.rate) : product.defaultRate,
+  };
+}
+
+// first line each value was used on, to report repeats within the file
+function firstUse(seen, value, line) {
+  if (!value) return null;
+  if (seen.has(value)) return seen.get(value);
+  seen.set(value, line);
+  return null;
+}
+
+/* Check every row and report all of its problems, not just the first.
+   context: { users: existing user records, products, canDisburse,
+   documentsRequired: loans need verified KYC documents (so none here),
+   needsApproval: (principal) => reasons[] from the approval policy } */
+export function validateImport(rows, context) {
+  const usernames = new Set(context.users.map((u) => u.username));
+  const seen = { username: new Map(), bvn: new Map(), phone: new Map() };
+  const report = rows.map(({ line, values }) => {
+    const errors = [];
+    const username = values.username.toLowerCase();
+    const problem = usernameProblem(username);
+    if (problem) errors.push(problem);
+    else if (usernames.has(username))
+      errors.push(`Username ${username} is already taken`);
+    const repeat = firstUse(seen.username, username, line);
+    if (repeat) errors.push(`Username repeats line ${repeat}`);
+
+    if (!values.name) errors.push("Name is required");
+    if (values.password) {
+      const problem = passwordProblem(values.password);
+      if (problem) errors.push(problem);
+    }
+
+    const kycValues = Object.fromEntries(
+      Object.entries(KYC_COLUMNS).map(([column, key]) => [key, values[column]])
+    );
+    errors.push(...Object.values(kycErrors(kycValues)));
+    const kyc = cleanKyc(kycValues);
+    errors.push(...kycDuplicates(context.users, kyc));
+    const bvnRepeat = firstUse(seen.bvn, kyc.bvn, line);
+    if (bvnRepeat) errors.push(`BVN repeats line ${bvnRepeat}`);
+    const phoneRepeat = firstUse(seen.phone, normalizePhone(kyc.phone), line);
+    if (phoneRepeat) errors.push(`Phone repeats line ${phoneRepeat}`);
+
+    let loan = null;
+    const wantsLoan = ["product_id", "principal", "tenor", "rate"].some(
+      (k) => values[k]
+    );
+    if (wantsLoan) {
+      const product = context.products.find((p) => p.id === values.product_id);
+      if (!values.product_id) errors.push("A loan needs a product_id");
+      else if (!product) errors.push(`Unknown product ${values.product_id}`);
+      else if (!values.principal) errors.push("A loan needs a principal");
+      else {
+        const terms = loanTerms(values, product);
+        const problem = termsProblem(product, terms);
+        if (problem) errors.push(problem);
+        else if (context.needsApproval(terms.principal).length)
+          errors.push(
+            `Needs a second approver (${context
+              .needsApproval(terms.principal)
+              .join(", ")}); disburse it from the dashboard instead`
+          );
+        loan = { productId: product.id, productName: product.name, ...terms };
+      }
+      const missing = kycMissing(kyc);
+      if (missing.length)
+        errors.push(
+          `A loan needs a complete KYC profile: ${missing.join(", ")}`
+        );
+      if (context.documentsRequired)
+        errors.push(
+          "A loan needs verified KYC documents; import the borrower alone and disburse after review"
+        );
+      if (!context.canDisburse)
+        errors.push("You are not allowed to disburse loans");
+    }
+
+    return {
+      line,
+      username,
+      name: values.name,
+      kyc,
+      password: values.password,
+      loan,
+      errors,
+    };
+  });
+  const valid = report.filter((r) => r.errors.length === 0);
+  return {
+    rows: report,
+    total: report.length,
+    valid: valid.length,
+    invalid: report.length - valid.length,
+    loans: valid.filter((r) => r.loan).length,
+    principal: valid.reduce((s, r) => s + (r.loan?.principal || 0), 0),
+  };
+}
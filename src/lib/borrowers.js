@@ -0,0 +1,195 @@
+/* Borrower profiles (KYC) and standing
+   KYC details live on the borrower's user record under `kyc`; a profile is
+   complete when every required field is present and well formed. Standing
+   is `status` on the same record (missing means active). Money is only
+   disbursed to active borrowers with a complete profile.
+*/
+
+export const BORROWER_STATUSES = {
+  active: "Active",
+  suspended: "Suspended",
+  blacklisted: "Blacklisted",
+};
+
+export const RELATIONSHIPS = [
+  "Spouse",
+  "Parent",
+  "Child",
+  "Sibling",
+  "Relative",
+  "Friend",
+  "Other",
+];
+
+// in display order; nextOfKin* are stored together under kyc.nextOfKin
+export const KYC_FIELDS = [
+  { key: "bvn", label: "BVN", required: true },
+  { key: "nin", label: "NIN", required: true },
+  { key: "phone", label: "Phone", required: true },
+  { key: "email", label: "Email" },
+  { key: "dateOfBirth", label: "Date of birth", required: true },
+  { key: "address", label: "Address", required: true },
+  { key: "employer", label: "Employer", required: true },
+  { key: "nextOfKinName", label: "Next of kin", required: true },
+  { key: "nextOfKinPhone", label: "Next of kin phone", required: true },
+  {
+    key: "nextOfKinRelationship",
+    label: "Next of kin relationship",
+    required: true,
+  },
+];
+
+export const MIN_BORROWER_AGE = 18;
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function usernameProblem(username) {
+  if (!username) return "Username is required";
+  if (!USERNAME_PATTERN.test(username))
+    return "Username must be 3–32 of a-z, 0-9, . _ -";
+  return null;
+}
+
+export function borrowerStatus(user) {
+  return user?.status || "active";
+}
+
+/* Nigerian mobile numbers in any common spelling (0803…, +234 803…,
+   234-803-…) as +234XXXXXXXXXX, or null when it is not one */
+export function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/[\s()-]/g, "");
+  const m = /^(?:\+?234|0)([789][01]\d{8})$/.exec(digits);
+  return m ? `+234${m[1]}` : null;
+}
+
+function age(dateOfBirth, now) {
+  const dob = new Date(`${dateOfBirth}T00:00:00Z`);
+  const today = new Date(now);
+  let years = today.getUTCFullYear() - dob.getUTCFullYear();
+  const m = today.getUTCMonth() - dob.getUTCMonth();
+  if (m < 0 || (m === 0 && today.getUTCDate() < dob.getUTCDate())) years--;
+  return years;
+}
+
+function fieldProblem(key, value, now) {
+  switch (key) {
+    case "bvn":
+      return /^\d{11}$/.test(value) ? null : "BVN must be 11 digits";
+    case "nin":
+      return /^\d{11}$/.test(value) ? null : "NIN must be 11 digits";
+    case "phone":
+    case "nextOfKinPhone":
+      return normalizePhone(value)
+        ? null
+        : "Enter a Nigerian mobile number, e.g. 08031234567";
+    case "email":
+      return EMAIL_PATTERN.test(value) ? null : "Enter a valid email address";
+    case "dateOfBirth": {
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+        isNaN(Date.parse(`${value}T00:00:00Z`))
+      )
+        return "Use the format YYYY-MM-DD";
+      const years = age(value, now);
+      if (years < MIN_BORROWER_AGE)
+        return `Borrowers must be at least ${MIN_BORROWER_AGE}`;
+      if (years > 120) return "Check the date of birth";
+      return null;
+    }
+    case "address":
+      return value.length >= 10 ? null : "Enter the full address";
+    case "nextOfKinRelationship":
+      return RELATIONSHIPS.includes(value) ? null : "Choose a relationship";
+    default:
+      return null;
+  }
+}
+
+/* Flat form values (KYC_FIELDS keys) <-> the stored kyc object */
+export function kycFormValues(kyc = {}) {
+  return {
+    bvn: kyc.bvn || "",
+    nin: kyc.nin || "",
+    phone: kyc.phone || "",
+    email: kyc.email || "",
+    dateOfBirth: kyc.dateOfBirth || "",
+    address: kyc.address || "",
+    employer: kyc.employer || "",
+    nextOfKinName: kyc.nextOfKin?.name || "",
+    nextOfKinPhone: kyc.nextOfKin?.phone || "",
+    nextOfKinRelationship: kyc.nextOfKin?.relationship || "",
+  };
+}
+
+/* Problems with the values that were filled in, by field key; empty fields
+   are not errors here (see kycMissing) */
+export function kycErrors(values, now = Date.now()) {
+  const errors = {};
+  for (const { key } of KYC_FIELDS) {
+    const value = String(values[key] || "").trim();
+    if (!value) continue;
+    const problem = fieldProblem(key, value, now);
+    if (problem) errors[key] = problem;
+  }
+  return errors;
+}
+
+/* Trimmed, normalised kyc object from form values; call kycErrors first */
+export function cleanKyc(values) {
+  const v = Object.fromEntries(
+    KYC_FIELDS.map((f) => [f.key, String(values[f.key] || "").trim()])
+  );
+  return {
+    bvn: v.bvn,
+    nin: v.nin,
+    phone: normalizePhone(v.phone) || v.phone,
+    email: v.email.toLowerCase(),
+    dateOfBirth: v.dateOfBirth,
+    address: v.address,
+    employer: v.employer,
+    nextOfKin: {
+      name: v.nextOfKinName,
+      phone: normalizePhone(v.nextOfKinPhone) || v.nextOfKinPhone,
+      relationship: v.nextOfKinRelationship,
+    },
+  };
+}
+
+/* Labels of required fields that are empty or invalid */
+export function kycMissing(kyc, now = Date.now()) {
+  const values = kycFormValues(kyc);
+  const errors = kycErrors(values, now);
+  return KYC_FIELDS.filter(
+    (f) => f.required && (!String(values[f.key]).trim() || errors[f.key])
+  ).map((f) => f.label);
+}
+
+/* Other borrowers already holding this BVN or phone number */
+export function kycDuplicates(users, kyc, exceptUsername) {
+  const problems = [];
+  const phone = normalizePhone(kyc.phone);
+  for (const u of users) {
+    if (u.username === exceptUsername || !u.kyc) continue;
+    if (kyc.bvn && u.kyc.bvn === kyc.bvn)
+      problems.push(`BVN is already on file for ${u.username}`);
+    if (phone && normalizePhone(u.kyc.phone) === phone)
+      problems.push(`Phone is already on file for ${u.username}`);
+  }
+  return problems;
+}
+
+/* Why no loan may be disbursed to this borrower, or null */
+export function disbursementBlock(user, now = Date.now()) {
+  const status = borrowerStatus(user);
+  if (status !== "active")
+    return `${user.name || user.username} is ${BORROWER_STATUSES[
+      status
+    ].toLowerCase()}; no disbursements`;
+  const missing = kycMissing(user.kyc, now);
+  if (missing.length)
+    return `KYC profile for ${user.username} is incomplete: ${missing.join(
+      ", "
+    )}`;
+  return null;
+}
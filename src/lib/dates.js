@@ -0,0 +1,34 @@
+/* Calendar helpers shared by schedules and the delinquency engine */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function addMonths(iso, months) {
+  const d = new Date(iso);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  // clamp to the last day of shorter months (31 Jan + 1 month -> 28/29 Feb)
+  const last = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, last));
+  return d.toISOString();
+}
+
+/* Whole calendar days from one date to another (negative if earlier) */
+export function daysBetween(fromISO, toISO) {
+  const from = new Date(fromISO);
+  const to = new Date(toISO);
+  const a = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+  const b = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.floor((b - a) / DAY_MS);
+}
+
+/* Whole months from one date to another, counting a month only once its
+   day of the month is reached (31 Jan -> 28 Feb is 0) */
+export function monthsBetween(fromISO, toISO) {
+  const from = new Date(fromISO);
+  const to = new Date(toISO);
+  const months =
+    (to.getFullYear() - from.getFullYear()) * 12 +
+    (to.getMonth() - from.getMonth());
+  return to.getDate() < from.getDate() ? months - 1 : months;
+}
@@ -0,0 +1,176 @@
+/* Delinquency engine
+   Works off a loan's installment schedule: the oldest unpaid installment past
+   its due date sets days-past-due (DPD), which drives the PAR bucket, late
+   fees / penalty interest and the overdue/default lifecycle statuses.
+   Penalties are added to the installment's feeDue, so payments settle them
+   first (see allocatePayment in ./schedule).
+*/
+import { daysBetween } from "./dates";
+import { installmentDue, installmentStatus } from "./schedule";
+import { nowISO, uid } from "./util";
+
+export const DEFAULT_DELINQUENCY_POLICY = {
+  graceDays: 3, // days after the due date before penalties and "overdue"
+  lateFeeFlat: 0, // ₦ charged once per late installment
+  lateFeePercent: 5, // % of the installment amount charged once when late
+  penaltyRatePercent: 0, // annual rate accrued daily on overdue principal
+  defaultAfterDays: 90, // DPD at which the loan moves to "default"
+};
+
+export const PAR_BUCKETS = ["current", "1-30", "31-60", "61-90", "90+"];
+
+// share of each bucket's outstanding principal expected to be lost
+export const DEFAULT_PROVISIONING_RATES = {
+  current: 1,
+  "1-30": 5,
+  "31-60": 25,
+  "61-90": 50,
+  "90+": 100,
+};
+
+// statuses the engine is allowed to move between
+const DELINQUENCY_STATUSES = ["active", "overdue", "default"];
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+export function parBucket(dpd) {
+  if (dpd <= 0) return "current";
+  if (dpd <= 30) return "1-30";
+  if (dpd <= 60) return "31-60";
+  if (dpd <= 90) return "61-90";
+  return "90+";
+}
+
+function pastDue(installments, asOf) {
+  return installments.filter(
+    (inst) =>
+      installmentStatus(inst) !== "paid" && daysBetween(inst.dueDate, asOf) > 0
+  );
+}
+
+/* Read-only assessment of where a loan stands on a given date */
+export function assessDelinquency(loan, asOf = nowISO()) {
+  const late = pastDue(loan.installments || [], asOf);
+  const dpd = late.length ? daysBetween(late[0].dueDate, asOf) : 0;
+  const overdueAmount =
+    late.reduce((s, inst) => s + toKobo(installmentDue(inst)), 0) / 100;
+  return {
+    daysPastDue: dpd,
+    bucket: parBucket(dpd),
+    overdueAmount,
+    installmentsLate: late.length,
+  };
+}
+
+export function delinquencyStatus(loan, dpd, policy) {
+  if (!DELINQUENCY_STATUSES.includes(loan.status)) return loan.status;
+  if (dpd >= policy.defaultAfterDays) return "default";
+  if (dpd > policy.graceDays) return "overdue";
+  return "active";
+}
+
+/* Apply late fees, accrue penalty interest and move the loan between
+   active/overdue/default. Returns { loan, changed } without mutating input. */
+export function applyDelinquency(loan, policy, asOf = nowISO(), by = "system") {
+  if (!DELINQUENCY_STATUSES.includes(loan.status) || !loan.installments)
+    return { loan, changed: false };
+  const next = {
+    ...loan,
+    installments: loan.installments.map((i) => ({ ...i })),
+    actions: [...(loan.actions || [])],
+  };
+  let changed = false;
+
+  for (const inst of next.installments) {
+    if (installmentStatus(inst) === "paid") continue;
+    const late = daysBetween(inst.dueDate, asOf);
+    if (late <= policy.graceDays) continue;
+
+    if (!inst.lateFeeAppliedAt) {
+      const fee =
+        Math.round(
+          toKobo(policy.lateFeeFlat) +
+            (toKobo(installmentDue(inst)) *
+              Number(policy.lateFeePercent || 0)) /
+              100
+        ) / 100;
+      inst.lateFeeAppliedAt = asOf;
+      if (fee > 0) {
+        inst.lateFee = fee;
+        inst.feeDue = (toKobo(inst.feeDue) + toKobo(fee)) / 100;
+        next.actions.push({
+          id: uid(),
+          action: "late_fee",
+          by,
+          at: asOf,
+          note: `Late fee ${fee} on installment ${inst.seq}`,
+        });
+      }
+      changed = true;
+    }
+
+    const rate = Number(policy.penaltyRatePercent || 0);
+    if (rate > 0) {
+      // accrue from the end of the grace period (or the last accrual) to asOf
+      const from = inst.penaltyAccruedTo || inst.dueDate;
+      const startDay = inst.penaltyAccruedTo ? 0 : policy.graceDays;
+      const days = daysBetween(from, asOf) - startDay;
+      const overduePrincipal =
+        toKobo(inst.principalDue) - toKobo(inst.principalPaid);
+      if (days > 0 && overduePrincipal > 0) {
+        const penalty = Math.round(
+          (overduePrincipal * rate * days) / 100 / 365
+        );
+        inst.penaltyInterest = (toKobo(inst.penaltyInterest) + penalty) / 100;
+        inst.feeDue = (toKobo(inst.feeDue) + penalty) / 100;
+        inst.penaltyAccruedTo = asOf;
+        changed = true;
+      }
+    }
+    inst.status = installmentStatus(inst);
+  }
+
+  const { daysPastDue } = assessDelinquency(next, asOf);
+  const status = delinquencyStatus(next, daysPastDue, policy);
+  if (status !== next.status) {
+    next.actions.push({
+      id: uid(),
+      action: "status_change",
+      by,
+      at: asOf,
+      note: `${next.status} → ${status} (${daysPastDue} days past due)`,
+    });
+    next.status = status;
+    changed = true;
+  }
+  return { loan: changed ? next : loan, changed };
+}
+
+/* Loan-loss provision per PAR bucket: outstanding × the bucket's rate.
+   Returns { rows: [{ bucket, count, outstanding, rate, provision }], total } */
+export function provisionSummary(par, rates = DEFAULT_PROVISIONING_RATES) {
+  const rows = PAR_BUCKETS.map((bucket) => {
+    const rate = Number(rates[bucket] || 0);
+    const provision =
+      Math.round((toKobo(par[bucket].outstanding) * rate) / 100) / 100;
+    return { bucket, ...par[bucket], rate, provision };
+  });
+  const total = rows.reduce((s, r) => s + toKobo(r.provision), 0) / 100;
+  return { rows, total };
+}
+
+/* Portfolio-at-risk summary: loan count and outstanding principal per bucket */
+export function parSummary(loans, balanceOf, asOf = nowISO()) {
+  const summary = Object.fromEntries(
+    PAR_BUCKETS.map((b) => [b, { count: 0, outstanding: 0 }])
+  );
+  for (const loan of loans) {
+    if (!DELINQUENCY_STATUSES.includes(loan.status)) continue;
+    const { bucket } = assessDelinquency(loan, asOf);
+    summary[bucket].count += 1;
+    summary[bucket].outstanding += Number(balanceOf(loan) || 0);
+  }
+  return summary;
+}
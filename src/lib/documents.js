@@ -0,0 +1,93 @@
+/* KYC documents
+   Borrowers upload one file per document type; a new upload of the same
+   type replaces the earlier one for verification purposes (the old record
+   is kept for the audit trail). Each upload is pending until a reviewer
+   approves or rejects it. A borrower is verified when the latest upload of
+   every required type is approved.
+*/
+
+export const DOCUMENT_TYPES = {
+  id_card: "Government ID card",
+  payslip: "Recent payslip",
+  utility_bill: "Utility bill (proof of address)",
+};
+
+export const DOCUMENT_STATUSES = ["pending", "approved", "rejected"];
+
+export const ACCEPTED_FILE_TYPES = {
+  "image/jpeg": "JPEG",
+  "image/png": "PNG",
+  "image/webp": "WebP",
+  "application/pdf": "PDF",
+};
+
+export const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+export const DEFAULT_DOCUMENT_POLICY = {
+  requiredTypes: Object.keys(DOCUMENT_TYPES),
+  // when on, no disbursement until verified; off by default so borrowers
+  // from before documents existed can still borrow until staff opt in
+  requireForDisbursement: false,
+};
+
+export function fileSizeLabel(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/* First reason a file cannot be uploaded, or null */
+export function fileProblem(file) {
+  if (!file) return "Choose a file";
+  if (!ACCEPTED_FILE_TYPES[file.type])
+    return "Upload a JPEG, PNG, WebP or PDF file";
+  if (file.size === 0) return "The file is empty";
+  if (file.size > MAX_DOCUMENT_BYTES)
+    return `Files can be at most ${fileSizeLabel(MAX_DOCUMENT_BYTES)}`;
+  return null;
+}
+
+/* Latest upload per type for one borrower's documents */
+export function latestByType(documents) {
+  const latest = {};
+  for (const d of documents)
+    if (!latest[d.type] || d.uploadedAt > latest[d.type].uploadedAt)
+      latest[d.type] = d;
+  return latest;
+}
+
+/* { status, latest, missing, pending, rejected } where status is
+   "verified", "rejected" (a required document was refused), "pending"
+   (waiting for review) or "incomplete" (something not uploaded yet) */
+export function verificationSummary(
+  documents,
+  policy = DEFAULT_DOCUMENT_POLICY
+) {
+  const latest = latestByType(documents);
+  const of = (status) =>
+    policy.requiredTypes.filter((t) => latest[t]?.status === status);
+  const missing = policy.requiredTypes.filter((t) => !latest[t]);
+  const pending = of("pending");
+  const rejected = of("rejected");
+  const status = rejected.length
+    ? "rejected"
+    : missing.length
+    ? "incomplete"
+    : pending.length
+    ? "pending"
+    : "verified";
+  return { status, latest, missing, pending, rejected };
+}
+
+/* Why documents stop a disbursement, or null */
+export function documentBlock(summary, policy = DEFAULT_DOCUMENT_POLICY) {
+  if (!policy.requireForDisbursement || summary.status === "verified")
+    return null;
+  const names = (types) => types.map((t) => DOCUMENT_TYPES[t]).join(", ");
+  const parts = [
+    summary.rejected.length && `rejected: ${names(summary.rejected)}`,
+    summary.missing.length && `not uploaded: ${names(summary.missing)}`,
+    summary.pending.length && `awaiting review: ${names(summary.pending)}`,
+  ].filter(Boolean);
+  return `KYC documents are not verified (${parts.join("; ")})`;
+}
@@ -0,0 +1,75 @@
+/* CSV files in and out
+   Columns are [{ label, value: (row) => cell }]. Numbers are written
+   unformatted so spreadsheets can sum them. parseCsv reads uploads back
+   (RFC 4180: quoted fields, doubled quotes, CRLF or LF line ends).
+*/
+
+// spreadsheets run cells starting with these as formulas; a leading quote
+// keeps them text. Plain numbers such as -12.50 are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map((c) => csvCell(c.label)).join(","),
+    ...rows.map((row) => columns.map((c) => csvCell(c.value(row))).join(",")),
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
+
+/* Rows of string cells; blank lines are dropped */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (quoted) throw new Error("The file ends inside a quoted field");
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/* Hand a generated file to the browser as a download */
+export function downloadFile(filename, content, type = "text/csv") {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* YYYY-MM-DD for file names and CSV date columns */
+export function isoDate(iso) {
+  return String(iso || "").slice(0, 10);
+}
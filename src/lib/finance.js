@@ -0,0 +1,116 @@
+import { addMonths, daysBetween } from "./dates";
+import { DEFAULT_RULE_SET, evaluateRuleSet } from "./scoring";
+import { nowISO } from "./util";
+
+/* Finance helpers (eligibility & amortization)
+   Eligibility is scored by a rule set (src/lib/scoring.js); callers pass the
+   active one from scoringService, the original rules are the fallback */
+export function computeEligibility(
+  { income = 0, existingObligations = 0, desiredLoanAmount = 0, tenor = 12 },
+  ruleSet = DEFAULT_RULE_SET
+) {
+  income = Number(income || 0);
+  existingObligations = Number(existingObligations || 0);
+  desiredLoanAmount = Number(desiredLoanAmount || 0);
+  tenor = Number(tenor || 12);
+  return {
+    ...evaluateRuleSet(ruleSet, {
+      income,
+      existingObligations,
+      desiredLoanAmount,
+      tenor,
+    }),
+    explanation: `Income ${income.toLocaleString()}, obligations ${existingObligations.toLocaleString()}, tenor ${tenor} months`,
+    checkedAt: nowISO(),
+  };
+}
+
+export const INTEREST_METHODS = {
+  reducing_balance: "Reducing balance (annuity)",
+  flat: "Flat rate",
+  interest_only: "Interest only, principal at maturity",
+  equal_principal: "Equal principal (declining payments)",
+  daily_actual_365: "Reducing balance, daily actual/365",
+};
+
+/* Repayment schedule for a loan
+   All arithmetic is in kobo; each row's interest is rounded to the kobo and
+   the final row takes whatever principal is left, so the balance ends at
+   exactly zero. Due dates fall monthly from startDate (the disbursement
+   date, or today for a preview).
+   - reducing_balance: level payment, interest on the balance at rate/12
+   - flat: interest on the original principal for the whole tenor, spread
+     evenly with the principal
+   - interest_only: interest each month, all principal in the last row
+   - equal_principal: same principal each month, interest on the balance
+   - daily_actual_365: level payment as reducing_balance, but each row's
+     interest accrues for the actual days in the period over 365
+   `payment` is the first row's payment (the level payment where there is
+   one). */
+export function amortizationSchedule(
+  principal,
+  annualRatePercent,
+  months,
+  { method = "reducing_balance", startDate = nowISO() } = {}
+) {
+  const P = Math.round(Number(principal || 0) * 100);
+  const n = Math.max(1, Number(months || 1));
+  const annual = Number(annualRatePercent || 0) / 100;
+  const r = annual / 12;
+
+  let level = 0; // kobo, for the level-payment methods
+  if (method === "reducing_balance" || method === "daily_actual_365")
+    level = Math.round(r === 0 ? P / n : (P * r) / (1 - Math.pow(1 + r, -n)));
+  const flatInterest = Math.round((P * annual * n) / 12);
+
+  const rows = [];
+  let balance = P;
+  let interestLeft = flatInterest;
+  let previous = startDate;
+  for (let i = 1; i <= n; i++) {
+    const dueDate = addMonths(startDate, i);
+    const last = i === n;
+    let interest;
+    let principalPaid;
+    if (method === "flat") {
+      interest = last ? interestLeft : Math.round(flatInterest / n);
+      principalPaid = Math.round(P / n);
+    } else if (method === "interest_only") {
+      interest = Math.round(balance * r);
+      principalPaid = 0;
+    } else if (method === "equal_principal") {
+      interest = Math.round(balance * r);
+      principalPaid = Math.round(P / n);
+    } else if (method === "daily_actual_365") {
+      interest = Math.round(
+        (balance * annual * daysBetween(previous, dueDate)) / 365
+      );
+      principalPaid = level - interest;
+    } else {
+      interest = Math.round(balance * r);
+      principalPaid = level - interest;
+    }
+    // never overshoot, and clear whatever is left on the final row
+    principalPaid = last
+      ? balance
+      : Math.max(0, Math.min(balance, principalPaid));
+    balance -= principalPaid;
+    interestLeft -= interest;
+    previous = dueDate;
+    rows.push({
+      month: i,
+      dueDate,
+      payment: (principalPaid + interest) / 100,
+      principalPaid: principalPaid / 100,
+      interest: interest / 100,
+      balance: balance / 100,
+    });
+  }
+  return {
+    method,
+    payment: rows[0].payment,
+    totalInterest:
+      rows.reduce((s, row) => s + Math.round(row.interest * 100), 0) / 100,
+    rows,
+  };
+}
@@ -0,0 +1,310 @@
+/* Double-entry journal
+   Every balance change is a journal entry whose lines debit and credit named
+   accounts by the same total. Balances are never stored — they are folded from
+   the journal, so a trial balance over all accounts always nets to zero.
+
+   Accounts
+   - cash                    asset      funding account (top-ups land here)
+   - loan_receivable:<id>    asset      principal owed on a loan
+   - wallet:<username>       liability  money held for a borrower
+   - interest_income         income
+   - fee_income              income
+   - adjustments             expense    manual balance adjustments by staff
+   - write_offs              expense    principal written off as a loan loss
+   - recoveries              income     collected on loans after write-off
+   - opening_balance         equity     balances carried over from before the ledger
+
+   Interest and fees are recognised when collected, so the receivable carries
+   principal only; what is still owed on the schedule lives on the loan's
+   installments (src/lib/schedule.js). The exception is arrears capitalised in
+   a restructure: they become principal and are recognised at that point.
+*/
+import { nowISO, uid } from "./util";
+
+export const CASH = "cash";
+export const INTEREST_INCOME = "interest_income";
+export const FEE_INCOME = "fee_income";
+export const ADJUSTMENTS = "adjustments";
+export const WRITE_OFFS = "write_offs";
+export const RECOVERIES = "recoveries";
+export const OPENING_BALANCE = "opening_balance";
+
+export function walletAccount(username) {
+  return `wallet:${username}`;
+}
+export function receivableAccount(loanId) {
+  return `loan_receivable:${loanId}`;
+}
+
+// debit-normal accounts show a positive balance when debits exceed credits
+const CREDIT_NORMAL = [
+  "wallet",
+  "interest_income",
+  "fee_income",
+  "recoveries",
+  "opening_balance",
+];
+
+export function accountType(account) {
+  const base = account.split(":")[0];
+  if (base === "cash" || base === "loan_receivable") return "asset";
+  if (base === "wallet") return "liability";
+  if (["interest_income", "fee_income", "recoveries"].includes(base))
+    return "income";
+  if (base === "opening_balance") return "equity";
+  return "expense";
+}
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+/* Build a journal entry, rejecting unbalanced or empty line sets */
+export function makeEntry({ memo, by, ref = {}, lines, at = nowISO() }) {
+  const clean = lines
+    .map((l) => ({
+      account: l.account,
+      debit: toKobo(l.debit) / 100,
+      credit: toKobo(l.credit) / 100,
+    }))
+    .filter((l) => l.debit !== 0 || l.credit !== 0);
+  if (clean.length < 2) throw new Error("Journal entry needs two lines");
+  const net = clean.reduce((s, l) => s + toKobo(l.debit) - toKobo(l.credit), 0);
+  if (net !== 0) throw new Error("Journal entry is not balanced");
+  return { id: uid(), at, by, memo, ref, lines: clean };
+}
+
+/* Fold the journal into { account: { debit, credit } } totals (kobo-exact) */
+export function accountTotals(journal) {
+  const totals = {};
+  for (const entry of journal) {
+    for (const l of entry.lines) {
+      const t = (totals[l.account] = totals[l.account] || {
+        debit: 0,
+        credit: 0,
+      });
+      t.debit += toKobo(l.debit);
+      t.credit += toKobo(l.credit);
+    }
+  }
+  for (const t of Object.values(totals)) {
+    t.debit /= 100;
+    t.credit /= 100;
+  }
+  return totals;
+}
+
+/* Natural-sign balance of one account (credit-normal accounts flip sign) */
+export function balanceOf(journal, account) {
+  const t = accountTotals(journal)[account];
+  if (!t) return 0;
+  const net = (toKobo(t.debit) - toKobo(t.credit)) / 100;
+  return CREDIT_NORMAL.includes(account.split(":")[0]) ? -net : net;
+}
+
+export function walletBalance(journal, username) {
+  return balanceOf(journal, walletAccount(username));
+}
+
+export function loanBalance(journal, loanId) {
+  return balanceOf(journal, receivableAccount(loanId));
+}
+
+/* Trial balance: one row per account, debits and credits must net to zero */
+export function trialBalance(journal) {
+  const rows = Object.entries(accountTotals(journal))
+    .map(([account, t]) => {
+      const net = toKobo(t.debit) - toKobo(t.credit);
+      return {
+        account,
+        type: accountType(account),
+        debit: net > 0 ? net / 100 : 0,
+        credit: net < 0 ? -net / 100 : 0,
+      };
+    })
+    .sort((a, b) => a.account.localeCompare(b.account));
+  const totalDebit = rows.reduce((s, r) => s + toKobo(r.debit), 0);
+  const totalCredit = rows.reduce((s, r) => s + toKobo(r.credit), 0);
+  return {
+    rows,
+    totalDebit: totalDebit / 100,
+    totalCredit: totalCredit / 100,
+    difference: (totalDebit - totalCredit) / 100,
+  };
+}
+
+/* Entry builders for each business event */
+
+/* Upfront product fees are kept out of the proceeds credited to the wallet */
+export function disbursementEntry({ loan, by, upfrontFee = 0 }) {
+  const lines = [
+    { account: receivableAccount(loan.id), debit: loan.principal },
+    {
+      account: walletAccount(loan.borrowerUsername),
+      credit: loan.principal - upfrontFee,
+    },
+  ];
+  if (upfrontFee > 0) lines.push({ account: FEE_INCOME, credit: upfrontFee });
+  return makeEntry({
+    memo: `Disbursed loan ${loan.id} to ${loan.borrowerUsername}`,
+    by,
+    ref: {
+      type: "disbursement",
+      loanId: loan.id,
+      username: loan.borrowerUsername,
+    },
+    lines,
+  });
+}
+
+/* reference: the payment gateway transaction that funded the top-up */
+export function topUpEntry({ username, amount, reference, by = username }) {
+  return makeEntry({
+    memo: `Wallet top-up for ${username} (${reference})`,
+    by,
+    ref: { type: "topup", username, reference },
+    lines: [
+      { account: CASH, debit: amount },
+      { account: walletAccount(username), credit: amount },
+    ],
+  });
+}
+
+export function repaymentEntry({
+  loan,
+  principal = 0,
+  interest = 0,
+  fee = 0,
+  by,
+}) {
+  return makeEntry({
+    memo: `Repayment on loan ${loan.id}`,
+    by,
+    ref: {
+      type: "repayment",
+      loanId: loan.id,
+      username: loan.borrowerUsername,
+    },
+    lines: [
+      {
+        account: walletAccount(loan.borrowerUsername),
+        debit: Number(principal) + Number(interest) + Number(fee),
+      },
+      { account: receivableAccount(loan.id), credit: principal },
+      { account: INTEREST_INCOME, credit: interest },
+      { account: FEE_INCOME, credit: fee },
+    ],
+  });
+}
+
+/* Positive amount reduces the receivable, negative increases it */
+export function adjustmentEntry({ loan, amount, by }) {
+  const lines =
+    amount >= 0
+      ? [
+          { account: ADJUSTMENTS, debit: amount },
+          { account: receivableAccount(loan.id), credit: amount },
+        ]
+      : [
+          { account: receivableAccount(loan.id), debit: -amount },
+          { account: ADJUSTMENTS, credit: -amount },
+        ];
+  return makeEntry({
+    memo: `Manual adjustment on loan ${loan.id}`,
+    by,
+    ref: { type: "adjustment", loanId: loan.id },
+    lines,
+  });
+}
+
+/* The principal still on the receivable becomes a loan loss */
+export function writeOffEntry({ loan, amount, by }) {
+  return makeEntry({
+    memo: `Wrote off loan ${loan.id}`,
+    by,
+    ref: {
+      type: "write_off",
+      loanId: loan.id,
+      username: loan.borrowerUsername,
+    },
+    lines: [
+      { account: WRITE_OFFS, debit: amount },
+      { account: receivableAccount(loan.id), credit: amount },
+    ],
+  });
+}
+
+/* Money collected after a write-off, from the borrower's wallet or received
+   outside the app (cash) */
+export function recoveryEntry({ loan, amount, source = "wallet", by }) {
+  return makeEntry({
+    memo: `Recovery on written-off loan ${loan.id}`,
+    by,
+    ref: {
+      type: "recovery",
+      loanId: loan.id,
+      username: loan.borrowerUsername,
+    },
+    lines: [
+      {
+        account:
+          source === "wallet" ? walletAccount(loan.borrowerUsername) : CASH,
+        debit: amount,
+      },
+      { account: RECOVERIES, credit: amount },
+    ],
+  });
+}
+
+/* Overdue interest and fees turned into principal by a restructure */
+export function capitalizationEntry({ loan, interest = 0, fee = 0, by }) {
+  return makeEntry({
+    memo: `Capitalised arrears on loan ${loan.id}`,
+    by,
+    ref: { type: "capitalization", loanId: loan.id },
+    lines: [
+      {
+        account: receivableAccount(loan.id),
+        debit: Number(interest) + Number(fee),
+      },
+      { account: INTEREST_INCOME, credit: interest },
+      { account: FEE_INCOME, credit: fee },
+    ],
+  });
+}
+
+/* Opening entries for balances stored on records before the ledger existed */
+export function openingEntries({ users, loans, by = "system" }) {
+  const entries = [];
+  for (const u of users) {
+    const wallet = Number(u.wallet || 0);
+    if (!wallet) continue;
+    entries.push(
+      makeEntry({
+        memo: `Opening wallet balance for ${u.username}`,
+        by,
+        ref: { type: "opening", username: u.username },
+        lines: [
+          { account: OPENING_BALANCE, debit: wallet },
+          { account: walletAccount(u.username), credit: wallet },
+        ],
+      })
+    );
+  }
+  for (const ln of loans) {
+    const balance = Number(ln.balanceRemaining || 0);
+    if (!balance) continue;
+    entries.push(
+      makeEntry({
+        memo: `Opening balance for loan ${ln.id}`,
+        by,
+        ref: { type: "opening", loanId: ln.id },
+        lines: [
+          { account: receivableAccount(ln.id), debit: balance },
+          { account: OPENING_BALANCE, credit: balance },
+        ],
+      })
+    );
+  }
+  return entries;
+}
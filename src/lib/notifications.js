@@ -0,0 +1,206 @@
+/* In-app notifications
+   Each notification belongs to one user and carries a dedupe key, so a
+   reminder sweep that runs on every dashboard load raises it only once.
+   Users choose which types they receive; everything is on by default.
+*/
+import { daysBetween } from "./dates";
+import { can, isStaff } from "./permissions";
+import { feeTotal } from "./products";
+import { pathFor } from "./router";
+import { installmentDue, installmentStatus } from "./schedule";
+import { formatCurrency } from "./util";
+
+// audience "borrower", or the staff permission that makes a type relevant
+export const NOTIFICATION_TYPES = {
+  installment_due: {
+    label: "Upcoming installments",
+    audience: "borrower",
+  },
+  payment_missed: {
+    label: "Missed payments",
+    audience: "borrower",
+  },
+  loan_disbursed: {
+    label: "Loan disbursements credited to my wallet",
+    audience: "borrower",
+  },
+  application_decided: {
+    label: "Decisions on my applications",
+    audience: "borrower",
+  },
+  approval_pending: {
+    label: "Actions waiting for my approval",
+    audience: "approval.decide",
+  },
+  loan_overdue: {
+    label: "Loans that have just gone overdue",
+    audience: "collections.view",
+  },
+  loan_defaulted: {
+    label: "Loans that have just gone into default",
+    audience: "collections.view",
+  },
+};
+
+export const DEFAULT_REMINDER_DAYS = 3;
+export const MAX_REMINDER_DAYS = 14;
+
+// loans that still expect payments
+const LIVE_STATUSES = ["active", "overdue", "default"];
+
+/* Types that apply to a user, in display order */
+export function typesFor(user) {
+  return Object.keys(NOTIFICATION_TYPES).filter((type) => {
+    const { audience } = NOTIFICATION_TYPES[type];
+    return audience === "borrower" ? !isStaff(user) : can(user, audience);
+  });
+}
+
+/* { types: { type: enabled }, reminderDays } with defaults filled in */
+export function preferencesFor(user) {
+  const saved = user?.notificationPreferences || {};
+  return {
+    types: Object.fromEntries(
+      typesFor(user).map((type) => [type, saved.types?.[type] !== false])
+    ),
+    reminderDays: saved.reminderDays ?? DEFAULT_REMINDER_DAYS,
+  };
+}
+
+/* Whether a user wants a notification of this type */
+export function wants(user, type) {
+  return typesFor(user).includes(type) && preferencesFor(user).types[type];
+}
+
+function day(iso) {
+  return iso.slice(0, 10);
+}
+
+/* Borrower reminders for one loan: installments due within reminderDays and
+   installments whose due date has passed unpaid */
+export function installmentReminders(loan, asOf, reminderDays) {
+  if (!LIVE_STATUSES.includes(loan.status)) return [];
+  const link = pathFor("loan", { id: loan.id });
+  const drafts = [];
+  for (const inst of loan.installments || []) {
+    if (installmentStatus(inst) === "paid") continue;
+    const days = daysBetween(asOf, inst.dueDate);
+    const amount = formatCurrency(installmentDue(inst));
+    if (days >= 0 && days <= reminderDays)
+      drafts.push({
+        username: loan.borrowerUsername,
+        type: "installment_due",
+        key: `installment_due:${loan.id}:${inst.seq}:${day(inst.dueDate)}`,
+        title: "Installment due soon",
+        body: `${amount} is due on ${day(inst.dueDate)} for loan ${
+          loan.id
+        }. Keep enough in your wallet to cover it.`,
+        link,
+      });
+    else if (days < 0)
+      drafts.push({
+        username: loan.borrowerUsername,
+        type: "payment_missed",
+        key: `payment_missed:${loan.id}:${inst.seq}:${day(inst.dueDate)}`,
+        title: "Payment missed",
+        body: `Installment ${inst.seq} on loan ${loan.id} was due on ${day(
+          inst.dueDate
+        )} and ${amount} is still unpaid. Pay now to avoid late fees.`,
+        link,
+      });
+  }
+  return drafts;
+}
+
+/* Staff alert for a loan that has just moved to overdue */
+export function overdueAlert(loan, { daysPastDue, overdueAmount }, asOf) {
+  return {
+    type: "loan_overdue",
+    key: `loan_overdue:${loan.id}:${day(asOf)}`,
+    title: "Loan overdue",
+    body: `Loan ${loan.id} (${
+      loan.borrowerUsername
+    }) is ${daysPastDue} days past due with ${formatCurrency(
+      overdueAmount
+    )} unpaid.`,
+    link: pathFor("loan", { id: loan.id }),
+  };
+}
+
+/* Collections alert for a loan that has just gone into default */
+export function defaultAlert(loan, { daysPastDue, overdueAmount }, asOf) {
+  return {
+    type: "loan_defaulted",
+    key: `loan_defaulted:${loan.id}:${day(asOf)}`,
+    title: "Loan in default",
+    body: `Loan ${loan.id} (${
+      loan.borrowerUsername
+    }) has defaulted at ${daysPastDue} days past due with ${formatCurrency(
+      overdueAmount
+    )} unpaid.`,
+    link: pathFor("loan", { id: loan.id }),
+  };
+}
+
+/* Borrower notice that a loan was disbursed into their wallet (the
+   principal less upfront fees, as in the ledger's disbursement entry) */
+export function disbursementNotice(loan) {
+  const credited = loan.principal - feeTotal(loan.fees, "upfront");
+  return {
+    username: loan.borrowerUsername,
+    type: "loan_disbursed",
+    key: `loan_disbursed:${loan.id}`,
+    title: "Loan disbursed",
+    body: `${formatCurrency(credited)} from loan ${
+      loan.id
+    } was credited to your wallet. First installment due ${day(
+      loan.installments[0].dueDate
+    )}.`,
+    link: pathFor("loan", { id: loan.id }),
+  };
+}
+
+/* Borrower notice of an approved or rejected application */
+export function applicationNotice(application) {
+  const approved = application.status === "approved";
+  const comment = application.history?.at(-1)?.comment;
+  return {
+    username: application.borrowerUsername,
+    type: "application_decided",
+    key: `application_decided:${application.id}:${application.status}`,
+    title: approved ? "Application approved" : "Application rejected",
+    body: approved
+      ? `Your application for ${formatCurrency(
+          application.amount
+        )} was approved at ${
+          application.approvedRate
+        }%. The loan will be disbursed to your wallet.`
+      : `Your application for ${formatCurrency(
+          application.amount
+        )} was rejected${comment ? `: ${comment}` : ""}.`,
+    link: pathFor("applications"),
+  };
+}
+
+const PENDING_LABELS = {
+  disbursement: "a disbursement",
+  adjustment: "a balance adjustment",
+  restructure: "a restructure",
+  write_off: "a write-off",
+};
+
+/* Checker alert for a new pending action (without a username: one per
+   approver) */
+export function approvalRequest(pending) {
+  return {
+    type: "approval_pending",
+    key: `approval_pending:${pending.id}`,
+    title: "Approval needed",
+    body: `${pending.makerUsername} requested ${
+      PENDING_LABELS[pending.type] || pending.type
+    } on loan ${pending.loanId} for ${pending.borrowerUsername} (${
+      pending.reason
+    }).`,
+    link: pathFor("dashboard"),
+  };
+}
@@ -0,0 +1,52 @@
+/* Wallet top-up payments
+   A top-up is a transaction with a payment gateway: it starts "pending" and
+   ends "success", "failed" or "abandoned" (the borrower cancelled or never
+   completed it). Only a verified success credits the wallet, once.
+*/
+
+export const PAYMENT_METHODS = {
+  card: "Card",
+  transfer: "Bank transfer",
+  ussd: "USSD",
+};
+
+export const PAYMENT_STATUSES = ["pending", "success", "failed", "abandoned"];
+
+export const MIN_TOPUP = 100; // ₦
+export const MAX_TOPUP = 5000000; // ₦, per transaction
+
+// unfinished checkouts are abandoned after this long
+export const CHECKOUT_TIMEOUT_MS = 30 * 60 * 1000;
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+export function isFinal(status) {
+  return status !== "pending";
+}
+
+/* Unique transaction reference, e.g. VFD-TU-LX2K9A1B-7QF3 */
+export function newReference() {
+  const time = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).slice(2, 6).toUpperCase();
+  return `VFD-TU-${time}-${random}`;
+}
+
+/* First reason a top-up request is not acceptable, or null */
+export function topUpProblem({ amount, method }) {
+  const n = Number(amount);
+  if (!amount || isNaN(n) || n <= 0) return "Enter a positive amount";
+  if (Math.abs(toKobo(n) - n * 100) > 1e-6)
+    return "Amounts can have at most two decimals";
+  if (n < MIN_TOPUP) return `The smallest top-up is ₦${MIN_TOPUP}`;
+  if (n > MAX_TOPUP)
+    return `Top-ups are limited to ₦${MAX_TOPUP.toLocaleString()} each`;
+  if (!PAYMENT_METHODS[method]) return "Choose card, bank transfer or USSD";
+  return null;
+}
+
+/* Whether the gateway collected exactly the amount of the top-up */
+export function amountMatches(payment, paid) {
+  return toKobo(payment.amount) === toKobo(paid);
+}
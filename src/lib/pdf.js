@@ -0,0 +1,100 @@
+/* Minimal PDF writer
+   Enough of the format for printed reports: A4 pages of text in the
+   standard Helvetica fonts (no embedding) and thin rules.
+
+   pages: [[op, ...]], coordinates in points from the page's bottom-left
+     { text, x, y, size = 10, bold, align: "left" | "right" }
+     { line: [x1, y1, x2, y2] }
+   Text is written in WinAnsi; characters outside it (₦ included) print as
+   "?", so give amounts without the currency symbol.
+*/
+
+export const PDF_TYPE = "application/pdf";
+export const PAGE_SIZE = { width: 595, height: 842 }; // A4
+
+// Helvetica advance widths (1/1000 em) for the characters amounts use;
+// anything else is taken as 556, close enough for right-aligned numbers
+const WIDTHS = { ",": 278, ".": 278, " ": 278, "-": 333, "(": 333, ")": 333 };
+
+// WinAnsi codes for the punctuation above Latin-1
+const WIN_ANSI = { "—": 0x97, "–": 0x96, "•": 0x95, "…": 0x85, "’": 0x92 };
+
+function toWinAnsi(text) {
+  let out = "";
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0);
+    if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (ch.length === 1 && code >= 32 && code < 256 && code !== 127)
+      out += ch;
+    else out += "?";
+  }
+  return out;
+}
+
+export function textWidth(text, size = 10) {
+  let units = 0;
+  for (const ch of String(text)) units += WIDTHS[ch] ?? 556;
+  return (units * size) / 1000;
+}
+
+function escapeText(text) {
+  return toWinAnsi(text).replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+function contentStream(ops) {
+  return ops
+    .map((op) => {
+      if (op.line) {
+        const [x1, y1, x2, y2] = op.line;
+        return `0.5 w ${x1} ${y1} m ${x2} ${y2} l S`;
+      }
+      const size = op.size || 10;
+      const x = op.align === "right" ? op.x - textWidth(op.text, size) : op.x;
+      return `BT /${op.bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${
+        op.y
+      } Td (${escapeText(op.text)}) Tj ET`;
+    })
+    .join("\n");
+}
+
+/* Document bytes, ready for downloadFile(name, bytes, PDF_TYPE) */
+export function buildPdf(pages) {
+  // objects 1-4: catalog, page tree, regular and bold font; then a page and
+  // its content stream per page
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] ` +
+      `/Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  pages.forEach((ops, i) => {
+    const stream = contentStream(ops);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_SIZE.width} ${
+        PAGE_SIZE.height
+      }] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+        pageIds[i] + 1
+      } 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  // every character is a single byte by now, so string offsets are byte offsets
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const at of offsets) out += `${String(at).padStart(10, "0")} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n`;
+  out += `startxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(out.length);
+  for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,96 @@
+/* Roles and permissions
+   Borrowers act only on their own wallet, loans and applications; staff
+   capabilities come from their role. The legacy "staff" role from older
+   data is treated as admin.
+*/
+
+export const ROLES = {
+  borrower: "Borrower",
+  loan_officer: "Loan officer",
+  credit_approver: "Credit approver",
+  collections_agent: "Collections agent",
+  auditor: "Auditor (read-only)",
+  admin: "Administrator",
+};
+
+export const STAFF_ROLES = Object.keys(ROLES).filter((r) => r !== "borrower");
+
+export const PERMISSIONS = {
+  "portfolio.view": "View loans, repayments and applications",
+  "ledger.view": "View the journal and trial balance",
+  "portfolio.export": "Export loans, repayments and wallets",
+  "loan.disburse": "Disburse loans",
+  "eligibility.override": "Disburse despite a failed eligibility check",
+  "loan.adjust": "Adjust loan balances",
+  "loan.restructure": "Restructure or reschedule loans",
+  "loan.write_off": "Write off loans and approve write-offs",
+  "payment.record": "Settle or prepay loans from a borrower's wallet",
+  "approval.decide": "Approve or reject pending actions",
+  "application.review": "Review and comment on applications",
+  "application.decide": "Approve or reject applications",
+  "collections.view": "Work the delinquency and collections view",
+  "scoring.manage": "Edit credit-scoring rule sets",
+  "product.manage": "Manage the loan product catalog",
+  "settings.manage": "Change policies and configuration",
+  "user.manage": "Manage users and roles",
+  "borrower.manage": "Create and edit borrowers, suspend or blacklist them",
+  "kyc.review": "Review borrower KYC documents",
+  "borrower.import": "Bulk-import borrowers and their first loans",
+};
+
+const ROLE_PERMISSIONS = {
+  borrower: [],
+  loan_officer: [
+    "portfolio.view",
+    "loan.disburse",
+    "loan.adjust",
+    "loan.restructure",
+    "payment.record",
+    "application.review",
+    "borrower.manage",
+    "kyc.review",
+    "borrower.import",
+  ],
+  credit_approver: [
+    "portfolio.view",
+    "ledger.view",
+    "portfolio.export",
+    "loan.disburse",
+    "eligibility.override",
+    "loan.adjust",
+    "loan.restructure",
+    "loan.write_off",
+    "approval.decide",
+    "application.review",
+    "application.decide",
+    "scoring.manage",
+    "borrower.manage",
+    "kyc.review",
+  ],
+  collections_agent: ["portfolio.view", "collections.view", "payment.record"],
+  auditor: [
+    "portfolio.view",
+    "ledger.view",
+    "portfolio.export",
+    "collections.view",
+  ],
+  admin: Object.keys(PERMISSIONS),
+};
+
+export function roleOf(user) {
+  if (!user) return null;
+  return user.role === "staff" ? "admin" : user.role;
+}
+
+export function isStaff(user) {
+  const role = roleOf(user);
+  return Boolean(role) && role !== "borrower";
+}
+
+export function permissionsFor(user) {
+  return ROLE_PERMISSIONS[roleOf(user)] || [];
+}
+
+export function can(user, permission) {
+  return permissionsFor(user).includes(permission);
+}
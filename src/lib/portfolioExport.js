@@ -0,0 +1,263 @@
+/* Portfolio exports for finance and reconciliation
+   Each dataset has a fixed column schema: headers are snake_case keys that
+   never change meaning, and new columns only ever go at the end. Column
+   types drive the formatting:
+   - amount: Naira to two decimals, no symbol or thousands separator
+   - date:   ISO 8601 in UTC (real date-times in XLSX)
+   - number / text: as is
+
+   Filters: `from` and `to` are inclusive YYYY-MM-DD dates (UTC). Loans are
+   picked by disbursement date (creation date if never disbursed),
+   repayments by payment date and actions by when they happened; statuses
+   limit every loan-based dataset to loans in those statuses. A loan's
+   principal_outstanding is its ledger balance at the end of the range;
+   overdue figures are as of today. Wallets show each borrower's opening
+   balance, movements and closing balance for the range.
+*/
+import { assessDelinquency } from "./delinquency";
+import { isoDate, toCsv } from "./export";
+import { loanBalance, walletAccount } from "./ledger";
+import { roleOf } from "./permissions";
+
+export const LOAN_STATUSES = [
+  "pending_approval",
+  "active",
+  "overdue",
+  "default",
+  "closed",
+  "written_off",
+  "rejected",
+];
+
+export const EXPORT_DATASETS = {
+  loans: {
+    label: "Loans",
+    columns: [
+      { key: "loan_id", type: "text", value: (l) => l.id },
+      { key: "borrower", type: "text", value: (l) => l.borrowerUsername },
+      { key: "product_id", type: "text", value: (l) => l.productId },
+      { key: "product_name", type: "text", value: (l) => l.productName },
+      { key: "interest_method", type: "text", value: (l) => l.interestMethod },
+      { key: "status", type: "text", value: (l) => l.status },
+      { key: "principal", type: "amount", value: (l) => l.principal },
+      { key: "rate_percent", type: "number", value: (l) => l.rate },
+      { key: "tenor_months", type: "number", value: (l) => l.tenor },
+      {
+        key: "monthly_payment",
+        type: "amount",
+        value: (l) => l.monthlyPayment,
+      },
+      { key: "created_at", type: "date", value: (l) => l.createdAt },
+      { key: "disbursed_at", type: "date", value: (l) => l.disbursedAt },
+      {
+        key: "principal_outstanding",
+        type: "amount",
+        value: (l) => l.principalOutstanding,
+      },
+      { key: "overdue_amount", type: "amount", value: (l) => l.overdueAmount },
+      { key: "days_past_due", type: "number", value: (l) => l.daysPastDue },
+      {
+        key: "schedule_version",
+        type: "number",
+        value: (l) => l.scheduleVersion || 1,
+      },
+      { key: "written_off_at", type: "date", value: (l) => l.writeOff?.at },
+      {
+        key: "write_off_reason",
+        type: "text",
+        value: (l) => l.writeOff?.reason,
+      },
+      {
+        key: "written_off_total",
+        type: "amount",
+        value: (l) => l.writeOff?.total,
+      },
+      { key: "recovered", type: "amount", value: (l) => l.recovered },
+    ],
+  },
+  repayments: {
+    label: "Repayments",
+    columns: [
+      { key: "repayment_id", type: "text", value: (r) => r.id },
+      { key: "loan_id", type: "text", value: (r) => r.loanId },
+      { key: "borrower", type: "text", value: (r) => r.borrower },
+      { key: "paid_at", type: "date", value: (r) => r.date },
+      { key: "amount", type: "amount", value: (r) => r.amount },
+      { key: "fee", type: "amount", value: (r) => r.allocation?.fee || 0 },
+      {
+        key: "interest",
+        type: "amount",
+        value: (r) => r.allocation?.interest || 0,
+      },
+      {
+        key: "principal",
+        type: "amount",
+        value: (r) => r.allocation?.principal || 0,
+      },
+      { key: "kind", type: "text", value: (r) => r.kind || "repayment" },
+      { key: "source", type: "text", value: (r) => r.source || "wallet" },
+      { key: "recorded_by", type: "text", value: (r) => r.by },
+    ],
+  },
+  actions: {
+    label: "Loan actions",
+    columns: [
+      { key: "action_id", type: "text", value: (a) => a.id },
+      { key: "loan_id", type: "text", value: (a) => a.loanId },
+      { key: "borrower", type: "text", value: (a) => a.borrower },
+      { key: "action", type: "text", value: (a) => a.action },
+      { key: "at", type: "date", value: (a) => a.at },
+      { key: "by", type: "text", value: (a) => a.by },
+      { key: "note", type: "text", value: (a) => a.note },
+      { key: "from_version", type: "number", value: (a) => a.fromVersion },
+      { key: "to_version", type: "number", value: (a) => a.toVersion },
+    ],
+  },
+  wallets: {
+    label: "Wallets",
+    columns: [
+      { key: "borrower", type: "text", value: (w) => w.username },
+      { key: "name", type: "text", value: (w) => w.name },
+      { key: "opening_balance", type: "amount", value: (w) => w.opening },
+      { key: "credits", type: "amount", value: (w) => w.credits },
+      { key: "debits", type: "amount", value: (w) => w.debits },
+      { key: "closing_balance", type: "amount", value: (w) => w.closing },
+    ],
+  },
+};
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+/* Inclusive UTC bounds of a YYYY-MM-DD range; either end may be empty */
+export function dateBounds({ from, to } = {}) {
+  if (from && to && from > to)
+    throw new Error("The start date is after the end date");
+  return {
+    start: from ? `${from}T00:00:00.000Z` : "",
+    end: to ? `${to}T23:59:59.999Z` : "",
+  };
+}
+
+function inRange(iso, { start, end }) {
+  if (!iso) return false;
+  return (!start || iso >= start) && (!end || iso <= end);
+}
+
+/* Rows for every dataset from loadPortfolio() data */
+export function buildPortfolioExport(
+  { users, loans, repayments, journal },
+  { from, to, statuses = [] } = {}
+) {
+  const range = dateBounds({ from, to });
+  const wanted = (l) => statuses.length === 0 || statuses.includes(l.status);
+  const picked = loans.filter(wanted);
+  const byId = Object.fromEntries(picked.map((l) => [l.id, l]));
+  // balances as at the end of the range
+  const closingJournal = range.end
+    ? journal.filter((e) => e.at <= range.end)
+    : journal;
+
+  const loanRows = picked
+    .filter((l) => inRange(l.disbursedAt || l.createdAt, range))
+    .map((l) => {
+      const { overdueAmount, daysPastDue } = assessDelinquency(l);
+      return {
+        ...l,
+        principalOutstanding: loanBalance(closingJournal, l.id),
+        overdueAmount,
+        daysPastDue,
+      };
+    });
+
+  const repaymentRows = repayments
+    .filter((r) => byId[r.loanId] && inRange(r.date, range))
+    .map((r) => ({ ...r, borrower: byId[r.loanId].borrowerUsername }));
+
+  const actionRows = picked
+    .flatMap((l) =>
+      (l.actions || []).map((a) => ({
+        ...a,
+        loanId: l.id,
+        borrower: l.borrowerUsername,
+      }))
+    )
+    .filter((a) => inRange(a.at, range))
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  const walletRows = users
+    .filter((u) => roleOf(u) === "borrower")
+    .map((u) => {
+      const account = walletAccount(u.username);
+      let opening = 0;
+      let credits = 0;
+      let debits = 0;
+      for (const entry of journal) {
+        for (const line of entry.lines) {
+          if (line.account !== account) continue;
+          // wallets are liabilities: credits add to the balance
+          const net = toKobo(line.credit) - toKobo(line.debit);
+          if (range.start && entry.at < range.start) opening += net;
+          else if (!range.end || entry.at <= range.end) {
+            credits += toKobo(line.credit);
+            debits += toKobo(line.debit);
+          }
+        }
+      }
+      return {
+        username: u.username,
+        name: u.name,
+        opening: opening / 100,
+        credits: credits / 100,
+        debits: debits / 100,
+        closing: (opening + credits - debits) / 100,
+      };
+    });
+
+  return {
+    loans: loanRows,
+    repayments: repaymentRows,
+    actions: actionRows,
+    wallets: walletRows,
+  };
+}
+
+/* Cell value for a typed column: amounts to 2dp, dates as ISO strings */
+function formatCell(column, row) {
+  const value = column.value(row);
+  if (value === null || value === undefined || value === "") return "";
+  if (column.type === "amount") return (toKobo(value) / 100).toFixed(2);
+  if (column.type === "date") return new Date(value).toISOString();
+  return value;
+}
+
+export function datasetCsv(name, rows) {
+  const columns = EXPORT_DATASETS[name].columns.map((c) => ({
+    label: c.key,
+    value: (row) => formatCell(c, row),
+  }));
+  return toCsv(columns, rows);
+}
+
+/* Sheet for buildXlsx (src/lib/xlsx.js) */
+export function datasetSheet(name, rows) {
+  const { label, columns } = EXPORT_DATASETS[name];
+  return {
+    name: label,
+    columns: columns.map((c) => ({ label: c.key, type: c.type })),
+    rows: rows.map((row) =>
+      columns.map((c) => {
+        const value = formatCell(c, row);
+        return c.type === "amount" && value !== "" ? Number(value) : value;
+      })
+    ),
+  };
+}
+
+/* e.g. loans_2026-01-01_2026-03-31 */
+export function exportFileName(name, { from, to } = {}) {
+  return [name, from || "start", to || isoDate(new Date().toISOString())].join(
+    "_"
+  );
+}
@@ -0,0 +1,299 @@
+/* Early settlement and partial prepayment
+   Rows due on or before the quote date (and rows that already took a
+   payment) are "kept": whatever they still owe is arrears and is paid first.
+   Rows after that are "open" and can be rewritten.
+
+   Settlement: interest on the current period accrues pro rata by days up to
+   the quote date and later interest is waived. Prepayment fee is a
+   percentage of the principal paid ahead of schedule.
+
+   Partial prepayment: after arrears and the fee, the rest reduces principal
+   and the open rows are regenerated with the loan's interest method —
+   either the same number of rows with a smaller installment ("recast") or
+   about the same installment over fewer rows ("shorten"). The first new
+   period's interest is worked out on the reduced balance.
+*/
+import { addMonths, daysBetween } from "./dates";
+import { amortizationSchedule } from "./finance";
+import { installmentStatus } from "./schedule";
+import { nowISO } from "./util";
+
+export const PREPAYMENT_MODES = {
+  recast: "Keep the tenor, lower the installment",
+  shorten: "Keep the installment, finish sooner",
+};
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+function fromKobo(k) {
+  return k / 100;
+}
+function owed(inst, part) {
+  return Math.max(0, toKobo(inst[`${part}Due`]) - toKobo(inst[`${part}Paid`]));
+}
+function touched(inst) {
+  return (
+    toKobo(inst.principalPaid) +
+      toKobo(inst.interestPaid) +
+      toKobo(inst.feePaid) >
+    0
+  );
+}
+
+/* Rows that can no longer change (due by asOf, or already part-paid) and
+   the open rows after them that a prepayment or restructure may rewrite */
+export function splitSchedule(installments, asOf) {
+  const i = splitIndex(installments, asOf);
+  return { kept: installments.slice(0, i), open: installments.slice(i) };
+}
+
+function splitIndex(installments, asOf) {
+  let i = 0;
+  while (
+    i < installments.length &&
+    (daysBetween(installments[i].dueDate, asOf) >= 0 ||
+      touched(installments[i]))
+  )
+    i++;
+  return i;
+}
+
+function arrearsOf(rows) {
+  const sum = (part) => rows.reduce((s, inst) => s + owed(inst, part), 0);
+  return {
+    fee: sum("fee"),
+    interest: sum("interest"),
+    principal: sum("principal"),
+  };
+}
+
+export function periodStart(loan, index) {
+  return index > 0 ? loan.installments[index - 1].dueDate : loan.disbursedAt;
+}
+
+/* Exact amount to close the loan as of a date. Amounts in naira. */
+export function payoffQuote(loan, asOf = nowISO()) {
+  const installments = loan.installments || [];
+  // arrears are rows already due; later rows settle at accrued interest only
+  let due = 0;
+  while (
+    due < installments.length &&
+    daysBetween(installments[due].dueDate, asOf) >= 0
+  )
+    due++;
+  const arrears = arrearsOf(installments.slice(0, due));
+  const future = installments.slice(due);
+  let accrued = 0;
+  if (future.length) {
+    const current = future[0];
+    const start = periodStart(loan, due);
+    const length = Math.max(1, daysBetween(start, current.dueDate));
+    const elapsed = Math.min(length, Math.max(0, daysBetween(start, asOf)));
+    const earned = Math.round((toKobo(current.interestDue) * elapsed) / length);
+    accrued = Math.max(0, earned - toKobo(current.interestPaid));
+  }
+  const futureFees = future.reduce((s, inst) => s + owed(inst, "fee"), 0);
+  const principal = future.reduce((s, inst) => s + owed(inst, "principal"), 0);
+  const prepaymentFee = Math.round(
+    (principal * Number(loan.prepaymentFeePercent || 0)) / 100
+  );
+  const total =
+    arrears.fee +
+    arrears.interest +
+    arrears.principal +
+    accrued +
+    futureFees +
+    principal +
+    prepaymentFee;
+  return {
+    loanId: loan.id,
+    asOf,
+    arrears: {
+      fee: fromKobo(arrears.fee),
+      interest: fromKobo(arrears.interest),
+      principal: fromKobo(arrears.principal),
+    },
+    accruedInterest: fromKobo(accrued),
+    futureFees: fromKobo(futureFees),
+    principal: fromKobo(principal),
+    prepaymentFeePercent: Number(loan.prepaymentFeePercent || 0),
+    prepaymentFee: fromKobo(prepaymentFee),
+    waivedInterest: fromKobo(
+      future.reduce((s, inst) => s + owed(inst, "interest"), 0) - accrued
+    ),
+    total: fromKobo(total),
+  };
+}
+
+/* Installments and journal allocation once a quote has been paid */
+export function settleInstallments(loan, quote) {
+  const accrued = toKobo(quote.accruedInterest);
+  let seenCurrent = false;
+  const installments = loan.installments.map((inst) => {
+    const next = { ...inst };
+    if (daysBetween(inst.dueDate, quote.asOf) < 0) {
+      // the first future row keeps the accrued interest and takes the fee
+      const keepInterest = seenCurrent ? 0 : accrued;
+      next.interestDue = fromKobo(toKobo(inst.interestPaid) + keepInterest);
+      if (!seenCurrent)
+        next.feeDue = fromKobo(
+          toKobo(inst.feeDue) + toKobo(quote.prepaymentFee)
+        );
+      seenCurrent = true;
+    }
+    next.principalPaid = next.principalDue;
+    next.interestPaid = next.interestDue;
+    next.feePaid = next.feeDue;
+    next.status = installmentStatus(next);
+    return next;
+  });
+  return {
+    installments,
+    allocation: {
+      fee: fromKobo(
+        toKobo(quote.arrears.fee) +
+          toKobo(quote.futureFees) +
+          toKobo(quote.prepaymentFee)
+      ),
+      interest: fromKobo(toKobo(quote.arrears.interest) + accrued),
+      principal: fromKobo(
+        toKobo(quote.arrears.principal) + toKobo(quote.principal)
+      ),
+    },
+  };
+}
+
+/* Fresh unpaid rows for a principal, numbered from firstSeq and due on the
+   loan's original monthly cycle */
+export function regenerateInstallments(
+  loan,
+  { principal, count, startDate, firstSeq, rate = loan.rate }
+) {
+  const { rows } = amortizationSchedule(principal, rate, count, {
+    method: loan.interestMethod,
+    startDate,
+  });
+  return rows.map((r, i) => ({
+    seq: firstSeq + i,
+    // keep the loan's original due-day cycle
+    dueDate: loan.disbursedAt
+      ? addMonths(loan.disbursedAt, firstSeq + i)
+      : r.dueDate,
+    principalDue: r.principalPaid,
+    interestDue: r.interest,
+    feeDue: 0,
+    principalPaid: 0,
+    interestPaid: 0,
+    feePaid: 0,
+    status: "outstanding",
+  }));
+}
+
+function regularPayment(inst) {
+  return toKobo(inst.principalDue) + toKobo(inst.interestDue);
+}
+
+/* Work out a partial prepayment without changing anything.
+   Returns { arrears, prepaymentFee, principalReduction, installments,
+   allocation, before, after } with amounts in naira. */
+export function previewPrepayment(
+  loan,
+  { amount, mode = "recast", asOf = nowISO() }
+) {
+  if (!PREPAYMENT_MODES[mode]) throw new Error("Choose recast or shorten");
+  if (mode === "shorten" && loan.interestMethod === "interest_only")
+    throw new Error("Interest-only loans can only be recast");
+  const { kept, open } = splitSchedule(loan.installments || [], asOf);
+  if (open.length === 0)
+    throw new Error("No future installments left — settle the loan instead");
+
+  const arrears = arrearsOf(kept);
+  const arrearsTotal = arrears.fee + arrears.interest + arrears.principal;
+  const paid = toKobo(amount);
+  if (paid <= arrearsTotal)
+    throw new Error(
+      `The first ${fromKobo(
+        arrearsTotal
+      ).toLocaleString()} clears arrears — pay more to prepay`
+    );
+  // the rest pays principal plus the prepayment fee on that principal
+  const pct = Number(loan.prepaymentFeePercent || 0);
+  const extra = paid - arrearsTotal;
+  const openPrincipal = open.reduce(
+    (s, inst) => s + owed(inst, "principal"),
+    0
+  );
+  const principalReduction = Math.round(extra / (1 + pct / 100));
+  const prepaymentFee = extra - principalReduction;
+  if (principalReduction >= openPrincipal)
+    throw new Error("That covers the whole balance — settle the loan instead");
+
+  const remaining = openPrincipal - principalReduction;
+  const start = periodStart(loan, kept.length);
+  const firstSeq = (kept.length ? kept[kept.length - 1].seq : 0) + 1;
+  const regenerate = (count) =>
+    regenerateInstallments(loan, {
+      principal: fromKobo(remaining),
+      count,
+      startDate: start,
+      firstSeq,
+    });
+  let count = open.length;
+  if (mode === "shorten") {
+    const target = regularPayment(open[0]);
+    for (let m = 1; m <= open.length; m++) {
+      if (regularPayment(regenerate(m)[0]) <= target) {
+        count = m;
+        break;
+      }
+    }
+  }
+  const rows = regenerate(count);
+  // fees already charged on open rows (e.g. a first-installment fee) carry over
+  const carriedFees = open.reduce((s, inst) => s + owed(inst, "fee"), 0);
+  if (rows.length) rows[0].feeDue = fromKobo(carriedFees);
+
+  const settledKept = kept.map((inst) => {
+    const next = { ...inst };
+    next.principalPaid = next.principalDue;
+    next.interestPaid = next.interestDue;
+    next.feePaid = next.feeDue;
+    next.status = installmentStatus(next);
+    return next;
+  });
+  // the fee is booked on the last kept row (or the first new one)
+  const feeRow = settledKept.length
+    ? settledKept[settledKept.length - 1]
+    : null;
+  if (feeRow) {
+    feeRow.feeDue = fromKobo(toKobo(feeRow.feeDue) + prepaymentFee);
+    feeRow.feePaid = feeRow.feeDue;
+  } else {
+    rows[0].feeDue = fromKobo(toKobo(rows[0].feeDue) + prepaymentFee);
+    rows[0].feePaid = fromKobo(prepaymentFee);
+    rows[0].status = installmentStatus(rows[0]);
+  }
+
+  const summary = (list) => ({
+    installments: list.length,
+    payment: list.length ? fromKobo(regularPayment(list[0])) : 0,
+    lastDueDate: list.length ? list[list.length - 1].dueDate : null,
+    interest: fromKobo(list.reduce((s, inst) => s + owed(inst, "interest"), 0)),
+  });
+  return {
+    asOf,
+    mode,
+    arrears: fromKobo(arrearsTotal),
+    prepaymentFee: fromKobo(prepaymentFee),
+    principalReduction: fromKobo(principalReduction),
+    installments: [...settledKept, ...rows],
+    allocation: {
+      fee: fromKobo(arrears.fee + prepaymentFee),
+      interest: fromKobo(arrears.interest),
+      principal: fromKobo(arrears.principal + principalReduction),
+    },
+    before: summary(open),
+    after: summary(rows),
+  };
+}
@@ -0,0 +1,156 @@
+/* Loan products
+   A product fixes the limits a loan must fall within (principal, tenor, rate),
+   its fees, interest method and the scoring rule set used for eligibility.
+   Fees are either deducted from the proceeds at disbursement ("upfront") or
+   added to the first installment ("first_installment"). Paying principal
+   ahead of schedule costs prepaymentFeePercent of the amount prepaid.
+*/
+
+import { INTEREST_METHODS } from "./finance";
+
+export const FEE_TIMING = {
+  upfront: "Deducted at disbursement",
+  first_installment: "Added to first installment",
+};
+
+export const DEFAULT_PRODUCT_ID = "personal";
+
+export const DEFAULT_PRODUCTS = [
+  {
+    id: DEFAULT_PRODUCT_ID,
+    name: "Personal Loan",
+    description: "General-purpose consumer loan",
+    minPrincipal: 10000,
+    maxPrincipal: 5000000,
+    tenors: [3, 6, 12, 18, 24],
+    minRate: 12,
+    maxRate: 30,
+    defaultRate: 12,
+    fees: [],
+    prepaymentFeePercent: 0,
+    interestMethod: "reducing_balance",
+    ruleSetId: "",
+    status: "active",
+  },
+  {
+    id: "salary-advance",
+    name: "Salary Advance",
+    description: "Short loan repaid from the next salaries",
+    minPrincipal: 5000,
+    maxPrincipal: 500000,
+    tenors: [1, 2, 3],
+    minRate: 5,
+    maxRate: 15,
+    defaultRate: 10,
+    fees: [
+      { name: "Processing fee", type: "percent", amount: 1, when: "upfront" },
+    ],
+    prepaymentFeePercent: 0,
+    interestMethod: "reducing_balance",
+    ruleSetId: "",
+    status: "active",
+  },
+  {
+    id: "sme-working-capital",
+    name: "SME Working Capital",
+    description: "Inventory and working-capital finance for small businesses",
+    minPrincipal: 500000,
+    maxPrincipal: 20000000,
+    tenors: [6, 12, 18, 24],
+    minRate: 18,
+    maxRate: 28,
+    defaultRate: 22,
+    fees: [
+      { name: "Management fee", type: "percent", amount: 2, when: "upfront" },
+      {
+        name: "Documentation fee",
+        type: "flat",
+        amount: 5000,
+        when: "first_installment",
+      },
+    ],
+    prepaymentFeePercent: 2,
+    interestMethod: "reducing_balance",
+    ruleSetId: "",
+    status: "active",
+  },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* Fee amounts charged on a principal: [{ name, when, amount }] */
+export function productFees(product, principal) {
+  return (product?.fees || []).map((f) => ({
+    name: f.name,
+    when: f.when,
+    amount: round2(
+      f.type === "percent"
+        ? (Number(principal) * Number(f.amount)) / 100
+        : Number(f.amount)
+    ),
+  }));
+}
+
+export function feeTotal(fees, when) {
+  return round2(
+    (fees || [])
+      .filter((f) => f.when === when)
+      .reduce((s, f) => s + f.amount, 0)
+  );
+}
+
+/* First reason the terms fall outside the product, or null */
+export function termsProblem(product, { principal, tenor, rate }) {
+  if (!product) return "Select a product";
+  if (product.status !== "active")
+    return `${product.name} is no longer offered`;
+  principal = Number(principal);
+  if (!(principal >= product.minPrincipal && principal <= product.maxPrincipal))
+    return `${
+      product.name
+    } lends between ₦${product.minPrincipal.toLocaleString()} and ₦${product.maxPrincipal.toLocaleString()}`;
+  if (!product.tenors.includes(Number(tenor)))
+    return `${product.name} tenors are ${product.tenors.join(", ")} months`;
+  rate = Number(rate);
+  if (!(rate >= product.minRate && rate <= product.maxRate))
+    return `${product.name} rates are ${product.minRate}%–${product.maxRate}%`;
+  if (feeTotal(productFees(product, principal), "upfront") >= principal)
+    return "Upfront fees would exceed the principal";
+  return null;
+}
+
+/* First problem with a catalog entry, or null when it can be saved */
+export function productProblem(p) {
+  if (!String(p.name || "").trim()) return "Give the product a name";
+  for (const key of [
+    "minPrincipal",
+    "maxPrincipal",
+    "minRate",
+    "maxRate",
+    "defaultRate",
+  ])
+    if (p[key] === "" || !(Number(p[key]) >= 0)) return `Enter a valid ${key}`;
+  if (!(Number(p.prepaymentFeePercent || 0) >= 0))
+    return "Enter a valid prepayment fee";
+  if (Number(p.minPrincipal) <= 0) return "Minimum principal must be above 0";
+  if (Number(p.minPrincipal) > Number(p.maxPrincipal))
+    return "Minimum principal is above the maximum";
+  if (Number(p.minRate) > Number(p.maxRate))
+    return "Minimum rate is above the maximum";
+  if (
+    Number(p.defaultRate) < Number(p.minRate) ||
+    Number(p.defaultRate) > Number(p.maxRate)
+  )
+    return "Default rate must be inside the rate range";
+  if (!p.tenors?.length) return "Allow at least one tenor";
+  if (p.tenors.some((t) => !Number.isInteger(Number(t)) || Number(t) <= 0))
+    return "Tenors are whole months";
+  if (!INTEREST_METHODS[p.interestMethod]) return "Choose an interest method";
+  for (const f of p.fees || []) {
+    if (!String(f.name || "").trim()) return "Every fee needs a name";
+    if (!(Number(f.amount) >= 0)) return `Fee "${f.name}" needs an amount`;
+    if (!["flat", "percent"].includes(f.type) || !FEE_TIMING[f.when])
+      return `Fee "${f.name}" is incomplete`;
+  }
+  return null;
+}
@@ -0,0 +1,108 @@
+/* Collection queries
+   One query language for every backend: the local repository runs it over
+   localStorage, the HTTP repository sends it as the query string and the mock
+   server runs this same module. Keep it free of imports so the mock server can
+   load it directly.
+
+   Parameters (all strings, as they arrive in a URL):
+     q            case-insensitive text that any field in _searchIn contains
+     _searchIn    comma-separated fields for q (default: every text field)
+     <field>      equals the value, or one of comma-separated values
+     <field>_gte  at least the value (numbers compare as numbers, other
+     <field>_lte  values as strings, so ISO dates work)
+     _sort        field to order by, _order "asc" (default) or "desc"
+     _page        1-based page, _limit page size (default: everything)
+   Fields may be dotted paths, e.g. allocation.principal.
+*/
+
+const RESERVED = ["q", "_searchIn", "_sort", "_order", "_page", "_limit"];
+
+function valueAt(item, path) {
+  return path
+    .split(".")
+    .reduce((v, key) => (v == null ? undefined : v[key]), item);
+}
+
+function isNumeric(v) {
+  return v !== "" && v !== null && !isNaN(Number(v));
+}
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+function present(v) {
+  return v !== undefined && v !== null && v !== "";
+}
+
+/* Drop empty values so "?status=" means no filter */
+export function cleanParams(params = {}) {
+  return Object.fromEntries(
+    Object.entries(params).filter(([, v]) => present(v))
+  );
+}
+
+function matches(item, params) {
+  for (const [key, raw] of Object.entries(params)) {
+    if (RESERVED.includes(key)) continue;
+    const value = String(raw);
+    if (key.endsWith("_gte") || key.endsWith("_lte")) {
+      const v = valueAt(item, key.slice(0, -4));
+      if (!present(v)) return false;
+      const diff = compare(v, value);
+      if (key.endsWith("_gte") ? diff < 0 : diff > 0) return false;
+    } else if (!value.split(",").includes(String(valueAt(item, key)))) {
+      return false;
+    }
+  }
+  const term = String(params.q || "")
+    .trim()
+    .toLowerCase();
+  if (!term) return true;
+  const fields = params._searchIn
+    ? String(params._searchIn).split(",")
+    : Object.keys(item).filter((k) => typeof item[k] === "string");
+  return fields.some((f) => {
+    const v = valueAt(item, f);
+    return present(v) && String(v).toLowerCase().includes(term);
+  });
+}
+
+/* Filter, sort and page a list. Returns { items, total, page, limit, pages };
+   the page is clamped to the last one. */
+export function runQuery(list, rawParams = {}) {
+  const params = cleanParams(rawParams);
+  let items = list.filter((item) => matches(item, params));
+
+  if (params._sort) {
+    const dir = params._order === "desc" ? -1 : 1;
+    items = items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => {
+        const va = valueAt(a.item, params._sort);
+        const vb = valueAt(b.item, params._sort);
+        // missing values last whichever way the column is sorted
+        if (!present(va) || !present(vb))
+          return present(vb) - present(va) || a.index - b.index;
+        return compare(va, vb) * dir || a.index - b.index;
+      })
+      .map(({ item }) => item);
+  }
+
+  const total = items.length;
+  const limit = Math.max(0, Math.floor(Number(params._limit) || 0));
+  if (!limit) return { items, total, page: 1, limit: total, pages: 1 };
+  const pages = Math.max(1, Math.ceil(total / limit));
+  const page = Math.min(
+    pages,
+    Math.max(1, Math.floor(Number(params._page) || 1))
+  );
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    total,
+    page,
+    limit,
+    pages,
+  };
+}
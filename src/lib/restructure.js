@@ -0,0 +1,211 @@
+/* Loan restructuring
+   Rewrites the open part of a schedule (see splitSchedule in prepayment.js)
+   under new terms: a longer tenor, a new rate, a payment holiday and/or
+   capitalised arrears. Rows already due stay as they are unless their arrears
+   are capitalised, in which case what they still owe moves into the new
+   principal and the rows are marked capitalized.
+
+   A payment holiday adds zero-payment rows before the first new installment.
+   Interest for the holiday still accrues (simple interest on the principal)
+   and is spread over the installments that follow.
+*/
+import { addMonths, daysBetween } from "./dates";
+import {
+  periodStart,
+  regenerateInstallments,
+  splitSchedule,
+} from "./prepayment";
+import {
+  installmentDue,
+  installmentStatus,
+  scheduleOutstanding,
+} from "./schedule";
+import { nowISO } from "./util";
+
+export const MAX_TENOR_EXTENSION = 60;
+export const MAX_HOLIDAY_MONTHS = 12;
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+function fromKobo(k) {
+  return k / 100;
+}
+function owed(inst, part) {
+  return Math.max(0, toKobo(inst[`${part}Due`]) - toKobo(inst[`${part}Paid`]));
+}
+
+/* Normalise form input; throws on the first invalid change */
+export function cleanRestructure(loan, changes) {
+  const tenorExtension = Number(changes.tenorExtension || 0);
+  const holidayMonths = Number(changes.holidayMonths || 0);
+  const rate =
+    changes.rate === "" || changes.rate == null
+      ? Number(loan.rate)
+      : Number(changes.rate);
+  const capitalizeArrears = Boolean(changes.capitalizeArrears);
+  if (
+    !Number.isInteger(tenorExtension) ||
+    tenorExtension < 0 ||
+    tenorExtension > MAX_TENOR_EXTENSION
+  )
+    throw new Error(
+      `Extend the tenor by 0–${MAX_TENOR_EXTENSION} whole months`
+    );
+  if (
+    !Number.isInteger(holidayMonths) ||
+    holidayMonths < 0 ||
+    holidayMonths > MAX_HOLIDAY_MONTHS
+  )
+    throw new Error(
+      `A payment holiday is 0–${MAX_HOLIDAY_MONTHS} whole months`
+    );
+  if (!(rate > 0 && rate <= 100))
+    throw new Error("Enter a rate between 0 and 100%");
+  if (
+    !tenorExtension &&
+    !holidayMonths &&
+    !capitalizeArrears &&
+    rate === Number(loan.rate)
+  )
+    throw new Error("Nothing to change");
+  return { tenorExtension, holidayMonths, rate, capitalizeArrears };
+}
+
+/* One-line description for the actions history and approval queue */
+export function describeRestructure(loan, changes) {
+  const parts = [];
+  if (changes.tenorExtension) parts.push(`tenor +${changes.tenorExtension}m`);
+  if (changes.rate !== Number(loan.rate))
+    parts.push(`rate ${loan.rate}% → ${changes.rate}%`);
+  if (changes.holidayMonths)
+    parts.push(`${changes.holidayMonths}m payment holiday`);
+  if (changes.capitalizeArrears) parts.push("arrears capitalised");
+  return parts.join(", ");
+}
+
+/* Headline figures for a whole schedule, used for the before/after view.
+   The regular installment is the first one falling due after asOf. */
+export function scheduleSummary(installments, asOf = nowISO()) {
+  const remaining = installments.filter(
+    (inst) => toKobo(installmentDue(inst)) > 0
+  );
+  const upcoming = remaining.filter(
+    (inst) => !inst.holiday && toKobo(inst.principalDue) > 0
+  );
+  const regular =
+    upcoming.find((inst) => daysBetween(inst.dueDate, asOf) < 0) || upcoming[0];
+  return {
+    installments: remaining.length,
+    payment: regular
+      ? fromKobo(toKobo(regular.principalDue) + toKobo(regular.interestDue))
+      : 0,
+    lastDueDate: installments.length
+      ? installments[installments.length - 1].dueDate
+      : null,
+    interest: fromKobo(
+      installments.reduce((s, inst) => s + owed(inst, "interest"), 0)
+    ),
+    total: scheduleOutstanding(installments),
+  };
+}
+
+/* Work out a restructure without changing anything. Returns
+   { asOf, changes, capitalized, holidayInterest, installments, before, after }
+   with amounts in naira; capitalized is what moved from arrears into
+   principal ({ principal, interest, fee }). */
+export function previewRestructure(loan, changes, asOf = nowISO()) {
+  changes = cleanRestructure(loan, changes);
+  const installments = loan.installments || [];
+  const { kept, open } = splitSchedule(installments, asOf);
+
+  const capitalized = { principal: 0, interest: 0, fee: 0 };
+  const keptRows = kept.map((inst) => {
+    const isDue = daysBetween(inst.dueDate, asOf) >= 0;
+    if (
+      !changes.capitalizeArrears ||
+      !isDue ||
+      toKobo(installmentDue(inst)) <= 0
+    )
+      return inst;
+    capitalized.principal += owed(inst, "principal");
+    capitalized.interest += owed(inst, "interest");
+    capitalized.fee += owed(inst, "fee");
+    const next = {
+      ...inst,
+      principalDue: inst.principalPaid,
+      interestDue: inst.interestPaid,
+      feeDue: inst.feePaid,
+      capitalized: true,
+    };
+    next.status = installmentStatus(next);
+    return next;
+  });
+  const capitalizedTotal =
+    capitalized.principal + capitalized.interest + capitalized.fee;
+  const openPrincipal = open.reduce(
+    (s, inst) => s + owed(inst, "principal"),
+    0
+  );
+  const principal = openPrincipal + capitalizedTotal;
+  if (principal <= 0) throw new Error("Nothing left to reschedule");
+  const count = open.length + changes.tenorExtension;
+  if (count < 1) throw new Error("Extend the tenor to spread the arrears");
+
+  const firstSeq = (kept.length ? kept[kept.length - 1].seq : 0) + 1;
+  const holiday = [];
+  for (let h = 0; h < changes.holidayMonths; h++)
+    holiday.push({
+      seq: firstSeq + h,
+      dueDate: addMonths(loan.disbursedAt, firstSeq + h),
+      principalDue: 0,
+      interestDue: 0,
+      feeDue: 0,
+      principalPaid: 0,
+      interestPaid: 0,
+      feePaid: 0,
+      status: "paid",
+      holiday: true,
+    });
+  const rows = regenerateInstallments(loan, {
+    principal: fromKobo(principal),
+    count,
+    startDate: holiday.length
+      ? holiday[holiday.length - 1].dueDate
+      : periodStart(loan, kept.length),
+    firstSeq: firstSeq + holiday.length,
+    rate: changes.rate,
+  });
+
+  // holiday interest accrues and is spread evenly over the new installments
+  const holidayInterest = Math.round(
+    (principal * changes.rate * holiday.length) / 1200
+  );
+  const share = Math.floor(holidayInterest / rows.length);
+  rows.forEach((row, i) => {
+    const extra =
+      i === rows.length - 1
+        ? holidayInterest - share * (rows.length - 1)
+        : share;
+    row.interestDue = fromKobo(toKobo(row.interestDue) + extra);
+  });
+  // fees already charged on open rows carry over to the first new installment
+  const carriedFees = open.reduce((s, inst) => s + owed(inst, "fee"), 0);
+  rows[0].feeDue = fromKobo(toKobo(rows[0].feeDue) + carriedFees);
+
+  const next = [...keptRows, ...holiday, ...rows];
+  return {
+    asOf,
+    changes,
+    description: describeRestructure(loan, changes),
+    capitalized: {
+      principal: fromKobo(capitalized.principal),
+      interest: fromKobo(capitalized.interest),
+      fee: fromKobo(capitalized.fee),
+    },
+    holidayInterest: fromKobo(holidayInterest),
+    installments: next,
+    before: scheduleSummary(installments, asOf),
+    after: scheduleSummary(next, asOf),
+  };
+}
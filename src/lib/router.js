@@ -0,0 +1,131 @@
+/* Client-side routing on the History API
+   Paths are matched against ROUTES in order; ":name" segments become params.
+   The host rewrites every path to index.html (rcel.json, and Vite's dev
+   server does the same), so deep links survive reloads. Table filters live
+   in the query string (useSearchState) so a filtered view can be shared.
+*/
+import { useMemo, useSyncExternalStore } from "react";
+
+export const ROUTES = [
+  { name: "dashboard", path: "/" },
+  { name: "applications", path: "/applications" },
+  { name: "loan", path: "/loans/:id" },
+  { name: "borrowers", path: "/borrowers" },
+  { name: "borrower", path: "/borrowers/:username" },
+  { name: "password", path: "/password" },
+  { name: "users", path: "/users" },
+  { name: "import", path: "/import" },
+  { name: "analytics", path: "/analytics" },
+  { name: "notifications", path: "/notifications" },
+];
+
+const NAVIGATE_EVENT = "app:navigate";
+
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+// null for a malformed escape such as "%E0%A4%A"
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+/* { name, params } for a pathname, or { name: "not_found" } */
+export function matchRoute(pathname) {
+  const parts = splitPath(pathname);
+  for (const route of ROUTES) {
+    const pattern = splitPath(route.path);
+    if (pattern.length !== parts.length) continue;
+    const params = {};
+    const ok = pattern.every((seg, i) => {
+      if (seg.startsWith(":")) {
+        params[seg.slice(1)] = decodeSegment(parts[i]);
+        return params[seg.slice(1)] !== null;
+      }
+      return seg === parts[i];
+    });
+    if (ok) return { name: route.name, params };
+  }
+  return { name: "not_found", params: {} };
+}
+
+/* Path for a named route, e.g. pathFor("loan", { id }) */
+export function pathFor(name, params = {}) {
+  const route = ROUTES.find((r) => r.name === name);
+  if (!route) throw new Error(`Unknown route ${name}`);
+  return route.path.replace(/:(\w+)/g, (_, key) =>
+    encodeURIComponent(params[key])
+  );
+}
+
+export function navigate(path, { replace = false } = {}) {
+  if (path === window.location.pathname) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", path);
+  if (!replace) window.scrollTo(0, 0);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+function subscribe(callback) {
+  window.addEventListener("popstate", callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener("popstate", callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+function currentPath() {
+  return window.location.pathname;
+}
+
+function currentSearch() {
+  return window.location.search;
+}
+
+/* The current route; re-renders on navigate() and the back/forward buttons */
+export function useRoute() {
+  const pathname = useSyncExternalStore(subscribe, currentPath);
+  return { pathname, ...matchRoute(pathname) };
+}
+
+/* Query-string state for one part of a page, e.g. useSearchState("loans",
+   { status: "", page: "1" }) reads and writes ?loans.status=…&loans.page=….
+   Values equal to their default are left out of the URL. Updates replace the
+   history entry rather than adding one per keystroke. Returns
+   [values, update(patch)]; values are strings. Declare defaults outside the
+   component so values only change when the query string does. */
+export function useSearchState(prefix, defaults) {
+  const search = useSyncExternalStore(subscribe, currentSearch);
+  const values = useMemo(() => {
+    const params = new URLSearchParams(search);
+    return Object.fromEntries(
+      Object.entries(defaults).map(([key, fallback]) => [
+        key,
+        params.get(`${prefix}.${key}`) ?? fallback,
+      ])
+    );
+  }, [search, prefix, defaults]);
+
+  function update(patch) {
+    const params = new URLSearchParams(window.location.search);
+    for (const [key, value] of Object.entries(patch)) {
+      const name = `${prefix}.${key}`;
+      if (value === undefined || String(value) === String(defaults[key]))
+        params.delete(name);
+      else params.set(name, value);
+    }
+    const query = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + (query ? `?${query}` : "")
+    );
+    window.dispatchEvent(new Event(NAVIGATE_EVENT));
+  }
+
+  return [values, update];
+}
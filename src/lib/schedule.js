@@ -0,0 +1,242 @@
+/* Installment schedules
+   A loan carries its own installment list from disbursement onwards; each row
+   tracks what is due and what has been paid for fees, interest and principal.
+   Payments are allocated oldest installment first and, within an installment,
+   fees -> interest -> principal.
+*/
+import { amortizationSchedule } from "./finance";
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+function fromKobo(k) {
+  return k / 100;
+}
+
+/* Build the persisted installment list for a freshly disbursed loan */
+export function buildInstallments({
+  principal,
+  rate,
+  tenor,
+  disbursedAt,
+  interestMethod,
+}) {
+  const { rows } = amortizationSchedule(principal, rate, tenor, {
+    method: interestMethod,
+    startDate: disbursedAt,
+  });
+  return rows.map((r) => ({
+    seq: r.month,
+    dueDate: r.dueDate,
+    principalDue: r.principalPaid,
+    interestDue: r.interest,
+    feeDue: 0,
+    principalPaid: 0,
+    interestPaid: 0,
+    feePaid: 0,
+    status: "outstanding",
+  }));
+}
+
+export function installmentDue(inst) {
+  return fromKobo(
+    toKobo(inst.feeDue) +
+      toKobo(inst.interestDue) +
+      toKobo(inst.principalDue) -
+      toKobo(inst.feePaid) -
+      toKobo(inst.interestPaid) -
+      toKobo(inst.principalPaid)
+  );
+}
+
+export function installmentStatus(inst) {
+  if (toKobo(installmentDue(inst)) <= 0) return "paid";
+  const paid =
+    toKobo(inst.feePaid) +
+    toKobo(inst.interestPaid) +
+    toKobo(inst.principalPaid);
+  return paid > 0 ? "partial" : "outstanding";
+}
+
+/* Total still owed across the schedule (fees + interest + principal) */
+export function scheduleOutstanding(installments = []) {
+  return fromKobo(
+    installments.reduce((s, inst) => s + toKobo(installmentDue(inst)), 0)
+  );
+}
+
+/* First installment that is not fully paid */
+export function nextInstallment(installments = []) {
+  return (
+    installments.find((inst) => installmentStatus(inst) !== "paid") || null
+  );
+}
+
+const COMPONENTS = [
+  ["feeDue", "feePaid", "fee"],
+  ["interestDue", "interestPaid", "interest"],
+  ["principalDue", "principalPaid", "principal"],
+];
+
+/* Allocate a payment across the schedule without mutating it.
+   Returns the updated installments, the split by component and any amount
+   left over once everything is paid. */
+export function allocatePayment(installments, amount) {
+  let left = toKobo(amount);
+  const split = { fee: 0, interest: 0, principal: 0 };
+  const next = installments.map((inst) => {
+    const updated = { ...inst };
+    for (const [dueKey, paidKey, part] of COMPONENTS) {
+      if (left <= 0) break;
+      const owed = toKobo(updated[dueKey]) - toKobo(updated[paidKey]);
+      if (owed <= 0) continue;
+      const take = Math.min(owed, left);
+      updated[paidKey] = fromKobo(toKobo(updated[paidKey]) + take);
+      split[part] += take;
+      left -= take;
+    }
+    updated.status = installmentStatus(updated);
+    return updated;
+  });
+  return {
+    installments: next,
+    allocation: {
+      fee: fromKobo(split.fee),
+      interest: fromKobo(split.interest),
+      principal: fromKobo(split.principal),
+    },
+    unapplied: fromKobo(left),
+  };
+}
+
+/* Keep the schedule a prepayment or restructure is about to replace.
+   Returns the loan fields to merge: the archived versions (with the terms
+   they ran under) and the number of the version that replaces them. */
+export function archiveSchedule(loan, { at, by, reason }) {
+  const version = loan.scheduleVersion || 1;
+  return {
+    scheduleVersions: [
+      ...(loan.scheduleVersions || []),
+      {
+        version,
+        rate: loan.rate,
+        tenor: loan.tenor,
+        monthlyPayment: loan.monthlyPayment,
+        installments: loan.installments,
+        replacedAt: at,
+        replacedBy: by,
+        reason,
+      },
+    ],
+    scheduleVersion: version + 1,
+  };
+}
+
+/* Manual principal adjustment: a positive amount writes principal down from
+   the last installment backwards, a negative amount adds it to the last one */
+export function adjustPrincipal(installments, amount) {
+  const next = installments.map((inst) => ({ ...inst }));
+  let left = toKobo(amount);
+  if (left < 0 && next.length) {
+    const last = next[next.length - 1];
+    last.principalDue = fromKobo(toKobo(last.principalDue) - left);
+    last.status = installmentStatus(last);
+    return next;
+  }
+  for (let i = next.length - 1; i >= 0 && left > 0; i--) {
+    const inst = next[i];
+    const owed = toKobo(inst.principalDue) - toKobo(inst.principalPaid);
+    const take = Math.min(Math.max(owed, 0), left);
+    inst.principalDue = fromKobo(toKobo(inst.principalDue) - take);
+    left -= take;
+    inst.status = installmentStatus(inst);
+  }
+  return next;
+}
+
+/* Mark principal repaid before schedules existed against the oldest rows */
+export function applyPrincipalPaid(installments, amount) {
+  let left = toKobo(amount);
+  return installments.map((inst) => {
+    const updated = { ...inst };
+    const owed = toKobo(updated.principalDue) - toKobo(updated.principalPaid);
+    const take = Math.min(Math.max(owed, 0), Math.max(left, 0));
+    updated.principalPaid = fromKobo(toKobo(updated.principalPaid) + take);
+    // interest on those rows was never charged under the old model
+    if (take > 0 && take === owed) updated.interestDue = updated.interestPaid;
+    left -= take;
+    updated.status = installmentStatus(updated);
+    return updated;
+  });
+}
+
+/* Rows for the schedule viewer and its exports: the total each row asks
+   for, running interest and principal, and the scheduled principal left
+   after it. Input rows carry kobo amounts. */
+function withRunningTotals(rows) {
+  let balance = rows.reduce((s, r) => s + r.principal, 0);
+  let interestSoFar = 0;
+  let principalSoFar = 0;
+  return rows.map((r) => {
+    interestSoFar += r.interest;
+    principalSoFar += r.principal;
+    balance -= r.principal;
+    return {
+      ...r,
+      fee: fromKobo(r.fee),
+      interest: fromKobo(r.interest),
+      principal: fromKobo(r.principal),
+      payment: fromKobo(r.fee + r.interest + r.principal),
+      cumulativeInterest: fromKobo(interestSoFar),
+      cumulativePrincipal: fromKobo(principalSoFar),
+      balance: fromKobo(balance),
+    };
+  });
+}
+
+/* Viewer rows for a loan's persisted installments, with what was paid */
+export function installmentRows(installments = []) {
+  return withRunningTotals(
+    installments.map((inst) => ({
+      seq: inst.seq,
+      dueDate: inst.dueDate,
+      fee: toKobo(inst.feeDue),
+      interest: toKobo(inst.interestDue),
+      principal: toKobo(inst.principalDue),
+      paid: fromKobo(
+        toKobo(inst.feePaid) +
+          toKobo(inst.interestPaid) +
+          toKobo(inst.principalPaid)
+      ),
+      status: inst.holiday
+        ? "holiday"
+        : inst.capitalized
+        ? "capitalized"
+        : inst.status,
+    }))
+  );
+}
+
+/* Viewer rows for an unsaved amortizationSchedule() preview */
+export function previewRows(schedule) {
+  return withRunningTotals(
+    schedule.rows.map((r) => ({
+      seq: r.month,
+      dueDate: r.dueDate,
+      fee: 0,
+      interest: toKobo(r.interest),
+      principal: toKobo(r.principalPaid),
+    }))
+  );
+}
+
+/* Column totals of viewer rows */
+export function scheduleTotals(rows) {
+  const sum = (key) => fromKobo(rows.reduce((s, r) => s + toKobo(r[key]), 0));
+  return {
+    fee: sum("fee"),
+    interest: sum("interest"),
+    principal: sum("principal"),
+    payment: sum("payment"),
+  };
+}
@@ -0,0 +1,213 @@
+/* Declarative credit scoring
+   A rule set is plain data, so the credit team can change it without a code
+   change (see services/scoringService.js for versioning):
+   - factors add points to baseScore, either weight × metric ("linear") or
+     weight × the points of the band the metric falls in ("bands")
+   - limits pick an income multiplier for the maximum loan
+   - knockouts decline outright and carry a reason code
+   - grades map an eligible score to a risk level and rate
+   DEFAULT_RULE_SET reproduces the original hard-coded eligibility check.
+*/
+
+export const METRICS = {
+  income: "Monthly income (₦)",
+  existingObligations: "Existing obligations (₦/month)",
+  desiredLoanAmount: "Requested amount (₦)",
+  tenor: "Tenor (months)",
+  dti: "Debt-to-income (%)",
+  loanToIncome: "Requested amount ÷ monthly income",
+  amountOverMaxLoan: "Requested amount above max loan (₦)",
+};
+
+export const OPERATORS = [">", ">=", "<", "<="];
+export const RISK_LEVELS = ["Low", "Medium", "High"];
+
+export const DEFAULT_RULE_SET = {
+  id: "builtin",
+  version: 1,
+  name: "Original eligibility rules",
+  status: "active",
+  baseScore: 500,
+  minScore: 300,
+  maxScore: 850,
+  cutoffScore: 300,
+  declinedRate: 20,
+  factors: [
+    {
+      id: "income",
+      label: "Income",
+      metric: "income",
+      type: "linear",
+      weight: 0.0005,
+      bands: [],
+    },
+  ],
+  limits: [
+    { minIncome: 0, multiplier: 2 },
+    { minIncome: 100000, multiplier: 3 },
+    { minIncome: 250000, multiplier: 4 },
+    { minIncome: 500000, multiplier: 6 },
+  ],
+  knockouts: [
+    {
+      code: "DTI_TOO_HIGH",
+      reason: "Debt-to-income ratio above 50%",
+      metric: "dti",
+      op: ">",
+      value: 50,
+      riskLevel: "High",
+    },
+    {
+      code: "AMOUNT_OVER_LIMIT",
+      reason: "Requested amount is above the maximum loan for this income",
+      metric: "amountOverMaxLoan",
+      op: ">",
+      value: 0,
+      riskLevel: "Medium",
+    },
+  ],
+  grades: [{ minScore: 300, riskLevel: "Low", rate: 12 }],
+};
+
+function compare(a, op, b) {
+  if (op === ">") return a > b;
+  if (op === ">=") return a >= b;
+  if (op === "<") return a < b;
+  if (op === "<=") return a <= b;
+  return false;
+}
+
+function factorPoints(factor, value) {
+  const weight = Number(factor.weight || 0);
+  if (factor.type === "linear") return weight * value;
+  const band = (factor.bands || []).find(
+    (b) =>
+      value >= Number(b.min ?? -Infinity) &&
+      (b.max === "" || b.max == null || value < Number(b.max))
+  );
+  return band ? weight * Number(band.points || 0) : 0;
+}
+
+/* Highest band whose threshold the value reaches (bands in any order) */
+function pickBand(bands, key, value) {
+  return [...bands]
+    .sort((a, b) => Number(b[key]) - Number(a[key]))
+    .find((b) => value >= Number(b[key]));
+}
+
+/* Score one applicant; returns the eligibility fields the app has always
+   used plus reasonCodes, the factor breakdown and the rule-set version */
+export function evaluateRuleSet(ruleSet, input) {
+  const income = Number(input.income || 0);
+  const existingObligations = Number(input.existingObligations || 0);
+  const desiredLoanAmount = Number(input.desiredLoanAmount || 0);
+  const tenor = Number(input.tenor || 12);
+  const dti =
+    income > 0 ? Math.round((existingObligations / income) * 100) : 100;
+  const limit = pickBand(ruleSet.limits, "minIncome", income);
+  const maxLoan = Math.round(income * Number(limit?.multiplier || 0));
+  const metrics = {
+    income,
+    existingObligations,
+    desiredLoanAmount,
+    tenor,
+    dti,
+    loanToIncome: income > 0 ? desiredLoanAmount / income : Infinity,
+    amountOverMaxLoan: desiredLoanAmount - maxLoan,
+  };
+
+  const points = ruleSet.factors.map((f) => factorPoints(f, metrics[f.metric]));
+  const factors = ruleSet.factors.map((f, i) => ({
+    id: f.id,
+    label: f.label,
+    points: Math.round(points[i] * 100) / 100,
+  }));
+  const raw = points.reduce((s, p) => s + p, Number(ruleSet.baseScore));
+  const creditScore = Math.max(
+    Number(ruleSet.minScore),
+    Math.min(Number(ruleSet.maxScore), Math.round(raw))
+  );
+
+  const hits = ruleSet.knockouts.filter((k) =>
+    compare(metrics[k.metric], k.op, Number(k.value))
+  );
+  const reasonCodes = hits.map((k) => ({ code: k.code, reason: k.reason }));
+  if (creditScore < Number(ruleSet.cutoffScore))
+    reasonCodes.push({
+      code: "SCORE_BELOW_CUTOFF",
+      reason: `Score ${creditScore} is below the cut-off of ${ruleSet.cutoffScore}`,
+    });
+  const isEligible = reasonCodes.length === 0;
+
+  // declined applicants take the most severe knock-out's risk level
+  const grade = isEligible && pickBand(ruleSet.grades, "minScore", creditScore);
+  let riskLevel = grade?.riskLevel || "Low";
+  if (!isEligible)
+    riskLevel = hits.length
+      ? RISK_LEVELS[
+          Math.max(...hits.map((k) => RISK_LEVELS.indexOf(k.riskLevel)))
+        ]
+      : "High";
+  return {
+    dti,
+    maxLoan,
+    isEligible,
+    creditScore,
+    riskLevel,
+    defaultRate: Number(grade ? grade.rate : ruleSet.declinedRate),
+    reasonCodes,
+    factors,
+    ruleSet: { id: ruleSet.id, version: ruleSet.version, name: ruleSet.name },
+  };
+}
+
+function isNumber(v) {
+  return v !== "" && v !== null && isFinite(Number(v));
+}
+
+/* First problem with an edited rule set, or null when it can be published */
+export function ruleSetProblem(rs) {
+  if (!String(rs.name || "").trim()) return "Give the rule set a name";
+  for (const key of [
+    "baseScore",
+    "minScore",
+    "maxScore",
+    "cutoffScore",
+    "declinedRate",
+  ])
+    if (!isNumber(rs[key])) return `Enter a number for ${key}`;
+  if (Number(rs.minScore) >= Number(rs.maxScore))
+    return "Minimum score must be below maximum score";
+  for (const f of rs.factors || []) {
+    if (!METRICS[f.metric]) return `Factor "${f.label}" has no metric`;
+    if (!isNumber(f.weight)) return `Factor "${f.label}" needs a weight`;
+    if (f.type === "bands" && !(f.bands || []).length)
+      return `Factor "${f.label}" needs at least one band`;
+    for (const b of f.bands || [])
+      if (!isNumber(b.min) || !isNumber(b.points))
+        return `Factor "${f.label}" has an incomplete band`;
+  }
+  if (!(rs.limits || []).length) return "Add at least one loan limit";
+  for (const l of rs.limits)
+    if (!isNumber(l.minIncome) || !isNumber(l.multiplier))
+      return "Loan limits need an income threshold and a multiplier";
+  const codes = new Set();
+  for (const k of rs.knockouts || []) {
+    if (!String(k.code || "").trim()) return "Every knock-out needs a code";
+    if (codes.has(k.code)) return `Duplicate knock-out code ${k.code}`;
+    codes.add(k.code);
+    if (!METRICS[k.metric] || !OPERATORS.includes(k.op) || !isNumber(k.value))
+      return `Knock-out ${k.code} is incomplete`;
+    if (!RISK_LEVELS.includes(k.riskLevel))
+      return `Knock-out ${k.code} needs a risk level`;
+  }
+  if (!(rs.grades || []).length) return "Add at least one grade";
+  for (const g of rs.grades)
+    if (
+      !isNumber(g.minScore) ||
+      !isNumber(g.rate) ||
+      !RISK_LEVELS.includes(g.riskLevel)
+    )
+      return "Grades need a minimum score, risk level and rate";
+  return null;
+}
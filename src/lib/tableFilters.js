@@ -0,0 +1,82 @@
+/* Staff table filters
+   The loans table and repayments ledger keep their filters in the URL
+   (useSearchState in ./router), so every value here is a string. These
+   helpers turn them into repository queries (./query).
+*/
+import { dateBounds } from "./portfolioExport";
+
+export const PAGE_SIZE = 20;
+
+export const LOAN_FILTER_DEFAULTS = {
+  q: "",
+  status: "",
+  rateMin: "",
+  rateMax: "",
+  tenor: "",
+  from: "",
+  to: "",
+  sort: "createdAt",
+  order: "desc",
+  page: "1",
+};
+
+export const REPAYMENT_FILTER_DEFAULTS = {
+  q: "",
+  from: "",
+  to: "",
+  sort: "date",
+  order: "desc",
+  page: "1",
+};
+
+/* Sorting by the column already sorted flips the order; a new column starts
+   with the largest / latest first except for text */
+export function nextSort(filters, field, textFields = []) {
+  if (filters.sort === field)
+    return { sort: field, order: filters.order === "asc" ? "desc" : "asc" };
+  return { sort: field, order: textFields.includes(field) ? "asc" : "desc" };
+}
+
+function pageParams(filters) {
+  return {
+    _sort: filters.sort,
+    _order: filters.order,
+    _page: filters.page,
+    _limit: PAGE_SIZE,
+  };
+}
+
+/* Free text matches the loan id or the borrower's username */
+export function loanQueryParams(filters) {
+  const { start, end } = dateBounds(filters);
+  return {
+    q: filters.q,
+    _searchIn: "id,borrowerUsername",
+    status: filters.status,
+    rate_gte: filters.rateMin,
+    rate_lte: filters.rateMax,
+    tenor: filters.tenor,
+    createdAt_gte: start,
+    createdAt_lte: end,
+    ...pageParams(filters),
+  };
+}
+
+/* Free text matches the loan id, the repayment id, the borrower or who
+   paid */
+export function repaymentQueryParams(filters) {
+  const { start, end } = dateBounds(filters);
+  return {
+    q: filters.q,
+    _searchIn: "loanId,id,borrowerUsername,by",
+    date_gte: start,
+    date_lte: end,
+    ...pageParams(filters),
+  };
+}
+
+export function hasFilters(filters, defaults) {
+  return ["q", "status", "rateMin", "rateMax", "tenor", "from", "to"]
+    .filter((key) => key in defaults)
+    .some((key) => filters[key] !== defaults[key]);
+}
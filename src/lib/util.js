@@ -0,0 +1,24 @@
+/* Small shared helpers (ids, timestamps, formatting) */
+
+export function uid() {
+  return Math.random().toString(36).slice(2, 9);
+}
+
+export function nowISO() {
+  return new Date().toISOString();
+}
+
+export function formatCurrency(n) {
+  return "₦" + Number(n).toLocaleString("en-NG");
+}
+
+/* Short form for chart axes: ₦950, ₦12.5K, ₦1.2M, ₦3B */
+export function formatCompact(n) {
+  const units = [
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "K"],
+  ];
+  const [size, suffix] = units.find(([u]) => Math.abs(n) >= u) || [1, ""];
+  return "₦" + +(n / size).toFixed(1) + suffix;
+}
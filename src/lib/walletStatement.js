@@ -0,0 +1,261 @@
+/* Borrower wallet history and monthly statements
+   Every journal entry that touches wallet:<username> is one transaction,
+   with its credit or debit and the running balance after it. A statement
+   covers one calendar month (UTC, like the portfolio exports): the balance
+   carried in, that month's transactions and the balance carried out.
+*/
+import { isoDate, toCsv } from "./export";
+import { walletAccount } from "./ledger";
+import { PAGE_SIZE, buildPdf } from "./pdf";
+
+function toKobo(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+function describe(entry) {
+  const { type, loanId } = entry.ref || {};
+  if (type === "disbursement") return `Loan ${loanId} disbursed`;
+  if (type === "topup") return "Wallet top-up";
+  if (type === "repayment") return `Repayment on loan ${loanId}`;
+  if (type === "recovery") return `Payment on written-off loan ${loanId}`;
+  if (type === "opening") return "Balance carried over";
+  return entry.memo;
+}
+
+/* Oldest first: { id, at, type, description, reference, credit, debit,
+   balance } in Naira */
+export function walletTransactions(journal, username) {
+  const account = walletAccount(username);
+  const entries = [...journal].sort((a, b) => a.at.localeCompare(b.at));
+  const rows = [];
+  let balance = 0;
+  for (const entry of entries) {
+    let credit = 0;
+    let debit = 0;
+    for (const line of entry.lines) {
+      if (line.account !== account) continue;
+      credit += toKobo(line.credit);
+      debit += toKobo(line.debit);
+    }
+    if (!credit && !debit) continue;
+    // wallets are liabilities: credits add to the balance
+    balance += credit - debit;
+    rows.push({
+      id: entry.id,
+      at: entry.at,
+      type: entry.ref?.type || "other",
+      description: describe(entry),
+      // the gateway reference for top-ups, the journal entry otherwise
+      reference: entry.ref?.reference || entry.id,
+      credit: credit / 100,
+      debit: debit / 100,
+      balance: balance / 100,
+    });
+  }
+  return rows;
+}
+
+function monthOf(iso) {
+  return iso.slice(0, 7);
+}
+
+/* YYYY-MM months a statement can be drawn for, newest first: from the first
+   transaction's month to the current one */
+export function statementMonths(transactions, now = new Date().toISOString()) {
+  const months = [];
+  const first = transactions[0] ? monthOf(transactions[0].at) : monthOf(now);
+  let [year, month] = monthOf(now).split("-").map(Number);
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, "0")}`;
+    months.push(key);
+    if (key <= first) return months;
+    if (--month === 0) [year, month] = [year - 1, 12];
+  }
+}
+
+/* { username, month, start, end, openingBalance, transactions,
+   totalCredits, totalDebits, closingBalance } for a YYYY-MM month */
+export function monthlyStatement(journal, username, month) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month)))
+    throw new Error("Choose a statement month");
+  const [year, m] = month.split("-").map(Number);
+  const start = new Date(Date.UTC(year, m - 1, 1)).toISOString();
+  const end = new Date(Date.UTC(year, m, 1) - 1).toISOString();
+  const all = walletTransactions(journal, username);
+  const before = all.filter((t) => t.at < start);
+  const transactions = all.filter((t) => t.at >= start && t.at <= end);
+  const openingBalance = before.at(-1)?.balance ?? 0;
+  const sum = (key) =>
+    transactions.reduce((s, t) => s + toKobo(t[key]), 0) / 100;
+  return {
+    username,
+    month,
+    start,
+    end,
+    openingBalance,
+    transactions,
+    totalCredits: sum("credit"),
+    totalDebits: sum("debit"),
+    closingBalance: transactions.at(-1)?.balance ?? openingBalance,
+  };
+}
+
+/* e.g. wallet-statement_john_2026-10 */
+export function statementFileName(statement) {
+  return `wallet-statement_${statement.username}_${statement.month}`;
+}
+
+function amount(n) {
+  return (toKobo(n) / 100).toFixed(2);
+}
+
+/* One row per transaction between an opening and a closing balance row,
+   amounts in Naira to two decimals */
+export function statementCsv(statement) {
+  const columns = [
+    { label: "date", value: (r) => r.at },
+    { label: "reference", value: (r) => r.reference },
+    { label: "description", value: (r) => r.description },
+    { label: "debit", value: (r) => (r.debit ? amount(r.debit) : "") },
+    { label: "credit", value: (r) => (r.credit ? amount(r.credit) : "") },
+    { label: "balance", value: (r) => amount(r.balance) },
+  ];
+  return toCsv(columns, [
+    {
+      at: statement.start,
+      description: "Opening balance",
+      balance: statement.openingBalance,
+    },
+    ...statement.transactions,
+    {
+      at: statement.end,
+      description: "Closing balance",
+      balance: statement.closingBalance,
+    },
+  ]);
+}
+
+// thousands separators without a currency symbol, which PDF fonts lack
+function pdfAmount(n) {
+  return Number(n).toLocaleString("en-NG", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function fit(text, max) {
+  text = String(text);
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+const MARGIN = 40;
+const ROW = 14;
+const ROWS_FIRST_PAGE = 38;
+const ROWS_PER_PAGE = 50;
+const COLUMNS = [
+  { label: "Date", x: 40 },
+  { label: "Description", x: 100 },
+  { label: "Reference", x: 290 },
+  { label: "Debit", x: 440, align: "right" },
+  { label: "Credit", x: 500, align: "right" },
+  { label: "Balance", x: 555, align: "right" },
+];
+
+function tableHeader(y) {
+  return [
+    ...COLUMNS.map((c) => ({ ...c, text: c.label, y, size: 8, bold: true })),
+    { line: [MARGIN, y - 4, PAGE_SIZE.width - MARGIN, y - 4] },
+  ];
+}
+
+function tableRow(r, y) {
+  const cells = [
+    isoDate(r.at),
+    fit(r.description, 36),
+    fit(r.reference, 26),
+    r.debit ? pdfAmount(r.debit) : "",
+    r.credit ? pdfAmount(r.credit) : "",
+    pdfAmount(r.balance),
+  ];
+  return COLUMNS.map((c, i) => ({ ...c, text: cells[i], y, size: 8 }));
+}
+
+/* Printable statement; a name on the statement goes in the heading */
+export function statementPdf(
+  statement,
+  generatedAt = new Date().toISOString()
+) {
+  const top = PAGE_SIZE.height - MARGIN;
+  const first = [
+    { text: "VFD Loan Demo", x: MARGIN, y: top, size: 9 },
+    { text: "Wallet statement", x: MARGIN, y: top - 22, size: 16, bold: true },
+    {
+      text: `${statement.name || statement.username} (${statement.username})`,
+      x: MARGIN,
+      y: top - 42,
+    },
+    {
+      text: `Period ${isoDate(statement.start)} to ${isoDate(
+        statement.end
+      )} (UTC) • Amounts in NGN`,
+      x: MARGIN,
+      y: top - 56,
+      size: 9,
+    },
+    {
+      text: `Generated ${generatedAt.replace("T", " ").slice(0, 16)} UTC`,
+      x: MARGIN,
+      y: top - 68,
+      size: 9,
+    },
+  ];
+  const summary = [
+    ["Opening balance", statement.openingBalance],
+    ["Total credits", statement.totalCredits],
+    ["Total debits", statement.totalDebits],
+    ["Closing balance", statement.closingBalance],
+  ];
+  summary.forEach(([label, value], i) => {
+    const x = MARGIN + i * 130;
+    first.push(
+      { text: label, x, y: top - 96, size: 8 },
+      { text: pdfAmount(value), x, y: top - 110, size: 11, bold: true }
+    );
+  });
+
+  const rows = statement.transactions;
+  const pages = [first];
+  let page = first;
+  let y = top - 140;
+  page.push(...tableHeader(y));
+  let left = ROWS_FIRST_PAGE;
+  if (rows.length === 0)
+    page.push({
+      text: "No transactions in this period",
+      x: MARGIN,
+      y: y - ROW - 4,
+      size: 9,
+    });
+  for (const r of rows) {
+    if (left === 0) {
+      page = [];
+      pages.push(page);
+      y = top;
+      page.push(...tableHeader(y));
+      left = ROWS_PER_PAGE;
+    }
+    y -= ROW;
+    page.push(...tableRow(r, y - 4));
+    left--;
+  }
+  pages.forEach((ops, i) =>
+    ops.push({
+      text: `Page ${i + 1} of ${pages.length}`,
+      x: PAGE_SIZE.width - MARGIN,
+      y: MARGIN - 16,
+      size: 8,
+      align: "right",
+    })
+  );
+  return buildPdf(pages);
+}
@@ -0,0 +1,54 @@
+/* Write-offs and recoveries
+   Writing a loan off moves the principal left on its receivable to the
+   write_offs loss account and takes the loan out of the active portfolio
+   with the status "written_off". Unpaid interest and fees were never booked
+   (cash basis) so they are only noted on the loan. Anything collected
+   afterwards is a recovery, booked to its own income account and capped at
+   what was owed when the loan was written off.
+*/
+
+export const WRITE_OFF_REASONS = {
+  uncollectable: "Borrower unable to pay",
+  deceased: "Borrower deceased",
+  untraceable: "Borrower cannot be traced",
+  fraud: "Fraud",
+  insolvency: "Insolvency or bankruptcy",
+  settlement_shortfall: "Shortfall after negotiated settlement",
+  other: "Other",
+};
+
+// lifecycle statuses a loan can be written off from
+export const WRITABLE_OFF_STATUSES = ["active", "overdue", "default"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* Still to collect on a written-off loan */
+export function recoverableBalance(loan) {
+  if (loan.status !== "written_off" || !loan.writeOff) return 0;
+  return Math.max(0, round2(loan.writeOff.total - (loan.recovered || 0)));
+}
+
+/* Repaid closures, write-offs and recoveries reported side by side */
+export function portfolioOutcomes(loans) {
+  const closed = loans.filter((l) => l.status === "closed");
+  const writtenOff = loans.filter((l) => l.status === "written_off");
+  const sum = (list, fn) => round2(list.reduce((s, l) => s + fn(l), 0));
+  const writtenOffPrincipal = sum(
+    writtenOff,
+    (l) => l.writeOff?.principal || 0
+  );
+  const recovered = sum(writtenOff, (l) => l.recovered || 0);
+  return {
+    repaid: {
+      count: closed.length,
+      principal: sum(closed, (l) => Number(l.principal) || 0),
+    },
+    writtenOff: {
+      count: writtenOff.length,
+      principal: writtenOffPrincipal,
+      total: sum(writtenOff, (l) => l.writeOff?.total || 0),
+    },
+    recovered,
+    netLoss: round2(Math.max(0, writtenOffPrincipal - recovered)),
+  };
+}
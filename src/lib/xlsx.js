@@ -0,0 +1,253 @@
+/* Minimal XLSX (Office Open XML) writer
+   Enough of the format for flat data exports: one sheet per dataset, a bold
+   header row, text, plain numbers, Naira amounts (#,##0.00) and date-times.
+   The package is an uncompressed ("stored") zip, which every spreadsheet
+   reader accepts.
+
+   sheets: [{ name, columns: [{ label, type }], rows: [[cell, ...]] }]
+   type is "text", "number", "amount" or "date"; date cells take an ISO
+   string and are written as UTC Excel serial dates.
+*/
+
+const encoder = new TextEncoder();
+
+// cellXfs indexes in STYLES below
+const STYLE = { header: 1, amount: 2, date: 3 };
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+function escapeXml(value) {
+  return (
+    String(value)
+      // characters XML 1.0 cannot carry at all
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+  );
+}
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// days since 1899-12-30, the epoch Excel's 1900 date system effectively uses
+function excelDate(iso) {
+  const ms = Date.parse(iso);
+  return isNaN(ms) ? null : ms / 86400000 + 25569;
+}
+
+function cellXml(ref, value, type) {
+  if (value === null || value === undefined || value === "") return "";
+  if (type === "date") {
+    const serial = excelDate(value);
+    if (serial === null) return cellXml(ref, value, "text");
+    return `<c r="${ref}" s="${STYLE.date}"><v>${serial}</v></c>`;
+  }
+  if (type === "amount" || type === "number") {
+    const n = Number(value);
+    if (!isFinite(n)) return cellXml(ref, value, "text");
+    const style = type === "amount" ? ` s="${STYLE.amount}"` : "";
+    return `<c r="${ref}"${style}><v>${n}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+}
+
+function sheetXml({ columns, rows }) {
+  const header = columns
+    .map(
+      (c, i) =>
+        `<c r="${columnName(i)}1" t="inlineStr" s="${
+          STYLE.header
+        }"><is><t>${escapeXml(c.label)}</t></is></c>`
+    )
+    .join("");
+  const body = rows
+    .map((row, r) => {
+      const cells = columns
+        .map((c, i) => cellXml(`${columnName(i)}${r + 2}`, row[i], c.type))
+        .join("");
+      return `<row r="${r + 2}">${cells}</row>`;
+    })
+    .join("");
+  const widths = columns
+    .map(
+      (c, i) =>
+        `<col min="${i + 1}" max="${i + 1}" width="${
+          c.type === "date" ? 20 : Math.max(12, c.label.length + 2)
+        }" customWidth="1"/>`
+    )
+    .join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths}</cols>
+<sheetData><row r="1">${header}</row>${body}</sheetData>
+</worksheet>`;
+}
+
+function packageFiles(sheets) {
+  const names = sheets.map((s) => escapeXml(s.name.slice(0, 31)));
+  return [
+    [
+      "[Content_Types].xml",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets
+  .map(
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${
+        i + 1
+      }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  )
+  .join("\n")}
+</Types>`,
+    ],
+    [
+      "_rels/.rels",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    ],
+    [
+      "xl/workbook.xml",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names
+        .map(
+          (name, i) =>
+            `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+        )
+        .join("")}</sheets>
+</workbook>`,
+    ],
+    [
+      "xl/_rels/workbook.xml.rels",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets
+  .map(
+    (_, i) =>
+      `<Relationship Id="rId${
+        i + 1
+      }" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${
+        i + 1
+      }.xml"/>`
+  )
+  .join("\n")}
+<Relationship Id="rId${
+        sheets.length + 1
+      }" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+    ],
+    ["xl/styles.xml", STYLES],
+    ...sheets.map((sheet, i) => [
+      `xl/worksheets/sheet${i + 1}.xml`,
+      sheetXml(sheet),
+    ]),
+  ];
+}
+
+/* zip container (stored, no compression) */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++)
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of files) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, 0, true); // time
+    local.setUint16(12, 0x21, true); // date: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, 0, true);
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const centralSize = central.reduce((s, p) => s + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((s, p) => s + p.length, 0));
+  let at = 0;
+  for (const p of all) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
+
+export const XLSX_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/* Workbook bytes, ready for downloadFile(name, bytes, XLSX_TYPE) */
+export function buildXlsx(sheets) {
+  return zip(packageFiles(sheets));
+}
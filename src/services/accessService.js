@@ -0,0 +1,42 @@
+/* Permission checks and role assignment
+   Domain operations re-read the actor's role from the user store rather
+   than trusting the session object the UI passes in.
+*/
+import { repo } from "../data/repository";
+import { PERMISSIONS, ROLES, can, roleOf } from "../lib/permissions";
+import { nowISO } from "../lib/util";
+import { publicUser } from "./authService";
+
+export async function authorize(actor, permission) {
+  const user = actor?.username ? await repo.users.get(actor.username) : null;
+  if (!user) throw new Error("Sign in again to continue");
+  if (!can(user, permission))
+    throw new Error(
+      `Not allowed: ${(PERMISSIONS[permission] || permission).toLowerCase()}`
+    );
+  return user;
+}
+
+export async function listUsers(actor) {
+  await authorize(actor, "user.manage");
+  const users = await repo.users.list();
+  return users.map((u) => ({ ...publicUser(u), role: roleOf(u) }));
+}
+
+export async function assignRole({ actor, username, role }) {
+  await authorize(actor, "user.manage");
+  if (!ROLES[role]) throw new Error("Unknown role");
+  const user = await repo.users.get(username);
+  if (!user) throw new Error("User not found");
+  // keep at least one way back into this screen
+  if (username === actor.username && role !== "admin")
+    throw new Error("You cannot remove your own admin role");
+  const next = {
+    ...user,
+    role,
+    roleChangedBy: actor.username,
+    roleChangedAt: nowISO(),
+  };
+  await repo.users.save(next);
+  return { ...publicUser(next), role };
+}
@@ -0,0 +1,175 @@
+/* Borrower loan applications
+   The status history (see src/lib/applications.js) and reviewer comments are
+   shown to the borrower as well as to staff.
+*/
+import { repo } from "../data/repository";
+import { transition, withComment } from "../lib/applications";
+import { applicationNotice } from "../lib/notifications";
+import { roleOf } from "../lib/permissions";
+import { DEFAULT_PRODUCT_ID, termsProblem } from "../lib/products";
+import { nowISO, uid } from "../lib/util";
+import { authorize } from "./accessService";
+import { requestDisbursement } from "./approvalService";
+import { notify } from "./notificationService";
+import { getProduct } from "./productService";
+import { scoreForProduct } from "./scoringService";
+
+async function load(id) {
+  const application = await repo.applications.get(id);
+  if (!application) throw new Error("Application not found");
+  return application;
+}
+
+/* Borrowers get their own applications; staff need application.review */
+export async function listApplications(actor) {
+  const user = actor?.username ? await repo.users.get(actor.username) : null;
+  if (!user) throw new Error("Sign in again to continue");
+  if (roleOf(user) !== "borrower") await authorize(actor, "application.review");
+  const all = await repo.applications.list();
+  return roleOf(user) === "borrower"
+    ? all.filter((a) => a.borrowerUsername === user.username)
+    : all;
+}
+
+/* Validate the borrower's inputs against the chosen product and score them
+   for an instant result */
+export async function indicativeResult(input) {
+  if (!input.productId) throw new Error("Choose a loan product");
+  const product = await getProduct(input.productId);
+  const amount = Number(input.amount || 0);
+  const tenor = Number(input.tenor || 0);
+  const income = Number(input.income || 0);
+  const existingObligations = Number(input.existingObligations || 0);
+  if (!amount || amount <= 0) throw new Error("Enter the amount you need");
+  if (!tenor || tenor <= 0 || !Number.isInteger(tenor))
+    throw new Error("Enter a tenor in whole months");
+  if (!income || income <= 0) throw new Error("Enter your monthly income");
+  if (existingObligations < 0)
+    throw new Error("Obligations cannot be negative");
+  const problem = termsProblem(product, {
+    principal: amount,
+    tenor,
+    rate: product.defaultRate,
+  });
+  if (problem) throw new Error(problem);
+  return scoreForProduct(product, {
+    income,
+    existingObligations,
+    desiredLoanAmount: amount,
+    tenor,
+  });
+}
+
+export async function submitApplication({ actor, ...input }) {
+  const borrower = await repo.users.get(actor.username);
+  if (roleOf(borrower) !== "borrower")
+    throw new Error("Only borrowers can apply for a loan");
+  const purpose = String(input.purpose || "").trim();
+  if (!purpose) throw new Error("Tell us what the loan is for");
+  const indicative = await indicativeResult(input);
+  const product = await getProduct(input.productId);
+  const at = nowISO();
+  const application = {
+    id: uid(),
+    borrowerUsername: actor.username,
+    productId: product.id,
+    productName: product.name,
+    amount: Number(input.amount),
+    tenor: Number(input.tenor),
+    purpose,
+    income: Number(input.income),
+    existingObligations: Number(input.existingObligations || 0),
+    indicative,
+    status: "submitted",
+    createdAt: at,
+    updatedAt: at,
+    history: [{ status: "submitted", by: actor.username, at, comment: "" }],
+    comments: [],
+  };
+  await repo.applications.save(application);
+  return application;
+}
+
+export async function startReview({ actor, id, comment }) {
+  await authorize(actor, "application.review");
+  const next = transition(
+    await load(id),
+    "under_review",
+    actor.username,
+    comment
+  );
+  return repo.applications.save(next);
+}
+
+export async function approveApplication({ actor, id, rate, comment }) {
+  await authorize(actor, "application.decide");
+  const application = await load(id);
+  if (!application.indicative?.isEligible)
+    await authorize(actor, "eligibility.override");
+  rate = Number(rate || application.indicative?.defaultRate || 12);
+  if (rate <= 0) throw new Error("Enter a valid rate");
+  const product = await getProduct(application.productId || DEFAULT_PRODUCT_ID);
+  if (rate < product.minRate || rate > product.maxRate)
+    throw new Error(
+      `${product.name} rates are ${product.minRate}%–${product.maxRate}%`
+    );
+  const next = transition(application, "approved", actor.username, comment);
+  next.approvedRate = rate;
+  await repo.applications.save(next);
+  await notify([applicationNotice(next)]);
+  return next;
+}
+
+export async function rejectApplication({ actor, id, comment }) {
+  await authorize(actor, "application.decide");
+  if (!String(comment || "").trim())
+    throw new Error("Give the borrower a reason for the rejection");
+  const next = transition(await load(id), "rejected", actor.username, comment);
+  await repo.applications.save(next);
+  await notify([applicationNotice(next)]);
+  return next;
+}
+
+export async function addComment({ actor, id, text }) {
+  await authorize(actor, "application.review");
+  text = String(text || "").trim();
+  if (!text) throw new Error("Comment is empty");
+  return repo.applications.save(
+    withComment(await load(id), actor.username, text)
+  );
+}
+
+/* Disburse an approved application; the loan keeps a link back to it.
+   When the disbursement needs a second approval the application stays
+   "approved" until approvalService activates the loan. */
+export async function disburseApplication({ actor, id }) {
+  const application = await load(id);
+  if (application.status !== "approved")
+    throw new Error("Only approved applications can be disbursed");
+  if (application.loanId)
+    throw new Error("A disbursement for this application already exists");
+  const { loan, pending } = await requestDisbursement({
+    actor,
+    borrowerUsername: application.borrowerUsername,
+    // applications from before the catalog existed were personal loans
+    productId: application.productId || DEFAULT_PRODUCT_ID,
+    principal: application.amount,
+    rate: application.approvedRate,
+    tenor: application.tenor,
+    eligibilitySnapshot: application.indicative,
+    applicationId: application.id,
+    override: !application.indicative?.isEligible,
+    action: "application_disbursed",
+    note: `Disbursed from application ${application.id} — rate ${application.approvedRate}%`,
+  });
+  const next = pending
+    ? withComment(
+        application,
+        actor.username,
+        "Disbursement requested — awaiting second approval"
+      )
+    : transition(application, "disbursed", actor.username);
+  next.loanId = loan.id;
+  await repo.applications.save(next);
+  return { application: next, loan, pending };
+}
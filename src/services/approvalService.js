@@ -0,0 +1,340 @@
+/* Maker-checker (four-eyes) control
+   Disbursements above a threshold, eligibility overrides, manual balance
+   adjustments, restructures and write-offs become pending actions that a different staff member must
+   approve or reject. Each step is also written to the loan's actions.
+*/
+import { repo } from "../data/repository";
+import { transition, withComment } from "../lib/applications";
+import { loanBalance } from "../lib/ledger";
+import { approvalRequest } from "../lib/notifications";
+import { can, isStaff } from "../lib/permissions";
+import { WRITE_OFF_REASONS } from "../lib/writeoff";
+import { nowISO, uid } from "../lib/util";
+import {
+  activatePendingLoan,
+  adjustLoanBalance,
+  checkAdjustment,
+  checkWriteOff,
+  createPendingLoan,
+  disburseLoan,
+  getRestructurePreview,
+  recordLoanAction,
+  rejectPendingLoan,
+  restructureLoan,
+  writeOffLoan,
+} from "./loanService";
+import { authorize } from "./accessService";
+import { notifyStaff } from "./notificationService";
+import { getSetting, saveSetting } from "./settingsService";
+
+export const DEFAULT_APPROVAL_POLICY = {
+  enabled: true,
+  disbursementThreshold: 500000, // ₦; disbursements above need a checker
+  requireForOverride: true, // disbursing to a borrower who failed eligibility
+  requireForAdjustment: true, // manual balance adjustments
+  requireForRestructure: true, // new terms or schedule on a live loan
+  requireForWriteOff: true, // writing a loan off as a loss
+};
+
+export function getApprovalPolicy() {
+  return getSetting("approvals", DEFAULT_APPROVAL_POLICY);
+}
+
+export async function saveApprovalPolicy(policy, actor) {
+  await authorize(actor, "settings.manage");
+  const threshold = Number(policy.disbursementThreshold);
+  if (isNaN(threshold) || threshold < 0)
+    throw new Error("Enter a valid disbursement threshold");
+  const clean = {
+    enabled: Boolean(policy.enabled),
+    disbursementThreshold: threshold,
+    requireForOverride: Boolean(policy.requireForOverride),
+    requireForAdjustment: Boolean(policy.requireForAdjustment),
+    requireForRestructure: Boolean(policy.requireForRestructure),
+    requireForWriteOff: Boolean(policy.requireForWriteOff),
+  };
+  await saveSetting("approvals", clean, actor);
+  return clean;
+}
+
+export function disbursementReasons(policy, { principal, override }) {
+  if (!policy.enabled) return [];
+  const reasons = [];
+  if (Number(principal) > Number(policy.disbursementThreshold))
+    reasons.push(
+      `above ₦${Number(policy.disbursementThreshold).toLocaleString()}`
+    );
+  if (override && policy.requireForOverride)
+    reasons.push("eligibility override");
+  return reasons;
+}
+
+/* Queue an action and tell every possible checker (not the maker) */
+async function submit(pending) {
+  await repo.pendingActions.save(pending);
+  await notifyStaff(
+    "approval.decide",
+    approvalRequest(pending),
+    pending.makerUsername
+  );
+}
+
+/* Checkers (approval.decide) see every action; other staff only the ones
+   they requested, to follow them */
+export async function listPendingActions(actor) {
+  const user = actor?.username ? await repo.users.get(actor.username) : null;
+  if (!user) throw new Error("Sign in again to continue");
+  if (!isStaff(user)) throw new Error("Only staff see pending approvals");
+  const all = await repo.pendingActions.list();
+  return can(user, "approval.decide")
+    ? all
+    : all.filter((a) => a.makerUsername === user.username);
+}
+
+/* Disburse straight away, or park the loan until a checker approves.
+   Returns { loan, pending } where pending is the created action (or null). */
+export async function requestDisbursement({ override = false, ...terms }) {
+  // an application carries its approver's decision; a direct override does not
+  if (override && !terms.applicationId)
+    await authorize(terms.actor, "eligibility.override");
+  const policy = await getApprovalPolicy();
+  const reasons = disbursementReasons(policy, { ...terms, override });
+  if (reasons.length === 0) {
+    const loan = await disburseLoan(terms);
+    return { loan, pending: null };
+  }
+  const reason = reasons.join(", ");
+  const loan = await createPendingLoan({ ...terms, reason });
+  const pending = {
+    id: uid(),
+    type: "disbursement",
+    loanId: loan.id,
+    borrowerUsername: loan.borrowerUsername,
+    amount: loan.principal,
+    reason,
+    makerUsername: terms.actor.username,
+    createdAt: nowISO(),
+    status: "pending",
+  };
+  await submit(pending);
+  return { loan, pending };
+}
+
+export async function requestAdjustment({ actor, loanId, amount }) {
+  amount = Number(amount);
+  if (isNaN(amount) || amount === 0) throw new Error("Enter a non-zero amount");
+  await authorize(actor, "loan.adjust");
+  await checkAdjustment({ loanId, amount });
+  const policy = await getApprovalPolicy();
+  if (!policy.enabled || !policy.requireForAdjustment) {
+    const loan = await adjustLoanBalance({ actor, loanId, amount });
+    return { loan, pending: null };
+  }
+  const loan = await recordLoanAction({
+    actor,
+    loanId,
+    action: "adjustment_requested",
+    note: `Requested adjustment by ${amount} — needs approval`,
+  });
+  const pending = {
+    id: uid(),
+    type: "adjustment",
+    loanId,
+    borrowerUsername: loan.borrowerUsername,
+    amount,
+    reason: "manual adjustment",
+    makerUsername: actor.username,
+    createdAt: nowISO(),
+    status: "pending",
+  };
+  await submit(pending);
+  return { loan, pending };
+}
+
+/* Restructure straight away, or queue it with the proposed changes; the
+   schedule is recalculated when the checker approves */
+export async function requestRestructure({ actor, loanId, changes, note }) {
+  const preview = await getRestructurePreview({ actor, loanId, changes });
+  const policy = await getApprovalPolicy();
+  if (!policy.enabled || !policy.requireForRestructure) {
+    const loan = await restructureLoan({ actor, loanId, changes, note });
+    return { loan, pending: null };
+  }
+  const loan = await recordLoanAction({
+    actor,
+    loanId,
+    action: "restructure_requested",
+    note: `Requested restructure (${preview.description}) — needs approval`,
+  });
+  const pending = {
+    id: uid(),
+    type: "restructure",
+    loanId,
+    borrowerUsername: loan.borrowerUsername,
+    amount: preview.after.total,
+    changes: preview.changes,
+    note: String(note || "").trim(),
+    reason: preview.description,
+    makerUsername: actor.username,
+    createdAt: nowISO(),
+    status: "pending",
+  };
+  await submit(pending);
+  return { loan, pending };
+}
+
+/* Write off straight away (the requester's note is the approval note), or
+   queue it for a checker, who must give an approval note */
+export async function requestWriteOff({ actor, loanId, reason, note }) {
+  await authorize(actor, "loan.write_off");
+  note = String(note || "").trim();
+  if (!note) throw new Error("Explain why the loan is being written off");
+  await checkWriteOff({ loanId, reason });
+  const policy = await getApprovalPolicy();
+  if (!policy.enabled || !policy.requireForWriteOff) {
+    const loan = await writeOffLoan({
+      actor,
+      loanId,
+      reason,
+      note,
+      approvalNote: note,
+    });
+    return { loan, pending: null };
+  }
+  const loan = await recordLoanAction({
+    actor,
+    loanId,
+    action: "write_off_requested",
+    note: `Requested write-off (${WRITE_OFF_REASONS[reason]}): ${note} — needs approval`,
+  });
+  const pending = {
+    id: uid(),
+    type: "write_off",
+    loanId,
+    borrowerUsername: loan.borrowerUsername,
+    amount: loanBalance(await repo.journal.list(), loanId),
+    writeOffReason: reason,
+    note,
+    reason: WRITE_OFF_REASONS[reason],
+    makerUsername: actor.username,
+    createdAt: nowISO(),
+    status: "pending",
+  };
+  await submit(pending);
+  return { loan, pending };
+}
+
+async function loadPending(id, actor) {
+  await authorize(actor, "approval.decide");
+  const pending = await repo.pendingActions.get(id);
+  if (!pending) throw new Error("Pending action not found");
+  if (pending.status !== "pending")
+    throw new Error(`Action was already ${pending.status}`);
+  if (pending.makerUsername === actor.username)
+    throw new Error("A different staff member must review this action");
+  return pending;
+}
+
+function decided(pending, status, actor, note) {
+  return {
+    ...pending,
+    status,
+    checkerUsername: actor.username,
+    decidedAt: nowISO(),
+    decisionNote: note || "",
+  };
+}
+
+/* If the loan came from an application, move that application along too */
+async function markApplicationDisbursed(loan, actor) {
+  if (!loan.applicationId) return;
+  const application = await repo.applications.get(loan.applicationId);
+  if (!application || application.status !== "approved") return;
+  await repo.applications.save(
+    transition(application, "disbursed", actor.username)
+  );
+}
+
+async function releaseApplication(loanId, actor, note) {
+  const loan = await repo.loans.get(loanId);
+  if (!loan?.applicationId) return;
+  const application = await repo.applications.get(loan.applicationId);
+  if (!application || application.loanId !== loanId) return;
+  await repo.applications.save({
+    ...withComment(
+      application,
+      actor.username,
+      `Disbursement rejected at second approval: ${note}`
+    ),
+    loanId: null,
+  });
+}
+
+export async function approvePendingAction({ actor, id, note }) {
+  const pending = await loadPending(id, actor);
+  if (pending.type === "write_off" && !String(note || "").trim())
+    throw new Error("Give an approval note for the write-off");
+  if (pending.type === "disbursement") {
+    const loan = await activatePendingLoan({
+      actor,
+      loanId: pending.loanId,
+      note: note || `Approved request by ${pending.makerUsername}`,
+    });
+    await markApplicationDisbursed(loan, actor);
+  } else if (pending.type === "adjustment") {
+    // apply first: an adjustment that no longer fits the loan leaves no
+    // approval on its history
+    await adjustLoanBalance({
+      actor,
+      loanId: pending.loanId,
+      amount: pending.amount,
+    });
+    await recordLoanAction({
+      actor,
+      loanId: pending.loanId,
+      action: "adjustment_approved",
+      note: note || `Approved request by ${pending.makerUsername}`,
+    });
+  } else if (pending.type === "restructure") {
+    await restructureLoan({
+      actor,
+      loanId: pending.loanId,
+      changes: pending.changes,
+      note: pending.note,
+    });
+    await recordLoanAction({
+      actor,
+      loanId: pending.loanId,
+      action: "restructure_approved",
+      note: note || `Approved request by ${pending.makerUsername}`,
+    });
+  } else if (pending.type === "write_off") {
+    await writeOffLoan({
+      actor,
+      loanId: pending.loanId,
+      reason: pending.writeOffReason,
+      note: pending.note,
+      approvalNote: note,
+      requestedBy: pending.makerUsername,
+    });
+  }
+  return repo.pendingActions.save(decided(pending, "approved", actor, note));
+}
+
+export async function rejectPendingAction({ actor, id, note }) {
+  const pending = await loadPending(id, actor);
+  if (!String(note || "").trim())
+    throw new Error("Give a reason for the rejection");
+  if (pending.type === "disbursement") {
+    await releaseApplication(pending.loanId, actor, note);
+    await rejectPendingLoan({ actor, loanId: pending.loanId, note });
+  } else {
+    await recordLoanAction({
+      actor,
+      loanId: pending.loanId,
+      action: `${pending.type}_rejected`,
+      note,
+    });
+  }
+  return repo.pendingActions.save(decided(pending, "rejected", actor, note));
+}
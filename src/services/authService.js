@@ -0,0 +1,106 @@
+/* Sign-in, lockout and password changes */
+import { repo } from "../data/repository";
+import {
+  LOCKOUT_MINUTES,
+  MAX_FAILED_ATTEMPTS,
+  hashPassword,
+  isLocked,
+  passwordProblem,
+  verifyPassword,
+} from "../lib/auth";
+import { nowISO } from "../lib/util";
+
+const INVALID_CREDENTIALS = "Invalid username or password";
+
+let migrated = null;
+
+/* Users stored with a plaintext `password` (older seeds) get a hashed
+   credential the first time the app starts; nobody has to reset anything */
+async function migratePlaintextPasswords() {
+  const users = await repo.users.list();
+  const legacy = users.filter((u) => typeof u.password === "string");
+  if (legacy.length === 0) return;
+  const upgraded = [];
+  for (const u of legacy) {
+    const next = { ...u, credential: await hashPassword(u.password) };
+    delete next.password;
+    upgraded.push(next);
+  }
+  await repo.users.saveMany(upgraded);
+}
+
+export function ensurePasswordsMigrated() {
+  if (!migrated)
+    migrated = migratePlaintextPasswords().catch((err) => {
+      migrated = null;
+      throw err;
+    });
+  return migrated;
+}
+
+/* Public part of a user record — never hand credentials to the UI */
+export function publicUser(user) {
+  const next = { ...user };
+  delete next.credential;
+  delete next.password;
+  return next;
+}
+
+export async function authenticate(username, password) {
+  await ensurePasswordsMigrated();
+  const user = await repo.users.get(username);
+  if (!user) throw new Error(INVALID_CREDENTIALS);
+  if (isLocked(user))
+    throw new Error(
+      `Account locked after repeated failed attempts. Try again after ${new Date(
+        user.lockedUntil
+      ).toLocaleTimeString()}`
+    );
+
+  if (!(await verifyPassword(password, user.credential))) {
+    const failedAttempts = Number(user.failedAttempts || 0) + 1;
+    if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      await repo.users.save({
+        ...user,
+        failedAttempts: 0,
+        lockedUntil: new Date(
+          Date.now() + LOCKOUT_MINUTES * 60 * 1000
+        ).toISOString(),
+      });
+      throw new Error(
+        `Too many failed attempts — account locked for ${LOCKOUT_MINUTES} minutes`
+      );
+    }
+    await repo.users.save({ ...user, failedAttempts });
+    const left = MAX_FAILED_ATTEMPTS - failedAttempts;
+    throw new Error(
+      `${INVALID_CREDENTIALS} (${left} attempt${left === 1 ? "" : "s"} left)`
+    );
+  }
+
+  const signedIn = {
+    ...user,
+    failedAttempts: 0,
+    lockedUntil: null,
+    lastLoginAt: nowISO(),
+  };
+  await repo.users.save(signedIn);
+  return publicUser(signedIn);
+}
+
+export async function changePassword(username, currentPassword, newPassword) {
+  await ensurePasswordsMigrated();
+  const user = await repo.users.get(username);
+  if (!user) throw new Error("User not found");
+  if (!(await verifyPassword(currentPassword, user.credential)))
+    throw new Error("Current password is incorrect");
+  const problem = passwordProblem(newPassword);
+  if (problem) throw new Error(problem);
+  if (currentPassword === newPassword)
+    throw new Error("New password must differ from the current one");
+  await repo.users.save({
+    ...user,
+    credential: await hashPassword(newPassword),
+    passwordChangedAt: nowISO(),
+  });
+}
@@ -0,0 +1,157 @@
+/* Borrower management
+   Staff create borrowers, keep their KYC profile up to date and set their
+   standing (src/lib/borrowers.js). Every profile edit and status change is
+   appended to the borrower's `profileHistory`.
+*/
+import { repo } from "../data/repository";
+import { generatePassword, hashPassword, passwordProblem } from "../lib/auth";
+import {
+  BORROWER_STATUSES,
+  borrowerStatus,
+  cleanKyc,
+  disbursementBlock,
+  kycDuplicates,
+  kycErrors,
+  kycMissing,
+  usernameProblem,
+} from "../lib/borrowers";
+import { roleOf } from "../lib/permissions";
+import { nowISO } from "../lib/util";
+import { authorize } from "./accessService";
+import { publicUser } from "./authService";
+
+function firstError(errors) {
+  const [key] = Object.keys(errors);
+  return key ? errors[key] : null;
+}
+
+async function loadBorrower(username) {
+  const user = await repo.users.get(username);
+  if (!user || roleOf(user) !== "borrower")
+    throw new Error("Borrower not found");
+  return user;
+}
+
+/* Borrowers with their standing and what their profile still lacks */
+export async function listBorrowers(actor) {
+  await authorize(actor, "portfolio.view");
+  const users = await repo.users.list();
+  return users
+    .filter((u) => roleOf(u) === "borrower")
+    .map((u) => ({
+      ...publicUser(u),
+      status: borrowerStatus(u),
+      kycMissing: kycMissing(u.kyc),
+      block: disbursementBlock(u),
+    }));
+}
+
+// validate form values and return the stored kyc object
+async function checkedKyc(values, exceptUsername) {
+  const problem = firstError(kycErrors(values));
+  if (problem) throw new Error(problem);
+  const kyc = cleanKyc(values);
+  const duplicates = kycDuplicates(
+    await repo.users.list(),
+    kyc,
+    exceptUsername
+  );
+  if (duplicates.length) throw new Error(duplicates.join("; "));
+  return kyc;
+}
+
+/* Returns { borrower, password } — password only when one was generated,
+   to be handed to the borrower once */
+export async function createBorrower({
+  actor,
+  username,
+  name,
+  password,
+  kyc: values,
+}) {
+  await authorize(actor, "borrower.manage");
+  username = String(username || "")
+    .trim()
+    .toLowerCase();
+  const nameProblem = String(name || "").trim() ? null : "Enter a name";
+  const problem =
+    usernameProblem(username) ||
+    nameProblem ||
+    (password ? passwordProblem(password) : null);
+  if (problem) throw new Error(problem);
+  if (await repo.users.get(username))
+    throw new Error(`Username ${username} is already taken`);
+  const kyc = await checkedKyc(values, null);
+  const generated = password ? null : generatePassword();
+  const at = nowISO();
+  const user = {
+    username,
+    credential: await hashPassword(password || generated),
+    name: String(name).trim(),
+    role: "borrower",
+    status: "active",
+    kyc,
+    createdBy: actor.username,
+    createdAt: at,
+    profileHistory: [{ at, by: actor.username, change: "created" }],
+  };
+  await repo.users.save(user);
+  return { borrower: publicUser(user), password: generated };
+}
+
+export async function updateBorrowerProfile({
+  actor,
+  username,
+  name,
+  kyc: values,
+}) {
+  await authorize(actor, "borrower.manage");
+  const user = await loadBorrower(username);
+  if (!String(name || "").trim()) throw new Error("Enter a name");
+  const kyc = await checkedKyc(values, username);
+  const changed = [
+    ...(user.name !== String(name).trim() ? ["name"] : []),
+    ...Object.keys(kyc).filter(
+      (k) => JSON.stringify(kyc[k]) !== JSON.stringify(user.kyc?.[k] ?? "")
+    ),
+  ];
+  if (changed.length === 0) return publicUser(user);
+  const at = nowISO();
+  const next = {
+    ...user,
+    name: String(name).trim(),
+    kyc,
+    profileHistory: [
+      ...(user.profileHistory || []),
+      { at, by: actor.username, change: `updated ${changed.join(", ")}` },
+    ],
+  };
+  await repo.users.save(next);
+  return publicUser(next);
+}
+
+export async function setBorrowerStatus({ actor, username, status, reason }) {
+  await authorize(actor, "borrower.manage");
+  if (!BORROWER_STATUSES[status]) throw new Error("Unknown status");
+  const user = await loadBorrower(username);
+  if (borrowerStatus(user) === status)
+    throw new Error(`Borrower is already ${status}`);
+  reason = String(reason || "").trim();
+  if (status !== "active" && !reason)
+    throw new Error("Give a reason for the change");
+  const next = {
+    ...user,
+    status,
+    profileHistory: [
+      ...(user.profileHistory || []),
+      {
+        at: nowISO(),
+        by: actor.username,
+        change: `status ${borrowerStatus(user)} → ${status}`,
+        ...(reason ? { note: reason } : {}),
+      },
+    ],
+  };
+  await repo.users.save(next);
+  return publicUser(next);
+}
@@ -0,0 +1,144 @@
+/* KYC document uploads and review
+   File content goes to IndexedDB (src/data/blobStore.js); the metadata
+   record — type, file name, status and review decision — goes to the
+   `documents` collection. Borrowers upload and see their own documents;
+   staff with kyc.review approve or reject them.
+*/
+import { deleteBlob, getBlob, putBlob } from "../data/blobStore";
+import { repo } from "../data/repository";
+import {
+  DEFAULT_DOCUMENT_POLICY,
+  DOCUMENT_TYPES,
+  documentBlock,
+  fileProblem,
+  verificationSummary,
+} from "../lib/documents";
+import { roleOf } from "../lib/permissions";
+import { nowISO, uid } from "../lib/util";
+import { authorize } from "./accessService";
+import { getSetting, saveSetting } from "./settingsService";
+
+export function getDocumentPolicy() {
+  return getSetting("documents", DEFAULT_DOCUMENT_POLICY);
+}
+
+export async function saveDocumentPolicy(policy, actor) {
+  await authorize(actor, "settings.manage");
+  const requiredTypes = (policy.requiredTypes || []).filter(
+    (t) => DOCUMENT_TYPES[t]
+  );
+  if (policy.requireForDisbursement && requiredTypes.length === 0)
+    throw new Error("Require at least one document type");
+  const clean = {
+    requiredTypes,
+    requireForDisbursement: Boolean(policy.requireForDisbursement),
+  };
+  await saveSetting("documents", clean, actor);
+  return clean;
+}
+
+async function documentsOf(username) {
+  const all = await repo.documents.list();
+  return all.filter((d) => d.borrowerUsername === username);
+}
+
+/* A borrower's documents with the verification summary and, when the
+   policy requires it, what stops a disbursement */
+export async function borrowerVerification(username) {
+  const [documents, policy] = await Promise.all([
+    documentsOf(username),
+    getDocumentPolicy(),
+  ]);
+  const summary = verificationSummary(documents, policy);
+  return {
+    documents,
+    policy,
+    summary,
+    block: documentBlock(summary, policy),
+  };
+}
+
+// borrowers see their own documents; staff need portfolio.view
+async function canSee(actor, username) {
+  if (actor?.username !== username) await authorize(actor, "portfolio.view");
+}
+
+export async function getVerification({ actor, username }) {
+  await canSee(actor, username);
+  return borrowerVerification(username);
+}
+
+export async function uploadDocument({ actor, type, file }) {
+  const user = actor?.username ? await repo.users.get(actor.username) : null;
+  if (!user || roleOf(user) !== "borrower")
+    throw new Error("Only borrowers upload their own documents");
+  if (!DOCUMENT_TYPES[type]) throw new Error("Choose a document type");
+  const problem = fileProblem(file);
+  if (problem) throw new Error(problem);
+  const id = uid();
+  await putBlob(id, file);
+  const record = {
+    id,
+    borrowerUsername: user.username,
+    type,
+    fileName: file.name,
+    mimeType: file.type,
+    size: file.size,
+    uploadedAt: nowISO(),
+    status: "pending",
+  };
+  try {
+    await repo.documents.save(record);
+  } catch (err) {
+    // no record points at the file, so do not keep it
+    await deleteBlob(id).catch(() => {});
+    throw err;
+  }
+  return record;
+}
+
+/* The stored file for a document, as a Blob */
+export async function getDocumentFile({ actor, id }) {
+  const document = await repo.documents.get(id);
+  if (!document) throw new Error("Document not found");
+  await canSee(actor, document.borrowerUsername);
+  const blob = await getBlob(id);
+  if (!blob)
+    throw new Error(
+      "The file is not stored in this browser (files stay on the device they were uploaded from)"
+    );
+  return blob;
+}
+
+/* Documents waiting for review, oldest first */
+export async function listReviewQueue(actor) {
+  await authorize(actor, "kyc.review");
+  const documents = await repo.documents.list();
+  return documents
+    .filter((d) => d.status === "pending")
+    .sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+}
+
+export async function reviewDocument({ actor, id, decision, reason }) {
+  const reviewer = await authorize(actor, "kyc.review");
+  if (!["approved", "rejected"].includes(decision))
+    throw new Error("Approve or reject the document");
+  const document = await repo.documents.get(id);
+  if (!document) throw new Error("Document not found");
+  if (document.status !== "pending")
+    throw new Error(`Document was already ${document.status}`);
+  if (document.borrowerUsername === reviewer.username)
+    throw new Error("You cannot review your own documents");
+  reason = String(reason || "").trim();
+  if (decision === "rejected" && !reason)
+    throw new Error("Give a reason for the rejection");
+  const next = {
+    ...document,
+    status: decision,
+    reviewedBy: actor.username,
+    reviewedAt: nowISO(),
+    ...(reason ? { reason } : {}),
+  };
+  await repo.documents.save(next);
+  return next;
+}
@@ -0,0 +1,144 @@
+/* Bulk borrower import
+   previewImport is the dry run: it parses and validates the CSV and returns
+   a per-row report without writing anything. commitImport validates again
+   against the current data, then writes every valid row — users, loans and
+   their disbursement journal entries — and a batch record naming who
+   imported them. If a write fails part-way, whatever was written is removed
+   again so the batch is all or nothing.
+*/
+import { repo } from "../data/repository";
+import { generatePassword, hashPassword } from "../lib/auth";
+import { importRows, validateImport } from "../lib/borrowerImport";
+import { parseCsv } from "../lib/export";
+import { disbursementNotice } from "../lib/notifications";
+import { can } from "../lib/permissions";
+import { nowISO, uid } from "../lib/util";
+import { authorize } from "./accessService";
+import { disbursementReasons, getApprovalPolicy } from "./approvalService";
+import { getDocumentPolicy } from "./documentService";
+import { ensureMigrated, prepareDisbursement } from "./loanService";
+import { notify } from "./notificationService";
+import { listProducts } from "./productService";
+
+async function check(actor, text) {
+  const user = await authorize(actor, "borrower.import");
+  const [users, products, policy, documentPolicy] = await Promise.all([
+    repo.users.list(),
+    listProducts(),
+    getApprovalPolicy(),
+    getDocumentPolicy(),
+  ]);
+  const report = validateImport(importRows(parseCsv(text)), {
+    users,
+    products,
+    canDisburse: can(user, "loan.disburse"),
+    // new borrowers have no reviewed documents yet
+    documentsRequired: documentPolicy.requireForDisbursement,
+    needsApproval: (principal) => disbursementReasons(policy, { principal }),
+  });
+  return { report, products };
+}
+
+// passwords from the file are never echoed back to the screen
+function withoutPasswords(report) {
+  return {
+    ...report,
+    rows: report.rows.map((r) => ({
+      ...r,
+      password: undefined,
+      passwordGiven: Boolean(r.password),
+    })),
+  };
+}
+
+export async function previewImport({ actor, text }) {
+  const { report } = await check(actor, text);
+  return withoutPasswords(report);
+}
+
+export async function commitImport({ actor, text, fileName, note }) {
+  await ensureMigrated();
+  const { report, products } = await check(actor, text);
+  const valid = report.rows.filter((r) => r.errors.length === 0);
+  if (valid.length === 0) throw new Error("No valid rows to import");
+
+  const batchId = uid();
+  const importedAt = nowISO();
+  const users = [];
+  const loans = [];
+  const entries = [];
+  const credentials = []; // generated passwords, shown once
+  for (const row of valid) {
+    let password = row.password;
+    if (!password) {
+      password = generatePassword();
+      credentials.push({ username: row.username, password });
+    }
+    users.push({
+      username: row.username,
+      credential: await hashPassword(password),
+      name: row.name,
+      role: "borrower",
+      status: "active",
+      kyc: row.kyc,
+      importBatchId: batchId,
+      createdBy: actor.username,
+      createdAt: importedAt,
+    });
+    if (row.loan) {
+      const { loan, entry } = prepareDisbursement({
+        actor,
+        borrowerUsername: row.username,
+        product: products.find((p) => p.id === row.loan.productId),
+        principal: row.loan.principal,
+        tenor: row.loan.tenor,
+        rate: row.loan.rate,
+        note: `Imported in batch ${batchId}`,
+      });
+      loan.importBatchId = batchId;
+      loans.push(loan);
+      entries.push(entry);
+    }
+  }
+
+  const batch = {
+    id: batchId,
+    importedBy: actor.username,
+    importedAt,
+    fileName: fileName || "",
+    note: String(note || "").trim(),
+    usernames: users.map((u) => u.username),
+    loanIds: loans.map((l) => l.id),
+    principal: report.principal,
+    skipped: report.rows
+      .filter((r) => r.errors.length)
+      .map((r) => ({ line: r.line, username: r.username, errors: r.errors })),
+  };
+
+  const written = [];
+  try {
+    for (const [collection, items, key] of [
+      [repo.users, users, "username"],
+      [repo.loans, loans, "id"],
+      [repo.journal, entries, "id"],
+      [repo.imports, [batch], "id"],
+    ]) {
+      if (items.length === 0) continue;
+      written.push([collection, items, key]);
+      await collection.saveMany(items);
+    }
+  } catch (err) {
+    for (const [collection, items, key] of written.reverse())
+      for (const item of items)
+        await collection.remove(item[key]).catch(() => {});
+    throw new Error(`Import failed and was rolled back: ${err.message}`);
+  }
+  await notify(loans.map(disbursementNotice));
+  return { batch, credentials };
+}
+
+export async function listImports(actor) {
+  await authorize(actor, "borrower.import");
+  const batches = await repo.imports.list();
+  return batches.sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+}
@@ -0,0 +1,953 @@
+/* Loan domain operations
+   Components call these instead of mutating records directly. Every money
+   movement posts a balanced journal entry (src/lib/ledger.js); wallet and
+   loan balances are read back from the journal rather than stored.
+*/
+import { repo } from "../data/repository";
+import { portfolioAnalytics } from "../lib/analytics";
+import { disbursementBlock } from "../lib/borrowers";
+import {
+  DEFAULT_DELINQUENCY_POLICY,
+  DEFAULT_PROVISIONING_RATES,
+  PAR_BUCKETS,
+  applyDelinquency,
+  assessDelinquency,
+  delinquencyStatus,
+} from "../lib/delinquency";
+import { amortizationSchedule } from "../lib/finance";
+import {
+  payoffQuote,
+  previewPrepayment,
+  settleInstallments,
+} from "../lib/prepayment";
+import { isStaff } from "../lib/permissions";
+import { feeTotal, productFees, termsProblem } from "../lib/products";
+import { buildPortfolioExport } from "../lib/portfolioExport";
+import { disbursementNotice } from "../lib/notifications";
+import { previewRestructure } from "../lib/restructure";
+import { loanQueryParams, repaymentQueryParams } from "../lib/tableFilters";
+import {
+  WRITABLE_OFF_STATUSES,
+  WRITE_OFF_REASONS,
+  recoverableBalance,
+} from "../lib/writeoff";
+import {
+  adjustPrincipal,
+  allocatePayment,
+  applyPrincipalPaid,
+  archiveSchedule,
+  buildInstallments,
+  nextInstallment,
+  scheduleOutstanding,
+} from "../lib/schedule";
+import {
+  adjustmentEntry,
+  capitalizationEntry,
+  disbursementEntry,
+  loanBalance,
+  openingEntries,
+  receivableAccount,
+  recoveryEntry,
+  repaymentEntry,
+  walletAccount,
+  walletBalance,
+  writeOffEntry,
+} from "../lib/ledger";
+import { nowISO, uid } from "../lib/util";
+import { authorize } from "./accessService";
+import { publicUser } from "./authService";
+import { borrowerVerification } from "./documentService";
+import { notify, raiseLoanReminders } from "./notificationService";
+import { getProduct, listProducts } from "./productService";
+import { getSetting, saveSetting } from "./settingsService";
+
+let migrated = null;
+
+/* One-off migration: move stored wallet / balanceRemaining figures into
+   opening journal entries and drop the stored fields */
+async function migrateBalancesToLedger() {
+  const [users, loans] = await Promise.all([
+    repo.users.list(),
+    repo.loans.list(),
+  ]);
+  const legacyUsers = users.filter((u) => "wallet" in u);
+  const legacyLoans = loans.filter((l) => "balanceRemaining" in l);
+  if (legacyUsers.length === 0 && legacyLoans.length === 0) return;
+  const entries = openingEntries({ users: legacyUsers, loans: legacyLoans });
+  if (entries.length) await repo.journal.saveMany(entries);
+  if (legacyUsers.length)
+    await repo.users.saveMany(
+      legacyUsers.map((u) => {
+        const next = { ...u };
+        delete next.wallet;
+        return next;
+      })
+    );
+  if (legacyLoans.length)
+    await repo.loans.saveMany(
+      legacyLoans.map((l) => {
+        const next = { ...l };
+        delete next.balanceRemaining;
+        return next;
+      })
+    );
+}
+
+// loans that never paid out, so never carry a schedule or disbursement date
+const UNDISBURSED_STATUSES = ["pending_approval", "rejected"];
+
+/* Loans disbursed before installment schedules get one from their original
+   terms, with principal already repaid marked against the oldest rows.
+   Undisbursed loans are left alone, and a schedule an earlier version of
+   this migration gave them is taken off again. */
+async function migrateInstallments() {
+  const [loans, journal] = await Promise.all([
+    repo.loans.list(),
+    repo.journal.list(),
+  ]);
+  const undisbursed = (l) => UNDISBURSED_STATUSES.includes(l.status);
+  const legacy = loans.filter(
+    (l) => !undisbursed(l) && !Array.isArray(l.installments)
+  );
+  const misdated = loans.filter(
+    (l) => undisbursed(l) && (l.disbursedAt || l.installments)
+  );
+  if (legacy.length === 0 && misdated.length === 0) return;
+  await repo.loans.saveMany([
+    ...legacy.map((l) => {
+      const disbursedAt = l.disbursedAt || l.createdAt;
+      const installments = buildInstallments({ ...l, disbursedAt });
+      const repaid = Number(l.principal) - loanBalance(journal, l.id);
+      return {
+        ...l,
+        disbursedAt,
+        installments: applyPrincipalPaid(installments, repaid),
+      };
+    }),
+    ...misdated.map((l) => {
+      const next = { ...l };
+      delete next.disbursedAt;
+      delete next.installments;
+      return next;
+    }),
+  ]);
+}
+
+/* One-off migration: copy the borrower onto repayments recorded before
+   they carried one, so the ledger can be searched by borrower */
+async function migrateRepaymentBorrowers() {
+  const [loans, repayments] = await Promise.all([
+    repo.loans.list(),
+    repo.repayments.list(),
+  ]);
+  const borrowerOf = new Map(loans.map((l) => [l.id, l.borrowerUsername]));
+  const legacy = repayments.filter(
+    (r) => !r.borrowerUsername && borrowerOf.get(r.loanId)
+  );
+  if (legacy.length === 0) return;
+  await repo.repayments.saveMany(
+    legacy.map((r) => ({ ...r, borrowerUsername: borrowerOf.get(r.loanId) }))
+  );
+}
+
+export function ensureMigrated() {
+  if (!migrated)
+    migrated = migrateBalancesToLedger()
+      .then(migrateInstallments)
+      .then(migrateRepaymentBorrowers)
+      .catch((err) => {
+        migrated = null;
+        throw err;
+      });
+  return migrated;
+}
+
+export function getDelinquencyPolicy() {
+  return getSetting("delinquency", DEFAULT_DELINQUENCY_POLICY);
+}
+
+export async function saveDelinquencyPolicy(policy, actor) {
+  await authorize(actor, "settings.manage");
+  const clean = {};
+  for (const key of Object.keys(DEFAULT_DELINQUENCY_POLICY)) {
+    const n = Number(policy[key]);
+    if (isNaN(n) || n < 0) throw new Error(`Invalid value for ${key}`);
+    clean[key] = n;
+  }
+  if (clean.defaultAfterDays <= clean.graceDays)
+    throw new Error("Default threshold must be after the grace period");
+  await saveSetting("delinquency", clean, actor);
+  return clean;
+}
+
+export function getProvisioningRates() {
+  return getSetting("provisioning", DEFAULT_PROVISIONING_RATES);
+}
+
+export async function saveProvisioningRates(rates, actor) {
+  await authorize(actor, "settings.manage");
+  const clean = {};
+  for (const bucket of PAR_BUCKETS) {
+    const n = Number(rates[bucket]);
+    if (rates[bucket] === "" || isNaN(n) || n < 0 || n > 100)
+      throw new Error(`Provision for ${bucket} must be 0–100%`);
+    clean[bucket] = n;
+  }
+  await saveSetting("provisioning", clean, actor);
+  return clean;
+}
+
+/* Bring every open loan's penalties and delinquency status up to date */
+export async function runDelinquency({ asOf = nowISO() } = {}) {
+  await ensureMigrated();
+  const [policy, loans] = await Promise.all([
+    getDelinquencyPolicy(),
+    repo.loans.list(),
+  ]);
+  const changed = [];
+  const after = loans.map((loan) => {
+    const result = applyDelinquency(loan, policy, asOf);
+    if (result.changed) changed.push(result.loan);
+    return result.loan;
+  });
+  if (changed.length) await repo.loans.saveMany(changed);
+  await raiseLoanReminders({ before: loans, after, asOf });
+  return changed;
+}
+
+/* Everything the dashboards render, in one round of requests. Staff need
+   portfolio.view; a borrower gets only their own user record, loans,
+   repayments and journal entries. Users never carry credentials. */
+export async function loadPortfolio(actor) {
+  const user = actor?.username ? await repo.users.get(actor.username) : null;
+  if (!user) throw new Error("Sign in again to continue");
+  const staff = isStaff(user);
+  if (staff) await authorize(actor, "portfolio.view");
+  await runDelinquency();
+  const [users, loans, repayments, journal, products] = await Promise.all([
+    repo.users.list(),
+    repo.loans.list(),
+    repo.repayments.list(),
+    repo.journal.list(),
+    listProducts(),
+  ]);
+  if (staff)
+    return {
+      users: users.map(publicUser),
+      loans,
+      repayments,
+      journal,
+      products,
+    };
+  const own = loans.filter((l) => l.borrowerUsername === user.username);
+  const ids = new Set(own.map((l) => l.id));
+  const accounts = new Set([
+    walletAccount(user.username),
+    ...own.map((l) => receivableAccount(l.id)),
+  ]);
+  return {
+    users: [publicUser(user)],
+    loans: own,
+    repayments: repayments.filter((r) => ids.has(r.loanId)),
+    journal: journal.filter((e) =>
+      e.lines.some((l) => accounts.has(l.account))
+    ),
+    products,
+  };
+}
+
+/* One loan for its detail page: the record, its repayments and ledger
+   balance. Borrowers may open their own loans; staff need portfolio.view. */
+export async function getLoanDetail({ actor, loanId }) {
+  await runDelinquency();
+  const [loan, repayments, journal] = await Promise.all([
+    repo.loans.get(loanId),
+    repo.repayments.list(),
+    repo.journal.list(),
+  ]);
+  if (!loan) throw new Error("Loan not found");
+  if (actor?.username !== loan.borrowerUsername)
+    await authorize(actor, "portfolio.view");
+  return {
+    loan,
+    balance: loanBalance(journal, loan.id),
+    repayments: repayments.filter((r) => r.loanId === loan.id),
+  };
+}
+
+/* Filtered datasets for the finance exports (src/lib/portfolioExport.js) */
+export async function exportPortfolio({ actor, from, to, statuses }) {
+  await authorize(actor, "portfolio.export");
+  return buildPortfolioExport(await loadPortfolio(actor), {
+    from,
+    to,
+    statuses,
+  });
+}
+
+/* One page of the staff loans table for URL filters (src/lib/tableFilters.js) */
+export async function searchLoans({ actor, filters }) {
+  await authorize(actor, "portfolio.view");
+  return repo.loans.query(loanQueryParams(filters));
+}
+
+/* One page of the repayments ledger */
+export async function searchRepayments({ actor, filters }) {
+  await authorize(actor, "portfolio.view");
+  await ensureMigrated();
+  return repo.repayments.query(repaymentQueryParams(filters));
+}
+
+/* KPIs, charts and risk mix for the analytics page (src/lib/analytics.js) */
+export async function getPortfolioAnalytics({ actor, from, to }) {
+  await authorize(actor, "portfolio.view");
+  return portfolioAnalytics(await loadPortfolio(actor), { from, to });
+}
+
+/* A borrower's profile, wallet, loans (with ledger balances) and
+   applications, for staff with portfolio.view */
+export async function getBorrowerDetail({ actor, username }) {
+  await authorize(actor, "portfolio.view");
+  await runDelinquency();
+  const [user, loans, applications, journal] = await Promise.all([
+    repo.users.get(username),
+    repo.loans.list(),
+    repo.applications.list(),
+    repo.journal.list(),
+  ]);
+  if (!user) throw new Error("Borrower not found");
+  const own = loans.filter((l) => l.borrowerUsername === username);
+  return {
+    borrower: publicUser(user),
+    wallet: walletBalance(journal, username),
+    loans: own.map((loan) => ({
+      ...loan,
+      balance: loanBalance(journal, loan.id),
+    })),
+    applications: applications.filter((a) => a.borrowerUsername === username),
+  };
+}
+
+/* Validate terms against the product and build a loan record that has not
+   moved money yet */
+function loanRecord({
+  actor,
+  borrowerUsername,
+  product,
+  principal,
+  rate,
+  tenor,
+  eligibilitySnapshot,
+  applicationId,
+}) {
+  principal = Number(principal || 0);
+  if (!principal || principal <= 0) throw new Error("Enter principal");
+  rate = Number(rate || product.defaultRate);
+  tenor = Number(tenor || 12);
+  const problem = termsProblem(product, { principal, tenor, rate });
+  if (problem) throw new Error(problem);
+  // compute monthly payment using amortization helper
+  const schedule = amortizationSchedule(principal, rate, tenor, {
+    method: product.interestMethod,
+  });
+  return {
+    id: uid(),
+    borrowerUsername,
+    productId: product.id,
+    productName: product.name,
+    interestMethod: product.interestMethod,
+    principal,
+    tenor,
+    rate,
+    fees: productFees(product, principal),
+    prepaymentFeePercent: Number(product.prepaymentFeePercent || 0),
+    monthlyPayment: schedule.payment,
+    status: "draft",
+    createdAt: nowISO(),
+    createdBy: actor.username,
+    ...(eligibilitySnapshot ? { eligibilitySnapshot } : {}),
+    ...(applicationId ? { applicationId } : {}),
+    actions: [],
+  };
+}
+
+async function draftLoan({ actor, borrowerUsername, productId, ...terms }) {
+  await ensureMigrated();
+  await authorize(actor, "loan.disburse");
+  const borrower = await repo.users.get(borrowerUsername);
+  if (!borrower) throw new Error("Borrower not found");
+  const block =
+    disbursementBlock(borrower) ||
+    (await borrowerVerification(borrower.username)).block;
+  if (block) throw new Error(block);
+  if (!productId) throw new Error("Select a product");
+  const product = await getProduct(productId);
+  return loanRecord({
+    actor,
+    borrowerUsername: borrower.username,
+    product,
+    ...terms,
+  });
+}
+
+/* Start the schedule and return the journal entry that credits the
+   borrower's wallet (net of upfront fees); nothing is saved */
+function startLoan(loan, actor, action, note) {
+  const disbursedAt = nowISO();
+  loan.status = "active";
+  loan.disbursedAt = disbursedAt;
+  loan.installments = buildInstallments({ ...loan, disbursedAt });
+  const firstFee = feeTotal(loan.fees, "first_installment");
+  if (firstFee > 0) loan.installments[0].feeDue += firstFee;
+  loan.actions.push({
+    id: uid(),
+    action,
+    by: actor.username,
+    at: disbursedAt,
+    note: note || `Disbursed ${loan.principal} at ${loan.rate}%`,
+  });
+  return disbursementEntry({
+    loan,
+    by: actor.username,
+    upfrontFee: feeTotal(loan.fees, "upfront"),
+  });
+}
+
+/* Persist the loan, then credit the wallet through the journal */
+async function activate(loan, actor, action, note) {
+  const entry = startLoan(loan, actor, action, note);
+  await repo.loans.save(loan);
+  await repo.journal.save(entry);
+  await notify([disbursementNotice(loan)]);
+  return loan;
+}
+
+/* A disbursed loan and its journal entry, built but not saved, for callers
+   that write many records together (bulk import). The caller has already
+   authorised loan.disburse and loaded the product. */
+export function prepareDisbursement({
+  actor,
+  action = "disbursed",
+  note,
+  ...terms
+}) {
+  const loan = loanRecord({ actor, ...terms });
+  const entry = startLoan(loan, actor, action, note);
+  return { loan, entry };
+}
+
+export async function disburseLoan({ action = "disbursed", note, ...terms }) {
+  const loan = await draftLoan(terms);
+  return activate(loan, terms.actor, action, note);
+}
+
+/* Record a disbursement that waits for a second staff member (see
+   approvalService); no money moves until activatePendingLoan */
+export async function createPendingLoan({
+  action = "disbursed",
+  note,
+  reason,
+  ...terms
+}) {
+  const loan = await draftLoan(terms);
+  loan.status = "pending_approval";
+  loan.pendingDisbursement = { action, note };
+  loan.actions.push({
+    id: uid(),
+    action: "disbursement_requested",
+    by: terms.actor.username,
+    at: nowISO(),
+    note: `Requested ${loan.principal} at ${loan.rate}% — needs approval: ${reason}`,
+  });
+  await repo.loans.save(loan);
+  return loan;
+}
+
+export async function activatePendingLoan({ actor, loanId, note }) {
+  await ensureMigrated();
+  await authorize(actor, "approval.decide");
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  if (loan.status !== "pending_approval")
+    throw new Error("Loan is not awaiting approval");
+  // the borrower may have been suspended, or a document rejected or
+  // expired, since the request
+  const borrower = await repo.users.get(loan.borrowerUsername);
+  const block = borrower
+    ? disbursementBlock(borrower) ||
+      (await borrowerVerification(borrower.username)).block
+    : "Borrower not found";
+  if (block) throw new Error(block);
+  const { action, note: disburseNote } = loan.pendingDisbursement || {};
+  delete loan.pendingDisbursement;
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "disbursement_approved",
+    by: actor.username,
+    at: nowISO(),
+    note: note || "Second approval given",
+  });
+  return activate(loan, actor, action || "disbursed", disburseNote);
+}
+
+export async function rejectPendingLoan({ actor, loanId, note }) {
+  await authorize(actor, "approval.decide");
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  if (loan.status !== "pending_approval")
+    throw new Error("Loan is not awaiting approval");
+  delete loan.pendingDisbursement;
+  loan.status = "rejected";
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "disbursement_rejected",
+    by: actor.username,
+    at: nowISO(),
+    note: note || "Disbursement rejected",
+  });
+  return repo.loans.save(loan);
+}
+
+/* Note a requested or refused manual adjustment on the loan's history */
+export async function recordLoanAction({ actor, loanId, action, note }) {
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action,
+    by: actor.username,
+    at: nowISO(),
+    note,
+  });
+  return repo.loans.save(loan);
+}
+
+/* After a payment or a new schedule: catching up on arrears moves an
+   overdue/defaulted loan back, and a fully paid schedule closes it */
+function refreshStatus(loan, by, policy, closeNote = "paid off") {
+  const { daysPastDue } = assessDelinquency(loan);
+  const status = delinquencyStatus(loan, daysPastDue, policy);
+  if (status !== loan.status) {
+    loan.actions.push({
+      id: uid(),
+      action: "status_change",
+      by,
+      at: nowISO(),
+      note: `${loan.status} → ${status} (${daysPastDue} days past due)`,
+    });
+    loan.status = status;
+  }
+  if (!nextInstallment(loan.installments)) {
+    loan.status = "closed";
+    loan.actions.push({
+      id: uid(),
+      action: "closed",
+      by,
+      at: nowISO(),
+      note: closeNote,
+    });
+  }
+}
+
+/* Journal entry, repayment record and loan, in that order */
+async function postRepayment({ loan, amount, allocation, by, ...extra }) {
+  const repayment = {
+    id: uid(),
+    loanId: loan.id,
+    borrowerUsername: loan.borrowerUsername,
+    amount,
+    allocation,
+    date: nowISO(),
+    by,
+    ...extra,
+  };
+  await repo.journal.save(repaymentEntry({ loan, ...allocation, by }));
+  await repo.repayments.save(repayment);
+  await repo.loans.save(loan);
+  return { loan, repayment };
+}
+
+/* A payment from the borrower's wallet toward their loan. Borrowers pay
+   their own loans; staff need payment.record. */
+export async function payLoan({ actor, loanId, amount }) {
+  await ensureMigrated();
+  amount = Number(amount || 0);
+  if (!amount || amount <= 0)
+    throw new Error("Enter a positive payment amount");
+  const [loan, journal, policy] = await Promise.all([
+    repo.loans.get(loanId),
+    repo.journal.list(),
+    getDelinquencyPolicy(),
+  ]);
+  if (!loan) throw new Error("Loan not found");
+  if (actor?.username !== loan.borrowerUsername)
+    await authorize(actor, "payment.record");
+  const username = loan.borrowerUsername;
+  if (!(await repo.users.get(username))) throw new Error("User not found");
+  if (walletBalance(journal, username) < amount)
+    throw new Error("Insufficient wallet funds");
+  // paying a written-off loan is a recovery, not a scheduled repayment
+  if (loan.status === "written_off")
+    return recordRecovery({
+      actor,
+      loanId,
+      amount: Math.min(amount, recoverableBalance(loan)),
+      source: "wallet",
+    });
+  const outstanding = scheduleOutstanding(loan.installments);
+  const payAmount = Math.min(amount, outstanding);
+  if (payAmount <= 0) throw new Error("Loan has no balance outstanding");
+
+  // fees, then interest, then principal of the oldest unpaid installment
+  const { installments, allocation } = allocatePayment(
+    loan.installments,
+    payAmount
+  );
+  loan.installments = installments;
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "payment",
+    by: actor.username,
+    at: nowISO(),
+    note: `paid ${payAmount} (fees ${allocation.fee}, interest ${allocation.interest}, principal ${allocation.principal})`,
+  });
+  refreshStatus(loan, actor.username, policy);
+  return postRepayment({
+    loan,
+    amount: payAmount,
+    allocation,
+    by: actor.username,
+  });
+}
+
+/* Borrowers settle their own loans; staff need payment.record. The money
+   always comes from the borrower's wallet. */
+async function loadForPayment(actor, loanId) {
+  await ensureMigrated();
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  if (actor?.username !== loan.borrowerUsername)
+    await authorize(actor, "payment.record");
+  if (loan.status === "written_off")
+    throw new Error("Loan was written off — record a recovery instead");
+  if (!Array.isArray(loan.installments) || !nextInstallment(loan.installments))
+    throw new Error("Loan has no balance outstanding");
+  return loan;
+}
+
+async function ensureWalletCovers(username, amount) {
+  const journal = await repo.journal.list();
+  if (walletBalance(journal, username) < amount)
+    throw new Error("Insufficient wallet funds");
+}
+
+/* Borrowers see figures for their own loans; staff need portfolio.view */
+async function loadForQuote(actor, loanId) {
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  if (actor?.username !== loan.borrowerUsername)
+    await authorize(actor, "portfolio.view");
+  return loan;
+}
+
+/* Exact amount that closes the loan on a date (see src/lib/prepayment.js) */
+export async function getPayoffQuote({ actor, loanId, asOf = nowISO() }) {
+  const loan = await loadForQuote(actor, loanId);
+  return payoffQuote(loan, asOf);
+}
+
+/* Regenerated schedule for a partial prepayment; nothing is saved */
+export async function getPrepaymentPreview({ actor, loanId, amount, mode }) {
+  const loan = await loadForQuote(actor, loanId);
+  return previewPrepayment(loan, { amount: Number(amount || 0), mode });
+}
+
+/* Pay today's payoff quote and close the loan */
+export async function settleLoan({ actor, loanId }) {
+  const loan = await loadForPayment(actor, loanId);
+  const quote = payoffQuote(loan, nowISO());
+  await ensureWalletCovers(loan.borrowerUsername, quote.total);
+  const { installments, allocation } = settleInstallments(loan, quote);
+  loan.installments = installments;
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "settlement",
+    by: actor.username,
+    at: nowISO(),
+    note: `settled early for ${quote.total} (accrued interest ${quote.accruedInterest}, prepayment fee ${quote.prepaymentFee}, waived interest ${quote.waivedInterest})`,
+  });
+  refreshStatus(
+    loan,
+    actor.username,
+    await getDelinquencyPolicy(),
+    "settled early"
+  );
+  return postRepayment({
+    loan,
+    amount: quote.total,
+    allocation,
+    by: actor.username,
+    kind: "settlement",
+    quote,
+  });
+}
+
+/* Pay arrears plus extra principal and regenerate the rest of the
+   schedule: "recast" lowers the installment, "shorten" drops installments */
+export async function prepayLoan({ actor, loanId, amount, mode }) {
+  const loan = await loadForPayment(actor, loanId);
+  amount = Number(amount || 0);
+  if (!amount || amount <= 0)
+    throw new Error("Enter a positive payment amount");
+  const preview = previewPrepayment(loan, { amount, mode });
+  await ensureWalletCovers(loan.borrowerUsername, amount);
+  const at = nowISO();
+  Object.assign(
+    loan,
+    archiveSchedule(loan, { at, by: actor.username, reason: "prepayment" })
+  );
+  loan.installments = preview.installments;
+  loan.tenor = preview.installments.length;
+  loan.monthlyPayment = preview.after.payment;
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "prepayment",
+    by: actor.username,
+    at,
+    fromVersion: loan.scheduleVersion - 1,
+    toVersion: loan.scheduleVersion,
+    note: `prepaid ${amount} (${mode}): principal ${preview.principalReduction}, fee ${preview.prepaymentFee}; installment ${preview.before.payment} → ${preview.after.payment}, ${preview.before.installments} → ${preview.after.installments} left`,
+  });
+  refreshStatus(loan, actor.username, await getDelinquencyPolicy());
+  return postRepayment({
+    loan,
+    amount,
+    allocation: preview.allocation,
+    by: actor.username,
+    kind: "prepayment",
+    mode,
+  });
+}
+
+/* Before/after schedules for proposed new terms; nothing is saved */
+export async function getRestructurePreview({ actor, loanId, changes }) {
+  await authorize(actor, "loan.restructure");
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  if (
+    !WRITABLE_OFF_STATUSES.includes(loan.status) ||
+    !nextInstallment(loan.installments || [])
+  )
+    throw new Error(
+      "Only loans with a balance outstanding can be restructured"
+    );
+  return previewRestructure(loan, changes);
+}
+
+/* Replace the open schedule under new terms (see src/lib/restructure.js).
+   The replaced schedule is kept in scheduleVersions and the action records
+   which version replaced which. */
+export async function restructureLoan({ actor, loanId, changes, note }) {
+  await ensureMigrated();
+  const preview = await getRestructurePreview({ actor, loanId, changes });
+  const loan = await repo.loans.get(loanId);
+  const at = nowISO();
+  Object.assign(
+    loan,
+    archiveSchedule(loan, { at, by: actor.username, reason: "restructure" })
+  );
+  loan.installments = preview.installments;
+  loan.rate = preview.changes.rate;
+  loan.tenor = preview.installments.length;
+  loan.monthlyPayment = preview.after.payment;
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "restructure",
+    by: actor.username,
+    at,
+    fromVersion: loan.scheduleVersion - 1,
+    toVersion: loan.scheduleVersion,
+    changes: preview.changes,
+    note: `${preview.description}; installment ${preview.before.payment} → ${
+      preview.after.payment
+    }, ${preview.before.installments} → ${preview.after.installments} left${
+      note ? ` — ${note}` : ""
+    }`,
+  });
+  const { interest, fee } = preview.capitalized;
+  if (interest + fee > 0)
+    await repo.journal.save(
+      capitalizationEntry({ loan, interest, fee, by: actor.username })
+    );
+  refreshStatus(loan, actor.username, await getDelinquencyPolicy());
+  return repo.loans.save(loan);
+}
+
+/* Positive amount reduces the balance, negative increases it */
+/* Loan an adjustment would apply to, or throw why it is not allowed */
+export async function checkAdjustment({ loanId, amount }) {
+  await ensureMigrated();
+  const [loan, journal] = await Promise.all([
+    repo.loans.get(loanId),
+    repo.journal.list(),
+  ]);
+  if (!loan) throw new Error("Loan not found");
+  if (!Array.isArray(loan.installments) || !loan.disbursedAt)
+    throw new Error("Only disbursed loans can be adjusted");
+  if (!WRITABLE_OFF_STATUSES.includes(loan.status))
+    throw new Error(
+      `A ${loan.status.replace("_", " ")} loan cannot be adjusted`
+    );
+  // an adjustment corrects a balance; clearing one is a write-off
+  if (Number(amount) >= loanBalance(journal, loan.id))
+    throw new Error(
+      "An adjustment cannot clear the balance — write the loan off instead"
+    );
+  return loan;
+}
+
+export async function adjustLoanBalance({ actor, loanId, amount }) {
+  await authorize(actor, "loan.adjust");
+  const loan = await checkAdjustment({ loanId, amount });
+  const applied = Number(amount);
+  if (applied === 0) return loan;
+  await repo.journal.save(
+    adjustmentEntry({ loan, amount: applied, by: actor.username })
+  );
+  loan.installments = adjustPrincipal(loan.installments || [], applied);
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "adjust",
+    by: actor.username,
+    at: nowISO(),
+    note: `adjusted by ${applied}`,
+  });
+  await repo.loans.save(loan);
+  return loan;
+}
+
+/* Loan the write-off would apply to, or throw why it cannot be written off */
+export async function checkWriteOff({ loanId, reason }) {
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  if (!WRITABLE_OFF_STATUSES.includes(loan.status))
+    throw new Error(
+      `A ${loan.status.replace("_", " ")} loan cannot be written off`
+    );
+  if (!WRITE_OFF_REASONS[reason]) throw new Error("Choose a write-off reason");
+  return loan;
+}
+
+/* Move what is left on the loan to the loss account (see src/lib/writeoff.js).
+   approvalNote is the checker's reasoning and is required. */
+export async function writeOffLoan({
+  actor,
+  loanId,
+  reason,
+  note,
+  approvalNote,
+  requestedBy = actor.username,
+}) {
+  await ensureMigrated();
+  await authorize(actor, "loan.write_off");
+  if (!String(approvalNote || "").trim())
+    throw new Error("Give an approval note for the write-off");
+  const loan = await checkWriteOff({ loanId, reason });
+  const journal = await repo.journal.list();
+  const principal = loanBalance(journal, loan.id);
+  const owed = (part) =>
+    (loan.installments || []).reduce(
+      (s, inst) =>
+        s +
+        Math.max(0, Number(inst[`${part}Due`]) - Number(inst[`${part}Paid`])),
+      0
+    );
+  const interest = Math.round(owed("interest") * 100) / 100;
+  const fee = Math.round(owed("fee") * 100) / 100;
+  const at = nowISO();
+  if (principal > 0)
+    await repo.journal.save(
+      writeOffEntry({ loan, amount: principal, by: actor.username })
+    );
+  loan.writeOff = {
+    reason,
+    note: String(note || "").trim(),
+    approvalNote: String(approvalNote).trim(),
+    requestedBy,
+    approvedBy: actor.username,
+    at,
+    previousStatus: loan.status,
+    principal,
+    interest,
+    fee,
+    total: Math.round((principal + interest + fee) * 100) / 100,
+  };
+  loan.recovered = 0;
+  loan.status = "written_off";
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "written_off",
+    by: actor.username,
+    at,
+    note: `${WRITE_OFF_REASONS[reason]}: principal ${principal}, unpaid interest ${interest}, fees ${fee} — ${loan.writeOff.approvalNote}`,
+  });
+  return repo.loans.save(loan);
+}
+
+/* Money collected on a written-off loan. Borrowers pay from their wallet;
+   staff with payment.record can also log money received outside the app. */
+export async function recordRecovery({ actor, loanId, amount, source }) {
+  await ensureMigrated();
+  const loan = await repo.loans.get(loanId);
+  if (!loan) throw new Error("Loan not found");
+  if (actor?.username !== loan.borrowerUsername)
+    await authorize(actor, "payment.record");
+  if (loan.status !== "written_off")
+    throw new Error("Recoveries are only recorded on written-off loans");
+  amount = Number(amount || 0);
+  if (!amount || amount <= 0) throw new Error("Enter a positive amount");
+  const left = recoverableBalance(loan);
+  if (left <= 0) throw new Error("The written-off balance is fully recovered");
+  if (amount > left)
+    throw new Error(`Only ₦${left.toLocaleString()} is left to recover`);
+  if (source === "wallet")
+    await ensureWalletCovers(loan.borrowerUsername, amount);
+  else source = "external";
+  loan.recovered = Math.round(((loan.recovered || 0) + amount) * 100) / 100;
+  loan.actions = loan.actions || [];
+  loan.actions.push({
+    id: uid(),
+    action: "recovery",
+    by: actor.username,
+    at: nowISO(),
+    note: `recovered ${amount} (${
+      source === "wallet" ? "from wallet" : "received outside the app"
+    }); ${recoverableBalance(loan)} left`,
+  });
+  const repayment = {
+    id: uid(),
+    loanId: loan.id,
+    borrowerUsername: loan.borrowerUsername,
+    amount,
+    allocation: { fee: 0, interest: 0, principal: 0 },
+    date: nowISO(),
+    by: actor.username,
+    kind: "recovery",
+    source,
+  };
+  await repo.journal.save(
+    recoveryEntry({ loan, amount, source, by: actor.username })
+  );
+  await repo.repayments.save(repayment);
+  await repo.loans.save(loan);
+  return { loan, repayment };
+}
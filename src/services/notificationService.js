@@ -0,0 +1,153 @@
+/* Notification inbox
+   Other services call notify() as things happen; runDelinquency raises the
+   date-driven reminders through raiseLoanReminders(). Recipients who switched
+   a type off never get it, and a key already in a user's inbox is skipped, so
+   repeated sweeps are harmless. Preferences live on the user record.
+*/
+import { repo } from "../data/repository";
+import { assessDelinquency } from "../lib/delinquency";
+import {
+  MAX_REMINDER_DAYS,
+  NOTIFICATION_TYPES,
+  defaultAlert,
+  installmentReminders,
+  overdueAlert,
+  preferencesFor,
+  typesFor,
+  wants,
+} from "../lib/notifications";
+import { can } from "../lib/permissions";
+import { nowISO, uid } from "../lib/util";
+
+async function signedIn(actor) {
+  const user = actor?.username ? await repo.users.get(actor.username) : null;
+  if (!user) throw new Error("Sign in again to continue");
+  return user;
+}
+
+/* Store drafts ({ username, type, key, title, body, link }) for recipients
+   who want them and do not have the key yet. Returns what was stored. */
+export async function notify(drafts) {
+  if (drafts.length === 0) return [];
+  const [users, existing] = await Promise.all([
+    repo.users.list(),
+    repo.notifications.list(),
+  ]);
+  const byName = Object.fromEntries(users.map((u) => [u.username, u]));
+  const seen = new Set(existing.map((n) => `${n.username}|${n.key}`));
+  const at = nowISO();
+  const fresh = [];
+  for (const draft of drafts) {
+    const id = `${draft.username}|${draft.key}`;
+    if (seen.has(id) || !wants(byName[draft.username], draft.type)) continue;
+    seen.add(id);
+    fresh.push({ id: uid(), ...draft, createdAt: at, readAt: null });
+  }
+  if (fresh.length) await repo.notifications.saveMany(fresh);
+  return fresh;
+}
+
+/* The same draft for every staff member holding a permission, except the
+   one who caused it */
+export async function notifyStaff(permission, draft, except) {
+  const users = await repo.users.list();
+  return notify(
+    users
+      .filter((u) => u.username !== except && can(u, permission))
+      .map((u) => ({ ...draft, username: u.username }))
+  );
+}
+
+/* Reminder sweep after delinquency has run: upcoming and missed
+   installments for borrowers, and an alert to collections staff for every
+   loan that moved from active to overdue, or into default from either
+   (before/after are the loan lists around the run) */
+export async function raiseLoanReminders({ before, after, asOf = nowISO() }) {
+  const users = await repo.users.list();
+  const byName = Object.fromEntries(users.map((u) => [u.username, u]));
+  const statusBefore = Object.fromEntries(before.map((l) => [l.id, l.status]));
+  const drafts = [];
+  for (const loan of after) {
+    const borrower = byName[loan.borrowerUsername];
+    if (borrower)
+      drafts.push(
+        ...installmentReminders(
+          loan,
+          asOf,
+          preferencesFor(borrower).reminderDays
+        )
+      );
+    const was = statusBefore[loan.id];
+    let alert = null;
+    if (loan.status === "overdue" && was === "active")
+      alert = overdueAlert(loan, assessDelinquency(loan, asOf), asOf);
+    else if (
+      loan.status === "default" &&
+      (was === "active" || was === "overdue")
+    )
+      alert = defaultAlert(loan, assessDelinquency(loan, asOf), asOf);
+    if (alert)
+      for (const u of users)
+        if (can(u, "collections.view"))
+          drafts.push({ ...alert, username: u.username });
+  }
+  return notify(drafts);
+}
+
+/* The signed-in user's inbox, newest first */
+export async function listNotifications(actor) {
+  const user = await signedIn(actor);
+  const all = await repo.notifications.list();
+  return all
+    .filter((n) => n.username === user.username)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+export async function unreadCount(actor) {
+  const inbox = await listNotifications(actor);
+  return inbox.filter((n) => !n.readAt).length;
+}
+
+/* Mark some (ids) or all of the user's unread notifications read */
+export async function markRead({ actor, ids }) {
+  const inbox = await listNotifications(actor);
+  const at = nowISO();
+  const changed = inbox
+    .filter((n) => !n.readAt && (!ids || ids.includes(n.id)))
+    .map((n) => ({ ...n, readAt: at }));
+  if (changed.length) await repo.notifications.saveMany(changed);
+  return changed.length;
+}
+
+/* { types: [{ type, label, enabled }], reminderDays, remindsBorrower } */
+export async function getNotificationPreferences(actor) {
+  const user = await signedIn(actor);
+  const prefs = preferencesFor(user);
+  return {
+    types: typesFor(user).map((type) => ({
+      type,
+      label: NOTIFICATION_TYPES[type].label,
+      enabled: prefs.types[type],
+    })),
+    reminderDays: prefs.reminderDays,
+    remindsBorrower: typesFor(user).includes("installment_due"),
+  };
+}
+
+/* preferences: { types: { type: enabled }, reminderDays } */
+export async function saveNotificationPreferences({ actor, preferences }) {
+  const user = await signedIn(actor);
+  const days = Number(preferences.reminderDays);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_REMINDER_DAYS)
+    throw new Error(
+      `Remind between 0 and ${MAX_REMINDER_DAYS} days before an installment`
+    );
+  const types = Object.fromEntries(
+    typesFor(user).map((type) => [type, preferences.types?.[type] !== false])
+  );
+  await repo.users.save({
+    ...user,
+    notificationPreferences: { types, reminderDays: days },
+  });
+  return getNotificationPreferences(actor);
+}
@@ -0,0 +1,160 @@
+/* Wallet top-ups through the payment gateway (src/data/paymentGateway.js)
+   startTopUp() opens a gateway transaction under a fresh reference and keeps
+   a `payments` record of it. The wallet is only credited in settle(), after
+   the gateway itself confirms success for the full amount — whether the
+   borrower asks for a status check or the gateway's callback arrives, and no
+   matter how often either happens. Failed and abandoned payments stay on
+   record for the borrower to see.
+*/
+import { gateway } from "../data/paymentGateway";
+import { repo } from "../data/repository";
+import { topUpEntry } from "../lib/ledger";
+import {
+  PAYMENT_METHODS,
+  amountMatches,
+  isFinal,
+  newReference,
+  topUpProblem,
+} from "../lib/payments";
+import { roleOf } from "../lib/permissions";
+import { nowISO } from "../lib/util";
+import { ensureMigrated } from "./loanService";
+
+// reference -> settle() in progress, so overlapping checks share one run
+const settling = {};
+
+async function borrower(actor) {
+  const user = actor?.username ? await repo.users.get(actor.username) : null;
+  if (!user || roleOf(user) !== "borrower")
+    throw new Error("Only borrowers top up their own wallet");
+  return user;
+}
+
+async function ownPayment(actor, reference) {
+  const user = await borrower(actor);
+  const payment = await repo.payments.get(reference);
+  if (!payment || payment.username !== user.username)
+    throw new Error("Payment not found");
+  return payment;
+}
+
+function withStatus(payment, status, note) {
+  const at = nowISO();
+  return {
+    ...payment,
+    status,
+    updatedAt: at,
+    history: [...payment.history, { status, at, note }],
+  };
+}
+
+/* Ask the gateway where a transaction stands and record the outcome. A
+   settled payment is returned as is, and the journal is checked for the
+   reference before crediting, so a top-up is credited exactly once. */
+async function settle(reference) {
+  const payment = await repo.payments.get(reference);
+  if (!payment) throw new Error("Payment not found");
+  if (isFinal(payment.status)) return payment;
+  const result = await gateway.verify(reference);
+  if (result.status === "pending") return payment;
+  if (result.status !== "success") {
+    const next = withStatus(payment, result.status, result.message);
+    return repo.payments.save({ ...next, failureReason: result.message });
+  }
+  if (!amountMatches(payment, result.amount)) {
+    const message = "Amount paid does not match the top-up";
+    const next = withStatus(payment, "failed", message);
+    return repo.payments.save({ ...next, failureReason: message });
+  }
+  await ensureMigrated();
+  const journal = await repo.journal.list();
+  let entry = journal.find(
+    (e) => e.ref?.type === "topup" && e.ref.reference === reference
+  );
+  if (!entry) {
+    entry = topUpEntry({
+      username: payment.username,
+      amount: payment.amount,
+      reference,
+    });
+    await repo.journal.save(entry);
+  }
+  return repo.payments.save({
+    ...withStatus(payment, "success", result.message),
+    paidAt: result.paidAt,
+    entryId: entry.id,
+  });
+}
+
+function settleOnce(reference) {
+  if (!settling[reference])
+    settling[reference] = settle(reference).finally(() => {
+      delete settling[reference];
+    });
+  return settling[reference];
+}
+
+/* Open a gateway checkout; returns the pending payment with its checkout
+   details (virtual account, USSD code, …) */
+export async function startTopUp({ actor, amount, method }) {
+  const user = await borrower(actor);
+  const problem = topUpProblem({ amount, method });
+  if (problem) throw new Error(problem);
+  const reference = newReference();
+  const { checkout } = await gateway.initialize({
+    reference,
+    amount: Number(amount),
+    method,
+    customer: user.username,
+  });
+  const at = nowISO();
+  return repo.payments.save({
+    id: reference,
+    reference,
+    username: user.username,
+    amount: Number(amount),
+    method,
+    gateway: gateway.kind,
+    status: "pending",
+    checkout,
+    createdAt: at,
+    updatedAt: at,
+    history: [
+      { status: "pending", at, note: `${PAYMENT_METHODS[method]} checkout` },
+    ],
+  });
+}
+
+/* The borrower's "check status" */
+export async function verifyTopUp({ actor, reference }) {
+  await ownPayment(actor, reference);
+  return settleOnce(reference);
+}
+
+/* Gateway callback (webhook). The payload only says which transaction
+   changed; the outcome is always read back from the gateway. */
+export async function handleGatewayCallback({ reference }) {
+  return settleOnce(reference);
+}
+
+/* Mock gateway only: act as the customer on the checkout (action "pay",
+   "fail" or "abandon"), then deliver the callback the gateway would send */
+export async function completeMockCheckout({
+  actor,
+  reference,
+  action,
+  cardNumber,
+}) {
+  await ownPayment(actor, reference);
+  const callback = await gateway.simulate(reference, { action, cardNumber });
+  return handleGatewayCallback(callback);
+}
+
+/* The borrower's top-ups, newest first */
+export async function listTopUps(actor) {
+  const user = await borrower(actor);
+  const all = await repo.payments.list();
+  return all
+    .filter((p) => p.username === user.username)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
@@ -0,0 +1,55 @@
+/* Loan product catalog
+   With nothing stored the built-in catalog is served; the first save writes
+   it out so product ids referenced by loans stay stable.
+*/
+import { repo } from "../data/repository";
+import { DEFAULT_PRODUCTS, productProblem } from "../lib/products";
+import { nowISO, uid } from "../lib/util";
+import { authorize } from "./accessService";
+
+export async function listProducts() {
+  const stored = await repo.products.list();
+  return stored.length ? stored : DEFAULT_PRODUCTS;
+}
+
+export async function getProduct(id) {
+  const products = await listProducts();
+  const product = products.find((p) => p.id === id);
+  if (!product) throw new Error("Product not found");
+  return product;
+}
+
+export async function saveProduct({ actor, product }) {
+  await authorize(actor, "product.manage");
+  const problem = productProblem(product);
+  if (problem) throw new Error(problem);
+  const clean = {
+    id: product.id || uid(),
+    name: String(product.name).trim(),
+    description: String(product.description || "").trim(),
+    minPrincipal: Number(product.minPrincipal),
+    maxPrincipal: Number(product.maxPrincipal),
+    tenors: [...new Set(product.tenors.map(Number))].sort((a, b) => a - b),
+    minRate: Number(product.minRate),
+    maxRate: Number(product.maxRate),
+    defaultRate: Number(product.defaultRate),
+    prepaymentFeePercent: Number(product.prepaymentFeePercent || 0),
+    fees: (product.fees || []).map((f) => ({
+      name: String(f.name).trim(),
+      type: f.type,
+      amount: Number(f.amount),
+      when: f.when,
+    })),
+    interestMethod: product.interestMethod,
+    ruleSetId: product.ruleSetId || "",
+    status: product.status === "retired" ? "retired" : "active",
+    updatedBy: actor.username,
+    updatedAt: nowISO(),
+  };
+  const stored = await repo.products.list();
+  const seed = stored.length
+    ? []
+    : DEFAULT_PRODUCTS.filter((p) => p.id !== clean.id);
+  await repo.products.saveMany([...seed, clean]);
+  return clean;
+}
@@ -0,0 +1,134 @@
+/* Versioned credit-scoring rule sets
+   Publishing stores a new version and makes it active; earlier versions are
+   kept (retired) so every eligibilitySnapshot can be traced back to the rules
+   that produced it. With nothing stored, the built-in rules are version 1.
+*/
+import { repo } from "../data/repository";
+import { computeEligibility } from "../lib/finance";
+import { DEFAULT_RULE_SET, ruleSetProblem } from "../lib/scoring";
+import { nowISO, uid } from "../lib/util";
+import { authorize } from "./accessService";
+
+const num = (v) => Number(v);
+
+/* Inputs arrive as strings from the editor; store numbers */
+function clean(rs) {
+  return {
+    name: String(rs.name).trim(),
+    baseScore: num(rs.baseScore),
+    minScore: num(rs.minScore),
+    maxScore: num(rs.maxScore),
+    cutoffScore: num(rs.cutoffScore),
+    declinedRate: num(rs.declinedRate),
+    factors: rs.factors.map((f) => ({
+      id: f.id || uid(),
+      label: String(f.label || f.metric).trim(),
+      metric: f.metric,
+      type: f.type === "bands" ? "bands" : "linear",
+      weight: num(f.weight),
+      bands:
+        f.type === "bands"
+          ? f.bands.map((b) => ({
+              min: num(b.min),
+              max: b.max === "" || b.max == null ? null : num(b.max),
+              points: num(b.points),
+            }))
+          : [],
+    })),
+    limits: rs.limits.map((l) => ({
+      minIncome: num(l.minIncome),
+      multiplier: num(l.multiplier),
+    })),
+    knockouts: rs.knockouts.map((k) => ({
+      code: String(k.code).trim().toUpperCase(),
+      reason: String(k.reason || k.code).trim(),
+      metric: k.metric,
+      op: k.op,
+      value: num(k.value),
+      riskLevel: k.riskLevel,
+    })),
+    grades: rs.grades.map((g) => ({
+      minScore: num(g.minScore),
+      riskLevel: g.riskLevel,
+      rate: num(g.rate),
+    })),
+  };
+}
+
+/* Newest version first */
+export async function listRuleSets() {
+  const stored = await repo.ruleSets.list();
+  if (stored.length === 0) return [DEFAULT_RULE_SET];
+  return [...stored].sort((a, b) => b.version - a.version);
+}
+
+export async function getActiveRuleSet() {
+  const stored = await repo.ruleSets.list();
+  return stored.find((r) => r.status === "active") || DEFAULT_RULE_SET;
+}
+
+/* Eligibility under a product's pinned rule set, or the active one */
+export async function scoreApplicant(input, ruleSetId) {
+  let ruleSet = await getActiveRuleSet();
+  if (ruleSetId && ruleSetId !== ruleSet.id) {
+    ruleSet = (await listRuleSets()).find((r) => r.id === ruleSetId);
+    if (!ruleSet) throw new Error("The product's scoring rule set is missing");
+  }
+  return computeEligibility(input, ruleSet);
+}
+
+/* Score an applicant for a product: its rule set decides, and the suggested
+   rate is kept inside the product's rate range */
+export async function scoreForProduct(product, input) {
+  const result = await scoreApplicant(input, product.ruleSetId);
+  return {
+    ...result,
+    productId: product.id,
+    defaultRate: Math.min(
+      product.maxRate,
+      Math.max(product.minRate, result.defaultRate)
+    ),
+  };
+}
+
+export async function publishRuleSet({ actor, ruleSet, note }) {
+  await authorize(actor, "scoring.manage");
+  const problem = ruleSetProblem(ruleSet);
+  if (problem) throw new Error(problem);
+  const stored = await repo.ruleSets.list();
+  const retired = stored
+    .filter((r) => r.status === "active")
+    .map((r) => ({ ...r, status: "retired" }));
+  if (stored.length === 0)
+    retired.push({ ...DEFAULT_RULE_SET, status: "retired" });
+  const next = {
+    ...clean(ruleSet),
+    id: uid(),
+    version: Math.max(1, ...stored.map((r) => r.version)) + 1,
+    status: "active",
+    createdBy: actor.username,
+    createdAt: nowISO(),
+    note: String(note || "").trim(),
+  };
+  await repo.ruleSets.saveMany([next, ...retired]);
+  return next;
+}
+
+/* Roll back (or forward) to an earlier version without editing it */
+export async function activateRuleSet({ actor, id }) {
+  await authorize(actor, "scoring.manage");
+  const all = await listRuleSets();
+  const target = all.find((r) => r.id === id);
+  if (!target) throw new Error("Rule set not found");
+  const changed = all
+    .filter((r) => r.id !== id && r.status === "active")
+    .map((r) => ({ ...r, status: "retired" }));
+  const activated = {
+    ...target,
+    status: "active",
+    activatedBy: actor.username,
+    activatedAt: nowISO(),
+  };
+  await repo.ruleSets.saveMany([activated, ...changed]);
+  return activated;
+}
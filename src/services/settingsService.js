@@ -0,0 +1,18 @@
+/* Staff-editable configuration, stored as one document per area in the
+   `settings` collection and merged over the built-in defaults */
+import { repo } from "../data/repository";
+import { nowISO } from "../lib/util";
+
+export async function getSetting(id, defaults = {}) {
+  const doc = await repo.settings.get(id);
+  return { ...defaults, ...(doc?.value || {}) };
+}
+
+export async function saveSetting(id, value, actor) {
+  return repo.settings.save({
+    id,
+    value,
+    updatedBy: actor?.username,
+    updatedAt: nowISO(),
+  });
+}
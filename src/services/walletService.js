@@ -0,0 +1,41 @@
+/* Borrower wallet history and monthly statements, read back from the
+   journal (src/lib/walletStatement.js). Borrowers see their own wallet;
+   staff with portfolio.view can open any borrower's.
+*/
+import { repo } from "../data/repository";
+import {
+  monthlyStatement,
+  statementMonths,
+  walletTransactions,
+} from "../lib/walletStatement";
+import { authorize } from "./accessService";
+import { ensureMigrated } from "./loanService";
+
+async function walletOf(actor, username = actor?.username) {
+  if (actor?.username !== username) await authorize(actor, "portfolio.view");
+  const user = username ? await repo.users.get(username) : null;
+  if (!user) throw new Error("User not found");
+  await ensureMigrated();
+  return { user, journal: await repo.journal.list() };
+}
+
+/* { balance, transactions (newest first), months } */
+export async function getWalletHistory({ actor, username }) {
+  const { user, journal } = await walletOf(actor, username);
+  const transactions = walletTransactions(journal, user.username);
+  return {
+    balance: transactions.at(-1)?.balance ?? 0,
+    transactions: [...transactions].reverse(),
+    months: statementMonths(transactions),
+  };
+}
+
+/* One month (YYYY-MM) of the wallet, for statementCsv / statementPdf, with
+   the holder's name for the heading */
+export async function getWalletStatement({ actor, username, month }) {
+  const { user, journal } = await walletOf(actor, username);
+  return {
+    ...monthlyStatement(journal, user.username, month),
+    name: user.name,
+  };
+}
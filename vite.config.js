@@ -5,4 +5,10 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  server: {
+    // REST backend (VITE_DATA_BACKEND=http) — see mock-server/server.js
+    proxy: {
+      '/api': 'http://localhost:4000',
+    },
+  },
 })